@@ -75,6 +75,14 @@ function aspire_cloud_activate() {
 function aspire_cloud_deactivate() {
 	// Flush rewrite rules on deactivation to clean up
 	flush_rewrite_rules();
+
+	// Stop any background import jobs
+	wp_clear_scheduled_hook( \AspireCloud\Controller\ImportJobs::CRON_HOOK, [ 'plugins' ] );
+	wp_clear_scheduled_hook( \AspireCloud\Controller\ImportJobs::CRON_HOOK, [ 'themes' ] );
+
+	// Stop scheduled syncs; the next admin page load after reactivation queues them again
+	wp_clear_scheduled_hook( \AspireCloud\Controller\SyncScheduler::CRON_HOOK );
+	wp_clear_scheduled_hook( \AspireCloud\Controller\SyncScheduler::WINDOW_END_HOOK );
 }
 
 /**
@@ -91,10 +99,21 @@ function aspire_cloud_init() {
 	new \AspireCloud\Model\Plugins();
 	new \AspireCloud\Model\Themes();
 
-	// Initialize import controllers (admin only)
+	// Initialize import controllers (admin, and cron for background import jobs)
+	if ( is_admin() || wp_doing_cron() ) {
+		$import_jobs = new \AspireCloud\Controller\ImportJobs(
+			[
+				'plugins' => new \AspireCloud\Controller\PluginImport(),
+				'themes'  => new \AspireCloud\Controller\ThemeImport(),
+			]
+		);
+
+		// Start background imports on the schedule set on the import page
+		new \AspireCloud\Controller\SyncScheduler( $import_jobs );
+	}
+
 	if ( is_admin() ) {
-		new \AspireCloud\Controller\PluginImport();
-		new \AspireCloud\Controller\ThemeImport();
 		new \AspireCloud\Controller\AssetResync();
+		new \AspireCloud\Controller\BulkResync();
 	}
 }
@@ -16,15 +16,27 @@
 				importThemesBtn: '#import-themes-btn',
 				importPluginsBtn: '#import-plugins-btn',
 				restoreDbBtn: '#restore-database-btn',
+				pauseImportBtn: '#pause-import-btn',
+				resumeImportBtn: '#resume-import-btn',
+				cancelOperationBtn: '#cancel-operation-btn',
+				retryFailedBtn: '#retry-failed-btn',
+				resumeNotice: '#aspirecloud-resume-notice',
+				resumeSummary: '.aspirecloud-resume-summary',
+				resumeCheckpointBtn: '#resume-checkpoint-btn',
+				discardCheckpointBtn: '#discard-checkpoint-btn',
 				importButtons: '#import-themes-btn, #import-plugins-btn, #restore-database-btn',
 				importOption: '.aspirecloud-import-option',
 				metadataCheckbox: '#import-metadata-checkbox',
 				filesCheckbox: '#import-files-checkbox',
 				bulkImportCheckbox: '#bulk-import-checkbox',
+				deltaSyncCheckbox: '#delta-sync-checkbox',
+				dryRunCheckbox: '#dry-run-checkbox',
 				bulkImportOptions: '#bulk-import-options',
 				selectiveImportOptions: '#selective-import-options',
 				importSlugsTextarea: '#import-slugs-textarea',
-				importPage: '.aspirecloud-import-page'
+				importPage: '.aspirecloud-import-page',
+				tab: '.aspirecloud-tabs .nav-tab',
+				tabPanel: '.aspirecloud-tab-panel'
 			};
 
 			// Initialize the progress bar
@@ -36,10 +48,17 @@
 			// Initialize the managers
 			this.importAssets = this.assetType ? new ImportAssets(this.assetType, this.progressBar) : null;
 			this.clearAssets = new ClearAssets();
+			this.historyPanel = this.importAssets ? new HistoryPanel(this.importAssets.runHistory) : null;
+			this.updateCheck = this.importAssets ? new UpdateCheck(this.assetType, {
+				logger: this.importAssets.logger,
+				onSyncOutdated: (slugs) => this.syncOutdated(slugs)
+			}) : null;
+			this.syncSchedule = this.importAssets ? new SyncSchedule() : null;
 
 			// Set the progress bar for managers
 			if (this.importAssets) {
 				this.importAssets.setProgressBar(this.progressBar);
+				this.clearAssets.setLogger(this.importAssets.logger);
 			}
 			this.clearAssets.setProgressBar(this.progressBar);
 
@@ -47,6 +66,11 @@
 			this.bindImportEvents();
 			this.updateImportButtonState();
 			this.initializeBulkImportToggle();
+			this.initializeTabs();
+
+			// Follow a background job started earlier, then look for a browser checkpoint
+			this.importAssets?.checkBackgroundJob();
+			this.initializeCheckpointResume();
 		}
 
 		// Detect whether we're on themes or plugins page
@@ -68,10 +92,48 @@
 				if (buttonId === 'restore-database-btn') {
 					this.importAssets.handleDatabaseRecovery();
 				} else if (!this.importAssets.isRunning()) {
+					// A fresh start replaces any saved checkpoint
+					this.hideResumeNotice();
 					this.importAssets.start();
 				}
 			});
 
+			// Pause and resume a running import
+			jQuery(document).on('click', this.selectors.pauseImportBtn, (e) => {
+				e.preventDefault();
+				this.importAssets?.pause();
+			});
+
+			jQuery(document).on('click', this.selectors.resumeImportBtn, (e) => {
+				e.preventDefault();
+				this.importAssets?.resume();
+			});
+
+			// Re-run only what failed in the last import
+			jQuery(document).on('click', this.selectors.retryFailedBtn, (e) => {
+				e.preventDefault();
+
+				if (this.importAssets && !this.isRunning()) {
+					this.hideResumeNotice();
+					this.importAssets.retryFailed();
+				}
+			});
+
+			// Cancel whichever operation is running
+			jQuery(document).on('click', this.selectors.cancelOperationBtn, (e) => {
+				e.preventDefault();
+
+				if (!this.isRunning() || !confirm(aspirecloud_ajax.strings.confirm_cancel || 'Cancel the running operation?')) {
+					return;
+				}
+
+				if (this.importAssets?.isRunning()) {
+					this.importAssets.cancel();
+				} else if (this.clearAssets.isRunning()) {
+					this.clearAssets.cancel();
+				}
+			});
+
 			// Handle import option checkboxes
 			jQuery(document).on('change', this.selectors.importOption, () => {
 				this.updateImportButtonState();
@@ -84,14 +146,15 @@
 			const importButton = jQuery(`#import-${this.assetType}-btn`);
 
 			if (bulkImportEnabled) {
-				// Bulk import mode - check metadata/files checkboxes
-				const checkboxes = jQuery(`${this.selectors.metadataCheckbox}, ${this.selectors.filesCheckbox}`);
+				// Bulk import mode - check dry run, delta sync or metadata/files checkboxes
+				const checkboxes = jQuery(`${this.selectors.dryRunCheckbox}, ${this.selectors.deltaSyncCheckbox}, ${this.selectors.metadataCheckbox}, ${this.selectors.filesCheckbox}`);
 				const isAnyChecked = checkboxes.is(':checked');
 				importButton.prop('disabled', !isAnyChecked).toggleClass('disabled', !isAnyChecked);
 			} else {
-				// Selective import mode - check if slugs are provided
+				// Selective import mode - check if slugs are provided, typed or uploaded
 				const slugsText = jQuery(this.selectors.importSlugsTextarea).val().trim();
-				const hasSlugs = slugsText.length > 0;
+				const slugList = this.importAssets?.slugListImport;
+				const hasSlugs = slugList && slugList.hasFile() ? slugList.getEntries().length > 0 : slugsText.length > 0;
 				importButton.prop('disabled', !hasSlugs).toggleClass('disabled', !hasSlugs);
 			}
 		}
@@ -108,6 +171,9 @@
 				this.updateImportButtonState();
 			});
 
+			// Handle uploaded slug lists and their column mapping
+			this.importAssets?.slugListImport.setChangeHandler(() => this.updateImportButtonState());
+
 			// Initialize the toggle state
 			this.toggleImportMode();
 		}
@@ -130,6 +196,80 @@
 			this.updateImportButtonState();
 		}
 
+		// Switch between the Import, Updates, Schedule and History tabs
+		initializeTabs() {
+			jQuery(document).on('click', this.selectors.tab, (e) => {
+				e.preventDefault();
+
+				const tab = jQuery(e.currentTarget);
+				jQuery(this.selectors.tab).removeClass('nav-tab-active');
+				tab.addClass('nav-tab-active');
+
+				jQuery(this.selectors.tabPanel).hide();
+				jQuery(`#aspirecloud-tab-${tab.data('tab')}`).show();
+
+				// Runs may have been recorded since the tab was last shown
+				if (tab.data('tab') === 'history') {
+					this.historyPanel?.refresh();
+				}
+			});
+		}
+
+		// Import the outdated assets of the update report as a selective import, shown on the Import tab
+		syncOutdated(slugs) {
+			if (this.isRunning() || this.importAssets.preflight.isOpen()) {
+				alert(aspirecloud_ajax.strings.sync_outdated_running || 'An import is already running. Wait for it to finish, then sync the outdated assets.');
+				return;
+			}
+
+			jQuery(`${this.selectors.tab}[data-tab="import"]`).trigger('click');
+			this.importAssets.startCsvBulkImport(slugs);
+		}
+
+		// Offer to resume an import that was interrupted by a reload or closed tab
+		initializeCheckpointResume() {
+			if (!this.importAssets) return;
+
+			this.pendingCheckpoint = null;
+
+			jQuery(document).on('click', this.selectors.resumeCheckpointBtn, (e) => {
+				e.preventDefault();
+
+				const checkpoint = this.pendingCheckpoint;
+				this.hideResumeNotice();
+
+				if (checkpoint && !this.isRunning()) {
+					this.importAssets.resumeFromCheckpoint(checkpoint);
+				}
+			});
+
+			jQuery(document).on('click', this.selectors.discardCheckpointBtn, (e) => {
+				e.preventDefault();
+
+				if (!confirm(aspirecloud_ajax.strings.confirm_discard || 'Discard the saved import position? The next import will start from the beginning.')) {
+					return;
+				}
+
+				this.hideResumeNotice();
+				this.importAssets.checkpoint.clear();
+				this.importAssets.logger.log('INFO', 'Saved import checkpoint discarded');
+			});
+
+			this.importAssets.checkpoint.load().done((checkpoint) => {
+				if (!checkpoint || this.isRunning()) return;
+
+				this.pendingCheckpoint = checkpoint;
+				jQuery(this.selectors.resumeSummary).text(this.importAssets.checkpoint.describe(checkpoint));
+				jQuery(this.selectors.resumeNotice).show();
+				this.importAssets.logger.log('INFO', 'Found an unfinished import', this.importAssets.checkpoint.describe(checkpoint));
+			});
+		}
+
+		hideResumeNotice() {
+			this.pendingCheckpoint = null;
+			jQuery(this.selectors.resumeNotice).hide();
+		}
+
 		// Check if any operation is running
 		isRunning() {
 			return (this.importAssets?.isRunning()) || this.clearAssets.isRunning();
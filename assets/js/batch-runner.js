@@ -0,0 +1,489 @@
+/**
+ * BatchRunner Class
+ *
+ * Runs a numbered sequence of AJAX batches: starts as many batches in parallel
+ * as the performance tracker allows, retries failed batches with exponential
+ * backoff, and guards the run with a circuit breaker, stuck batch detection
+ * and loop protection. What a batch does and what happens with its result is
+ * left to the owner through callbacks.
+ *
+ * Features:
+ * - Parallel or strictly serial batches (serial when no tracker is given)
+ * - Automatic retry mechanism (up to 3 attempts per failed batch)
+ * - Individual batch failure does not stop the entire run
+ * - Pause, cancel and resume from a batch number or a queue of batch numbers
+ *
+ * Dependencies: RequestTracker, ErrorReport classes
+ */
+
+class BatchRunner {
+	/**
+	 * @param {Object} options - Runner options
+	 * @param {string} options.label - Name of a batch in log messages, e.g. 'metadata batch'
+	 * @param {string} options.labelPlural - Plural of the label, e.g. 'metadata batches'
+	 * @param {Function} options.runBatch - (batchNumber) => jqXHR
+	 * @param {Function} options.onSuccess - (batchNumber, data, attempt) => optional delay before the next batch
+	 * @param {Function} options.onFailure - (batchNumber, failure) after the last attempt failed
+	 * @param {Function} options.onComplete - Called once every batch has finished
+	 * @param {Function} options.onEmergencyStop - (reason) when the run cannot continue
+	 */
+	constructor(options = {}) {
+		this.options = Object.assign({
+			label: 'batch',
+			labelPlural: 'batches',
+			logger: null,
+			requestTracker: null,
+			performanceTracker: null, // Sets the parallel batch count; without it batches run one at a time
+			parallelBatches: 1,
+			batchDelay: 100, // Pause between a finished batch and the next one
+			maxRetries: 3,
+			retryDelay: 2000, // 2 seconds, doubled on every retry
+			maxRetryDelay: 20000,
+			maxProcessCalls: 500, // Per stuck detection interval
+			stuckDetectionInterval: 30000,
+			maxBatchTime: 180000, // 3 minutes max for any batch
+			countItems: () => 0, // Items finished by a successful batch, for the performance tracker
+			isPaused: () => false,
+			onPaused: () => {},
+			onBatchStart: () => {},
+			runBatch: null,
+			onSuccess: () => {},
+			onFailure: () => {},
+			onComplete: () => {},
+			onEmergencyStop: () => {}
+		}, options);
+
+		this.state = {
+			batch: 1,
+			totalBatches: 0,
+			parallelBatches: this.options.parallelBatches,
+			activeBatches: 0, // Includes batches waiting for a retry
+			completedBatches: 0, // Succeeded or failed permanently
+			batchQueue: null, // Batch numbers to run instead of counting up
+			queueLength: 0,
+			pausedRetries: [], // Retries that came due while paused; they run first after resuming
+			totalRetries: 0,
+			finished: false
+		};
+
+		// Retry attempts per batch
+		this.retryMap = new Map();
+
+		// Loop protection safeguards
+		this.loopProtection = {
+			processCalls: 0,
+			windowStart: 0,
+			activeBatchTimes: new Map() // Track when each batch started
+		};
+
+		// Track outstanding requests and timers so the run can be cancelled
+		this.requestTracker = this.options.requestTracker || new RequestTracker();
+	}
+
+	setLogger(logger) {
+		this.options.logger = logger;
+	}
+
+	log(level, message, details) {
+		if (this.options.logger) {
+			this.options.logger.log(level, message, details);
+		}
+	}
+
+	// Label with a capital, for the start of a log message
+	getTitle() {
+		return this.options.label.charAt(0).toUpperCase() + this.options.label.slice(1);
+	}
+
+	reset() {
+		this.state.batch = 1;
+		this.state.totalBatches = 0;
+		this.state.activeBatches = 0;
+		this.state.completedBatches = 0;
+		this.state.batchQueue = null;
+		this.state.queueLength = 0;
+		this.state.pausedRetries = [];
+		this.state.totalRetries = 0;
+		this.state.finished = false;
+
+		this.retryMap.clear();
+		this.loopProtection.processCalls = 0;
+		this.loopProtection.windowStart = 0;
+		this.loopProtection.activeBatchTimes.clear();
+
+		// Forget requests and timers from any previous run
+		this.requestTracker.reset();
+
+		if (this.options.performanceTracker) {
+			this.options.performanceTracker.reset();
+			this.state.parallelBatches = this.options.performanceTracker.getMaxParallelBatches();
+		}
+	}
+
+	getState() {
+		return this.state;
+	}
+
+	getTotalBatches() {
+		return this.state.totalBatches;
+	}
+
+	// The total may change while running, e.g. when the server reports more or fewer items left
+	setTotalBatches(totalBatches) {
+		this.state.totalBatches = totalBatches;
+	}
+
+	/**
+	 * Continue counting from a batch number, e.g. from a saved checkpoint
+	 * @param {number} nextBatch - First batch to run
+	 * @param {number} totalBatches - Number of batches in the run
+	 */
+	restore(nextBatch, totalBatches) {
+		this.state.batch = Math.max(1, nextBatch || 1);
+		this.state.totalBatches = totalBatches || 0;
+		this.state.completedBatches = this.state.batch - 1;
+		this.state.finished = false;
+	}
+
+	/**
+	 * Run only the given batches, e.g. those that failed permanently in an earlier run
+	 * @param {Array} batches - Batch numbers to process
+	 */
+	setQueue(batches) {
+		this.state.batchQueue = Array.from(new Set(batches)).sort((a, b) => a - b);
+		this.state.queueLength = this.state.batchQueue.length;
+		this.state.totalBatches = this.state.queueLength;
+		this.state.completedBatches = 0;
+		this.state.finished = false;
+	}
+
+	getQueue() {
+		return this.state.batchQueue ? this.state.batchQueue.slice() : [];
+	}
+
+	isRetrying() {
+		return this.state.batchQueue !== null;
+	}
+
+	// Whether batches remain to be started, from the paused retries, the queue or the batch counter
+	hasMoreBatches() {
+		if (this.state.pausedRetries.length > 0) {
+			return true;
+		}
+
+		return this.isRetrying() ? this.state.batchQueue.length > 0 : this.state.batch <= this.state.totalBatches;
+	}
+
+	takeNextBatch() {
+		if (this.state.pausedRetries.length > 0) {
+			return this.state.pausedRetries.shift();
+		}
+
+		return this.isRetrying() ? this.state.batchQueue.shift() : this.state.batch++;
+	}
+
+	// Share of the batches that have finished, successfully or not
+	getCompletedFraction() {
+		const total = this.isRetrying() ? this.state.queueLength : this.state.totalBatches;
+
+		return Math.min(1, this.state.completedBatches / Math.max(1, total || 1));
+	}
+
+	/**
+	 * Get the batch to resume from.
+	 * Batches still in flight or waiting for a retry are not finished, so the
+	 * position is the lowest of those and the next unstarted batch.
+	 * @returns {Object} Next batch and total batches
+	 */
+	getCheckpoint() {
+		const pendingBatches = [
+			...this.loopProtection.activeBatchTimes.keys(),
+			...this.retryMap.keys()
+		];
+
+		return {
+			nextBatch: Math.min(this.state.batch, ...pendingBatches),
+			totalBatches: this.state.totalBatches
+		};
+	}
+
+	/**
+	 * Get retry statistics for monitoring
+	 * @returns {Object} Retry statistics
+	 */
+	getRetryStatistics() {
+		return {
+			activeRetries: this.retryMap.size,
+			retryMap: new Map(this.retryMap), // Return a copy
+			totalRetries: this.state.totalRetries,
+			maxRetries: this.options.maxRetries
+		};
+	}
+
+	// Schedule a callback that is dropped when the run is cancelled
+	schedule(callback, delay) {
+		return this.requestTracker.setTimeout(callback, delay);
+	}
+
+	processNextBatch() {
+		// A late timer must not complete the run twice
+		if (this.state.finished) {
+			return;
+		}
+
+		// Do not start new batches while paused; in-flight batches still complete
+		if (this.options.isPaused()) {
+			this.options.onPaused(this.state.activeBatches);
+			return;
+		}
+
+		// Loop protection - count the calls within each detection interval
+		const currentTime = Date.now();
+		if (currentTime - this.loopProtection.windowStart > this.options.stuckDetectionInterval) {
+			this.loopProtection.windowStart = currentTime;
+			this.loopProtection.processCalls = 0;
+		}
+		this.loopProtection.processCalls++;
+
+		// Emergency brake for infinite loops
+		if (this.loopProtection.processCalls > this.options.maxProcessCalls) {
+			this.log('ERROR', `Too many ${this.options.label} calls detected - emergency stop`,
+				`${this.loopProtection.processCalls} calls within ${this.options.stuckDetectionInterval / 1000}s`);
+			this.handleEmergencyStop('MAX_PROCESS_CALLS_EXCEEDED');
+			return;
+		}
+
+		// Check for stuck batches
+		this.cleanupStuckBatches();
+
+		// Start parallel batches
+		while (this.state.activeBatches < this.state.parallelBatches && this.hasMoreBatches()) {
+			this.state.activeBatches++;
+			this.processSingleBatch(this.takeNextBatch());
+		}
+
+		// Check if all batches are complete
+		if (!this.hasMoreBatches()) {
+			if (this.state.activeBatches === 0) {
+				this.state.finished = true;
+				this.options.onComplete();
+			} else {
+				// Keep checking so stuck batches are cleaned up even if they never return
+				this.schedule(() => this.processNextBatch(), 1000);
+			}
+		}
+	}
+
+	processSingleBatch(batchNumber) {
+		const startTime = Date.now();
+		const tracker = this.options.performanceTracker;
+
+		// Track when this batch started for stuck detection
+		this.loopProtection.activeBatchTimes.set(batchNumber, startTime);
+
+		// Update parallel batch count from performance tracker
+		if (tracker) {
+			this.state.parallelBatches = tracker.getCurrentParallelBatches();
+		}
+
+		// Check retry count for this batch
+		const retries = this.retryMap.get(batchNumber) || 0;
+		const retryText = retries > 0 ? ` (Retry ${retries}/${this.options.maxRetries})` : '';
+
+		this.log('INFO', `Processing ${this.options.label} ${batchNumber}/${this.state.totalBatches}${retryText}`,
+			`Parallel batches active: ${this.state.activeBatches}, Max: ${this.state.parallelBatches}`);
+
+		this.options.onBatchStart(batchNumber, {
+			retries: retries,
+			activeBatches: this.state.activeBatches,
+			parallelBatches: this.state.parallelBatches
+		});
+
+		this.options.runBatch(batchNumber)
+			.done((response) => {
+				if (this.requestTracker.isCancelled()) return;
+
+				const duration = Date.now() - startTime;
+				if (tracker) {
+					tracker.recordCallDuration(duration, {
+						items: response.success ? this.options.countItems(response.data) : 0,
+						retries: retries,
+						failed: !response.success
+					});
+				}
+
+				this.loopProtection.activeBatchTimes.delete(batchNumber);
+
+				if (!response.success) {
+					const errorMessage = response.data || aspirecloud_ajax.strings.error;
+					this.log('ERROR', `${this.getTitle()} ${batchNumber} failed after ${duration}ms${retryText}`, errorMessage);
+					this.handleBatchFailure(batchNumber, errorMessage, { category: 'rejected', httpStatus: 200, retryable: true });
+					return;
+				}
+
+				this.finishBatch(batchNumber);
+
+				const delay = this.options.onSuccess(batchNumber, response.data, {
+					duration: duration,
+					retries: retries,
+					retryText: retryText
+				});
+
+				this.schedule(() => this.processNextBatch(), typeof delay === 'number' ? delay : this.options.batchDelay);
+			})
+			.fail((jqXHR, textStatus, errorThrown) => {
+				if (this.requestTracker.isCancelled()) return;
+
+				const duration = Date.now() - startTime;
+				if (tracker) {
+					tracker.recordCallDuration(duration, { retries: retries, failed: true });
+					tracker.recordHttpError(jqXHR.status);
+				}
+
+				this.loopProtection.activeBatchTimes.delete(batchNumber);
+
+				// Categorize the error type for better handling
+				const errorCategory = ErrorReport.categorizeAjaxError(jqXHR, textStatus, errorThrown);
+				const errorMessage = `${errorCategory.type}: ${errorCategory.message}`;
+
+				this.log('ERROR', `AJAX request failed for ${this.options.label} ${batchNumber} after ${duration}ms${retryText}`,
+					`${errorMessage} (HTTP ${jqXHR.status})`);
+
+				this.handleBatchFailure(batchNumber, errorMessage, Object.assign({ httpStatus: jqXHR.status || null }, errorCategory));
+			});
+	}
+
+	// Free the batch's slot once it succeeded or failed permanently
+	finishBatch(batchNumber) {
+		this.retryMap.delete(batchNumber);
+		this.state.activeBatches = Math.max(0, this.state.activeBatches - 1);
+		this.state.completedBatches++;
+	}
+
+	/**
+	 * Handle batch failure with retry logic
+	 * A batch waiting for its retry keeps its slot, so the run does not
+	 * complete or exceed its parallel batch count in the meantime.
+	 * @param {number} batchNumber - The batch number that failed
+	 * @param {string} errorMessage - The error message
+	 * @param {Object} failure - Error category, HTTP status and whether a retry can help
+	 */
+	handleBatchFailure(batchNumber, errorMessage, failure = { retryable: true }) {
+		const currentRetries = this.retryMap.get(batchNumber) || 0;
+
+		// Circuit breaker: allow 2 retries per batch on average, but always enough for one batch to use all of its own
+		const recentFailures = Array.from(this.retryMap.values()).reduce((sum, count) => sum + count, 0);
+		const maxTotalRetries = Math.max(this.options.maxRetries, this.state.totalBatches * 2);
+
+		if (recentFailures > maxTotalRetries) {
+			this.log('ERROR', `Circuit breaker triggered - too many ${this.options.label} failures`, `${recentFailures} total retries exceed limit of ${maxTotalRetries}`);
+			this.handleEmergencyStop('CIRCUIT_BREAKER_TRIGGERED');
+			return;
+		}
+
+		if (failure.retryable && currentRetries < this.options.maxRetries) {
+			this.retryMap.set(batchNumber, currentRetries + 1);
+			this.state.totalRetries++;
+
+			// Exponential backoff for retries
+			const retryDelay = Math.min(this.options.retryDelay * Math.pow(2, currentRetries), this.options.maxRetryDelay);
+
+			this.log('WARNING', `Retrying ${this.options.label} ${batchNumber} (attempt ${currentRetries + 1}/${this.options.maxRetries})`,
+				`Will retry in ${retryDelay}ms - Error: ${failure.type || errorMessage}`);
+
+			this.schedule(() => this.runRetry(batchNumber), retryDelay);
+			return;
+		}
+
+		// Max retries exceeded or non-retryable error: give up on this batch, not the run
+		const reason = failure.retryable ? `${this.options.maxRetries} retries` : 'non-retryable error';
+		this.log('ERROR', `${this.getTitle()} ${batchNumber} failed permanently due to ${reason}`, `Error: ${errorMessage}`);
+
+		this.finishBatch(batchNumber);
+
+		this.options.onFailure(batchNumber, {
+			category: failure.category || 'unknown',
+			httpStatus: failure.httpStatus || null,
+			message: String(errorMessage),
+			reason: reason,
+			retries: currentRetries
+		});
+
+		this.schedule(() => this.processNextBatch(), this.options.batchDelay);
+	}
+
+	/**
+	 * Run a retry once its backoff is over. While paused no new request may
+	 * start, so the batch gives up its slot and waits for processNextBatch.
+	 * @param {number} batchNumber - The batch to retry
+	 */
+	runRetry(batchNumber) {
+		if (this.options.isPaused()) {
+			this.state.activeBatches = Math.max(0, this.state.activeBatches - 1);
+			this.state.pausedRetries.push(batchNumber);
+			this.options.onPaused(this.state.activeBatches);
+			return;
+		}
+
+		this.processSingleBatch(batchNumber);
+	}
+
+	/**
+	 * Cancel the run: abort in-flight batches and drop pending retries and timers
+	 *
+	 * @returns {Object} Number of aborted requests and cleared timers
+	 */
+	cancel() {
+		const summary = this.requestTracker.cancel();
+
+		this.loopProtection.activeBatchTimes.clear();
+		this.retryMap.clear();
+		this.state.pausedRetries = [];
+		this.state.activeBatches = 0;
+
+		return summary;
+	}
+
+	/**
+	 * Free the slots of batches that have been active for too long
+	 */
+	cleanupStuckBatches() {
+		const currentTime = Date.now();
+		const stuckBatches = [];
+
+		for (const [batchNumber, startTime] of this.loopProtection.activeBatchTimes) {
+			if (currentTime - startTime > this.options.maxBatchTime) {
+				stuckBatches.push(batchNumber);
+			}
+		}
+
+		if (stuckBatches.length === 0) return;
+
+		this.log('WARNING', `Cleaning up ${stuckBatches.length} stuck ${this.options.labelPlural}`, `Batches: ${stuckBatches.join(', ')}`);
+
+		for (const batchNumber of stuckBatches) {
+			this.loopProtection.activeBatchTimes.delete(batchNumber);
+			this.state.activeBatches = Math.max(0, this.state.activeBatches - 1);
+
+			this.log('WARNING', `${this.getTitle()} ${batchNumber} was stuck for ${this.options.maxBatchTime / 1000}s - force cleaned`);
+		}
+	}
+
+	/**
+	 * Stop the run for good: in-flight batches are aborted so none of them
+	 * starts another batch after the owner has reported the failure
+	 */
+	handleEmergencyStop(reason) {
+		this.log('ERROR', `Emergency stop triggered: ${reason}`);
+
+		this.cancel();
+		this.options.onEmergencyStop(reason);
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = BatchRunner;
+} else if (typeof window !== 'undefined') {
+	window.BatchRunner = BatchRunner;
+}
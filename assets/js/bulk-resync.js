@@ -0,0 +1,302 @@
+/**
+ * Bulk Sync JavaScript
+ *
+ * Handles the "Sync selected" bulk action on the plugin and theme list
+ * screens. Each selected post goes through the same preview and apply
+ * requests as the Sync metabox, a few posts at a time, with a shared
+ * progress panel and a status icon on each row. Pinned assets are skipped.
+ */
+
+(function(jQuery) {
+	'use strict';
+
+	/**
+	 * Bulk sync functionality
+	 */
+	const BulkResync = {
+		// Element selectors
+		selectors: {
+			form: '#posts-filter',
+			checkedPosts: 'input[name="post[]"]:checked',
+			panel: '#aspirecloud-bulk-sync',
+			summary: '.aspirecloud-bulk-sync-summary',
+			concurrency: '#aspirecloud-bulk-sync-concurrency',
+			stopButton: '#aspirecloud-bulk-sync-stop',
+			progressFill: '.progress-fill',
+			progressText: '.progress-text',
+			failures: '.aspirecloud-bulk-sync-failures',
+			reloadPageLink: '.aspirecloud-reload-page'
+		},
+
+		// Dashicon of each row status
+		icons: {
+			queued: 'dashicons-clock',
+			running: 'dashicons-update',
+			updated: 'dashicons-yes-alt',
+			current: 'dashicons-yes',
+			skipped: 'dashicons-lock',
+			failed: 'dashicons-warning'
+		},
+
+		// ID of the Apply button that submitted the list form
+		submitter: null,
+
+		queue: [],
+		total: 0,
+		active: 0,
+		running: false,
+		stopped: false,
+		counts: null,
+
+		init() {
+			this.bindEvents();
+		},
+
+		bindEvents() {
+			// The top and bottom Apply buttons submit the same form; remember which one was used
+			jQuery(document).on('click', '#doaction, #doaction2', (e) => {
+				this.submitter = e.currentTarget.id;
+			});
+
+			jQuery(document).on('submit', this.selectors.form, this.handleSubmit.bind(this));
+			jQuery(document).on('click', this.selectors.stopButton, this.handleStopClick.bind(this));
+			jQuery(document).on('change', this.selectors.concurrency, () => {
+				if (this.running) this.processQueue();
+			});
+			jQuery(document).on('click', this.selectors.reloadPageLink, (e) => {
+				e.preventDefault();
+				window.location.reload();
+			});
+		},
+
+		// WordPress uses the bottom selector when the bottom Apply button is clicked
+		getSelectedAction() {
+			const selector = this.submitter === 'doaction2' ? '#bulk-action-selector-bottom' : '#bulk-action-selector-top';
+
+			return jQuery(selector).val();
+		},
+
+		handleSubmit(e) {
+			if (this.getSelectedAction() !== aspirecloud_bulk_resync.bulk_action) {
+				return;
+			}
+
+			e.preventDefault();
+
+			if (this.running) {
+				alert(aspirecloud_bulk_resync.strings.already_running);
+				return;
+			}
+
+			const postIds = jQuery(this.selectors.checkedPosts).map((index, checkbox) => jQuery(checkbox).val()).get();
+
+			if (postIds.length === 0) {
+				alert(aspirecloud_bulk_resync.strings.none_selected);
+				return;
+			}
+
+			this.start(postIds);
+		},
+
+		handleStopClick(e) {
+			e.preventDefault();
+
+			if (!this.running) return;
+
+			this.stopped = true;
+			this.queue.forEach(postId => this.clearRowStatus(postId));
+			this.queue = [];
+			jQuery(this.selectors.stopButton).prop('disabled', true);
+
+			// Syncs already sent finish on the server; the run ends when they come back
+			if (this.active === 0) {
+				this.finish();
+			}
+		},
+
+		/**
+		 * Sync the selected posts
+		 * @param {Array} postIds - IDs of the checked rows
+		 */
+		start(postIds) {
+			this.queue = postIds.slice();
+			this.total = postIds.length;
+			this.active = 0;
+			this.running = true;
+			this.stopped = false;
+			this.counts = { updated: 0, current: 0, skipped: 0, failed: 0 };
+
+			const panel = jQuery(this.selectors.panel);
+			panel.removeClass('notice-success notice-warning').addClass('notice-info');
+			panel.find(this.selectors.failures).empty().hide();
+			panel.find(this.selectors.summary).empty();
+			jQuery(this.selectors.stopButton).prop('disabled', false).show();
+			panel.show();
+
+			postIds.forEach(postId => this.setRowStatus(postId, 'queued', aspirecloud_bulk_resync.strings.status_queued));
+			this.updateProgress();
+			this.processQueue();
+		},
+
+		// Start syncs until the concurrency limit is reached; the limit can change while running
+		getConcurrency() {
+			return Math.max(1, parseInt(jQuery(this.selectors.concurrency).val(), 10) || 1);
+		},
+
+		processQueue() {
+			while (!this.stopped && this.queue.length > 0 && this.active < this.getConcurrency()) {
+				this.syncPost(this.queue.shift());
+			}
+
+			if (this.active === 0 && this.queue.length === 0) {
+				this.finish();
+			}
+		},
+
+		syncPost(postId) {
+			this.active++;
+			this.setRowStatus(postId, 'running', aspirecloud_bulk_resync.strings.status_running);
+
+			this.sendRequest(postId, 'preview')
+				.then((data) => {
+					// Like the old resync, only a new version or a changed preview field is worth applying and re-downloading
+					if (data.action === 'no_update' || (data.latest_version === data.current_version && (data.fields || []).length === 0)) {
+						return { status: 'current', message: aspirecloud_bulk_resync.strings.status_current };
+					}
+
+					// Applying would remove the pin; leave pinned assets to the metabox
+					if (data.pinned_version) {
+						return { status: 'skipped', message: aspirecloud_bulk_resync.strings.status_pinned.replace('%s', data.pinned_version) };
+					}
+
+					return this.sendRequest(postId, 'apply').then(applied => ({ status: 'updated', message: applied.message }));
+				})
+				.then(
+					result => this.completePost(postId, result.status, result.message),
+					message => this.completePost(postId, 'failed', message)
+				);
+		},
+
+		/**
+		 * Run one step of the metabox sync for a post
+		 * @param {string} mode - 'preview' or 'apply'
+		 * @returns {Promise} Resolves with the response data, rejects with an error message
+		 */
+		sendRequest(postId, mode) {
+			return new Promise((resolve, reject) => {
+				jQuery.ajax({
+					url: aspirecloud_bulk_resync.ajax_url,
+					type: 'POST',
+					data: {
+						action: 'resync_' + aspirecloud_bulk_resync.asset_type,
+						post_id: postId,
+						mode: mode,
+						nonce: aspirecloud_bulk_resync.nonce
+					},
+					success: (response) => {
+						if (response.success) {
+							resolve(response.data);
+						} else {
+							reject(response.data || aspirecloud_bulk_resync.strings.network_error);
+						}
+					},
+					error: (jqXHR, textStatus, errorThrown) => {
+						reject(jqXHR.responseJSON?.data || errorThrown || aspirecloud_bulk_resync.strings.network_error);
+					}
+				});
+			});
+		},
+
+		completePost(postId, status, message) {
+			this.active--;
+			this.counts[status]++;
+			this.setRowStatus(postId, status, message);
+
+			if (status === 'failed') {
+				this.addFailure(postId, message);
+			}
+
+			this.updateProgress();
+			this.processQueue();
+		},
+
+		finish() {
+			if (!this.running) return;
+
+			const strings = aspirecloud_bulk_resync.strings;
+			const panel = jQuery(this.selectors.panel);
+			const reloadLink = `<a href="#" class="aspirecloud-reload-page">${this.escapeHtml(strings.reload_link_text)}</a>`;
+
+			this.running = false;
+			jQuery(this.selectors.stopButton).hide();
+
+			panel.removeClass('notice-info').addClass(this.counts.failed > 0 || this.stopped ? 'notice-warning' : 'notice-success');
+			panel.find(this.selectors.summary).html(
+				`<strong>${this.escapeHtml(this.stopped ? strings.stopped : strings.complete)}</strong> ` +
+				`${this.escapeHtml(this.getSummaryText())} ` +
+				(this.counts.updated > 0 ? `${this.escapeHtml(strings.refresh_message)} ${reloadLink}` : '')
+			);
+		},
+
+		getSummaryText() {
+			return aspirecloud_bulk_resync.strings.summary
+				.replace('%1$d', this.counts.updated)
+				.replace('%2$d', this.counts.current)
+				.replace('%3$d', this.counts.skipped)
+				.replace('%4$d', this.counts.failed);
+		},
+
+		updateProgress() {
+			const done = this.counts.updated + this.counts.current + this.counts.skipped + this.counts.failed;
+			const panel = jQuery(this.selectors.panel);
+
+			panel.find(this.selectors.progressFill).css('width', (this.total > 0 ? Math.round((done / this.total) * 100) : 0) + '%');
+			panel.find(this.selectors.progressText).text(
+				aspirecloud_bulk_resync.strings.progress.replace('%1$d', done).replace('%2$d', this.total) + ' ' + this.getSummaryText()
+			);
+		},
+
+		addFailure(postId, message) {
+			const title = jQuery(`#post-${postId} .row-title`).text() || `#${postId}`;
+
+			jQuery(this.selectors.panel).find(this.selectors.failures)
+				.append(`<li><strong>${this.escapeHtml(title)}</strong>: ${this.escapeHtml(message)}</li>`)
+				.show();
+		},
+
+		/**
+		 * Show a status icon next to the row title
+		 * @param {string} status - Key of this.icons
+		 * @param {string} message - Tooltip text
+		 */
+		setRowStatus(postId, status, message) {
+			const cell = jQuery(`#post-${postId} .column-title strong`).first();
+			let icon = cell.find('.aspirecloud-bulk-sync-icon');
+
+			if (icon.length === 0) {
+				icon = jQuery('<span class="aspirecloud-bulk-sync-icon dashicons" aria-hidden="true"></span>').appendTo(cell);
+			}
+
+			icon.attr('class', `aspirecloud-bulk-sync-icon dashicons ${this.icons[status]} aspirecloud-bulk-sync-${status}`)
+				.attr('title', String(message || ''));
+		},
+
+		clearRowStatus(postId) {
+			jQuery(`#post-${postId} .aspirecloud-bulk-sync-icon`).remove();
+		},
+
+		escapeHtml(text) {
+			return String(text)
+				.replace(/&/g, '&amp;')
+				.replace(/</g, '&lt;')
+				.replace(/>/g, '&gt;')
+				.replace(/"/g, '&quot;');
+		}
+	};
+
+	// Initialize when document is ready
+	jQuery(document).ready(() => {
+		BulkResync.init();
+	});
+
+})(jQuery);
@@ -1,6 +1,10 @@
 /**
  * AspireCloud Clear Assets
- * Handles the clear data functionality for plugins and themes
+ * Handles the clear data functionality for plugins and themes, optionally
+ * limited by the clear filters (slugs, metadata or files only, last upstream
+ * update, closed or removed upstream)
+ *
+ * Dependencies: BatchRunner, RequestTracker, ProgressBar classes
  */
 
 class ClearAssets {
@@ -10,20 +14,47 @@ class ClearAssets {
 			clearPluginsBtn: '#clear-plugins-data-btn',
 			clearThemesBtn: '#clear-themes-data-btn',
 			clearButtons: '#clear-plugins-data-btn, #clear-themes-data-btn',
-			progressContainer: '.aspirecloud-progress-container'
+			cancelButton: '#cancel-operation-btn',
+			progressContainer: '.aspirecloud-progress-container',
+			filters: '.aspirecloud-clear-filter',
+			slugs: '#clear-slugs-textarea',
+			scope: '#clear-scope-select',
+			notUpdatedSince: '#clear-not-updated-since',
+			closedOnly: '#clear-closed-only',
+			previewButton: '#clear-preview-btn',
+			previewCount: '.aspirecloud-clear-preview-count'
 		};
 
 		this.config = {
-			currentBatch: 1,
-			totalBatches: 0,
 			totalItems: 0,
 			clearedCount: 0,
 			isRunning: false,
 			assetType: '', // 'plugins' or 'themes'
+			filters: null, // Clear filters, fixed when a clear starts
+			lastId: 0, // Last asset ID the server has gone through
 			errors: []
 		};
 
 		this.progressBar = null;
+		this.logger = null;
+
+		// Track outstanding requests and timers so clearing can be cancelled
+		this.requestTracker = new RequestTracker();
+
+		// Every call clears the next batch on the server, so batches run one at a time
+		this.runner = new BatchRunner({
+			label: 'clear batch',
+			labelPlural: 'clear batches',
+			requestTracker: this.requestTracker,
+			batchDelay: 100,
+			onBatchStart: () => this.onBatchStart(),
+			runBatch: () => this.clearBatch(),
+			onSuccess: (batchNumber, data) => this.onBatchSuccess(batchNumber, data),
+			onFailure: (batchNumber, failure) => this.onBatchFailure(batchNumber, failure),
+			onComplete: () => this.completeClear(),
+			onEmergencyStop: (reason) => this.handleError('Clearing stopped: ' + reason)
+		});
+
 		this.bindEvents();
 		this.detectClearType();
 	}
@@ -33,6 +64,12 @@ class ClearAssets {
 		this.progressBar = progressBar;
 	}
 
+	// Set logger instance (optional, the clear page works without one)
+	setLogger(logger) {
+		this.logger = logger;
+		this.runner.setLogger(logger);
+	}
+
 	// Detect if we're on plugins or themes clear page
 	detectClearType() {
 		this.config.assetType = jQuery(this.selectors.clearPluginsBtn).length ? 'plugins' :
@@ -49,17 +86,71 @@ class ClearAssets {
 				this.clearData();
 			}
 		});
+
+		jQuery(document).on('click', this.selectors.previewButton, (e) => {
+			e.preventDefault();
+			this.previewCount();
+		});
+
+		// A shown count no longer applies once the filters change
+		jQuery(document).on('input change', this.selectors.filters, () => {
+			jQuery(this.selectors.previewCount).text('');
+		});
+	}
+
+	// Read the clear filters from the form
+	getFilters() {
+		return {
+			slugs: String(jQuery(this.selectors.slugs).val() || ''),
+			scope: jQuery(this.selectors.scope).val() || 'metadata',
+			not_updated_since: jQuery(this.selectors.notUpdatedSince).val() || '',
+			closed_only: jQuery(this.selectors.closedOnly).is(':checked') ? 1 : 0
+		};
+	}
+
+	// Whether the filters limit the clear to less than everything
+	hasFilters(filters) {
+		return filters.slugs.trim() !== '' || filters.scope !== 'metadata' || filters.not_updated_since !== '' || filters.closed_only === 1;
+	}
+
+	// Show how many assets the current filters would clear
+	previewCount() {
+		if (this.config.isRunning) return;
+
+		const countText = jQuery(this.selectors.previewCount);
+		countText.text(aspirecloud_ajax.strings.clear_counting || 'Counting matching assets...');
+
+		this.getClearCount(this.config.assetType, this.getFilters())
+			.done((response) => {
+				countText.text(response.success ? this.getCountText(response.data) : (response.data || aspirecloud_ajax.strings.error));
+			})
+			.fail(() => countText.text('Failed to get clear count'));
 	}
 
-	// Clear all data for the current item type
+	// Describe a clear count response; closed or removed matches nothing until an update check has run
+	getCountText(count) {
+		if (count.no_update_check) {
+			return aspirecloud_ajax.strings.clear_no_update_check || 'No update check has been run yet, so no assets are known to be closed or removed. Run Check for Updates on the Updates tab first.';
+		}
+
+		return count.total > 0
+			? (aspirecloud_ajax.strings.clear_preview_count || '%d assets match the clear filters.').replace('%d', count.total)
+			: (aspirecloud_ajax.strings.clear_no_match || 'No assets match the clear filters.');
+	}
+
+	// Clear the data of the current item type that matches the clear filters
 	clearData() {
-		// Confirm with user
-		if (!confirm(aspirecloud_ajax.strings.confirm_clear)) {
+		const filters = this.getFilters();
+		const filtered = this.hasFilters(filters);
+
+		// A filtered clear is confirmed once the number of matching assets is known
+		if (!filtered && !confirm(aspirecloud_ajax.strings.confirm_clear)) {
 			return;
 		}
 
 		// Reset configuration for clearing
 		this.resetConfig();
+		this.config.filters = filters;
 
 		// Update UI to show clearing in progress
 		if (this.progressBar) {
@@ -67,47 +158,63 @@ class ClearAssets {
 			this.progressBar.updateStatus(aspirecloud_ajax.strings.getting_clear_count || aspirecloud_ajax.strings.clearing_data);
 		}
 		this.disableClearButton();
+		jQuery(this.selectors.cancelButton).show();
 
 		// Get total count first
 		this.getClearCount()
 			.done((response) => {
 				if (response.success) {
 					this.config.totalItems = response.data.total;
-					this.config.totalBatches = response.data.total_batches;
+					this.runner.setTotalBatches(response.data.total_batches);
+
+					if (filtered) {
+						jQuery(this.selectors.previewCount).text(this.getCountText(response.data));
+					}
 
 					if (this.config.totalItems === 0) {
 						this.completeClear();
 						return;
 					}
 
+					// Say so when the clear also deletes downloaded files, which a plain clear never did
+					const confirmText = (filters.scope === 'metadata'
+						? (aspirecloud_ajax.strings.confirm_clear_filtered || 'Clear %d assets matching the clear filters? This action cannot be undone.')
+						: (aspirecloud_ajax.strings.confirm_clear_files || 'Delete the downloaded files of %d assets matching the clear filters from the uploads folder? This action cannot be undone.'))
+						.replace('%d', this.config.totalItems);
+
+					if (filtered && !confirm(confirmText)) {
+						this.cancel();
+						return;
+					}
+
 					// Start clearing batches
-					this.clearNextBatch();
+					this.runner.processNextBatch();
 				} else {
 					this.handleError(response.data || 'Failed to get clear count');
 				}
 			})
 			.fail(() => {
+				if (this.requestTracker.isCancelled()) return;
 				this.handleError('Failed to get clear count');
 			});
 	}
 
-	// Get total count of items for clearing
-	getClearCount(assetType) {
+	// Get total count of items matching the clear filters
+	getClearCount(assetType, filters) {
 		assetType = assetType || this.config.assetType;
 		const action = assetType === 'plugins' ? 'get_plugins_clear_count' : 'get_themes_clear_count';
 
-		return jQuery.ajax({
+		return this.requestTracker.track(jQuery.ajax({
 			url: aspirecloud_ajax.ajax_url,
 			type: 'POST',
-			data: {
+			data: Object.assign({
 				action: action,
 				nonce: aspirecloud_ajax.nonce
-			}
-		});
+			}, filters || this.config.filters)
+		}));
 	}
 
-	// Clear the next batch
-	clearNextBatch() {
+	onBatchStart() {
 		// Update status
 		let statusText = aspirecloud_ajax.strings.clearing_data;
 		if (this.config.totalItems > 0) {
@@ -118,54 +225,44 @@ class ClearAssets {
 		if (this.progressBar) {
 			this.progressBar.updateStatus(statusText);
 		}
+	}
 
-		// Clear current batch
-		this.clearBatch()
-			.done((response) => {
-				if (response.success) {
-					this.config.clearedCount += response.data.deleted_count;
+	onBatchSuccess(batchNumber, data) {
+		this.config.clearedCount += data.deleted_count;
+		this.config.lastId = data.last_id || this.config.lastId;
 
-					// Add any errors to our collection
-					if (response.data.errors && response.data.errors.length > 0) {
-						this.config.errors = this.config.errors.concat(response.data.errors);
-					}
+		// Add any errors to our collection
+		if (data.errors && data.errors.length > 0) {
+			this.config.errors = this.config.errors.concat(data.errors);
+		}
 
-					// Update progress
-					this.updateClearProgress();
-
-					// Check if there are more items to clear
-					if (response.data.has_more) {
-						// Continue with next batch after a short delay
-						setTimeout(() => {
-							this.clearNextBatch();
-						}, 100);
-					} else {
-						// All done
-						this.completeClear();
-					}
+		// Update progress
+		this.updateClearProgress();
 
-				} else {
-					this.handleError(response.data || aspirecloud_ajax.strings.error);
-				}
-			})
-			.fail(() => {
-				this.handleError(aspirecloud_ajax.strings.error);
-			});
+		// The server decides when everything is cleared; the initial batch count is only an estimate
+		this.runner.setTotalBatches(data.has_more ? Math.max(batchNumber + 1, this.runner.getTotalBatches()) : batchNumber);
+	}
+
+	// The next call would try the same items again, so a batch that failed after its retries stops the clear
+	onBatchFailure(batchNumber, failure) {
+		this.runner.cancel();
+		this.handleError(failure.message);
 	}
 
-	// Clear a specific batch
+	// Clear the next batch of matching items after the last one the server went through
 	clearBatch(assetType) {
 		assetType = assetType || this.config.assetType;
 		const action = assetType === 'plugins' ? 'clear_plugins_data' : 'clear_themes_data';
 
-		return jQuery.ajax({
+		return this.requestTracker.track(jQuery.ajax({
 			url: aspirecloud_ajax.ajax_url,
 			type: 'POST',
-			data: {
+			data: Object.assign({
 				action: action,
-				nonce: aspirecloud_ajax.nonce
-			}
-		});
+				nonce: aspirecloud_ajax.nonce,
+				after_id: this.config.lastId
+			}, this.config.filters)
+		}));
 	}
 
 	// Update clear progress display
@@ -178,6 +275,9 @@ class ClearAssets {
 
 		// Update progress bar
 		this.progressBar.updateProgress(percentage);
+		if (this.config.totalItems > 0) {
+			this.progressBar.recordCompleted(this.config.clearedCount / this.config.totalItems, this.config.clearedCount, 'clear');
+		}
 
 		// Update details text - show actual cleared count
 		const itemType = this.config.assetType === 'plugins' ? 'plugins' : 'themes';
@@ -191,9 +291,36 @@ class ClearAssets {
 		this.progressBar.updateDetails(detailsText);
 	}
 
+	// Cancel a running clear: abort the in-flight batch and drop the next-batch timer
+	cancel() {
+		if (!this.config.isRunning) {
+			return;
+		}
+
+		const summary = this.runner.cancel();
+		this.config.isRunning = false;
+		jQuery(this.selectors.cancelButton).hide();
+
+		const itemType = this.config.assetType === 'plugins' ? 'plugins' : 'themes';
+
+		if (this.progressBar) {
+			this.progressBar.setCancelled();
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.cancelled || 'Operation cancelled.');
+			this.progressBar.updateDetails('Cleared ' + this.config.clearedCount + ' ' + itemType + ' before cancelling');
+		}
+
+		if (this.logger) {
+			this.logger.log('WARNING', 'Clear operation cancelled by user',
+				`Cleared ${this.config.clearedCount} ${itemType}. Aborted ${summary.aborted} in-flight requests.`);
+		}
+
+		this.enableClearButton();
+	}
+
 	// Complete the clear process
 	completeClear() {
 		this.config.isRunning = false;
+		jQuery(this.selectors.cancelButton).hide();
 
 		// Show final status message with actual count cleared
 		const itemType = this.config.assetType === 'plugins' ? 'plugins' : 'themes';
@@ -224,6 +351,7 @@ class ClearAssets {
 	// Handle errors
 	handleError(errorMessage) {
 		this.config.isRunning = false;
+		jQuery(this.selectors.cancelButton).hide();
 
 		if (this.progressBar) {
 			this.progressBar.updateStatus(aspirecloud_ajax.strings.error);
@@ -267,12 +395,12 @@ class ClearAssets {
 
 	// Reset configuration for clearing
 	resetConfig() {
-		this.config.currentBatch = 1;
-		this.config.totalBatches = 0;
 		this.config.totalItems = 0;
 		this.config.clearedCount = 0;
+		this.config.lastId = 0;
 		this.config.isRunning = true;
 		this.config.errors = [];
+		this.runner.reset();
 
 		// Reset UI
 		if (this.progressBar) {
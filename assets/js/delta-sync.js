@@ -0,0 +1,185 @@
+/**
+ * DeltaSync Class
+ *
+ * Syncs only the assets changed upstream since the last successful sync.
+ * Pages through the API sorted by last update until it reaches the previous
+ * sync time; the server updates changed assets and re-downloads their files.
+ *
+ * Dependencies: Logger, ProgressBar, RequestTracker classes
+ */
+
+class DeltaSync {
+	constructor(parent) {
+		this.parent = parent;
+		this.progressBar = null;
+		this.config = {
+			page: 1,
+			pageActive: false,
+			created: 0,
+			updated: 0,
+			unchanged: 0,
+			downloaded: 0,
+			since: 0,
+			startedAt: 0,
+			maxRetries: 3,
+			retryDelay: 2000,
+			retries: 0
+		};
+
+		this.selectors = {
+			lastSync: '.aspirecloud-last-sync'
+		};
+	}
+
+	setProgressBar(progressBar) {
+		this.progressBar = progressBar;
+	}
+
+	reset() {
+		this.config.page = 1;
+		this.config.pageActive = false;
+		this.config.created = 0;
+		this.config.updated = 0;
+		this.config.unchanged = 0;
+		this.config.downloaded = 0;
+		this.config.since = 0;
+		this.config.startedAt = Math.floor(Date.now() / 1000);
+		this.config.retries = 0;
+	}
+
+	getCounts() {
+		return {
+			created: this.config.created,
+			updated: this.config.updated,
+			unchanged: this.config.unchanged,
+			downloaded: this.config.downloaded
+		};
+	}
+
+	start() {
+		this.reset();
+		this.parent.logger.log('INFO', `Starting ${this.parent.config.assetType} delta sync`, 'Only assets changed since the last successful sync will be updated');
+		this.processNextPage();
+	}
+
+	processNextPage() {
+		// Only one page is ever in flight; resume may race the pending timer
+		if (this.config.pageActive) {
+			return;
+		}
+
+		// Do not start the next page while paused
+		if (this.parent.isPaused()) {
+			this.parent.onBatchesPaused(0);
+			return;
+		}
+
+		const page = this.config.page;
+		const action = this.parent.config.assetType === 'plugins' ? 'sync_plugin_changes_batch' : 'sync_theme_changes_batch';
+
+		if (this.progressBar) {
+			this.progressBar.updateStatus((aspirecloud_ajax.strings.syncing_changes_page || 'Syncing changes, page %d...').replace('%d', page));
+		}
+
+		this.config.pageActive = true;
+		this.parent.requestTracker.track(jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: {
+				action: action,
+				page: page,
+				nonce: aspirecloud_ajax.nonce
+			}
+		}))
+			.done((response) => {
+				this.config.pageActive = false;
+
+				if (!response.success) {
+					this.parent.logger.log('ERROR', `Delta sync page ${page} failed`, response.data || aspirecloud_ajax.strings.error);
+					this.parent.handleError(response.data || 'Delta sync failed');
+					return;
+				}
+
+				this.handlePageResults(response.data);
+			})
+			.fail((jqXHR, textStatus, errorThrown) => {
+				this.config.pageActive = false;
+				if (this.parent.requestTracker.isCancelled()) return;
+
+				const errorMsg = `AJAX request failed: ${textStatus} - ${errorThrown}`;
+
+				if (this.config.retries < this.config.maxRetries) {
+					this.config.retries++;
+					const retryDelay = this.config.retryDelay * Math.pow(2, this.config.retries - 1);
+					this.parent.logger.log('WARNING', `Retrying delta sync page ${page} (attempt ${this.config.retries}/${this.config.maxRetries})`,
+						`${errorMsg}. Will retry in ${retryDelay}ms`);
+					this.parent.requestTracker.setTimeout(() => this.processNextPage(), retryDelay);
+					return;
+				}
+
+				this.parent.logger.log('ERROR', `Delta sync page ${page} failed permanently`, errorMsg);
+				this.parent.handleError(`Network error during delta sync: ${textStatus}`);
+			});
+	}
+
+	handlePageResults(data) {
+		this.config.retries = 0;
+		this.config.since = data.since;
+		this.config.created += data.created;
+		this.config.updated += data.updated;
+		this.config.unchanged += data.unchanged;
+		this.config.downloaded += data.downloaded;
+
+		this.parent.logger.log('SUCCESS', `Delta sync page ${data.page} completed`,
+			`Created: ${data.created}, Updated: ${data.updated}, Unchanged: ${data.unchanged}, Files downloaded: ${data.downloaded}`);
+
+		if (data.errors.length > 0) {
+			this.parent.logger.log('WARNING', `Delta sync page ${data.page} completed with ${data.errors.length} warnings`);
+			this.parent.addError(data.errors, { phase: 'delta', batch: data.page });
+		}
+
+		this.updateProgress(data);
+
+		if (data.has_more) {
+			this.config.page++;
+			this.parent.requestTracker.setTimeout(() => this.processNextPage(), 250);
+			return;
+		}
+
+		if (data.last_sync_display) {
+			this.showLastSync(data.last_sync_display);
+		}
+
+		this.parent.onDeltaSyncComplete(this.getCounts());
+	}
+
+	/**
+	 * Show a new sync point; a delta sync can run from it right away
+	 * @param {string} display - Formatted date and time of the sync point
+	 */
+	showLastSync(display) {
+		jQuery(this.selectors.lastSync).text((aspirecloud_ajax.strings.last_sync || 'Last sync: %s').replace('%s', display));
+		jQuery(this.parent.selectors.deltaSyncCheckbox).prop('disabled', false);
+	}
+
+	// The total number of changed assets is unknown up front, so progress is
+	// the share of the time since the last sync that has been walked through
+	updateProgress(data) {
+		if (!this.progressBar) return;
+
+		const syncWindow = this.config.startedAt - this.config.since;
+		if (data.oldest_updated && syncWindow > 0) {
+			const covered = Math.min(1, Math.max(0, (this.config.startedAt - data.oldest_updated) / syncWindow));
+			this.progressBar.updateProgress(Math.round(covered * 100));
+		}
+
+		this.progressBar.updateDetails(`Created: ${this.config.created}, Updated: ${this.config.updated}, Unchanged: ${this.config.unchanged}`);
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = DeltaSync;
+} else if (typeof window !== 'undefined') {
+	window.DeltaSync = DeltaSync;
+}
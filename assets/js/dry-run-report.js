@@ -0,0 +1,117 @@
+/**
+ * DryRunReport Class
+ *
+ * Collects the per-page results of a dry run of the bulk metadata import and
+ * shows what a real run would do: how many assets would be created, updated
+ * or left unchanged, how often each field would change, and example slugs.
+ *
+ * Dependencies: none
+ */
+
+class DryRunReport {
+	constructor() {
+		// Element selectors
+		this.selectors = {
+			container: '.aspirecloud-dry-run-container',
+			summary: '.aspirecloud-dry-run-summary',
+			fields: '.aspirecloud-dry-run-fields tbody',
+			created: '.aspirecloud-dry-run-created',
+			updated: '.aspirecloud-dry-run-updated'
+		};
+
+		// A full catalog has tens of thousands of slugs; only the first ones are listed
+		this.maxExamples = 200;
+
+		this.reset();
+	}
+
+	reset() {
+		this.counts = { created: 0, updated: 0, unchanged: 0 };
+		this.fields = {}; // Field name => number of assets where it would change
+		this.createdSlugs = [];
+		this.updatedAssets = [];
+
+		jQuery(this.selectors.container).hide();
+	}
+
+	/**
+	 * Add the dry_run summary of one metadata page
+	 * @param {Object} preview - created slugs, updated { slug, fields } records, unchanged count and field counts
+	 */
+	add(preview) {
+		const created = preview.created || [];
+		const updated = preview.updated || [];
+
+		this.counts.created += created.length;
+		this.counts.updated += updated.length;
+		this.counts.unchanged += preview.unchanged || 0;
+
+		Object.keys(preview.fields || {}).forEach((field) => {
+			this.fields[field] = (this.fields[field] || 0) + preview.fields[field];
+		});
+
+		this.createdSlugs = this.createdSlugs.concat(created).slice(0, this.maxExamples);
+		this.updatedAssets = this.updatedAssets.concat(updated).slice(0, this.maxExamples);
+	}
+
+	getCounts() {
+		return Object.assign({}, this.counts);
+	}
+
+	getSummaryText() {
+		return (aspirecloud_ajax.strings.dry_run_summary || 'Dry run complete: %1$d would be created, %2$d updated, %3$d unchanged')
+			.replace('%1$d', this.counts.created)
+			.replace('%2$d', this.counts.updated)
+			.replace('%3$d', this.counts.unchanged);
+	}
+
+	render() {
+		const fieldRows = Object.keys(this.fields)
+			.sort((a, b) => this.fields[b] - this.fields[a] || a.localeCompare(b))
+			.map(field => `<tr><td><code>${this.escapeHtml(field)}</code></td><td>${this.fields[field]}</td></tr>`)
+			.join('');
+
+		jQuery(this.selectors.summary).text(this.getSummaryText());
+		jQuery(this.selectors.fields).html(fieldRows ||
+			`<tr><td colspan="2">${this.escapeHtml(aspirecloud_ajax.strings.dry_run_no_changes || 'No stored asset would change.')}</td></tr>`);
+
+		this.renderExamples(this.selectors.created, this.createdSlugs.map(slug => this.escapeHtml(slug)), this.counts.created);
+		this.renderExamples(this.selectors.updated, this.updatedAssets.map(asset =>
+			`${this.escapeHtml(asset.slug)}: <code>${asset.fields.map(field => this.escapeHtml(field)).join('</code>, <code>')}</code>`
+		), this.counts.updated);
+
+		jQuery(this.selectors.container).show();
+	}
+
+	/**
+	 * Fill one of the collapsible example lists
+	 * @param {string} selector - The details element
+	 * @param {Array} items - HTML of each list item
+	 * @param {number} total - Total count, which may be larger than the examples kept
+	 */
+	renderExamples(selector, items, total) {
+		const list = jQuery(selector);
+		const shownText = items.length < total
+			? ` (${(aspirecloud_ajax.strings.dry_run_first || 'first %d').replace('%d', items.length)})`
+			: '';
+
+		list.find('.aspirecloud-dry-run-count').text(`${total}${shownText}`);
+		list.find('ul').html(items.map(item => `<li>${item}</li>`).join(''));
+		list.toggle(total > 0);
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = DryRunReport;
+} else if (typeof window !== 'undefined') {
+	window.DryRunReport = DryRunReport;
+}
@@ -0,0 +1,276 @@
+/**
+ * ErrorReport Class
+ *
+ * Structured error records for imports and the table that displays them.
+ * Every record carries the phase, batch number, slug, error category,
+ * HTTP status, retry count and message, so failures can be sorted, grouped
+ * and counted by cause.
+ *
+ * Dependencies: none
+ */
+
+class ErrorReport {
+	constructor(containerSelector) {
+		this.containerSelector = containerSelector;
+		this.records = [];
+
+		// Table state
+		this.sort = { key: null, direction: 'asc' };
+		this.groupBy = '';
+
+		this.columns = {
+			phase: 'Phase',
+			batch: 'Batch',
+			slug: 'Slug',
+			category: 'Category',
+			httpStatus: 'HTTP',
+			retries: 'Retries',
+			message: 'Message'
+		};
+
+		this.bindEvents();
+	}
+
+	/**
+	 * Build an error record from a message, a server record or a failed request
+	 * @param {string|Object} error - Message text or partial record
+	 * @param {Object} context - Fields to use where the error has none, e.g. phase and batch
+	 * @returns {Object} Error record
+	 */
+	static createRecord(error, context = {}) {
+		const fields = typeof error === 'object' && error !== null ? error : { message: error };
+		const pick = (key, fallback) => {
+			if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') return fields[key];
+			if (context[key] !== undefined && context[key] !== null && context[key] !== '') return context[key];
+			return fallback;
+		};
+
+		return {
+			phase: pick('phase', ''),
+			batch: pick('batch', null),
+			slug: pick('slug', ''),
+			category: pick('category', 'general'),
+			httpStatus: pick('httpStatus', null) || null,
+			retries: parseInt(pick('retries', 0), 10) || 0,
+			message: String(pick('message', fields.reason || 'Unknown error')),
+			time: pick('time', new Date().toISOString())
+		};
+	}
+
+	/**
+	 * Categorize AJAX errors for better handling and reporting
+	 * @param {Object} jqXHR - jQuery XHR object
+	 * @param {string} textStatus - Error status text
+	 * @param {string} errorThrown - Error thrown
+	 * @returns {Object} Error category information
+	 */
+	static categorizeAjaxError(jqXHR, textStatus, errorThrown) {
+		const httpStatus = jqXHR.status;
+
+		if (httpStatus === 0 && textStatus !== 'timeout' && textStatus !== 'abort') {
+			return {
+				category: 'network',
+				type: 'Network Error',
+				message: 'No connection to server (network/CORS issue)',
+				retryable: true
+			};
+		} else if (httpStatus >= 500) {
+			return {
+				category: 'server',
+				type: 'Server Error',
+				message: `Server error ${httpStatus}: ${errorThrown}`,
+				retryable: true
+			};
+		} else if (httpStatus === 404) {
+			return {
+				category: 'not_found',
+				type: 'Not Found',
+				message: 'Download endpoint not found',
+				retryable: false
+			};
+		} else if (httpStatus === 403) {
+			return {
+				category: 'permission',
+				type: 'Permission Denied',
+				message: 'Access forbidden (authentication issue)',
+				retryable: false
+			};
+		} else if (httpStatus === 429) {
+			return {
+				category: 'rate_limited',
+				type: 'Rate Limited',
+				message: 'Too many requests - rate limited',
+				retryable: true
+			};
+		} else if (textStatus === 'timeout') {
+			return {
+				category: 'timeout',
+				type: 'Timeout',
+				message: 'Request timed out',
+				retryable: true
+			};
+		} else if (textStatus === 'abort') {
+			return {
+				category: 'aborted',
+				type: 'Aborted',
+				message: 'Request was aborted',
+				retryable: false
+			};
+		} else {
+			return {
+				category: 'unknown',
+				type: 'Unknown Error',
+				message: `${textStatus}: ${errorThrown}`,
+				retryable: true
+			};
+		}
+	}
+
+	bindEvents() {
+		const container = this.containerSelector;
+
+		// Click a column header to sort by it; click again to reverse
+		jQuery(document).on('click', `${container} .aspirecloud-error-sort`, (e) => {
+			e.preventDefault();
+
+			const key = jQuery(e.currentTarget).data('sort');
+			this.sort.direction = this.sort.key === key && this.sort.direction === 'asc' ? 'desc' : 'asc';
+			this.sort.key = key;
+			this.refresh();
+		});
+
+		jQuery(document).on('change', `${container} .aspirecloud-error-group`, (e) => {
+			this.groupBy = jQuery(e.currentTarget).val();
+			this.refresh();
+		});
+	}
+
+	setRecords(records) {
+		this.records = records.map(record => ErrorReport.createRecord(record));
+	}
+
+	/**
+	 * Count records by a field, most frequent first
+	 * @param {string} key - Record field, e.g. 'category'
+	 * @returns {Array} [value, count] pairs
+	 */
+	countBy(key) {
+		const counts = new Map();
+
+		this.records.forEach((record) => {
+			const value = record[key] === null || record[key] === '' ? '-' : String(record[key]);
+			counts.set(value, (counts.get(value) || 0) + 1);
+		});
+
+		return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+	}
+
+	// Re-render the table in place after a sort or grouping change
+	refresh() {
+		jQuery(`${this.containerSelector} .aspirecloud-error-report`).replaceWith(this.render());
+	}
+
+	/**
+	 * Build the report: a summary by category, grouping control and the table
+	 * @param {string} title - Heading text
+	 * @returns {string} HTML
+	 */
+	render(title = 'Import Warnings') {
+		const summary = this.countBy('category')
+			.map(([category, count]) => `<span class="aspirecloud-error-count">${this.escapeHtml(category)}: ${count}</span>`)
+			.join('');
+
+		const groupOptions = [['', 'No grouping'], ['phase', 'Phase'], ['category', 'Category'], ['slug', 'Slug'], ['batch', 'Batch']]
+			.map(([value, label]) => `<option value="${value}"${this.groupBy === value ? ' selected' : ''}>${label}</option>`)
+			.join('');
+
+		const headers = Object.keys(this.columns).map((key) => {
+			const indicator = this.sort.key === key ? (this.sort.direction === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+			return `<th scope="col"><a href="#" class="aspirecloud-error-sort" data-sort="${key}">${this.columns[key]}${indicator}</a></th>`;
+		}).join('');
+
+		return `
+			<div class="aspirecloud-import-errors aspirecloud-error-report">
+				<h4>${this.escapeHtml(title)} (${this.records.length})</h4>
+				<div class="aspirecloud-error-summary">
+					${summary}
+					<label class="aspirecloud-error-group-label">
+						Group by
+						<select class="aspirecloud-error-group">${groupOptions}</select>
+					</label>
+				</div>
+				<div class="aspirecloud-error-list">
+					<table class="widefat striped aspirecloud-error-table">
+						<thead><tr>${headers}</tr></thead>
+						<tbody>${this.renderRows()}</tbody>
+					</table>
+				</div>
+			</div>
+		`;
+	}
+
+	renderRows() {
+		const records = this.getSortedRecords();
+		const columnCount = Object.keys(this.columns).length;
+
+		if (!this.groupBy) {
+			return records.map(record => this.renderRow(record)).join('');
+		}
+
+		const groups = new Map();
+		records.forEach((record) => {
+			const value = record[this.groupBy] === null || record[this.groupBy] === '' ? '-' : String(record[this.groupBy]);
+			if (!groups.has(value)) groups.set(value, []);
+			groups.get(value).push(record);
+		});
+
+		return Array.from(groups.entries()).map(([value, groupRecords]) =>
+			`<tr class="aspirecloud-error-group-row"><th colspan="${columnCount}">${this.escapeHtml(this.columns[this.groupBy])}: ${this.escapeHtml(value)} (${groupRecords.length})</th></tr>` +
+			groupRecords.map(record => this.renderRow(record)).join('')
+		).join('');
+	}
+
+	renderRow(record) {
+		const cells = Object.keys(this.columns).map((key) => {
+			const value = record[key] === null || record[key] === '' ? '-' : record[key];
+			return `<td class="aspirecloud-error-${key}">${this.escapeHtml(value)}</td>`;
+		});
+
+		return `<tr class="aspirecloud-error-item">${cells.join('')}</tr>`;
+	}
+
+	getSortedRecords() {
+		if (!this.sort.key) {
+			return this.records;
+		}
+
+		const key = this.sort.key;
+		const direction = this.sort.direction === 'asc' ? 1 : -1;
+
+		return this.records.slice().sort((a, b) => {
+			const first = a[key] === null ? '' : a[key];
+			const second = b[key] === null ? '' : b[key];
+
+			if (typeof first === 'number' && typeof second === 'number') {
+				return (first - second) * direction;
+			}
+
+			return String(first).localeCompare(String(second), undefined, { numeric: true }) * direction;
+		});
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = ErrorReport;
+} else if (typeof window !== 'undefined') {
+	window.ErrorReport = ErrorReport;
+}
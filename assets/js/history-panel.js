@@ -0,0 +1,327 @@
+/**
+ * HistoryPanel Class
+ *
+ * Renders the History tab of the import page: the list of recorded runs,
+ * the details and full log of one run, and a side-by-side comparison of two.
+ *
+ * Dependencies: RunHistory, ErrorReport classes
+ */
+
+class HistoryPanel {
+	constructor(runHistory) {
+		this.runHistory = runHistory;
+
+		// Element selectors
+		this.selectors = {
+			panel: '#aspirecloud-tab-history',
+			notice: '.aspirecloud-history-notice',
+			runs: '.aspirecloud-history-runs tbody',
+			runCheckbox: '.aspirecloud-history-select',
+			viewButton: '.aspirecloud-history-view',
+			detail: '.aspirecloud-history-detail',
+			compare: '.aspirecloud-history-compare',
+			refreshButton: '#history-refresh-btn',
+			compareButton: '#history-compare-btn',
+			deleteButton: '#history-delete-btn',
+			clearButton: '#history-clear-btn'
+		};
+
+		// Labels for the counts stored with each run
+		this.countLabels = {
+			imported: 'Imported',
+			downloaded: 'Downloaded',
+			skipped: 'Skipped',
+			processed: 'Processed',
+			created: 'Created',
+			updated: 'Updated',
+			unchanged: 'Unchanged',
+			errors: 'Errors'
+		};
+
+		this.runs = [];
+
+		// Errors of the run shown in the detail view
+		this.errorReport = new ErrorReport(this.selectors.detail);
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('click', this.selectors.refreshButton, (e) => {
+			e.preventDefault();
+			this.refresh();
+		});
+
+		jQuery(document).on('click', this.selectors.viewButton, (e) => {
+			e.preventDefault();
+			this.showRun(parseInt(jQuery(e.currentTarget).data('run-id'), 10));
+		});
+
+		jQuery(document).on('change', this.selectors.runCheckbox, () => {
+			this.updateButtons();
+		});
+
+		jQuery(document).on('click', this.selectors.compareButton, (e) => {
+			e.preventDefault();
+			this.compareSelected();
+		});
+
+		jQuery(document).on('click', this.selectors.deleteButton, (e) => {
+			e.preventDefault();
+			this.deleteSelected();
+		});
+
+		jQuery(document).on('click', this.selectors.clearButton, (e) => {
+			e.preventDefault();
+			this.clearAll();
+		});
+	}
+
+	// Reload the run list from IndexedDB
+	refresh() {
+		if (!this.runHistory.isSupported()) {
+			this.showNotice(aspirecloud_ajax.strings.history_unsupported || 'Run history is not available because this browser does not support IndexedDB.');
+			return;
+		}
+
+		this.runHistory.list()
+			.then((runs) => {
+				this.runs = runs;
+				this.renderRuns();
+			})
+			.catch((error) => {
+				this.showNotice(`Failed to load run history: ${error.message}`);
+			});
+	}
+
+	renderRuns() {
+		const tbody = jQuery(this.selectors.runs);
+
+		if (this.runs.length === 0) {
+			tbody.html(`<tr><td colspan="8">${this.escapeHtml(aspirecloud_ajax.strings.history_empty || 'No runs recorded yet.')}</td></tr>`);
+			this.updateButtons();
+			return;
+		}
+
+		const rows = this.runs.map((run) => `
+			<tr class="aspirecloud-history-status-${run.status}">
+				<th scope="row" class="check-column">
+					<input type="checkbox" class="aspirecloud-history-select" value="${run.id}">
+				</th>
+				<td>${this.formatDate(run.startedAt)}</td>
+				<td>${this.formatDuration(run)}</td>
+				<td>${this.escapeHtml(this.formatMode(run))}</td>
+				<td><span class="aspirecloud-history-status">${this.escapeHtml(run.status)}</span></td>
+				<td>${this.escapeHtml(this.formatCounts(run.counts))}</td>
+				<td>${run.errors.length}</td>
+				<td><button type="button" class="button button-small aspirecloud-history-view" data-run-id="${run.id}">View</button></td>
+			</tr>
+		`);
+
+		tbody.html(rows.join(''));
+		this.updateButtons();
+	}
+
+	/**
+	 * Show the details and full log of one run
+	 * @param {number} id - Run id
+	 */
+	showRun(id) {
+		jQuery(this.selectors.compare).hide();
+
+		this.runHistory.get(id).then((run) => {
+			if (!run) {
+				this.refresh();
+				return;
+			}
+
+			this.errorReport.setRecords(run.errors);
+			const errors = run.errors.length > 0 ? this.errorReport.render('Errors') : '<p>No errors recorded.</p>';
+
+			const log = run.log.map(entry =>
+				`<div class="aspirecloud-log-${entry.level.toLowerCase()}">` +
+				`<span class="aspirecloud-log-timestamp">[${new Date(entry.timestamp).toLocaleTimeString()}]</span> ` +
+				`<span class="aspirecloud-log-level">[${entry.level}]</span> ` +
+				`${this.escapeHtml(entry.message)}${entry.details ? ` - ${this.escapeHtml(entry.details)}` : ''}</div>`
+			).join('');
+
+			const dropped = run.droppedLogEntries > 0 ?
+				`<p class="description">${run.droppedLogEntries} later log entries were not stored.</p>` : '';
+
+			jQuery(this.selectors.detail).html(`
+				<h3>Run started ${this.formatDate(run.startedAt)}</h3>
+				<p>
+					<strong>Mode:</strong> ${this.escapeHtml(this.formatMode(run))}<br>
+					<strong>Status:</strong> ${this.escapeHtml(run.status)}<br>
+					<strong>Ended:</strong> ${run.endedAt ? this.formatDate(run.endedAt) : '-'}<br>
+					<strong>Duration:</strong> ${this.formatDuration(run)}<br>
+					<strong>Counts:</strong> ${this.escapeHtml(this.formatCounts(run.counts))}
+				</p>
+				${errors}
+				<h4>Log (${run.logEntries || run.log.length} entries)</h4>
+				${dropped}
+				<div class="aspirecloud-history-log">${log}</div>
+			`).show();
+		});
+	}
+
+	// Compare two selected runs side by side
+	compareSelected() {
+		const ids = this.getSelectedIds();
+
+		if (ids.length !== 2) {
+			alert(aspirecloud_ajax.strings.history_select_two || 'Select exactly two runs to compare.');
+			return;
+		}
+
+		// Oldest first so the difference reads as "second minus first"
+		const [first, second] = ids
+			.map(id => this.runs.find(run => run.id === id))
+			.sort((a, b) => a.id - b.id);
+
+		const countKeys = Object.keys(this.countLabels)
+			.filter(key => key in first.counts || key in second.counts);
+
+		const rows = [
+			['Started', this.formatDate(first.startedAt), this.formatDate(second.startedAt), ''],
+			['Mode', this.escapeHtml(this.formatMode(first)), this.escapeHtml(this.formatMode(second)), ''],
+			['Status', this.escapeHtml(first.status), this.escapeHtml(second.status), ''],
+			['Duration', this.formatDuration(first), this.formatDuration(second), this.formatDifference(this.getDuration(first), this.getDuration(second), true)]
+		].concat(countKeys.map(key => [
+			this.countLabels[key],
+			first.counts[key] ?? '-',
+			second.counts[key] ?? '-',
+			this.formatDifference(first.counts[key], second.counts[key], false)
+		]));
+
+		jQuery(this.selectors.detail).hide();
+		jQuery(this.selectors.compare).html(`
+			<table class="widefat striped">
+				<thead>
+					<tr><th></th><th>Run #${first.id}</th><th>Run #${second.id}</th><th>Difference</th></tr>
+				</thead>
+				<tbody>
+					${rows.map(row => `<tr><th scope="row">${row[0]}</th><td>${row[1]}</td><td>${row[2]}</td><td>${row[3]}</td></tr>`).join('')}
+				</tbody>
+			</table>
+		`).show();
+	}
+
+	deleteSelected() {
+		const ids = this.getSelectedIds();
+
+		if (ids.length === 0 || !confirm(aspirecloud_ajax.strings.confirm_delete_runs || 'Delete the selected runs from the history?')) {
+			return;
+		}
+
+		this.runHistory.delete(ids).then(() => {
+			jQuery(`${this.selectors.detail}, ${this.selectors.compare}`).hide().empty();
+			this.refresh();
+		});
+	}
+
+	clearAll() {
+		if (!confirm(aspirecloud_ajax.strings.confirm_clear_history || 'Delete all recorded runs?')) {
+			return;
+		}
+
+		this.runHistory.clear().then(() => {
+			jQuery(`${this.selectors.detail}, ${this.selectors.compare}`).hide().empty();
+			this.refresh();
+		});
+	}
+
+	getSelectedIds() {
+		return jQuery(this.selectors.runCheckbox).filter(':checked')
+			.map((index, checkbox) => parseInt(checkbox.value, 10))
+			.get();
+	}
+
+	updateButtons() {
+		const selected = this.getSelectedIds().length;
+
+		jQuery(this.selectors.compareButton).prop('disabled', selected !== 2);
+		jQuery(this.selectors.deleteButton).prop('disabled', selected === 0);
+		jQuery(this.selectors.clearButton).prop('disabled', this.runs.length === 0);
+	}
+
+	showNotice(message) {
+		jQuery(this.selectors.notice).text(message).show();
+	}
+
+	formatMode(run) {
+		const modes = {
+			bulk: 'Bulk import',
+			'dry-run': 'Dry run',
+			csv: 'Selective import',
+			delta: 'Delta sync',
+			background: 'Background import',
+			retry: 'Retry of failed items'
+		};
+		const phases = Object.keys(run.phases || {}).filter(phase => run.phases[phase]);
+
+		return (modes[run.mode] || run.mode) +
+			(phases.length > 0 ? ` (${phases.join(' + ')})` : '') +
+			(run.resumed ? ', resumed' : '');
+	}
+
+	formatCounts(counts) {
+		return Object.keys(this.countLabels)
+			.filter(key => key !== 'errors' && key in counts)
+			.map(key => `${this.countLabels[key]}: ${counts[key]}`)
+			.join(', ') || '-';
+	}
+
+	formatDate(isoDate) {
+		return this.escapeHtml(new Date(isoDate).toLocaleString());
+	}
+
+	getDuration(run) {
+		const end = run.endedAt || run.updatedAt;
+		return Math.max(0, new Date(end).getTime() - new Date(run.startedAt).getTime());
+	}
+
+	formatDuration(run) {
+		const seconds = Math.round(this.getDuration(run) / 1000);
+		return this.formatSeconds(seconds);
+	}
+
+	formatSeconds(seconds) {
+		const hours = Math.floor(seconds / 3600);
+		const minutes = Math.floor((seconds % 3600) / 60);
+		const secs = seconds % 60;
+
+		if (hours > 0) {
+			return `${hours}h ${minutes}m ${secs}s`;
+		}
+
+		return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+	}
+
+	formatDifference(first, second, isDuration) {
+		if (typeof first !== 'number' || typeof second !== 'number') {
+			return '';
+		}
+
+		const difference = second - first;
+		const sign = difference > 0 ? '+' : (difference < 0 ? '-' : '');
+		const value = isDuration ? this.formatSeconds(Math.round(Math.abs(difference) / 1000)) : Math.abs(difference);
+
+		return `${sign}${value}`;
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = HistoryPanel;
+} else if (typeof window !== 'undefined') {
+	window.HistoryPanel = HistoryPanel;
+}
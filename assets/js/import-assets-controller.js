@@ -5,28 +5,42 @@
  * Phase 1: Import metadata in batches (MetadataImporter)
  * Phase 2: Download files in batches (FileDownloader)
  *
- * Dependencies: Logger, MetadataImporter, FileDownloader, DatabaseManager classes
+ * Dependencies: Logger, MetadataImporter, FileDownloader, DatabaseManager, RequestTracker, BatchRunner, ImportCheckpoint, JobMonitor, DeltaSync, RunHistory, ErrorReport, PerformanceDashboard, SlugStatusGrid, SlugListImport, PreflightCheck, DryRunReport classes
  */
 
 class ImportAssets {
 	constructor(assetType, progressBar) {
 		this.config = {
 			assetType: assetType, // 'themes' or 'plugins'
-			isRunning: false
+			isRunning: false,
+			isPaused: false,
+			backgroundJob: false, // True while following a server-side job
+			dryRun: false, // True while metadata is compared without writing
+			currentPhase: null, // 'metadata', 'files' or 'csv' while running
+			runMode: null // Mode of the run being recorded in the history
 		};
 
 		this.progressBar = progressBar;
+
+		// Structured error records, see ErrorReport.createRecord()
 		this.errors = [];
 
 		// UI Selectors - Centralized selector property
 		this.selectors = {
 			importButton: `#import-${assetType}-btn`,
 			restoreButton: '#restore-database-btn',
+			pauseButton: '#pause-import-btn',
+			resumeButton: '#resume-import-btn',
+			cancelButton: '#cancel-operation-btn',
+			retryFailedButton: '#retry-failed-btn',
 			progressContainer: '.aspirecloud-progress-container',
 			logContainer: '.aspirecloud-log-container',
 			metadataCheckbox: '#import-metadata-checkbox',
 			filesCheckbox: '#import-files-checkbox',
 			bulkImportCheckbox: '#bulk-import-checkbox',
+			backgroundCheckbox: '#background-import-checkbox',
+			deltaSyncCheckbox: '#delta-sync-checkbox',
+			dryRunCheckbox: '#dry-run-checkbox',
 			importSlugsTextarea: '#import-slugs-textarea'
 		};
 
@@ -37,10 +51,66 @@ class ImportAssets {
 		this.metadataImporter = new MetadataImporter(this);
 		this.fileDownloader = new FileDownloader(this);
 		this.databaseManager = new DatabaseManager(this);
+		this.jobMonitor = new JobMonitor(this);
+		this.deltaSync = new DeltaSync(this);
+
+		// Track CSV batch requests and timers so selective imports can be cancelled
+		this.requestTracker = new RequestTracker();
+
+		// CSV batches run one at a time, with the same retries as the bulk phases
+		this.csvRunner = new BatchRunner({
+			label: 'CSV batch',
+			labelPlural: 'CSV batches',
+			logger: this.logger,
+			requestTracker: this.requestTracker,
+			batchDelay: 500,
+			maxRetryDelay: 20000,
+			isPaused: () => this.isPaused(),
+			onPaused: (activeBatches) => this.onBatchesPaused(activeBatches),
+			onBatchStart: (batchNumber) => this.onCsvBatchStart(batchNumber),
+			runBatch: (batchNumber) => this.importCsvBatch(batchNumber),
+			onSuccess: (batchNumber, data) => this.onCsvBatchSuccess(batchNumber, data),
+			onFailure: (batchNumber, failure) => this.onCsvBatchFailure(batchNumber, failure),
+			onComplete: () => this.onCsvImportComplete(),
+			onEmergencyStop: (reason) => this.handleCsvEmergencyStop(reason)
+		});
+
+		// Persist the import position so an interrupted run can be resumed
+		this.checkpoint = new ImportCheckpoint(assetType, this.logger);
+
+		// Keep a record of every run, including its full log, across page loads
+		this.runHistory = new RunHistory(assetType, this.logger);
+
+		// Live charts of batch latency, throughput and concurrency
+		this.performanceDashboard = new PerformanceDashboard({
+			metadata: this.metadataImporter.performanceTracker,
+			download: this.fileDownloader.performanceTracker
+		});
+
+		// Sortable, groupable table of the run's errors
+		this.errorReport = new ErrorReport(this.selectors.progressContainer);
+
+		// One row per slug of a selective import, with its live status
+		this.slugGrid = new SlugStatusGrid((slugs) => this.retrySlugs(slugs));
+
+		// Uploaded CSV, JSON or composer.json slug lists for selective imports
+		this.slugListImport = new SlugListImport(assetType);
+
+		// Report of invalid, missing and already imported slugs before a selective import starts
+		this.preflight = new PreflightCheck(assetType, {
+			logger: this.logger,
+			onConfirm: (slugs, versions) => this.startCsvBulkImport(slugs, versions),
+			onCancel: () => this.enableImportButton()
+		});
+
+		// What a dry run of the metadata import would create, update or leave unchanged
+		this.dryRunReport = new DryRunReport();
 
 		// Set progress bars for sub-managers
 		this.metadataImporter.setProgressBar(progressBar);
 		this.fileDownloader.setProgressBar(progressBar);
+		this.jobMonitor.setProgressBar(progressBar);
+		this.deltaSync.setProgressBar(progressBar);
 	}
 
 	// Set progress bar instance
@@ -48,6 +118,8 @@ class ImportAssets {
 		this.progressBar = progressBar;
 		this.metadataImporter.setProgressBar(progressBar);
 		this.fileDownloader.setProgressBar(progressBar);
+		this.jobMonitor.setProgressBar(progressBar);
+		this.deltaSync.setProgressBar(progressBar);
 	}
 
 	// Main import orchestration methods
@@ -57,6 +129,11 @@ class ImportAssets {
 			return;
 		}
 
+		if (this.preflight.isOpen()) {
+			this.logger.log('WARNING', 'Preflight report still open, confirm or cancel it first');
+			return;
+		}
+
 		// Check if bulk import is enabled
 		const bulkImportEnabled = jQuery(this.selectors.bulkImportCheckbox).is(':checked');
 
@@ -71,9 +148,21 @@ class ImportAssets {
 
 	// Start bulk import (original functionality)
 	startBulkImport() {
+		// The slug grid only applies to selective imports
+		this.slugGrid.reset([]);
+
+		// A dry run reads every metadata page and writes nothing, so the other options do not apply
+		const dryRun = jQuery(this.selectors.dryRunCheckbox).is(':checked');
+
+		// Delta sync replaces the full catalog pull
+		if (!dryRun && jQuery(this.selectors.deltaSyncCheckbox).is(':checked')) {
+			this.startDeltaSync();
+			return;
+		}
+
 		// Check which phases are selected
-		const importMetadata = jQuery(this.selectors.metadataCheckbox).is(':checked');
-		const importFiles = jQuery(this.selectors.filesCheckbox).is(':checked');
+		const importMetadata = dryRun || jQuery(this.selectors.metadataCheckbox).is(':checked');
+		const importFiles = !dryRun && jQuery(this.selectors.filesCheckbox).is(':checked');
 
 		// Validate that at least one phase is selected
 		if (!importMetadata && !importFiles) {
@@ -82,16 +171,32 @@ class ImportAssets {
 			return;
 		}
 
-		this.logger.log('INFO', `Starting ${this.config.assetType} bulk import process`,
-			`Selected phases: ${importMetadata ? 'Metadata' : ''}${importMetadata && importFiles ? ' + ' : ''}${importFiles ? 'Files' : ''}`);
+		// Hand the run to the server when requested
+		if (!dryRun && jQuery(this.selectors.backgroundCheckbox).is(':checked')) {
+			this.startBackgroundJob(importMetadata, importFiles);
+			return;
+		}
+
+		if (dryRun) {
+			this.logger.log('INFO', `Starting ${this.config.assetType} dry run`, 'Metadata pages are compared with the stored assets; nothing is written');
+		} else {
+			this.logger.log('INFO', `Starting ${this.config.assetType} bulk import process`,
+				`Selected phases: ${importMetadata ? 'Metadata' : ''}${importMetadata && importFiles ? ' + ' : ''}${importFiles ? 'Files' : ''}`);
+		}
 
 		this.config.isRunning = true;
 		this.config.importMetadata = importMetadata;
 		this.config.importFiles = importFiles;
 		this.config.bulkImport = true;
+		this.config.csvBulkImport = false;
+		this.config.isPaused = false;
+		this.config.failedSlugs = [];
 		this.errors = [];
+		this.setDryRun(dryRun);
+		this.recordRunStart(dryRun ? 'dry-run' : 'bulk');
 
 		// Reset all sub-managers
+		this.requestTracker.reset();
 		this.metadataImporter.reset();
 		this.fileDownloader.reset();
 
@@ -107,14 +212,17 @@ class ImportAssets {
 			this.progressBar.show();
 			this.logger.log('DEBUG', 'Progress bar reset and shown');
 		}
+		this.setProgressSegments();
 
 		// Show log container along with progress
 		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
 
 		// Start the appropriate phase(s)
 		if (importMetadata) {
 			// Start Phase 1: Metadata Import
 			this.logger.log('INFO', 'Phase 1: Starting metadata import');
+			this.config.currentPhase = 'metadata';
 			this.metadataImporter.start();
 		} else if (importFiles) {
 			// Skip to Phase 2: File Downloads (metadata phase not selected)
@@ -123,8 +231,187 @@ class ImportAssets {
 		}
 	}
 
+	// Sync only the assets changed since the last successful sync
+	startDeltaSync() {
+		this.config.isRunning = true;
+		this.config.isPaused = false;
+		this.config.bulkImport = false;
+		this.config.csvBulkImport = false;
+		this.config.currentPhase = 'delta';
+		this.errors = [];
+		this.setDryRun(false);
+		this.requestTracker.reset();
+		this.recordRunStart('delta');
+
+		this.disableImportButton();
+
+		if (this.progressBar) {
+			this.progressBar.reset();
+			this.progressBar.show();
+		}
+
+		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
+
+		this.deltaSync.start();
+	}
+
+	// Called by DeltaSync once it reaches the previous sync point
+	onDeltaSyncComplete(counts) {
+		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+
+		const summaryText = (aspirecloud_ajax.strings.sync_complete_summary || 'Sync complete: %1$d created, %2$d updated, %3$d unchanged')
+			.replace('%1$d', counts.created)
+			.replace('%2$d', counts.updated)
+			.replace('%3$d', counts.unchanged);
+
+		this.logger.log('SUCCESS', 'Delta sync completed', `${summaryText}, ${counts.downloaded} assets had files re-downloaded`);
+
+		if (this.progressBar) {
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.complete);
+			this.progressBar.updateProgress(100);
+			this.progressBar.setComplete();
+			this.progressBar.updateDetails(summaryText);
+		}
+
+		this.enableImportButton();
+
+		if (this.errors.length > 0) {
+			this.logger.log('WARNING', `Delta sync completed with ${this.errors.length} warnings`);
+			this.showErrors();
+		}
+
+		this.recordRunEnd('completed');
+	}
+
+	// Start a server-side background job and follow it from this page
+	startBackgroundJob(importMetadata, importFiles) {
+		this.logger.log('INFO', `Starting ${this.config.assetType} background import job`,
+			`Selected phases: ${importMetadata ? 'Metadata' : ''}${importMetadata && importFiles ? ' + ' : ''}${importFiles ? 'Files' : ''}`);
+
+		this.config.importMetadata = importMetadata;
+		this.config.importFiles = importFiles;
+		this.beginBackgroundMonitoring(false);
+
+		if (this.progressBar) {
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.starting_background_job || 'Starting background import...');
+		}
+
+		this.jobMonitor.start(importMetadata, importFiles);
+	}
+
+	// Attach to a background job that is already running, e.g. after reopening the page
+	checkBackgroundJob() {
+		return this.jobMonitor.findActiveJob().done((job) => {
+			if (!job || this.config.isRunning) return;
+
+			this.logger.log('INFO', 'Found a background import in progress, following it');
+			this.config.importMetadata = job.phases.metadata;
+			this.config.importFiles = job.phases.files;
+			this.beginBackgroundMonitoring(true);
+			this.jobMonitor.attach(job);
+		});
+	}
+
+	beginBackgroundMonitoring(attached) {
+		this.config.isRunning = true;
+		this.config.isPaused = false;
+		this.config.backgroundJob = true;
+		this.config.currentPhase = null;
+		this.errors = [];
+		this.setDryRun(false);
+		this.recordRunStart('background', attached);
+
+		this.disableImportButton();
+
+		if (this.progressBar) {
+			this.progressBar.reset();
+			this.progressBar.show();
+		}
+
+		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
+	}
+
+	// Called by JobMonitor whenever the job status changes
+	onBackgroundJobStatus(job) {
+		if (job.status === 'running' || job.status === 'paused') {
+			this.config.isPaused = job.status === 'paused';
+			if (this.progressBar) {
+				this.progressBar.setPaused(this.config.isPaused);
+			}
+			this.updateRunControls();
+			return;
+		}
+
+		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.backgroundJob = false;
+		this.updateRunControls();
+		this.enableImportButton();
+
+		const summaryText = (aspirecloud_ajax.strings.import_complete_summary || 'Import complete: %1$d items imported, %2$d files downloaded')
+			.replace('%1$d', job.metadata.imported)
+			.replace('%2$d', job.files.downloaded);
+
+		if (this.progressBar) {
+			if (job.status === 'completed') {
+				this.progressBar.updateStatus(aspirecloud_ajax.strings.complete);
+				this.progressBar.setComplete();
+			} else if (job.status === 'cancelled') {
+				this.progressBar.setCancelled();
+				this.progressBar.updateStatus(aspirecloud_ajax.strings.cancelled || 'Operation cancelled.');
+			} else {
+				this.progressBar.setError();
+				this.progressBar.updateStatus(aspirecloud_ajax.strings.error);
+			}
+			this.progressBar.updateDetails(summaryText);
+		}
+
+		if (job.errors.length > 0) {
+			this.addError(job.errors);
+			this.showErrors();
+		}
+
+		this.databaseManager.checkOptimizationState();
+
+		this.recordRunEnd(job.status, {
+			imported: job.metadata.imported,
+			downloaded: job.files.downloaded,
+			skipped: job.files.skipped,
+			errors: job.error_count
+		});
+	}
+
+	// Called by JobMonitor when the job could not be started
+	onBackgroundJobFailed(errorMessage) {
+		this.config.backgroundJob = false;
+		this.handleError(errorMessage);
+	}
+
 	// Start selective import by slugs (CSV only)
 	startSelectiveImport() {
+		// An uploaded file takes the place of the textarea
+		if (this.slugListImport.hasFile()) {
+			const entries = this.slugListImport.getEntries();
+			const versions = {};
+			entries.filter(entry => entry.version).forEach((entry) => {
+				versions[entry.slug] = entry.version;
+			});
+
+			const ignored = this.slugListImport.getIgnoredConstraints(entries);
+			if (ignored > 0) {
+				this.logger.log('WARNING', `${ignored} version ranges in the uploaded list are not exact versions`, 'The latest version will be imported for those slugs');
+			}
+
+			this.logger.log('INFO', `Read ${entries.length} unique slugs from the uploaded list`, `${Object.keys(versions).length} with a version`);
+			this.startPreflight(entries.map(entry => entry.slug), versions, this.slugListImport.getInvalidTokens());
+			return;
+		}
+
 		const slugsInput = jQuery(this.selectors.importSlugsTextarea).val().trim();
 
 		if (!slugsInput) {
@@ -134,14 +421,34 @@ class ImportAssets {
 		}
 
 		// All selective imports now use CSV bulk import workflow
-		this.startCsvBulkImport(slugsInput);
+		const extracted = this.extractSlugsFromCsv(slugsInput);
+		this.startPreflight(extracted.slugs, {}, extracted.invalid);
 	}
 
-	// Start CSV bulk import for all selective imports
-	startCsvBulkImport(csvInput) {
-		// Extract all slugs from CSV input
-		const allSlugs = this.extractSlugsFromCsv(csvInput);
+	/**
+	 * Check the slugs upstream and locally; the import starts once the user confirms the report
+	 * @param {Array} slugs - Unique valid slugs
+	 * @param {Object} versions - Exact version per slug
+	 * @param {Array} invalid - Tokens that are not valid slugs
+	 */
+	startPreflight(slugs, versions, invalid) {
+		if (slugs.length === 0) {
+			this.logger.log('ERROR', 'No valid slugs found in CSV', 'Please check your CSV format and ensure it contains valid asset slugs');
+			alert('No valid asset slugs found in the CSV input. Please check your format.');
+			return;
+		}
+
+		jQuery(this.selectors.logContainer).show();
+		this.disableImportButton();
+		this.preflight.run(slugs, versions, invalid);
+	}
 
+	/**
+	 * Start CSV bulk import for all selective imports
+	 * @param {Array} allSlugs - Unique slugs to import
+	 * @param {Object} versions - Exact version per slug, for slugs that should not get the latest version
+	 */
+	startCsvBulkImport(allSlugs, versions = {}) {
 		if (allSlugs.length === 0) {
 			this.logger.log('ERROR', 'No valid slugs found in CSV', 'Please check your CSV format and ensure it contains valid asset slugs');
 			alert('No valid asset slugs found in the CSV input. Please check your format.');
@@ -155,8 +462,16 @@ class ImportAssets {
 		this.config.bulkImport = false;
 		this.config.csvBulkImport = true;
 		this.config.csvSlugs = [...allSlugs]; // Store copy of all slugs
+		this.config.csvVersions = versions;
 		this.config.remainingSlugs = [...allSlugs]; // Working copy that gets modified
+		this.config.failedSlugs = []; // Slugs that failed to import, offered for retry
+		this.config.isPaused = false;
+		this.config.currentPhase = 'csv';
 		this.errors = [];
+		this.setDryRun(false);
+		this.requestTracker.reset();
+		this.slugGrid.reset(allSlugs);
+		this.recordRunStart('csv');
 
 		// Disable import button
 		this.disableImportButton();
@@ -172,14 +487,20 @@ class ImportAssets {
 
 		// Show log container along with progress
 		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
 
 		// Start CSV bulk import processing
-		this.processCsvBulkImport();
+		this.startCsvBatches();
 	}
 
-	// Extract slugs from CSV input
+	/**
+	 * Extract slugs from CSV input
+	 * @param {string} csvInput - Slugs separated by commas or newlines
+	 * @returns {Object} { slugs, invalid } unique valid slugs and the tokens that are not slugs
+	 */
 	extractSlugsFromCsv(csvInput) {
 		const slugs = [];
+		const invalid = [];
 		const lines = csvInput.split('\n');
 
 		for (const line of lines) {
@@ -187,84 +508,155 @@ class ImportAssets {
 				// Split by comma and extract slugs
 				const lineItems = line.split(',').map(item => item.trim());
 				for (const item of lineItems) {
+					if (!item) continue;
+
 					// Basic slug validation
-					if (item && /^[a-zA-Z0-9\-_]+$/.test(item) && !slugs.includes(item)) {
+					if (!/^[a-zA-Z0-9\-_]+$/.test(item)) {
+						if (!invalid.includes(item)) invalid.push(item);
+					} else if (!slugs.includes(item)) {
 						slugs.push(item);
 					}
 				}
 			}
 		}
 
-		this.logger.log('INFO', `Extracted ${slugs.length} unique slugs from CSV input`);
-		return slugs;
+		this.logger.log('INFO', `Extracted ${slugs.length} unique slugs from CSV input`, invalid.length > 0 ? `${invalid.length} invalid entries` : '');
+		return { slugs: slugs, invalid: invalid };
 	}
 
-	// Process CSV bulk import in batches
-	processCsvBulkImport() {
+	// Split the slugs still to import into batches of 25 and run them
+	startCsvBatches() {
 		const batchSize = 25; // Process 25 slugs at a time for CSV bulk import
-		const totalSlugs = this.config.csvSlugs.length;
-		const processedSlugs = totalSlugs - this.config.remainingSlugs.length;
 
-		if (this.config.remainingSlugs.length === 0) {
-			// All slugs processed
-			this.completeCsvBulkImport();
-			return;
+		this.config.csvBatches = [];
+		for (let i = 0; i < this.config.remainingSlugs.length; i += batchSize) {
+			this.config.csvBatches.push(this.config.remainingSlugs.slice(i, i + batchSize));
 		}
 
-		// Get next batch
-		const batchSlugs = this.config.remainingSlugs.splice(0, batchSize);
+		this.csvRunner.reset();
+		this.csvRunner.setTotalBatches(this.config.csvBatches.length);
+		this.updateCsvProgress();
+		this.processCsvBulkImport();
+	}
+
+	// Process CSV bulk import in batches
+	processCsvBulkImport() {
+		this.csvRunner.processNextBatch();
+	}
 
-		this.logger.log('INFO', `Processing CSV batch: ${batchSlugs.length} assets (${processedSlugs + batchSlugs.length}/${totalSlugs})`);
+	onCsvBatchStart(batchNumber) {
+		const batchSlugs = this.config.csvBatches[batchNumber - 1];
+		const totalSlugs = this.config.csvSlugs.length;
+		const processedSlugs = totalSlugs - this.config.remainingSlugs.length;
+
+		this.slugGrid.setStatus(batchSlugs, 'importing');
 
-		// Update progress
-		const progress = Math.round(((processedSlugs + batchSlugs.length) / totalSlugs) * 100);
 		if (this.progressBar) {
-			this.progressBar.updateProgress(progress);
 			this.progressBar.updateDetails(`Processing ${processedSlugs + batchSlugs.length} of ${totalSlugs} assets`);
 		}
+	}
 
-		// Import this batch using CSV batch handler
-		jQuery.ajax({
+	importCsvBatch(batchNumber) {
+		const batchSlugs = this.config.csvBatches[batchNumber - 1];
+		const versions = {};
+		batchSlugs.filter(slug => this.config.csvVersions[slug]).forEach((slug) => {
+			versions[slug] = this.config.csvVersions[slug];
+		});
+
+		return this.requestTracker.track(jQuery.ajax({
 			url: aspirecloud_ajax.ajax_url,
 			type: 'POST',
 			data: {
 				action: 'aspirecloud_import_csv_batch',
+				asset_type: this.config.assetType,
 				slugs: batchSlugs.join(','),
+				versions: JSON.stringify(versions),
 				nonce: aspirecloud_ajax.nonce
 			}
-		})
-			.done((response) => {
-				if (response.success) {
-					// Log batch results
-					if (response.data.imported.length > 0) {
-						this.logger.log('SUCCESS', `Batch imported: ${response.data.imported.length} assets`);
-					}
-					if (response.data.skipped.length > 0) {
-						this.logger.log('WARNING', `Batch skipped: ${response.data.skipped.length} assets`);
-					}
-					if (response.data.errors.length > 0) {
-						this.logger.log('ERROR', `Batch errors: ${response.data.errors.length} assets`);
-						response.data.errors.forEach(item => {
-							this.addError(`${item.slug}: ${item.message}`);
-						});
-					}
+		}));
+	}
 
-					// Continue with next batch after a short delay
-					setTimeout(() => this.processCsvBulkImport(), 500);
-				} else {
-					this.logger.log('ERROR', `CSV batch import failed: ${response.data || 'Unknown error'}`);
-					this.handleError(response.data || 'CSV batch import failed');
-				}
-			})
-			.fail((jqXHR, textStatus, errorThrown) => {
-				this.logger.log('ERROR', `CSV batch AJAX request failed: ${textStatus} - ${errorThrown}`);
-				this.handleError(`Network error during CSV import: ${textStatus}`);
-			});
+	onCsvBatchSuccess(batchNumber, data) {
+		this.slugGrid.applyBatchResult(this.config.csvBatches[batchNumber - 1], data);
+
+		// Log batch results
+		if (data.imported.length > 0) {
+			this.logger.log('SUCCESS', `Batch imported: ${data.imported.length} assets`);
+		}
+		if (data.skipped.length > 0) {
+			this.logger.log('WARNING', `Batch skipped: ${data.skipped.length} assets`);
+		}
+		if (data.errors.length > 0) {
+			this.logger.log('ERROR', `Batch errors: ${data.errors.length} assets`);
+			this.addError(data.errors, { phase: 'csv', batch: batchNumber });
+			this.config.failedSlugs = this.config.failedSlugs.concat(data.errors.map(item => item.slug));
+		}
+
+		this.finishCsvBatch(batchNumber);
+	}
+
+	// The whole batch failed after its retries; its slugs are offered for retry and the import goes on
+	onCsvBatchFailure(batchNumber, failure) {
+		const batchSlugs = this.config.csvBatches[batchNumber - 1];
+
+		this.config.failedSlugs = this.config.failedSlugs.concat(batchSlugs);
+		this.slugGrid.setStatus(batchSlugs, 'failed', failure.message);
+		this.addError(`CSV batch ${batchNumber} failed permanently (${failure.reason}): ${failure.message}`, {
+			phase: 'csv',
+			batch: batchNumber,
+			category: failure.category,
+			httpStatus: failure.httpStatus,
+			retries: failure.retries
+		});
+
+		this.finishCsvBatch(batchNumber);
+	}
+
+	// Drop a finished batch from the remaining slugs, so a checkpoint only resumes unfinished batches
+	finishCsvBatch(batchNumber) {
+		const batchSlugs = new Set(this.config.csvBatches[batchNumber - 1]);
+
+		this.config.remainingSlugs = this.config.remainingSlugs.filter(slug => !batchSlugs.has(slug));
+		this.updateCsvProgress();
+		this.saveCheckpoint();
+	}
+
+	updateCsvProgress() {
+		if (!this.progressBar) return;
+
+		const totalSlugs = this.config.csvSlugs.length;
+		const processedSlugs = totalSlugs - this.config.remainingSlugs.length;
+
+		this.progressBar.updateProgress(Math.round((processedSlugs / Math.max(1, totalSlugs)) * 100));
+		this.progressBar.updateDetails(`Processed ${processedSlugs} of ${totalSlugs} assets`);
+		if (totalSlugs > 0) {
+			this.progressBar.recordCompleted(processedSlugs / totalSlugs, processedSlugs, 'csv');
+		}
+	}
+
+	onCsvImportComplete() {
+		// All slugs processed; failed slugs are the last step of a retry run
+		if (this.config.runMode === 'retry') {
+			this.runNextRetryStep();
+		} else {
+			this.completeCsvBulkImport();
+		}
+	}
+
+	// The runner has already aborted the batches; nothing after this point was imported
+	handleCsvEmergencyStop(reason) {
+		this.config.failedSlugs = this.config.failedSlugs.concat(this.config.remainingSlugs);
+		this.slugGrid.setStatus(this.config.remainingSlugs, 'failed', `Import stopped: ${reason}`);
+		this.handleError(`CSV import stopped: ${reason}`);
 	}
 
 	// Complete CSV bulk import process
 	completeCsvBulkImport() {
 		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+		this.checkpoint.clear();
 
 		const totalSlugs = this.config.csvSlugs.length;
 		this.logger.log('SUCCESS', `CSV bulk import completed`, `Processed ${totalSlugs} assets`);
@@ -287,16 +679,25 @@ class ImportAssets {
 		} else {
 			this.logger.log('SUCCESS', 'CSV import completed with no errors');
 		}
+
+		this.updateRetryButton();
+		this.recordRunEnd('completed');
 	}
 
 	// Called when metadata import phase is complete
 	onMetadataImportComplete() {
 		this.logger.log('SUCCESS', 'Phase 1 completed: Metadata import finished');
 
+		if (this.config.runMode === 'retry') {
+			this.runNextRetryStep();
+			return;
+		}
+
 		// Check if file download phase is selected
 		if (this.config.importFiles) {
 			this.logger.log('INFO', 'Phase 2: Starting file downloads');
 			// Start Phase 2: File Downloads
+			this.config.currentPhase = 'files';
 			this.fileDownloader.start();
 		} else {
 			// Skip file download phase
@@ -305,15 +706,45 @@ class ImportAssets {
 		}
 	}
 
+	// One progress segment per selected phase
+	setProgressSegments() {
+		if (!this.progressBar) return;
+
+		const segments = [];
+		if (this.config.importMetadata) {
+			segments.push({ id: 'metadata', label: aspirecloud_ajax.strings.segment_metadata || 'Metadata' });
+		}
+		if (this.config.importFiles) {
+			segments.push({ id: 'files', label: aspirecloud_ajax.strings.segment_files || 'Files' });
+		}
+
+		this.progressBar.setSegments(segments);
+	}
+
 	// Called when file download phase is complete
 	onFileDownloadComplete() {
 		this.logger.log('SUCCESS', 'Phase 2 completed: File downloads finished');
+
+		if (this.config.runMode === 'retry') {
+			this.runNextRetryStep();
+			return;
+		}
+
 		this.completeImport();
 	}
 
 	// Complete the import process
 	completeImport() {
+		if (this.config.dryRun) {
+			this.completeDryRun();
+			return;
+		}
+
 		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+		this.checkpoint.clear();
 
 		const importedCount = this.metadataImporter.getImportedCount();
 		const downloadedCount = this.fileDownloader.getDownloadedCount();
@@ -348,11 +779,203 @@ class ImportAssets {
 		} else {
 			this.logger.log('SUCCESS', 'Import completed with no warnings');
 		}
+
+		this.updateRetryButton();
+		this.completeBulkImport();
+		this.recordRunEnd('completed');
+	}
+
+	// Only a bulk import that imported every metadata page moves the delta sync starting point
+	completeBulkImport() {
+		if (this.config.runMode !== 'bulk' || !this.config.importMetadata) {
+			return;
+		}
+
+		if (this.metadataImporter.getFailedBatches().length > 0) {
+			this.logger.log('WARNING', 'Some metadata batches failed, so the delta sync starting point was not moved');
+			return;
+		}
+
+		jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: {
+				action: 'aspirecloud_complete_bulk_import',
+				asset_type: this.config.assetType,
+				nonce: aspirecloud_ajax.nonce
+			},
+			success: (response) => {
+				if (response.success) {
+					this.deltaSync.showLastSync(response.data.last_sync_display);
+					this.logger.log('INFO', 'Delta sync starting point recorded', response.data.last_sync_display);
+				} else {
+					this.logger.log('WARNING', 'Delta sync starting point not recorded', response.data);
+				}
+			},
+			error: (jqXHR, textStatus) => {
+				this.logger.log('WARNING', 'Delta sync starting point not recorded', textStatus);
+			}
+		});
+	}
+
+	// Finish a dry run; nothing was written, so there is no checkpoint or database state to restore
+	completeDryRun() {
+		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+
+		const summaryText = this.dryRunReport.getSummaryText();
+
+		this.logger.log('SUCCESS', 'Dry run completed, nothing was written', summaryText);
+
+		if (this.progressBar) {
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.complete);
+			this.progressBar.updateProgress(100);
+			this.progressBar.setComplete();
+			this.progressBar.updateDetails(summaryText);
+		}
+
+		this.dryRunReport.render();
+		this.enableImportButton();
+
+		if (this.errors.length > 0) {
+			this.logger.log('WARNING', `Dry run completed with ${this.errors.length} warnings`);
+			this.showErrors();
+		}
+
+		this.updateRetryButton();
+		this.recordRunEnd('completed');
+	}
+
+	/**
+	 * Switch dry run mode for the next run; a retry keeps the mode of the run it retries
+	 * @param {boolean} dryRun - True to compare metadata without writing anything
+	 */
+	setDryRun(dryRun) {
+		this.config.dryRun = dryRun;
+		this.dryRunReport.reset();
+	}
+
+	// Save the current position; called after every completed batch
+	saveCheckpoint() {
+		// A retry run only covers scattered batches; it is quicker to retry again than to resume
+		// A dry run is cheap to start over and must never be resumed as a real import
+		if (!this.config.isRunning || !this.config.currentPhase || this.config.runMode === 'retry' || this.config.dryRun) {
+			return;
+		}
+
+		this.checkpoint.save(this.buildCheckpointState());
+	}
+
+	// Collect everything needed to continue this run after a page reload
+	buildCheckpointState() {
+		const state = {
+			mode: this.config.csvBulkImport ? 'csv' : 'bulk',
+			phase: this.config.currentPhase,
+			phases: {
+				metadata: !!this.config.importMetadata,
+				files: !!this.config.importFiles
+			},
+			importedCount: this.metadataImporter.getImportedCount(),
+			downloadedCount: this.fileDownloader.getDownloadedCount(),
+			failedBatches: this.metadataImporter.getFailedBatches().concat(this.fileDownloader.getFailedBatches())
+		};
+
+		if (this.config.currentPhase === 'metadata') {
+			Object.assign(state, this.metadataImporter.getCheckpoint());
+		} else if (this.config.currentPhase === 'files') {
+			Object.assign(state, this.fileDownloader.getCheckpoint());
+		} else if (this.config.currentPhase === 'csv') {
+			state.csvSlugs = this.config.csvSlugs;
+			state.remainingSlugs = this.config.remainingSlugs;
+			state.failedSlugs = this.config.failedSlugs;
+			state.csvVersions = this.config.csvVersions;
+		}
+
+		return state;
+	}
+
+	// Continue an interrupted import from a saved checkpoint
+	resumeFromCheckpoint(checkpoint) {
+		if (this.config.isRunning) {
+			this.logger.log('WARNING', 'Import already running, ignoring resume request');
+			return;
+		}
+
+		this.logger.log('INFO', `Resuming ${this.config.assetType} import from checkpoint`, this.checkpoint.describe(checkpoint));
+
+		this.config.isRunning = true;
+		this.config.isPaused = false;
+		this.config.importMetadata = checkpoint.phases.metadata;
+		this.config.importFiles = checkpoint.phases.files;
+		this.config.bulkImport = checkpoint.mode === 'bulk';
+		this.config.csvBulkImport = checkpoint.mode === 'csv';
+		this.config.currentPhase = checkpoint.phase;
+		this.setDryRun(false);
+
+		this.requestTracker.reset();
+		this.metadataImporter.reset();
+		this.fileDownloader.reset();
+		this.metadataImporter.restore(checkpoint);
+		this.fileDownloader.restore(checkpoint);
+
+		// Carry permanent failures from before the reload into the final report
+		this.errors = (checkpoint.failedBatches || []).map(failed => ErrorReport.createRecord(failed, { category: 'unknown' }));
+
+		this.recordRunStart(checkpoint.mode, true);
+
+		this.disableImportButton();
+
+		if (this.progressBar) {
+			this.progressBar.reset();
+			this.progressBar.show();
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.resuming_checkpoint || 'Resuming previous import...');
+		}
+
+		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
+
+		if (checkpoint.phase !== 'csv') {
+			this.setProgressSegments();
+		}
+
+		if (checkpoint.phase === 'csv') {
+			this.config.csvSlugs = checkpoint.csvSlugs || [];
+			this.config.remainingSlugs = (checkpoint.remainingSlugs || []).slice();
+			this.config.failedSlugs = (checkpoint.failedSlugs || []).slice();
+			this.config.csvVersions = Object.assign({}, checkpoint.csvVersions);
+			this.restoreSlugGrid();
+			this.startCsvBatches();
+		} else if (checkpoint.phase === 'files') {
+			if (this.progressBar) {
+				this.progressBar.updateSegment('metadata', { completed: this.metadataImporter.getImportedCount(), state: 'done' });
+			}
+			this.fileDownloader.updateProgress();
+			this.fileDownloader.processNextBatch();
+		} else {
+			this.metadataImporter.updateProgress();
+			this.metadataImporter.processNextBatch();
+		}
+	}
+
+	// Rebuild the slug grid of a resumed CSV import; results from before the reload are not kept
+	restoreSlugGrid() {
+		const remaining = new Set(this.config.remainingSlugs);
+		const failed = new Set(this.config.failedSlugs);
+
+		this.slugGrid.reset(this.config.csvSlugs);
+		this.slugGrid.setStatus(this.config.csvSlugs.filter(slug => !remaining.has(slug) && !failed.has(slug)), 'earlier');
+		this.slugGrid.setStatus(this.config.failedSlugs, 'failed', 'Failed before the page was reloaded');
 	}
 
 	// Error handling
 	handleError(errorMessage) {
 		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+		this.slugGrid.stopImporting();
 
 		this.logger.log('ERROR', 'Import process failed', errorMessage);
 
@@ -368,31 +991,294 @@ class ImportAssets {
 
 		// Log error to console
 		console.error('AspireCloud Import Error:', errorMessage);
+
+		this.addError(errorMessage, { category: 'fatal' });
+		this.updateRetryButton();
+		this.recordRunEnd('failed');
+	}
+
+	/**
+	 * Collect the items that failed permanently in the last run
+	 * @returns {Object} Metadata batches, download batches and slugs
+	 */
+	getFailedItems() {
+		const batchNumbers = (failedBatches) => Array.from(new Set(failedBatches.map(failed => failed.batch)));
+
+		return {
+			metadata: batchNumbers(this.metadataImporter.getFailedBatches()),
+			files: batchNumbers(this.fileDownloader.getFailedBatches()),
+			slugs: Array.from(new Set(this.config.failedSlugs || []))
+		};
+	}
+
+	getFailedItemCount(failedItems = this.getFailedItems()) {
+		return failedItems.metadata.length + failedItems.files.length + failedItems.slugs.length;
+	}
+
+	// Offer "Retry failed items" when the last run left failures behind
+	updateRetryButton() {
+		const count = this.config.isRunning ? 0 : this.getFailedItemCount();
+		const button = jQuery(this.selectors.retryFailedButton);
+
+		button.text((aspirecloud_ajax.strings.retry_failed_count || 'Retry Failed Items (%d)').replace('%d', count));
+		button.toggle(count > 0);
+	}
+
+	/**
+	 * Re-run only the batches and slugs that failed permanently, without a full import
+	 * @param {Object} failedItems - Metadata batches, download batches and slugs to retry
+	 */
+	retryFailed(failedItems = this.getFailedItems()) {
+		if (this.config.isRunning) {
+			this.logger.log('WARNING', 'Import already running, ignoring retry request');
+			return;
+		}
+
+		const count = this.getFailedItemCount(failedItems);
+		if (count === 0) return;
+
+		this.logger.log('INFO', `Retrying ${count} failed items`,
+			`Metadata batches: ${failedItems.metadata.length}, Download batches: ${failedItems.files.length}, Slugs: ${failedItems.slugs.length}`);
+
+		this.config.isRunning = true;
+		this.config.isPaused = false;
+		this.config.bulkImport = false;
+		this.config.csvBulkImport = false;
+		this.config.importMetadata = failedItems.metadata.length > 0;
+		this.config.importFiles = failedItems.files.length > 0;
+		this.config.retryItems = failedItems;
+		this.config.failedSlugs = (this.config.failedSlugs || []).filter(slug => !failedItems.slugs.includes(slug));
+		this.errors = [];
+
+		this.requestTracker.reset();
+		this.metadataImporter.reset();
+		this.fileDownloader.reset();
+		this.recordRunStart('retry');
+
+		this.disableImportButton();
+		this.updateRetryButton();
+
+		if (this.progressBar) {
+			this.progressBar.reset();
+			this.progressBar.show();
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.retrying_failed || 'Retrying failed items...');
+		}
+		this.setProgressSegments();
+
+		jQuery(this.selectors.logContainer).show();
+		this.updateRunControls();
+
+		this.runNextRetryStep();
+	}
+
+	// Retry single slugs from the slug grid; other failed slugs stay available for retry
+	retrySlugs(slugs) {
+		this.retryFailed({ metadata: [], files: [], slugs: slugs });
 	}
 
-	addError(errors) {
-		if (Array.isArray(errors)) {
-			this.errors = this.errors.concat(errors);
+	// Work through the failed metadata batches, then download batches, then slugs
+	runNextRetryStep() {
+		const items = this.config.retryItems;
+
+		if (items.metadata.length > 0) {
+			this.config.currentPhase = 'metadata';
+			this.metadataImporter.startRetry(items.metadata.splice(0));
+		} else if (items.files.length > 0) {
+			this.config.currentPhase = 'files';
+			this.fileDownloader.startRetry(items.files.splice(0));
+		} else if (items.slugs.length > 0) {
+			this.config.currentPhase = 'csv';
+			this.config.csvSlugs = items.slugs.splice(0);
+			this.config.remainingSlugs = this.config.csvSlugs.slice();
+			this.slugGrid.requeue(this.config.csvSlugs);
+			this.logger.log('INFO', `Retrying ${this.config.csvSlugs.length} failed slugs`, this.config.csvSlugs.join(', '));
+			this.startCsvBatches();
 		} else {
-			this.errors.push(errors);
+			this.completeImport();
 		}
 	}
 
-	// Show errors in a collapsible section
-	showErrors() {
-		if (this.errors.length === 0) return;
+	// Pause the running import: in-flight batches finish, no new batches start
+	pause() {
+		if (!this.config.isRunning || this.config.isPaused) {
+			return;
+		}
+
+		this.config.isPaused = true;
+		this.logger.log('INFO', 'Import paused by user', `Phase: ${this.config.currentPhase || 'background job'}. In-flight batches will finish first.`);
+
+		if (this.progressBar) {
+			this.progressBar.setPaused(true);
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.pausing || 'Pausing... waiting for in-flight batches to finish.');
+		}
+
+		this.updateRunControls();
+
+		if (this.config.backgroundJob) {
+			this.jobMonitor.pause();
+		}
+	}
+
+	// Resume a paused import from the same batch counter
+	resume() {
+		if (!this.config.isRunning || !this.config.isPaused) {
+			return;
+		}
+
+		this.config.isPaused = false;
+		this.logger.log('INFO', 'Import resumed by user', `Phase: ${this.config.currentPhase}`);
+
+		if (this.progressBar) {
+			this.progressBar.setPaused(false);
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.resuming || 'Resuming import...');
+		}
+
+		this.updateRunControls();
+
+		// Hand control back to whichever phase was running
+		if (this.config.backgroundJob) {
+			this.jobMonitor.resume();
+		} else if (this.config.currentPhase === 'metadata') {
+			this.metadataImporter.processNextBatch();
+		} else if (this.config.currentPhase === 'files') {
+			this.fileDownloader.processNextBatch();
+		} else if (this.config.currentPhase === 'csv') {
+			this.processCsvBulkImport();
+		} else if (this.config.currentPhase === 'delta') {
+			this.deltaSync.processNextPage();
+		}
+	}
+
+	isPaused() {
+		return this.config.isPaused;
+	}
+
+	// Cancel the running import: abort in-flight requests, drop retries and rest timers
+	cancel() {
+		if (!this.config.isRunning) {
+			return;
+		}
+
+		// The server stops the job after its current step; the monitor reports the result
+		if (this.config.backgroundJob) {
+			this.logger.log('WARNING', 'Cancelling background import job');
+			this.jobMonitor.cancel();
+			return;
+		}
+
+		const phase = this.config.currentPhase;
+		const summaries = [
+			this.csvRunner.cancel(),
+			this.metadataImporter.cancel(),
+			this.fileDownloader.cancel()
+		];
+		const aborted = summaries.reduce((sum, summary) => sum + summary.aborted, 0);
+		const cleared = summaries.reduce((sum, summary) => sum + summary.cleared, 0);
+
+		this.config.isRunning = false;
+		this.config.isPaused = false;
+		this.config.currentPhase = null;
+		this.updateRunControls();
+		this.checkpoint.clear();
+		this.slugGrid.stopImporting();
 
-		let errorHtml = '<div class="aspirecloud-import-errors">';
-		errorHtml += '<h4>Import Warnings (' + this.errors.length + ')</h4>';
-		errorHtml += '<div class="aspirecloud-error-list">';
+		this.logger.log('WARNING', `Import cancelled by user during ${phase || 'startup'} phase`,
+			`Aborted ${aborted} in-flight requests and cleared ${cleared} pending timers. Requests already received by the server may still finish there.`);
+
+		if (this.progressBar) {
+			this.progressBar.setCancelled();
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.cancelled || 'Operation cancelled.');
+			this.progressBar.updateDetails(`Imported: ${this.metadataImporter.getImportedCount()} items, Downloaded: ${this.fileDownloader.getDownloadedCount()} files`);
+		}
+
+		this.enableImportButton();
+
+		// A cancelled metadata phase can leave the database in Bulk Import Mode
+		this.databaseManager.checkOptimizationState();
+
+		this.updateRetryButton();
+		this.recordRunEnd('cancelled');
+	}
+
+	// Called by the phase runners each time they skip starting batches because of a pause
+	onBatchesPaused(activeBatches) {
+		if (!this.progressBar) return;
+
+		if (activeBatches > 0) {
+			this.progressBar.updateStatus(`${aspirecloud_ajax.strings.pausing || 'Pausing... waiting for in-flight batches to finish.'} (${activeBatches} in flight)`);
+		} else {
+			this.progressBar.updateStatus(aspirecloud_ajax.strings.paused || 'Import paused. Press Resume to continue.');
+		}
+	}
 
-		this.errors.forEach((error) => {
-			errorHtml += '<div class="aspirecloud-error-item">' + error + '</div>';
+	/**
+	 * Start recording a run in the history
+	 * @param {string} mode - 'bulk', 'dry-run', 'csv', 'delta' or 'background'
+	 * @param {boolean} resumed - True when continuing an earlier run or job
+	 */
+	recordRunStart(mode, resumed = false) {
+		const hasPhases = mode === 'bulk' || mode === 'dry-run' || mode === 'background';
+
+		this.config.runMode = mode;
+		this.runHistory.startRun({
+			mode: mode,
+			phases: {
+				metadata: hasPhases ? !!this.config.importMetadata : false,
+				files: hasPhases ? !!this.config.importFiles : false
+			},
+			resumed: resumed
 		});
+	}
+
+	/**
+	 * Finish the run being recorded in the history
+	 * @param {string} status - 'completed', 'failed' or 'cancelled'
+	 * @param {Object} counts - Final counts; collected from the sub-managers when omitted
+	 */
+	recordRunEnd(status, counts = null) {
+		if (!this.runHistory.isRecording()) return;
+
+		this.runHistory.finishRun(status, counts || this.getRunCounts(), this.errors);
+		this.config.runMode = null;
+	}
+
+	// Counts for the history record of the current run
+	getRunCounts() {
+		const counts = { errors: this.errors.length };
+
+		if (this.config.runMode === 'delta') {
+			Object.assign(counts, this.deltaSync.getCounts());
+		} else if (this.config.dryRun) {
+			Object.assign(counts, this.dryRunReport.getCounts());
+		} else if (this.config.runMode === 'csv') {
+			counts.processed = (this.config.csvSlugs || []).length - (this.config.remainingSlugs || []).length;
+		} else {
+			counts.imported = this.metadataImporter.getImportedCount();
+			counts.downloaded = this.fileDownloader.getDownloadedCount();
+		}
+
+		return counts;
+	}
 
-		errorHtml += '</div></div>';
+	/**
+	 * Record one or more errors
+	 * @param {string|Object|Array} errors - Messages, server error records or an array of either
+	 * @param {Object} context - Fields the errors do not carry themselves: phase, batch, retries, httpStatus, category
+	 */
+	addError(errors, context = {}) {
+		const defaults = Object.assign({ phase: this.config.currentPhase || this.config.runMode || '' }, context);
+		const records = (Array.isArray(errors) ? errors : [errors]).map(error => ErrorReport.createRecord(error, defaults));
 
-		jQuery(this.selectors.progressContainer).append(errorHtml);
+		this.errors = this.errors.concat(records);
+	}
+
+	// Show errors as a sortable, groupable table below the progress bar
+	showErrors() {
+		if (this.errors.length === 0) return;
+
+		this.errorReport.setRecords(this.errors);
+		jQuery(this.selectors.progressContainer).find('.aspirecloud-error-report').remove();
+		jQuery(this.selectors.progressContainer).append(this.errorReport.render());
 	}
 
 	// UI control methods
@@ -404,6 +1290,24 @@ class ImportAssets {
 		jQuery(this.selectors.importButton).prop('disabled', false);
 	}
 
+	// Show Pause while running, Resume while paused, Cancel in both cases
+	updateRunControls() {
+		const running = this.config.isRunning;
+
+		jQuery(this.selectors.pauseButton).toggle(running && !this.config.isPaused);
+		jQuery(this.selectors.resumeButton).toggle(running && this.config.isPaused);
+		jQuery(this.selectors.cancelButton).toggle(running);
+		this.slugGrid.setRunning(running);
+
+		if (running) {
+			jQuery(this.selectors.retryFailedButton).hide();
+		}
+
+		if (this.progressBar && !this.config.isPaused) {
+			this.progressBar.setPaused(false);
+		}
+	}
+
 	// Utility methods
 	getConfig() {
 		return {
@@ -0,0 +1,178 @@
+/**
+ * ImportCheckpoint Class
+ *
+ * Persists the position of a running import after every completed batch so
+ * an interrupted run (page reload, closed tab, crashed browser) can be resumed.
+ * Checkpoints are written to localStorage immediately and to the server
+ * (at most every few seconds) so they also survive a different browser.
+ *
+ * Dependencies: Logger class
+ */
+
+class ImportCheckpoint {
+	constructor(assetType, logger) {
+		this.assetType = assetType;
+		this.logger = logger;
+		this.storageKey = `aspirecloud_import_checkpoint_${assetType}`;
+
+		// Server writes are throttled; localStorage always has the latest position
+		this.serverSaveInterval = 5000;
+		this.lastServerSave = 0;
+		this.serverSaveTimer = null;
+		this.serverSaveRequest = null;
+		this.latest = null;
+	}
+
+	/**
+	 * Save the current import position
+	 * @param {Object} state - Position fields built by ImportAssets
+	 * @returns {Object} The saved checkpoint
+	 */
+	save(state) {
+		const checkpoint = Object.assign({}, state, {
+			version: 1,
+			assetType: this.assetType,
+			savedAt: new Date().toISOString()
+		});
+
+		this.latest = checkpoint;
+		this.saveLocal(checkpoint);
+		this.scheduleServerSave();
+
+		return checkpoint;
+	}
+
+	/**
+	 * Load the newest checkpoint from localStorage or the server
+	 * @returns {Promise} Resolves with the checkpoint, or null when there is none
+	 */
+	load() {
+		const deferred = jQuery.Deferred();
+		const local = this.loadLocal();
+
+		this.request('aspirecloud_get_import_checkpoint')
+			.done((response) => {
+				const server = response.success ? response.data.checkpoint : null;
+				deferred.resolve(this.newest(local, server));
+			})
+			.fail(() => deferred.resolve(local));
+
+		return deferred.promise();
+	}
+
+	/**
+	 * Remove the checkpoint once an import has finished, been cancelled or discarded
+	 */
+	clear() {
+		if (this.serverSaveTimer) {
+			clearTimeout(this.serverSaveTimer);
+			this.serverSaveTimer = null;
+		}
+		this.latest = null;
+
+		try {
+			window.localStorage.removeItem(this.storageKey);
+		} catch (e) {
+			// localStorage unavailable; the server copy is still cleared below
+		}
+
+		// Wait for an in-flight save so it cannot recreate the checkpoint afterwards
+		jQuery.when(this.serverSaveRequest).always(() => {
+			this.request('aspirecloud_clear_import_checkpoint');
+		});
+	}
+
+	/**
+	 * Build a one-line summary of a checkpoint for notices and logs
+	 * @param {Object} checkpoint - Checkpoint to describe
+	 * @returns {string} Summary text
+	 */
+	describe(checkpoint) {
+		let position;
+
+		if (checkpoint.phase === 'csv') {
+			const total = (checkpoint.csvSlugs || []).length;
+			const done = total - (checkpoint.remainingSlugs || []).length;
+			position = `Selective import, ${done} of ${total} assets processed`;
+		} else {
+			const phaseLabel = checkpoint.phase === 'files' ? 'File downloads' : 'Metadata import';
+			position = `${phaseLabel}, batch ${checkpoint.nextBatch} of ${checkpoint.totalBatches}`;
+		}
+
+		const failed = (checkpoint.failedBatches || []).length;
+		const savedAt = checkpoint.savedAt ? new Date(checkpoint.savedAt).toLocaleString() : '';
+
+		return `${position}. Imported: ${checkpoint.importedCount || 0} items, Downloaded: ${checkpoint.downloadedCount || 0} files` +
+			(failed > 0 ? `, Failed batches: ${failed}` : '') +
+			(savedAt ? ` (saved ${savedAt})` : '');
+	}
+
+	saveLocal(checkpoint) {
+		try {
+			window.localStorage.setItem(this.storageKey, JSON.stringify(checkpoint));
+		} catch (e) {
+			// Quota exceeded or storage disabled; the server copy still applies
+		}
+	}
+
+	loadLocal() {
+		try {
+			const stored = window.localStorage.getItem(this.storageKey);
+			return stored ? JSON.parse(stored) : null;
+		} catch (e) {
+			return null;
+		}
+	}
+
+	scheduleServerSave() {
+		if (this.serverSaveTimer) {
+			return;
+		}
+
+		const wait = Math.max(0, this.serverSaveInterval - (Date.now() - this.lastServerSave));
+
+		this.serverSaveTimer = setTimeout(() => {
+			this.serverSaveTimer = null;
+			if (this.latest) {
+				this.saveServer(this.latest);
+			}
+		}, wait);
+	}
+
+	saveServer(checkpoint) {
+		this.lastServerSave = Date.now();
+		this.serverSaveRequest = this.request('aspirecloud_save_import_checkpoint', {
+			checkpoint: JSON.stringify(checkpoint)
+		})
+			.fail((jqXHR, textStatus) => {
+				this.logger.log('WARNING', 'Failed to save import checkpoint to the server', `${textStatus}. The position is still kept in this browser.`);
+			});
+	}
+
+	newest(first, second) {
+		if (!first || !second) {
+			return first || second || null;
+		}
+
+		return first.savedAt >= second.savedAt ? first : second;
+	}
+
+	request(action, data = {}) {
+		return jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: Object.assign({
+				action: action,
+				asset_type: this.assetType,
+				nonce: aspirecloud_ajax.nonce
+			}, data)
+		});
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = ImportCheckpoint;
+} else if (typeof window !== 'undefined') {
+	window.ImportCheckpoint = ImportCheckpoint;
+}
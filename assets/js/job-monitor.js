@@ -0,0 +1,219 @@
+/**
+ * JobMonitor Class
+ *
+ * Starts and controls server-side background import jobs and polls their
+ * state into the existing ProgressBar and Logger. The job keeps running on
+ * the server when the page is closed; reopening the page attaches to it again.
+ *
+ * Dependencies: Logger, ProgressBar, RequestTracker classes
+ */
+
+class JobMonitor {
+	constructor(parent) {
+		this.parent = parent;
+		this.progressBar = null;
+		this.config = {
+			pollInterval: 3000,
+			lastLogSeq: 0,
+			status: null,
+			phase: null
+		};
+
+		// Only one poll chain at a time
+		this.pollTimer = null;
+		this.pollRequest = null;
+
+		// Polling requests and timers, dropped when the monitor detaches
+		this.requestTracker = new RequestTracker();
+	}
+
+	setProgressBar(progressBar) {
+		this.progressBar = progressBar;
+	}
+
+	/**
+	 * Start a new background job
+	 * @param {boolean} importMetadata - Run the metadata phase
+	 * @param {boolean} importFiles - Run the file download phase
+	 * @returns {jqXHR} The start request
+	 */
+	start(importMetadata, importFiles) {
+		return this.request('aspirecloud_start_import_job', {
+			import_metadata: importMetadata ? 1 : 0,
+			import_files: importFiles ? 1 : 0
+		})
+			.done((response) => {
+				if (response.success) {
+					this.attach(response.data);
+				} else {
+					this.parent.onBackgroundJobFailed(response.data || aspirecloud_ajax.strings.error);
+				}
+			})
+			.fail((jqXHR, textStatus) => {
+				this.parent.onBackgroundJobFailed(`Could not start background import: ${textStatus}`);
+			});
+	}
+
+	/**
+	 * Look for a job that is still running or paused on the server
+	 * @returns {Promise} Resolves with the job, or null when none is active
+	 */
+	findActiveJob() {
+		const deferred = jQuery.Deferred();
+
+		this.request('aspirecloud_get_import_job', { since: 0 })
+			.done((response) => {
+				const job = response.success ? response.data : null;
+				deferred.resolve(job && ['running', 'paused'].includes(job.status) ? job : null);
+			})
+			.fail(() => deferred.resolve(null));
+
+		return deferred.promise();
+	}
+
+	/**
+	 * Follow a job: show its state and poll until it finishes
+	 * @param {Object} job - Job data from the server
+	 */
+	attach(job) {
+		this.requestTracker.reset();
+		this.pollTimer = null;
+		this.pollRequest = null;
+		this.config.lastLogSeq = 0;
+		this.config.status = null;
+		this.config.phase = null;
+
+		this.update(job);
+	}
+
+	// Stop polling; the job itself keeps running on the server
+	detach() {
+		this.requestTracker.cancel();
+	}
+
+	pause() {
+		return this.control('aspirecloud_pause_import_job');
+	}
+
+	resume() {
+		return this.control('aspirecloud_resume_import_job');
+	}
+
+	cancel() {
+		return this.control('aspirecloud_cancel_import_job');
+	}
+
+	control(action) {
+		return this.requestTracker.track(this.request(action))
+			.done((response) => {
+				if (!response.success) {
+					this.parent.logger.log('ERROR', 'Background import request failed', response.data || aspirecloud_ajax.strings.error);
+				}
+				// Pause and cancel apply after the current step; poll right away to pick them up
+				this.poll();
+			});
+	}
+
+	poll() {
+		if (this.pollRequest) return;
+
+		if (this.pollTimer) {
+			clearTimeout(this.pollTimer);
+			this.pollTimer = null;
+		}
+
+		this.pollRequest = this.requestTracker.track(this.request('aspirecloud_get_import_job', { since: this.config.lastLogSeq }));
+		this.pollRequest
+			.always(() => {
+				this.pollRequest = null;
+			})
+			.done((response) => {
+				if (this.requestTracker.isCancelled()) return;
+
+				if (response.success && response.data) {
+					this.update(response.data);
+				} else {
+					this.schedulePoll();
+				}
+			})
+			.fail((jqXHR, textStatus) => {
+				if (this.requestTracker.isCancelled()) return;
+
+				// The job does not depend on this page, so keep polling through network blips
+				this.parent.logger.log('WARNING', 'Failed to get background import status', textStatus);
+				this.schedulePoll();
+			});
+	}
+
+	schedulePoll() {
+		if (this.pollTimer) return;
+
+		this.pollTimer = this.requestTracker.setTimeout(() => {
+			this.pollTimer = null;
+			this.poll();
+		}, this.config.pollInterval);
+	}
+
+	/**
+	 * Apply a job state from the server to the logger, progress bar and controls
+	 * @param {Object} job - Job data from the server
+	 */
+	update(job) {
+		job.log.forEach((entry) => {
+			this.parent.logger.log(entry.level, `[Background] ${entry.message}`);
+			this.config.lastLogSeq = Math.max(this.config.lastLogSeq, entry.seq);
+		});
+
+		const statusChanged = job.status !== this.config.status;
+		this.config.status = job.status;
+		this.config.phase = job.phase;
+
+		this.updateProgress(job);
+
+		if (statusChanged) {
+			this.parent.onBackgroundJobStatus(job);
+		}
+
+		if (['running', 'paused'].includes(job.status)) {
+			this.schedulePoll();
+		}
+	}
+
+	updateProgress(job) {
+		if (!this.progressBar) return;
+
+		this.progressBar.updateProgress(job.progress);
+
+		if (job.phase === 'metadata') {
+			const importedText = (aspirecloud_ajax.strings.job_metadata_status || 'Background import: metadata page %1$d of %2$d')
+				.replace('%1$d', job.metadata.page)
+				.replace('%2$d', job.metadata.total_pages || '?');
+			this.progressBar.updateStatus(importedText);
+			this.progressBar.updateDetails(`Imported: ${job.metadata.imported} items, Errors: ${job.error_count}`);
+		} else {
+			const downloadText = (aspirecloud_ajax.strings.job_files_status || 'Background import: downloading files, batch %1$d')
+				.replace('%1$d', job.files.batch);
+			this.progressBar.updateStatus(downloadText);
+			this.progressBar.updateDetails(`Downloaded: ${job.files.downloaded} files, Skipped: ${job.files.skipped}, Errors: ${job.error_count}`);
+		}
+	}
+
+	request(action, data = {}) {
+		return jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: Object.assign({
+				action: action,
+				asset_type: this.parent.config.assetType,
+				nonce: aspirecloud_ajax.nonce
+			}, data)
+		});
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = JobMonitor;
+} else if (typeof window !== 'undefined') {
+	window.JobMonitor = JobMonitor;
+}
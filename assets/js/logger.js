@@ -3,6 +3,8 @@
  *
  * Real-time operation logging with severity colors and interactive features.
  * Provides visual feedback for all AspireCloud operations with timestamp tracking.
+ * Entries can be filtered by level and text; only the rows in view are rendered
+ * so long imports can log tens of thousands of lines.
  */
 
 class Logger {
@@ -16,9 +18,43 @@ class Logger {
 			content: '.aspirecloud-log-content',
 			toggleText: '.aspirecloud-log-toggle-text',
 			clear: '.aspirecloud-log-clear',
-			entries: '.aspirecloud-log-entries'
+			entries: '.aspirecloud-log-entries',
+			exportButton: '.aspirecloud-log-export',
+			exportFormat: '.aspirecloud-log-export-format',
+			levelToggle: '.aspirecloud-log-level-toggle',
+			search: '.aspirecloud-log-search',
+			pinErrors: '.aspirecloud-log-pin-errors',
+			pinned: '.aspirecloud-log-pinned',
+			count: '.aspirecloud-log-count'
 		};
 
+		// Entries logged since the last clear, kept for export up to the retention cap
+		this.entries = [];
+		this.filtered = [];
+		this.lastEntryId = 0;
+		this.droppedCount = 0;
+		this.maxEntries = (typeof aspirecloud_ajax !== 'undefined' && parseInt(aspirecloud_ajax.log_retention, 10)) || 5000;
+
+		this.filters = {
+			levels: new Set(['INFO', 'SUCCESS', 'WARNING', 'ERROR', 'DEBUG']),
+			search: '',
+			pinErrors: false
+		};
+
+		// Rows have a fixed height so only the visible ones need to be in the DOM
+		this.virtualization = {
+			rowHeight: 24,
+			overscan: 10,
+			defaultViewHeight: 300,
+			maxPinned: 50
+		};
+		this.autoScroll = true;
+		this.renderFrame = null;
+		this.searchTimer = null;
+
+		// Callbacks that receive every new entry, e.g. the run history recorder
+		this.listeners = [];
+
 		// Log severity levels with colors
 		this.logLevels = {
 			INFO: { class: 'aspirecloud-log-info', color: '#2271b1', label: 'INFO' },
@@ -54,42 +90,217 @@ class Logger {
 			} else {
 				content.show();
 				toggleText.text('Hide');
+				this.scheduleRender();
 			}
 		});
 
 		// Clear log entries
 		jQuery(document).on('click', this.selectors.clear, () => {
-			jQuery(this.selectors.entries).empty();
-			this.log('INFO', 'Log cleared');
+			this.clear();
+		});
+
+		// Download all entries in the selected format
+		jQuery(document).on('click', this.selectors.exportButton, () => {
+			this.export(jQuery(this.selectors.exportFormat).val() || 'json');
+		});
+
+		// Show or hide a severity level
+		jQuery(document).on('click', this.selectors.levelToggle, (e) => {
+			const button = jQuery(e.currentTarget);
+			const level = button.data('level');
+
+			if (this.filters.levels.has(level)) {
+				this.filters.levels.delete(level);
+			} else {
+				this.filters.levels.add(level);
+			}
+
+			button.attr('aria-pressed', this.filters.levels.has(level) ? 'true' : 'false');
+			this.refilter();
+		});
+
+		// Search message and details text, debounced while typing
+		jQuery(document).on('input', this.selectors.search, (e) => {
+			clearTimeout(this.searchTimer);
+			this.searchTimer = setTimeout(() => {
+				this.filters.search = jQuery(e.target).val().trim().toLowerCase();
+				this.refilter();
+			}, 200);
+		});
+
+		jQuery(document).on('click', this.selectors.pinErrors, (e) => {
+			this.filters.pinErrors = !this.filters.pinErrors;
+			jQuery(e.currentTarget).attr('aria-pressed', this.filters.pinErrors ? 'true' : 'false');
+			this.renderPinnedErrors();
+		});
+
+		// Follow new entries only while the list is scrolled to the bottom
+		jQuery(this.selectors.content).on('scroll', (e) => {
+			const content = e.currentTarget;
+			this.autoScroll = content.scrollTop + content.clientHeight >= content.scrollHeight - this.virtualization.rowHeight;
+			this.scheduleRender();
 		});
 	}
 
 	log(level, message, details = null) {
-		const timestamp = new Date().toLocaleTimeString();
+		const now = new Date();
 		const logLevel = this.logLevels[level] || this.logLevels.INFO;
 
-		let logEntry = `
-			<div class="aspirecloud-log-entry ${logLevel.class}">
-				<span class="aspirecloud-log-timestamp">[${timestamp}]</span>
-				<span class="aspirecloud-log-level" style="color: ${logLevel.color}; font-weight: bold;">[${logLevel.label}]</span>
+		const entry = {
+			id: ++this.lastEntryId,
+			timestamp: now.toISOString(),
+			time: now.toLocaleTimeString(),
+			level: logLevel.label,
+			message: String(message),
+			details: details === null || details === undefined || details === '' ? null :
+				(typeof details === 'string' ? details : JSON.stringify(details))
+		};
+
+		this.entries.push(entry);
+
+		if (this.matchesFilters(entry)) {
+			this.filtered.push(entry);
+		}
+
+		this.scheduleRender();
+
+		this.listeners.forEach(listener => listener(entry));
+
+		// Also log to console for debugging
+		console.log(`[AspireCloud ${logLevel.label}] ${message}`, details || '');
+	}
+
+	/**
+	 * Receive every entry logged from now on
+	 * @param {Function} listener - Called with each new entry
+	 */
+	addListener(listener) {
+		this.listeners.push(listener);
+	}
+
+	// Drop the oldest entries once the retention cap is exceeded
+	applyRetention() {
+		const excess = this.entries.length - this.maxEntries;
+		if (excess <= 0) return;
+
+		this.entries.splice(0, excess);
+		this.droppedCount += excess;
+
+		const firstId = this.entries[0].id;
+		const firstKept = this.filtered.findIndex(entry => entry.id >= firstId);
+		this.filtered.splice(0, firstKept === -1 ? this.filtered.length : firstKept);
+	}
+
+	matchesFilters(entry) {
+		if (!this.filters.levels.has(entry.level)) {
+			return false;
+		}
+
+		if (this.filters.search) {
+			const haystack = `${entry.message} ${entry.details || ''}`.toLowerCase();
+			return haystack.includes(this.filters.search);
+		}
+
+		return true;
+	}
+
+	// Rebuild the filtered list after a filter change
+	refilter() {
+		this.filtered = this.entries.filter(entry => this.matchesFilters(entry));
+		this.autoScroll = true;
+		this.scheduleRender();
+	}
+
+	// Batch renders so thousands of log calls cost one DOM update per frame
+	scheduleRender() {
+		if (this.renderFrame) return;
+
+		const schedule = window.requestAnimationFrame || ((callback) => setTimeout(callback, 16));
+		this.renderFrame = schedule(() => {
+			this.renderFrame = null;
+			this.render();
+		});
+	}
+
+	// Render only the rows inside the visible window of the scroll container
+	render() {
+		this.applyRetention();
+
+		const content = jQuery(this.selectors.content)[0];
+		const list = jQuery(this.selectors.entries);
+		if (!content || !list.length) return;
+
+		const rowHeight = this.virtualization.rowHeight;
+		const total = this.filtered.length;
+
+		list.css('height', `${total * rowHeight}px`);
+
+		if (this.autoScroll) {
+			content.scrollTop = content.scrollHeight;
+		}
+
+		const viewHeight = content.clientHeight || this.virtualization.defaultViewHeight;
+		const overscan = this.virtualization.overscan;
+		const first = Math.max(0, Math.floor(content.scrollTop / rowHeight) - overscan);
+		const last = Math.min(total, Math.ceil((content.scrollTop + viewHeight) / rowHeight) + overscan);
+
+		let html = '';
+		for (let index = first; index < last; index++) {
+			html += this.renderEntry(this.filtered[index], index * rowHeight);
+		}
+		list.html(html);
+
+		this.renderCount();
+		this.renderPinnedErrors();
+	}
+
+	renderEntry(entry, top) {
+		const logLevel = this.logLevels[entry.level];
+		const message = this.escapeHtml(entry.message);
+		const details = entry.details ? this.escapeHtml(entry.details) : '';
+		const title = details ? `${message} - ${details}` : message;
+
+		return `
+			<div class="aspirecloud-log-entry ${logLevel.class}" style="top: ${top}px;" title="${title}">
+				<span class="aspirecloud-log-timestamp">[${entry.time}]</span>
+				<span class="aspirecloud-log-level">[${logLevel.label}]</span>
 				<span class="aspirecloud-log-message">${message}</span>
+				${details ? `<span class="aspirecloud-log-details">${details}</span>` : ''}
+			</div>
 		`;
+	}
 
-		if (details) {
-			logEntry += `<div class="aspirecloud-log-details">${details}</div>`;
+	renderCount() {
+		let text = `Showing ${this.filtered.length} of ${this.entries.length}`;
+		if (this.droppedCount > 0) {
+			text += ` (${this.droppedCount} older entries dropped)`;
 		}
+		jQuery(this.selectors.count).text(text);
+	}
 
-		logEntry += `</div>`;
+	// Errors stay visible above the list while it scrolls
+	renderPinnedErrors() {
+		const pinned = jQuery(this.selectors.pinned);
 
-		const logEntries = jQuery(this.selectors.entries);
-		logEntries.append(logEntry);
+		if (!this.filters.pinErrors) {
+			pinned.hide().empty();
+			return;
+		}
 
-		// Auto-scroll to bottom
-		const logContent = logEntries.parent()[0];
-		logContent.scrollTop = logContent.scrollHeight;
+		const errors = this.entries.filter(entry => entry.level === 'ERROR');
+		const html = errors.length > 0 ?
+			errors.slice(-this.virtualization.maxPinned).map(entry => this.renderEntry(entry, 0)).join('') :
+			'<div class="aspirecloud-log-pinned-empty">No errors logged</div>';
 
-		// Also log to console for debugging
-		console.log(`[AspireCloud ${logLevel.label}] ${message}`, details || '');
+		pinned.html(html).show();
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
 	}
 
 	show() {
@@ -101,9 +312,71 @@ class Logger {
 	}
 
 	clear() {
-		jQuery(this.selectors.entries).empty();
+		this.entries = [];
+		this.filtered = [];
+		this.droppedCount = 0;
 		this.log('INFO', 'Log cleared');
 	}
+
+	getEntries() {
+		return this.entries.slice();
+	}
+
+	/**
+	 * Download all entries as a file
+	 * @param {string} format - 'json', 'csv' or 'text'
+	 */
+	export(format) {
+		const formats = {
+			json: { extension: 'json', type: 'application/json', build: () => this.toJson() },
+			csv: { extension: 'csv', type: 'text/csv', build: () => this.toCsv() },
+			text: { extension: 'txt', type: 'text/plain', build: () => this.toText() }
+		};
+		const selected = formats[format] || formats.json;
+
+		const blob = new Blob([selected.build()], { type: `${selected.type};charset=utf-8` });
+		const url = URL.createObjectURL(blob);
+		const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `aspirecloud-log-${stamp}.${selected.extension}`;
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+
+		// Give the browser a moment to start the download before releasing the blob
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	toJson() {
+		const entries = this.entries.map(entry => ({
+			timestamp: entry.timestamp,
+			level: entry.level,
+			message: entry.message,
+			details: entry.details
+		}));
+
+		return JSON.stringify(entries, null, 2);
+	}
+
+	toCsv() {
+		const escape = (value) => {
+			const text = value === null ? '' : String(value);
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		};
+
+		const rows = this.entries.map(entry =>
+			[entry.timestamp, entry.level, entry.message, entry.details].map(escape).join(','));
+
+		return ['timestamp,level,message,details'].concat(rows).join('\r\n');
+	}
+
+	toText() {
+		return this.entries.map(entry =>
+			`[${entry.timestamp}] [${entry.level}] ${entry.message}${entry.details ? ` - ${entry.details}` : ''}`
+		).join('\n');
+	}
 }
 
 // Export for use in other modules
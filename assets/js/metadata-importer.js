@@ -12,7 +12,7 @@
  * - Comprehensive logging of all operations, retries, and failures
  * - Progress tracking and statistics reporting
  *
- * Dependencies: PerformanceTracker, Logger classes
+ * Dependencies: BatchRunner, PerformanceTracker, RequestTracker, Logger classes
  */
 
 class MetadataImporter {
@@ -20,32 +20,16 @@ class MetadataImporter {
 		this.parent = parent;
 		this.progressBar = null;
 		this.config = {
-			batch: 1,
-			totalBatches: 0,
 			totalAssets: 0, // Store total assets count
 			batchSize: aspirecloud_ajax.metadata_batch_size || 25,
 			restTime: 10000, // 10 seconds
+			restEvery: 50, // Rest after every 50th batch
 			importedCount: 0,
-			parallelBatches: 5,
-			activeBatches: 0
+			parallelBatches: 5
 		};
 
-		// Retry configuration
-		this.retryConfig = {
-			maxRetries: 3,
-			retryDelay: 2000, // 2 seconds delay between retries
-			retryMap: new Map() // Track retry attempts per batch
-		};
-
-		// Loop protection safeguards
-		this.loopProtection = {
-			maxProcessCalls: 500,           // Maximum calls to processNextBatch
-			processCalls: 0,                // Current call count
-			lastProcessTime: 0,             // Last process timestamp
-			stuckDetectionInterval: 30000,  // 30 seconds to detect stuck state
-			maxBatchTime: 180000,           // 3 minutes max for any batch
-			activeBatchTimes: new Map()     // Track when each batch started
-		};
+		// Batches that failed permanently, kept for checkpoints
+		this.failedBatches = [];
 
 		// Initialize performance tracker
 		this.performanceTracker = new PerformanceTracker({
@@ -53,6 +37,31 @@ class MetadataImporter {
 			logger: this.parent.logger,
 			context: 'metadata'
 		});
+
+		// Track outstanding requests and timers so the phase can be cancelled
+		this.requestTracker = new RequestTracker();
+
+		// Concurrency, retries and loop protection for the metadata batches
+		this.runner = new BatchRunner({
+			label: 'metadata batch',
+			labelPlural: 'metadata batches',
+			logger: this.parent.logger,
+			requestTracker: this.requestTracker,
+			performanceTracker: this.performanceTracker,
+			batchDelay: 100,
+			maxRetryDelay: 20000, // Max 20 seconds
+			maxProcessCalls: 500,
+			maxBatchTime: 180000, // 3 minutes max for any batch
+			countItems: (data) => data.imported_count,
+			isPaused: () => this.parent.isPaused(),
+			onPaused: (activeBatches) => this.parent.onBatchesPaused(activeBatches),
+			onBatchStart: (batchNumber, info) => this.onBatchStart(batchNumber, info),
+			runBatch: (batchNumber) => this.importBatch(batchNumber),
+			onSuccess: (batchNumber, data, attempt) => this.onBatchSuccess(batchNumber, data, attempt),
+			onFailure: (batchNumber, failure) => this.onBatchFailure(batchNumber, failure),
+			onComplete: () => this.complete(),
+			onEmergencyStop: (reason) => this.handleEmergencyStop(reason)
+		});
 	}
 
 	setProgressBar(progressBar) {
@@ -60,22 +69,16 @@ class MetadataImporter {
 	}
 
 	reset() {
-		this.config.batch = 1;
-		this.config.totalBatches = 0;
 		this.config.totalAssets = 0;
 		this.config.importedCount = 0;
-		this.config.activeBatches = 0;
-
-		// Reset retry tracking
-		this.retryConfig.retryMap.clear();
+		this.failedBatches = [];
 
-		// Reset performance tracking
-		this.performanceTracker.reset();
-		this.config.parallelBatches = this.performanceTracker.getMaxParallelBatches();
+		// Forget batches, retries, requests and timers from any previous run
+		this.runner.reset();
 	}
 
 	getConfig() {
-		return this.config;
+		return Object.assign({}, this.config, this.runner.getState());
 	}
 
 	getImportedCount() {
@@ -86,16 +89,61 @@ class MetadataImporter {
 		return this.config.totalAssets;
 	}
 
+	getFailedBatches() {
+		return this.failedBatches.slice();
+	}
+
+	/**
+	 * Get the position to resume this phase from
+	 * @returns {Object} Checkpoint fields for this phase
+	 */
+	getCheckpoint() {
+		return Object.assign(this.runner.getCheckpoint(), {
+			totalAssets: this.config.totalAssets
+		});
+	}
+
+	/**
+	 * Restore counters and position from a saved checkpoint
+	 * @param {Object} checkpoint - Checkpoint saved by ImportCheckpoint
+	 */
+	restore(checkpoint) {
+		this.config.importedCount = checkpoint.importedCount || 0;
+		this.failedBatches = (checkpoint.failedBatches || []).filter(failed => failed.phase === 'metadata');
+
+		if (checkpoint.phase === 'metadata') {
+			this.runner.restore(checkpoint.nextBatch, checkpoint.totalBatches);
+			this.config.totalAssets = checkpoint.totalAssets || 0;
+		}
+	}
+
+	/**
+	 * Re-run only the given batches, e.g. those that failed permanently in an earlier run
+	 * @param {Array} batches - Batch numbers to process
+	 */
+	startRetry(batches) {
+		this.runner.setQueue(batches);
+
+		this.parent.logger.log('INFO', `Retrying ${this.runner.getTotalBatches()} failed metadata batches`, `Batches: ${this.runner.getQueue().join(', ')}`);
+		this.updateProgress();
+		this.processNextBatch();
+	}
+
+	isRetrying() {
+		return this.runner.isRetrying();
+	}
+
+	// Share of this phase's batches that have finished, successfully or not
+	getCompletedFraction() {
+		return this.runner.getCompletedFraction();
+	}
+
 	/**
 	 * Get retry statistics for monitoring
 	 * @returns {Object} Retry statistics
 	 */
 	getRetryStatistics() {
-		return {
-			activeRetries: this.retryConfig.retryMap.size,
-			retryMap: new Map(this.retryConfig.retryMap), // Return a copy
-			maxRetries: this.retryConfig.maxRetries
-		};
+		return this.runner.getRetryStatistics();
 	}
 
 	start() {
@@ -104,17 +152,18 @@ class MetadataImporter {
 		if (this.progressBar) {
 			this.progressBar.show();
 			this.progressBar.updateStatus(aspirecloud_ajax.strings.getting_total_count || 'Getting total count...');
+			this.progressBar.updateSegment('metadata', { state: 'running' });
 		}
 
 		// First get the total count
-		this.parent.getTotalAssetsCount()
+		this.requestTracker.track(this.parent.getTotalAssetsCount())
 			.done((response) => {
 				if (response.success) {
 					this.config.totalAssets = response.data.total;
-					this.config.totalBatches = Math.ceil(response.data.total / this.config.batchSize);
+					this.runner.setTotalBatches(Math.ceil(response.data.total / this.config.batchSize));
 
 					this.parent.logger.log('SUCCESS', `Total asset count retrieved: ${response.data.total} items`,
-						`Will process in ${this.config.totalBatches} batches of ${this.config.batchSize} items each`);
+						`Will process in ${this.runner.getTotalBatches()} batches of ${this.config.batchSize} items each`);
 
 					if (this.progressBar) {
 						this.progressBar.updateStatus(aspirecloud_ajax.strings.starting_metadata_import || 'Starting metadata import...');
@@ -128,235 +177,124 @@ class MetadataImporter {
 				}
 			})
 			.fail(() => {
+				if (this.requestTracker.isCancelled()) return;
+
 				this.parent.logger.log('ERROR', 'AJAX request failed while getting total asset count');
 				this.parent.handleError(aspirecloud_ajax.strings.error);
 			});
 	}
 
 	processNextBatch() {
-		// Loop protection - check for excessive calls
-		this.loopProtection.processCalls++;
-		const currentTime = Date.now();
-
-		// Reset counter if enough time has passed
-		if (currentTime - this.loopProtection.lastProcessTime > this.loopProtection.stuckDetectionInterval) {
-			this.loopProtection.processCalls = 1;
-		}
-		this.loopProtection.lastProcessTime = currentTime;
-
-		// Emergency brake for infinite loops
-		if (this.loopProtection.processCalls > this.loopProtection.maxProcessCalls) {
-			this.parent.logger.log('ERROR: Too many processNextBatch calls detected - emergency stop', 'error');
-			this.handleEmergencyStop('MAX_PROCESS_CALLS_EXCEEDED');
-			return;
-		}
-
-		// Check for stuck batches
-		this.cleanupStuckBatches();
-
-		// Start parallel batches
-		while (this.config.activeBatches < this.config.parallelBatches &&
-			this.config.batch <= this.config.totalBatches) {
-
-			const currentBatch = this.config.batch;
-			this.config.batch++;
-			this.config.activeBatches++;
-
-			this.processSingleBatch(currentBatch);
-		}
-
-		// Check if all batches are complete
-		if (this.config.batch > this.config.totalBatches) {
-			if (this.config.activeBatches === 0) {
-				this.complete();
-			} else {
-				// Wait a bit longer for active batches to complete
-				this.parent.logger.log(`Waiting for ${this.config.activeBatches} active metadata batches to complete...`, 'warning');
-				setTimeout(() => {
-					this.processNextBatch();
-				}, 1000);
-			}
-		}
+		this.runner.processNextBatch();
 	}
 
-	processSingleBatch(batchNumber) {
-		const self = this;
-		const startTime = Date.now();
-
-		// Track when this batch started for stuck detection
-		this.loopProtection.activeBatchTimes.set(batchNumber, startTime);
-
-		// Update parallel batch count from performance tracker
-		this.config.parallelBatches = this.performanceTracker.getCurrentParallelBatches();
-
-		// Check retry count for this batch
-		const retryCount = this.retryConfig.retryMap.get(batchNumber) || 0;
-		const retryText = retryCount > 0 ? ` (Retry ${retryCount}/${this.retryConfig.maxRetries})` : '';
+	onBatchStart(batchNumber, info) {
+		if (!this.progressBar) return;
 
-		// Update status
-		const statusText = (aspirecloud_ajax.strings.importing_metadata_batch || 'Importing metadata batch %1$d of %2$d...')
+		const statusText = (this.parent.config.dryRun
+			? aspirecloud_ajax.strings.checking_metadata_batch || 'Comparing metadata batch %1$d of %2$d...'
+			: aspirecloud_ajax.strings.importing_metadata_batch || 'Importing metadata batch %1$d of %2$d...')
 			.replace('%1$d', batchNumber)
-			.replace('%2$d', this.config.totalBatches);
-
-		this.parent.logger.log('INFO', `Processing metadata batch ${batchNumber}/${this.config.totalBatches}${retryText}`,
-			`Parallel batches active: ${this.config.activeBatches}, Max: ${this.config.parallelBatches}`);
-
-		if (this.progressBar) {
-			this.progressBar.updateStatus(statusText + ` (Processing ${this.config.activeBatches} batches in parallel, Max: ${this.config.parallelBatches})`);
-		}
-
-		// Import metadata batch
-		this.importBatch(batchNumber)
-			.done(function (response) {
-				const duration = Date.now() - startTime;
-				self.performanceTracker.recordCallDuration(duration);
-
-				// Clean up batch tracking
-				self.loopProtection.activeBatchTimes.delete(batchNumber);
-				self.config.activeBatches = Math.max(0, self.config.activeBatches - 1);
-
-				if (response.success) {
-					// Remove from retry map on success
-					self.retryConfig.retryMap.delete(batchNumber);
-
-					self.config.importedCount += response.data.imported_count;
-
-					// Safely handle average duration calculation
-					const avgDuration = self.performanceTracker.getAverageDuration();
-					const avgDurationText = isNaN(avgDuration) ? '0' : avgDuration.toFixed(0);
-
-					self.parent.logger.log('SUCCESS', `Metadata batch ${batchNumber} completed in ${duration}ms${retryText}`,
-						`Imported: ${response.data.imported_count} items, Total: ${self.config.importedCount}, Avg: ${avgDurationText}ms`);
+			.replace('%2$d', this.runner.getTotalBatches());
 
-					// Add errors if any
-					if (response.data.errors && response.data.errors.length > 0) {
-						self.parent.logger.log('WARNING', `Batch ${batchNumber} completed with ${response.data.errors.length} warnings`);
-						self.parent.addError(response.data.errors);
-					}
-
-					self.updateProgress();
-
-					// Check if we should rest (every 50 batches)
-					if (batchNumber % 50 === 0) {
-						self.parent.logger.log('INFO', `Resting after batch ${batchNumber} (every 50 batches)`);
-						if (self.progressBar) {
-							self.progressBar.updateStatus(aspirecloud_ajax.strings.resting_metadata || 'Resting before next metadata batch...');
-						}
-						setTimeout(function () {
-							self.processNextBatch();
-						}, self.config.restTime);
-					} else {
-						setTimeout(function () {
-							self.processNextBatch();
-						}, 100);
-					}
-				} else {
-					self.parent.logger.log('ERROR', `Metadata batch ${batchNumber} failed after ${duration}ms${retryText}`, response.data || aspirecloud_ajax.strings.error);
-					self.handleBatchFailure(batchNumber, response.data || aspirecloud_ajax.strings.error);
-				}
-			})
-			.fail(function (jqXHR, textStatus, errorThrown) {
-				const duration = Date.now() - startTime;
-				self.performanceTracker.recordCallDuration(duration);
-
-				// Clean up batch tracking
-				self.loopProtection.activeBatchTimes.delete(batchNumber);
-				self.config.activeBatches = Math.max(0, self.config.activeBatches - 1);
-
-				const errorMsg = `AJAX request failed: ${textStatus} - ${errorThrown}`;
-				self.parent.logger.log('ERROR', `AJAX request failed for metadata batch ${batchNumber} after ${duration}ms${retryText}`, errorMsg);
-				self.handleBatchFailure(batchNumber, errorMsg);
-			});
+		this.progressBar.updateStatus(statusText + ` (Processing ${info.activeBatches} batches in parallel, Max: ${info.parallelBatches})`);
 	}
 
 	/**
-	 * Handle batch failure with retry logic
-	 * @param {number} batchNumber - The batch number that failed
-	 * @param {string} errorMessage - The error message
+	 * Count a successful batch
+	 * @returns {number|undefined} Rest time before the next batch, if due
 	 */
-	handleBatchFailure(batchNumber, errorMessage) {
-		const self = this;
-		const currentRetries = this.retryConfig.retryMap.get(batchNumber) || 0;
-
-		// Circuit breaker: Check if too many failures are happening
-		const recentFailures = Array.from(this.retryConfig.retryMap.values()).reduce((sum, count) => sum + count, 0);
-		const maxTotalRetries = this.config.totalBatches * 2; // Allow max 2 retries per batch total
-
-		if (recentFailures > maxTotalRetries) {
-			this.parent.logger.log('ERROR', 'Circuit breaker triggered - too many metadata failures across all batches', `${recentFailures} total retries exceed limit of ${maxTotalRetries}`);
-			this.handleEmergencyStop('CIRCUIT_BREAKER_TRIGGERED');
-			return;
-		}
+	onBatchSuccess(batchNumber, data, attempt) {
+		this.config.importedCount += data.imported_count;
 
-		if (currentRetries < this.retryConfig.maxRetries) {
-			// Increment retry count
-			this.retryConfig.retryMap.set(batchNumber, currentRetries + 1);
+		// Safely handle average duration calculation
+		const avgDuration = this.performanceTracker.getAverageDuration();
+		const avgDurationText = isNaN(avgDuration) ? '0' : avgDuration.toFixed(0);
 
-			// Exponential backoff for retries
-			const delayMultiplier = Math.pow(2, currentRetries);
-			const retryDelay = Math.min(this.retryConfig.retryDelay * delayMultiplier, 20000); // Max 20 seconds
+		this.parent.logger.log('SUCCESS', `Metadata batch ${batchNumber} completed in ${attempt.duration}ms${attempt.retryText}`,
+			`Imported: ${data.imported_count} items, Total: ${this.config.importedCount}, Avg: ${avgDurationText}ms`);
 
-			this.parent.logger.log('WARNING', `Retrying metadata batch ${batchNumber} (attempt ${currentRetries + 1}/${this.retryConfig.maxRetries})`,
-				`Will retry in ${retryDelay}ms`);
+		// A dry run reports what would change instead of importing
+		if (data.dry_run) {
+			this.parent.dryRunReport.add(data.dry_run);
+		}
 
-			// Retry after exponential backoff delay
-			setTimeout(function() {
-				self.processSingleBatch(batchNumber);
-			}, retryDelay);
-		} else {
-			// Max retries exceeded, give up on this batch
-			this.parent.logger.log('ERROR', `Metadata batch ${batchNumber} failed permanently after ${this.retryConfig.maxRetries} retries`,
-				`Error: ${errorMessage}`);
+		// Add errors if any
+		if (data.errors && data.errors.length > 0) {
+			this.parent.logger.log('WARNING', `Batch ${batchNumber} completed with ${data.errors.length} warnings`);
+			this.parent.addError(data.errors, { phase: 'metadata', batch: batchNumber, retries: attempt.retries });
+		}
 
-			// Remove from retry map
-			this.retryConfig.retryMap.delete(batchNumber);
+		this.updateProgress();
+		this.parent.saveCheckpoint();
 
-			// Decrement active batches counter (was missing in retry path)
-			this.config.activeBatches = Math.max(0, this.config.activeBatches - 1);
+		// Check if we should rest
+		if (batchNumber % this.config.restEvery === 0) {
+			this.parent.logger.log('INFO', `Resting after batch ${batchNumber} (every ${this.config.restEvery} batches)`);
+			if (this.progressBar) {
+				this.progressBar.updateStatus(aspirecloud_ajax.strings.resting_metadata || 'Resting before next metadata batch...');
+			}
+			return this.config.restTime;
+		}
+	}
 
-			// Continue with next batch instead of failing entire import
-			setTimeout(function () {
-				self.processNextBatch();
-			}, 100);
+	// Record a batch that failed permanently; the import continues with the next batch
+	onBatchFailure(batchNumber, failure) {
+		this.failedBatches.push({
+			phase: 'metadata',
+			batch: batchNumber,
+			category: failure.category,
+			httpStatus: failure.httpStatus,
+			message: failure.message
+		});
 
-			// Add error to parent but don't stop the import
-			this.parent.addError(`Metadata batch ${batchNumber} failed permanently: ${errorMessage}`);
-		}
+		this.parent.addError(`Metadata batch ${batchNumber} failed permanently (${failure.reason}): ${failure.message}`, {
+			phase: 'metadata',
+			batch: batchNumber,
+			category: failure.category,
+			httpStatus: failure.httpStatus,
+			retries: failure.retries
+		});
+		this.updateProgress();
+		this.parent.saveCheckpoint();
 	}
 
 	importBatch(page) {
 		const action = this.parent.config.assetType === 'plugins' ? 'import_plugin_metadata_batch' : 'import_theme_metadata_batch';
 
-		return jQuery.ajax({
+		return this.requestTracker.track(jQuery.ajax({
 			url: aspirecloud_ajax.ajax_url,
 			type: 'POST',
 			data: {
 				action: action,
 				page: page,
 				per_page: this.config.batchSize,
+				dry_run: this.parent.config.dryRun ? 1 : 0,
+				// A retried page is not the start or end of a run, so the server skips the run side effects
+				retry: this.isRetrying() ? 1 : 0,
 				nonce: aspirecloud_ajax.nonce
 			}
-		});
+		}));
 	}
 
 	updateProgress() {
 		if (!this.progressBar) return;
 
-		// Calculate progress based on which phases are selected
-		let maxProgress = 50; // Default 50% for metadata phase
-		if (this.parent.config.importMetadata && !this.parent.config.importFiles) {
-			// Only metadata phase selected, use full 100%
-			maxProgress = 100;
-		} else if (this.parent.config.importMetadata && this.parent.config.importFiles) {
-			// Both phases selected, metadata gets 50%
-			maxProgress = 50;
-		}
+		const fraction = this.getCompletedFraction();
 
-		const percentage = Math.round((this.config.batch - 1) / this.config.totalBatches * maxProgress);
-		this.progressBar.updateProgress(percentage);
+		// A retry only covers a few batches, so the full asset total does not apply
+		this.progressBar.updateSegment('metadata', {
+			fraction: fraction,
+			completed: this.config.importedCount,
+			total: this.isRetrying() ? null : this.config.totalAssets,
+			state: 'running'
+		});
+		this.progressBar.recordCompleted(fraction, this.config.importedCount, 'metadata');
 
 		// Use the actual total assets count
-		const itemsText = aspirecloud_ajax.strings.metadata_imported || 'Metadata imported: %1$d of %2$d';
+		const itemsText = this.parent.config.dryRun
+			? aspirecloud_ajax.strings.metadata_compared || 'Metadata compared: %1$d of %2$d'
+			: aspirecloud_ajax.strings.metadata_imported || 'Metadata imported: %1$d of %2$d';
 		const detailsText = itemsText
 			.replace('%1$d', this.config.importedCount)
 			.replace('%2$d', this.config.totalAssets);
@@ -367,13 +305,12 @@ class MetadataImporter {
 	complete() {
 		// Log completion summary with retry statistics
 		const retryStats = this.getRetryStatistics();
-		const totalRetries = Array.from(retryStats.retryMap.values()).reduce((sum, count) => sum + count, 0);
 
 		this.parent.logger.log('SUCCESS', 'Metadata import phase completed',
-			`Total imported: ${this.config.importedCount}, Failed batches: ${this.parent.errors.length}, Total retries: ${totalRetries}`);
+			`Total imported: ${this.config.importedCount}, Failed batches: ${this.failedBatches.length}, Total retries: ${retryStats.totalRetries}`);
 
-		if (retryStats.activeRetries > 0) {
-			this.parent.logger.log('WARNING', `${retryStats.activeRetries} batches have retry attempts in progress`);
+		if (this.progressBar) {
+			this.progressBar.updateSegment('metadata', { completed: this.config.importedCount, state: 'done' });
 		}
 
 		// Notify parent that metadata import is complete
@@ -381,51 +318,18 @@ class MetadataImporter {
 	}
 
 	/**
-	 * Clean up batches that have been active for too long
+	 * Cancel the phase: abort in-flight batches and drop pending retries and rest timers
+	 *
+	 * @returns {Object} Number of aborted requests and cleared timers
 	 */
-	cleanupStuckBatches() {
-		const currentTime = Date.now();
-		const stuckBatches = [];
-
-		for (const [batchNumber, startTime] of this.loopProtection.activeBatchTimes) {
-			if (currentTime - startTime > this.loopProtection.maxBatchTime) {
-				stuckBatches.push(batchNumber);
-			}
-		}
-
-		if (stuckBatches.length > 0) {
-			this.parent.logger.log(`Cleaning up ${stuckBatches.length} stuck metadata batches: ${stuckBatches.join(', ')}`, 'warning');
-
-			for (const batchNumber of stuckBatches) {
-				this.loopProtection.activeBatchTimes.delete(batchNumber);
-				this.config.activeBatches = Math.max(0, this.config.activeBatches - 1);
-
-				// Log the stuck batch
-				this.parent.logger.log(`Metadata batch ${batchNumber} was stuck for ${this.loopProtection.maxBatchTime/1000}s - force cleaned`, 'warning');
-			}
-		}
+	cancel() {
+		return this.runner.cancel();
 	}
 
-	/**
-	 * Handle emergency stop scenarios
-	 */
+	// The runner has already aborted the phase; fail the import instead of moving on
 	handleEmergencyStop(reason) {
-		this.parent.logger.log(`Emergency stop triggered: ${reason}`, 'error');
-
-		// Clear all tracking
-		this.loopProtection.activeBatchTimes.clear();
-		this.config.activeBatches = 0;
-
-		// Add error to parent
-		this.parent.addError(`Metadata import process emergency stopped: ${reason}. Please try again or contact support.`);
-
-		// Complete with error state
-		this.parent.onPhaseComplete('metadata', {
-			imported: this.config.importedCount,
-			errors: this.parent.errors,
-			emergencyStop: true,
-			reason: reason
-		});
+		this.parent.addError(`Metadata import process emergency stopped: ${reason}. Please try again or contact support.`, { phase: 'metadata', category: 'emergency_stop' });
+		this.parent.handleError(`Metadata import stopped: ${reason}`);
 	}
 }
 
@@ -0,0 +1,332 @@
+/**
+ * PerformanceDashboard Class
+ *
+ * Collapsible panel of live charts for the import batches: per-batch latency,
+ * throughput in items per minute, current versus maximum parallel batches,
+ * and retries, failures and throttling over time. Each context (metadata and
+ * download) has its own set of charts, fed by its PerformanceTracker.
+ *
+ * Dependencies: PerformanceTracker class
+ */
+
+class PerformanceDashboard {
+	/**
+	 * @param {Object} trackers - PerformanceTracker instances keyed by context, e.g. { metadata, download }
+	 */
+	constructor(trackers) {
+		this.trackers = trackers;
+
+		// Element selectors
+		this.selectors = {
+			container: '.aspirecloud-perf-container',
+			toggle: '.aspirecloud-perf-toggle',
+			toggleText: '.aspirecloud-perf-toggle-text',
+			content: '.aspirecloud-perf-content',
+			chart: '.aspirecloud-perf-chart',
+			stats: '.aspirecloud-perf-stats'
+		};
+
+		this.config = {
+			maxEvents: 2000, // Per context; the oldest batches drop off the charts
+			throughputWindow: 60000, // Items per minute are counted over this trailing window
+			padding: { top: 10, right: 10, bottom: 20, left: 48 }
+		};
+
+		// Same palette as the log levels
+		this.colors = {
+			primary: '#2271b1',
+			success: '#00a32a',
+			warning: '#dba617',
+			error: '#d63638',
+			muted: '#646970',
+			grid: '#dcdcde'
+		};
+
+		this.events = {};
+		this.renderFrame = null;
+
+		Object.keys(this.trackers).forEach((context) => {
+			this.events[context] = [];
+			this.trackers[context].addListener((event) => this.record(context, event));
+		});
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('click', this.selectors.toggle, () => {
+			const content = jQuery(this.selectors.content);
+			const toggleText = jQuery(this.selectors.toggleText);
+
+			if (content.is(':visible')) {
+				content.hide();
+				toggleText.text('Show');
+			} else {
+				content.show();
+				toggleText.text('Hide');
+				this.scheduleRender();
+			}
+		});
+
+		jQuery(window).on('resize', () => this.scheduleRender());
+	}
+
+	record(context, event) {
+		// A tracker reset marks the start of a new run for that context
+		if (event.type === 'reset') {
+			this.events[context] = [];
+		} else {
+			this.events[context].push(event);
+
+			if (this.events[context].length > this.config.maxEvents) {
+				this.events[context].shift();
+			}
+		}
+
+		this.scheduleRender();
+	}
+
+	isVisible() {
+		return jQuery(this.selectors.content).is(':visible');
+	}
+
+	// Charts are only drawn while the panel is open, at most once per frame
+	scheduleRender() {
+		if (this.renderFrame || !this.isVisible()) return;
+
+		const schedule = window.requestAnimationFrame || ((callback) => setTimeout(callback, 16));
+		this.renderFrame = schedule(() => {
+			this.renderFrame = null;
+			this.render();
+		});
+	}
+
+	render() {
+		Object.keys(this.trackers).forEach((context) => {
+			const series = this.buildSeries(context);
+
+			this.renderStats(context);
+
+			jQuery(`${this.selectors.chart}[data-context="${context}"]`).each((index, canvas) => {
+				const chart = jQuery(canvas).data('chart');
+				if (series[chart]) {
+					this.drawChart(canvas, series[chart].lines, series[chart].unit);
+				}
+			});
+		});
+	}
+
+	renderStats(context) {
+		const stats = this.trackers[context].getStats();
+		const element = jQuery(`${this.selectors.stats}[data-context="${context}"]`);
+
+		if (this.events[context].length === 0) {
+			element.text('No batches recorded yet.');
+			return;
+		}
+
+		element.text(`Batches: ${stats.callCount}, ` +
+			`p50: ${stats.p50.toFixed(0)}ms, p95: ${stats.p95.toFixed(0)}ms, ` +
+			`Parallel: ${stats.currentParallelBatches}/${stats.maxParallelBatches}, ` +
+			`Throttled: ${stats.throttleCount}`);
+	}
+
+	/**
+	 * Turn the recorded events of a context into chart lines
+	 * @param {string} context - Tracker context
+	 * @returns {Object} Lines and unit per chart name
+	 */
+	buildSeries(context) {
+		const events = this.events[context];
+		const batches = events.filter(event => event.type === 'batch');
+
+		// Items finished in the trailing window, scaled to a minute
+		let windowStart = 0;
+		let windowItems = 0;
+		const throughput = batches.map((batch) => {
+			windowItems += batch.items;
+			while (batches[windowStart].time <= batch.time - this.config.throughputWindow) {
+				windowItems -= batches[windowStart].items;
+				windowStart++;
+			}
+
+			const span = Math.max(1000, Math.min(this.config.throughputWindow, batch.time - batches[0].time));
+			return [batch.time, windowItems * 60000 / span];
+		});
+
+		let retries = 0;
+		let failures = 0;
+		let throttles = 0;
+		const retryPoints = [];
+		const failurePoints = [];
+		const throttlePoints = [];
+
+		events.forEach((event) => {
+			if (event.type === 'throttle') {
+				throttles++;
+			} else {
+				retries += event.retries > 0 ? 1 : 0;
+				failures += event.failed ? 1 : 0;
+			}
+
+			retryPoints.push([event.time, retries]);
+			failurePoints.push([event.time, failures]);
+			throttlePoints.push([event.time, throttles]);
+		});
+
+		return {
+			latency: {
+				unit: 'ms',
+				lines: [
+					{ color: this.colors.primary, points: batches.map(batch => [batch.time, batch.duration]) },
+					{ color: this.colors.error, dots: true, points: batches.filter(batch => batch.failed).map(batch => [batch.time, batch.duration]) }
+				]
+			},
+			throughput: {
+				unit: '/min',
+				lines: [
+					{ color: this.colors.success, points: throughput }
+				]
+			},
+			parallel: {
+				unit: '',
+				lines: [
+					{ color: this.colors.muted, step: true, dashed: true, points: events.map(event => [event.time, event.maxParallel]) },
+					{ color: this.colors.primary, step: true, points: events.map(event => [event.time, event.parallel]) }
+				]
+			},
+			errors: {
+				unit: '',
+				lines: [
+					{ color: this.colors.warning, step: true, points: retryPoints },
+					{ color: this.colors.error, step: true, points: failurePoints },
+					{ color: this.colors.muted, step: true, points: throttlePoints }
+				]
+			}
+		};
+	}
+
+	/**
+	 * Draw a time series chart
+	 * @param {HTMLCanvasElement} canvas - Target canvas, sized by CSS
+	 * @param {Array} lines - { color, points: [[time, value]], step, dashed, dots }
+	 * @param {string} unit - Suffix for the value axis labels
+	 */
+	drawChart(canvas, lines, unit) {
+		const ratio = window.devicePixelRatio || 1;
+		const width = canvas.clientWidth;
+		const height = canvas.clientHeight;
+
+		canvas.width = width * ratio;
+		canvas.height = height * ratio;
+
+		const ctx = canvas.getContext('2d');
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.clearRect(0, 0, width, height);
+
+		const points = lines.reduce((all, line) => all.concat(line.points), []);
+		if (points.length === 0) return;
+
+		const padding = this.config.padding;
+		const plotWidth = width - padding.left - padding.right;
+		const plotHeight = height - padding.top - padding.bottom;
+
+		const minTime = Math.min(...points.map(point => point[0]));
+		const maxTime = Math.max(minTime + 1000, ...points.map(point => point[0]));
+		const maxValue = this.niceMax(Math.max(...points.map(point => point[1])));
+
+		const x = time => padding.left + (time - minTime) / (maxTime - minTime) * plotWidth;
+		const y = value => padding.top + plotHeight - value / maxValue * plotHeight;
+
+		// Grid and axis labels
+		ctx.font = '10px sans-serif';
+		ctx.fillStyle = this.colors.muted;
+		ctx.strokeStyle = this.colors.grid;
+		ctx.lineWidth = 1;
+		ctx.setLineDash([]);
+
+		[0, 0.5, 1].forEach((fraction) => {
+			const value = maxValue * fraction;
+			ctx.beginPath();
+			ctx.moveTo(padding.left, y(value));
+			ctx.lineTo(width - padding.right, y(value));
+			ctx.stroke();
+
+			ctx.textAlign = 'right';
+			ctx.textBaseline = 'middle';
+			ctx.fillText(`${this.formatValue(value)}${unit}`, padding.left - 4, y(value));
+		});
+
+		ctx.textBaseline = 'top';
+		ctx.textAlign = 'left';
+		ctx.fillText('0s', padding.left, height - padding.bottom + 4);
+		ctx.textAlign = 'right';
+		ctx.fillText(this.formatElapsed(maxTime - minTime), width - padding.right, height - padding.bottom + 4);
+
+		// Series
+		lines.forEach((line) => {
+			if (line.points.length === 0) return;
+
+			ctx.strokeStyle = line.color;
+			ctx.fillStyle = line.color;
+			ctx.lineWidth = 1.5;
+			ctx.setLineDash(line.dashed ? [4, 3] : []);
+
+			if (line.dots) {
+				line.points.forEach((point) => {
+					ctx.beginPath();
+					ctx.arc(x(point[0]), y(point[1]), 2.5, 0, Math.PI * 2);
+					ctx.fill();
+				});
+				return;
+			}
+
+			ctx.beginPath();
+			line.points.forEach((point, index) => {
+				if (index === 0) {
+					ctx.moveTo(x(point[0]), y(point[1]));
+				} else if (line.step) {
+					ctx.lineTo(x(point[0]), y(line.points[index - 1][1]));
+					ctx.lineTo(x(point[0]), y(point[1]));
+				} else {
+					ctx.lineTo(x(point[0]), y(point[1]));
+				}
+			});
+			ctx.stroke();
+		});
+
+		ctx.setLineDash([]);
+	}
+
+	// Round the top of the value axis up to 1, 2 or 5 times a power of ten
+	niceMax(value) {
+		if (value <= 0) return 1;
+
+		const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+		const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+
+		return step * magnitude;
+	}
+
+	formatValue(value) {
+		if (value >= 1000) {
+			return `${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}k`;
+		}
+
+		return Number.isInteger(value) ? String(value) : value.toFixed(1);
+	}
+
+	formatElapsed(milliseconds) {
+		const seconds = Math.round(milliseconds / 1000);
+		const minutes = Math.floor(seconds / 60);
+
+		return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = PerformanceDashboard;
+} else if (typeof window !== 'undefined') {
+	window.PerformanceDashboard = PerformanceDashboard;
+}
@@ -2,8 +2,10 @@
  * PerformanceTracker Class
  *
  * Provides adaptive performance monitoring for AJAX batch operations.
- * Automatically adjusts parallel batch counts based on call duration metrics
- * to maintain optimal performance under varying server load conditions.
+ * Adjusts parallel batch counts from the p50 and p95 latency of a rolling
+ * window of recent calls: additive increase while latency stays near the
+ * healthiest level seen, multiplicative decrease when it degrades, and a
+ * sharp cut when the server answers 429 or 5xx.
  */
 
 class PerformanceTracker {
@@ -12,9 +14,14 @@ class PerformanceTracker {
 	 *
 	 * @param {Object} options Configuration options
 	 * @param {number} options.maxParallelBatches Maximum number of parallel batches allowed
-	 * @param {number} options.baselineCallCount Number of initial calls to establish baseline (default: 5)
-	 * @param {number} options.adjustmentThreshold Threshold for triggering batch count changes (default: 0.5 = 50%)
-	 * @param {number} options.adjustmentCooldown Cooldown period between adjustments in milliseconds (default: 10000)
+	 * @param {number} options.windowSize Number of recent calls in the rolling window (default: 20)
+	 * @param {number} options.windowDuration Calls older than this many milliseconds leave the window (default: 120000)
+	 * @param {number} options.minSamples Calls needed in the window before adjusting (default: 5)
+	 * @param {number} options.adjustmentThreshold p50 increase over the reference latency that counts as degraded (default: 0.5 = 50%)
+	 * @param {number} options.tailThreshold p95 increase over the reference latency that counts as degraded (default: 1.5 = 150%)
+	 * @param {number} options.decreaseFactor Multiplier applied to parallel batches when latency degrades (default: 0.75)
+	 * @param {number} options.errorDecreaseFactor Multiplier applied on 429 and 5xx responses (default: 0.5)
+	 * @param {number} options.adjustmentCooldown Cooldown period between adjustments in milliseconds (default: 5000)
 	 * @param {number} options.minParallelBatches Minimum number of parallel batches (default: 1)
 	 * @param {Logger} options.logger Logger instance for recording performance events
 	 * @param {string} options.context Context identifier for logging (e.g., 'metadata', 'download')
@@ -27,30 +34,64 @@ class PerformanceTracker {
 
 		// Performance tracking configuration
 		this.config = {
-			baselineCallCount: options.baselineCallCount || 10,
-			adjustmentThreshold: options.adjustmentThreshold || 0.3,
-			adjustmentCooldown: options.adjustmentCooldown || 10000,
-			minParallelBatches: options.minParallelBatches || 1
+			windowSize: options.windowSize || 20,
+			windowDuration: options.windowDuration || 120000,
+			minSamples: options.minSamples || 5,
+			adjustmentThreshold: options.adjustmentThreshold || 0.5,
+			tailThreshold: options.tailThreshold || 1.5,
+			decreaseFactor: options.decreaseFactor || 0.75,
+			errorDecreaseFactor: options.errorDecreaseFactor || 0.5,
+			adjustmentCooldown: options.adjustmentCooldown || 5000,
+			minParallelBatches: options.minParallelBatches || 1,
+			referenceDrift: 0.02 // Let the reference latency creep up 2% per check so one fast outlier does not pin it forever
 		};
 
 		// Performance metrics
 		this.metrics = {
-			durations: [],
-			averageDuration: 0,
-			baseline: null,
-			lastAdjustmentTime: 0
+			window: [], // Recent calls as { time, duration }
+			callCount: 0,
+			reference: null, // Lowest window p50 seen: the latency of a healthy server
+			lastAdjustmentTime: 0,
+			holdUntil: 0, // No increases before this time after a throttling response
+			throttleCount: 0
 		};
+
+		// Callbacks that receive every batch, throttle and reset event, e.g. the performance dashboard
+		this.listeners = [];
+	}
+
+	/**
+	 * Receive every event from now on
+	 * @param {Function} listener - Called with { type: 'batch'|'throttle'|'reset', context, time, ... }
+	 */
+	addListener(listener) {
+		this.listeners.push(listener);
+	}
+
+	notify(type, fields = {}) {
+		const event = Object.assign({
+			type: type,
+			context: this.context,
+			time: Date.now(),
+			parallel: this.currentParallelBatches,
+			maxParallel: this.maxParallelBatches
+		}, fields);
+
+		this.listeners.forEach(listener => listener(event));
 	}
 
 	/**
 	 * Reset all performance metrics and restore maximum parallel batches
 	 */
 	reset() {
-		this.metrics.durations = [];
-		this.metrics.averageDuration = 0;
-		this.metrics.baseline = null;
+		this.metrics.window = [];
+		this.metrics.callCount = 0;
+		this.metrics.reference = null;
 		this.metrics.lastAdjustmentTime = 0;
+		this.metrics.holdUntil = 0;
+		this.metrics.throttleCount = 0;
 		this.currentParallelBatches = this.maxParallelBatches;
+		this.notify('reset');
 
 		if (this.logger) {
 			this.logger.log('INFO', `${this.context} performance tracker reset`,
@@ -62,78 +103,149 @@ class PerformanceTracker {
 	 * Record the duration of a completed AJAX call
 	 *
 	 * @param {number} duration Duration in milliseconds
+	 * @param {Object} batch Optional outcome for listeners: items processed, retries so far and whether it failed
 	 */
-	recordCallDuration(duration) {
-		this.metrics.durations.push(duration);
-		this.metrics.averageDuration = this.metrics.durations.reduce((a, b) => a + b, 0) / this.metrics.durations.length;
+	recordCallDuration(duration, batch = {}) {
+		const now = Date.now();
 
-		// Establish baseline after initial calls
-		if (this.metrics.durations.length === this.config.baselineCallCount && !this.metrics.baseline) {
-			this.metrics.baseline = this.metrics.averageDuration;
+		this.metrics.window.push({ time: now, duration: duration });
+		this.metrics.callCount++;
+		this.trimWindow(now);
 
-			if (this.logger) {
-				this.logger.log('INFO', `${this.context} performance baseline established: ${this.metrics.baseline.toFixed(0)}ms`);
-			}
+		if (this.metrics.window.length >= this.config.minSamples) {
+			this.adjustParallelBatchCount();
 		}
 
-		// Only check for adjustments after baseline is established
-		if (this.metrics.baseline && this.metrics.durations.length > this.config.baselineCallCount) {
-			this.adjustParallelBatchCount();
+		this.notify('batch', {
+			duration: duration,
+			items: batch.items || 0,
+			retries: batch.retries || 0,
+			failed: !!batch.failed
+		});
+	}
+
+	/**
+	 * Record the HTTP status of a failed call; 429 and 5xx cut concurrency at once
+	 *
+	 * @param {number} httpStatus HTTP status code, 0 when there was no response
+	 * @returns {boolean} True if parallel batches were reduced
+	 */
+	recordHttpError(httpStatus) {
+		if (httpStatus !== 429 && httpStatus < 500) {
+			return false;
+		}
+
+		const now = Date.now();
+		const previous = this.currentParallelBatches;
+
+		this.metrics.throttleCount++;
+		this.metrics.holdUntil = now + this.config.adjustmentCooldown * 2;
+		this.metrics.lastAdjustmentTime = now;
+		this.currentParallelBatches = Math.max(this.config.minParallelBatches,
+			Math.floor(this.currentParallelBatches * this.config.errorDecreaseFactor));
+		this.notify('throttle', { httpStatus: httpStatus });
+
+		if (this.logger && this.currentParallelBatches !== previous) {
+			this.logger.log('WARNING',
+				`${this.context} server responded with HTTP ${httpStatus}, cutting parallel batches from ${previous} to ${this.currentParallelBatches}`,
+				`No increases for the next ${(this.config.adjustmentCooldown * 2 / 1000).toFixed(0)}s`);
+		}
+
+		return this.currentParallelBatches !== previous;
+	}
+
+	/**
+	 * Drop calls that fell out of the window by count or age
+	 *
+	 * @param {number} now Current timestamp
+	 */
+	trimWindow(now) {
+		const window = this.metrics.window;
+
+		while (window.length > this.config.windowSize ||
+			(window.length > 0 && now - window[0].time > this.config.windowDuration)) {
+			window.shift();
 		}
 	}
 
 	/**
-	 * Adjust parallel batch count based on performance metrics
+	 * Get a latency percentile over the rolling window
+	 *
+	 * @param {number} percentile Percentile between 0 and 100
+	 * @returns {number} Duration in milliseconds, 0 when the window is empty
+	 */
+	getPercentile(percentile) {
+		if (this.metrics.window.length === 0) {
+			return 0;
+		}
+
+		const sorted = this.metrics.window.map(call => call.duration).sort((a, b) => a - b);
+		const index = Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1);
+
+		return sorted[Math.max(0, index)];
+	}
+
+	/**
+	 * Adjust parallel batch count based on the rolling window
 	 *
 	 * @returns {boolean} True if adjustment was made, false otherwise
 	 */
 	adjustParallelBatchCount() {
 		const now = Date.now();
+		const p50 = this.getPercentile(50);
+		const p95 = this.getPercentile(95);
+
+		// Track the healthiest latency seen, drifting up slowly
+		if (this.metrics.reference === null || p50 < this.metrics.reference) {
+			this.metrics.reference = p50;
+
+			if (this.logger && this.metrics.callCount === this.config.minSamples) {
+				this.logger.log('INFO', `${this.context} performance reference established: ${p50.toFixed(0)}ms p50`);
+			}
+		}
 
 		// Don't adjust too frequently
 		if (now - this.metrics.lastAdjustmentTime < this.config.adjustmentCooldown) {
 			return false;
 		}
 
-		const currentAverage = this.metrics.averageDuration;
-		const baseline = this.metrics.baseline;
-		const deviation = (currentAverage - baseline) / baseline;
-		const threshold = this.config.adjustmentThreshold;
+		const reference = this.metrics.reference;
+		this.metrics.reference = Math.min(p50, reference * (1 + this.config.referenceDrift));
+
+		const medianDeviation = reference > 0 ? (p50 - reference) / reference : 0;
+		const tailDeviation = reference > 0 ? (p95 - reference) / reference : 0;
+		const latencyText = `p50: ${p50.toFixed(0)}ms, p95: ${p95.toFixed(0)}ms, Reference: ${reference.toFixed(0)}ms`;
 
-		// If performance is significantly worse than baseline, reduce parallel batches
-		if (deviation > threshold && this.currentParallelBatches > this.config.minParallelBatches) {
-			this.currentParallelBatches = Math.max(this.config.minParallelBatches, this.currentParallelBatches - 1);
+		// Multiplicative decrease when typical or tail latency degrades
+		if ((medianDeviation > this.config.adjustmentThreshold || tailDeviation > this.config.tailThreshold) &&
+			this.currentParallelBatches > this.config.minParallelBatches) {
+			const previous = this.currentParallelBatches;
+			this.currentParallelBatches = Math.max(this.config.minParallelBatches,
+				Math.floor(this.currentParallelBatches * this.config.decreaseFactor));
 			this.metrics.lastAdjustmentTime = now;
 
 			if (this.logger) {
 				this.logger.log('WARNING',
-					`${this.context} performance degraded (${(deviation * 100).toFixed(1)}%), reducing parallel batches to ${this.currentParallelBatches}`,
-					`Average: ${currentAverage.toFixed(0)}ms, Baseline: ${baseline.toFixed(0)}ms`);
+					`${this.context} latency degraded, reducing parallel batches from ${previous} to ${this.currentParallelBatches}`,
+					latencyText);
 			}
 			return true;
 		}
-		// Scale up more aggressively: if we're below max and performance is stable or improving
-		else if (this.currentParallelBatches < this.maxParallelBatches &&
-				 (deviation < threshold || (deviation <= 0 && this.currentParallelBatches < this.maxParallelBatches))) {
-
-			// Additional check: make sure recent performance is consistently good
-			const recentSampleSize = Math.min(5, this.config.baselineCallCount);
-			const recentDurations = this.metrics.durations.slice(-recentSampleSize);
-			const recentAverage = recentDurations.reduce((a, b) => a + b, 0) / recentDurations.length;
-			const recentDeviation = (recentAverage - baseline) / baseline;
-
-			// Scale up if recent performance is stable (not worse than threshold)
-			if (recentDeviation <= threshold) {
-				this.currentParallelBatches = Math.min(this.maxParallelBatches, this.currentParallelBatches + 1);
-				this.metrics.lastAdjustmentTime = now;
-
-				if (this.logger) {
-					this.logger.log('SUCCESS',
-						`${this.context} performance stable, increasing parallel batches to ${this.currentParallelBatches}`,
-						`Recent avg: ${recentAverage.toFixed(0)}ms, Overall avg: ${currentAverage.toFixed(0)}ms, Baseline: ${baseline.toFixed(0)}ms`);
-				}
-				return true;
+
+		// Additive increase while latency stays close to the reference
+		if (medianDeviation <= this.config.adjustmentThreshold / 2 &&
+			tailDeviation <= this.config.tailThreshold &&
+			now >= this.metrics.holdUntil &&
+			this.currentParallelBatches < this.maxParallelBatches) {
+			this.currentParallelBatches++;
+			this.metrics.lastAdjustmentTime = now;
+
+			if (this.logger) {
+				this.logger.log('SUCCESS',
+					`${this.context} performance stable, increasing parallel batches to ${this.currentParallelBatches}`,
+					latencyText);
 			}
+			return true;
 		}
 
 		return false;
@@ -158,30 +270,35 @@ class PerformanceTracker {
 	}
 
 	/**
-	 * Get current average duration
+	 * Get the average duration over the rolling window
 	 *
 	 * @returns {number} Average duration in milliseconds
 	 */
 	getAverageDuration() {
-		return this.metrics.averageDuration;
+		const window = this.metrics.window;
+		if (window.length === 0) {
+			return 0;
+		}
+
+		return window.reduce((sum, call) => sum + call.duration, 0) / window.length;
 	}
 
 	/**
-	 * Get baseline duration
+	 * Get the reference (healthy) latency the window is compared against
 	 *
-	 * @returns {number|null} Baseline duration in milliseconds, or null if not established
+	 * @returns {number|null} Reference duration in milliseconds, or null if not established
 	 */
 	getBaseline() {
-		return this.metrics.baseline;
+		return this.metrics.reference;
 	}
 
 	/**
-	 * Check if baseline has been established
+	 * Check if the reference latency has been established
 	 *
-	 * @returns {boolean} True if baseline is established
+	 * @returns {boolean} True if the reference is established
 	 */
 	hasBaseline() {
-		return this.metrics.baseline !== null;
+		return this.metrics.reference !== null;
 	}
 
 	/**
@@ -191,9 +308,13 @@ class PerformanceTracker {
 	 */
 	getStats() {
 		return {
-			callCount: this.metrics.durations.length,
-			averageDuration: this.metrics.averageDuration,
-			baseline: this.metrics.baseline,
+			callCount: this.metrics.callCount,
+			windowSize: this.metrics.window.length,
+			averageDuration: this.getAverageDuration(),
+			p50: this.getPercentile(50),
+			p95: this.getPercentile(95),
+			baseline: this.metrics.reference,
+			throttleCount: this.metrics.throttleCount,
 			currentParallelBatches: this.currentParallelBatches,
 			maxParallelBatches: this.maxParallelBatches,
 			hasBaseline: this.hasBaseline()
@@ -0,0 +1,313 @@
+/**
+ * PreflightCheck Class
+ *
+ * Checks the slugs of a selective import before anything is imported: lists
+ * tokens that are not valid slugs, asks the server which slugs exist
+ * upstream and which are already stored locally, and shows the local
+ * version next to the one that would be imported. The import starts with
+ * the slugs the user leaves selected.
+ *
+ * Dependencies: BatchRunner classes
+ */
+
+class PreflightCheck {
+	/**
+	 * @param {string} assetType - 'plugins' or 'themes'
+	 * @param {Object} options - Preflight options
+	 * @param {Object} options.logger - Logger instance
+	 * @param {Function} options.onConfirm - (slugs, versions) with the slugs selected for import
+	 * @param {Function} options.onCancel - Called when the user dismisses the report
+	 */
+	constructor(assetType, options = {}) {
+		this.assetType = assetType;
+		this.logger = options.logger;
+		this.onConfirm = options.onConfirm || (() => {});
+		this.onCancel = options.onCancel || (() => {});
+
+		// Element selectors
+		this.selectors = {
+			container: '.aspirecloud-preflight-container',
+			summary: '.aspirecloud-preflight-summary',
+			invalid: '.aspirecloud-preflight-invalid',
+			body: '.aspirecloud-preflight-table tbody',
+			selectAll: '#preflight-select-all',
+			rowCheckbox: '.aspirecloud-preflight-select',
+			confirmButton: '#preflight-confirm-btn',
+			cancelButton: '#preflight-cancel-btn'
+		};
+
+		// Slugs per aspirecloud_preflight_slugs request
+		this.batchSize = 25;
+
+		// Results that are not selected by default; missing ones cannot be selected at all
+		this.unselected = ['current', 'not_found', 'no_version'];
+		this.unavailable = ['not_found', 'no_version'];
+
+		this.slugs = [];
+		this.versions = {};
+		this.invalid = [];
+		this.batches = [];
+		this.results = new Map(); // Slug => server result
+
+		this.runner = new BatchRunner({
+			label: 'preflight batch',
+			labelPlural: 'preflight batches',
+			logger: this.logger,
+			batchDelay: 100,
+			runBatch: (batchNumber) => this.checkBatch(batchNumber),
+			onSuccess: (batchNumber, data) => this.onBatchSuccess(batchNumber, data),
+			onFailure: (batchNumber, failure) => this.onBatchFailure(batchNumber, failure),
+			onComplete: () => this.onComplete(),
+			onEmergencyStop: (reason) => this.onEmergencyStop(reason)
+		});
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('click', this.selectors.confirmButton, (e) => {
+			e.preventDefault();
+			this.confirm();
+		});
+
+		jQuery(document).on('click', this.selectors.cancelButton, (e) => {
+			e.preventDefault();
+			this.cancel();
+		});
+
+		jQuery(document).on('change', this.selectors.selectAll, (e) => {
+			jQuery(`${this.selectors.rowCheckbox}:not(:disabled)`).prop('checked', jQuery(e.currentTarget).is(':checked'));
+			this.renderSummary();
+		});
+
+		jQuery(document).on('change', this.selectors.rowCheckbox, () => this.renderSummary());
+	}
+
+	/**
+	 * Check a list of slugs and show the report
+	 * @param {Array} slugs - Valid, unique slugs
+	 * @param {Object} versions - Exact version per slug, if any
+	 * @param {Array} invalid - Tokens that were dropped because they are not valid slugs
+	 */
+	run(slugs, versions = {}, invalid = []) {
+		this.slugs = slugs.slice();
+		this.versions = versions;
+		this.invalid = invalid.slice();
+		this.results.clear();
+
+		this.batches = [];
+		for (let i = 0; i < this.slugs.length; i += this.batchSize) {
+			this.batches.push(this.slugs.slice(i, i + this.batchSize));
+		}
+
+		if (this.invalid.length > 0) {
+			this.logger.log('WARNING', `${this.invalid.length} entries are not valid slugs and will be ignored`, this.invalid.join(', '));
+		}
+		this.logger.log('INFO', `Preflight: checking ${this.slugs.length} slugs against the ${this.assetType} API`);
+
+		jQuery(this.selectors.body).empty();
+		jQuery(this.selectors.confirmButton).prop('disabled', true);
+		jQuery(this.selectors.selectAll).prop('checked', true);
+		this.renderInvalid();
+		jQuery(this.selectors.container).show();
+
+		if (this.batches.length === 0) {
+			this.onComplete();
+			return;
+		}
+
+		this.renderProgress();
+		this.runner.reset();
+		this.runner.setTotalBatches(this.batches.length);
+		this.runner.processNextBatch();
+	}
+
+	// Whether a report is being built or waiting for confirmation
+	isOpen() {
+		return jQuery(this.selectors.container).is(':visible');
+	}
+
+	checkBatch(batchNumber) {
+		const batchSlugs = this.batches[batchNumber - 1];
+		const versions = {};
+		batchSlugs.filter(slug => this.versions[slug]).forEach((slug) => {
+			versions[slug] = this.versions[slug];
+		});
+
+		return this.runner.requestTracker.track(jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: {
+				action: 'aspirecloud_preflight_slugs',
+				asset_type: this.assetType,
+				slugs: batchSlugs.join(','),
+				versions: JSON.stringify(versions),
+				nonce: aspirecloud_ajax.nonce
+			}
+		}));
+	}
+
+	onBatchSuccess(batchNumber, data) {
+		(data.results || []).forEach(result => this.results.set(result.slug, result));
+
+		// Slugs missing from the response count as failed checks
+		this.batches[batchNumber - 1]
+			.filter(slug => !this.results.has(slug))
+			.forEach(slug => this.results.set(slug, { slug: slug, status: 'error', message: 'No result returned by the server' }));
+
+		this.renderProgress();
+	}
+
+	// A batch that could not be checked does not block the import; its slugs stay selectable as failed checks
+	onBatchFailure(batchNumber, failure) {
+		const batchSlugs = batchNumber > 0
+			? this.batches[batchNumber - 1]
+			: this.slugs.filter(slug => !this.results.has(slug));
+
+		batchSlugs.forEach(slug => this.results.set(slug, { slug: slug, status: 'error', message: failure.message }));
+		this.renderProgress();
+	}
+
+	// Slugs the run never reached are reported as failed checks
+	onEmergencyStop(reason) {
+		this.onBatchFailure(0, { message: reason });
+		this.onComplete();
+	}
+
+	onComplete() {
+		const counts = this.countStatuses();
+
+		this.logger.log('INFO', 'Preflight complete', this.getCountsText(counts));
+		this.render();
+		jQuery(this.selectors.confirmButton).prop('disabled', false);
+	}
+
+	confirm() {
+		const selected = new Set();
+		jQuery(`${this.selectors.rowCheckbox}:checked`).each((index, checkbox) => selected.add(String(jQuery(checkbox).val())));
+
+		const slugs = this.slugs.filter(slug => selected.has(slug));
+		const versions = {};
+		slugs.filter(slug => this.versions[slug]).forEach((slug) => {
+			versions[slug] = this.versions[slug];
+		});
+
+		if (slugs.length === 0) {
+			alert(aspirecloud_ajax.strings.preflight_none_selected || 'Select at least one slug to import.');
+			return;
+		}
+
+		this.logger.log('INFO', `Preflight: ${slugs.length} of ${this.slugs.length} slugs selected for import`);
+		this.hide();
+		this.onConfirm(slugs, versions);
+	}
+
+	cancel() {
+		this.runner.cancel();
+		this.logger.log('INFO', 'Preflight cancelled, nothing was imported');
+		this.hide();
+		this.onCancel();
+	}
+
+	hide() {
+		jQuery(this.selectors.container).hide();
+	}
+
+	countStatuses() {
+		const counts = {};
+		this.results.forEach((result) => {
+			counts[result.status] = (counts[result.status] || 0) + 1;
+		});
+
+		return counts;
+	}
+
+	getStatusLabel(status) {
+		const fallbacks = {
+			new: 'New',
+			update: 'Version differs',
+			current: 'Up to date',
+			not_found: 'Not found upstream',
+			no_version: 'Version not found',
+			error: 'Check failed'
+		};
+
+		return aspirecloud_ajax.strings['preflight_' + status] || fallbacks[status];
+	}
+
+	// e.g. "New: 12, Version differs: 3, Not found upstream: 2"
+	getCountsText(counts) {
+		return ['new', 'update', 'current', 'not_found', 'no_version', 'error']
+			.filter(status => counts[status])
+			.map(status => `${this.getStatusLabel(status)}: ${counts[status]}`)
+			.join(', ');
+	}
+
+	renderProgress() {
+		const text = (aspirecloud_ajax.strings.preflight_checking || 'Checking %1$d of %2$d slugs...')
+			.replace('%1$d', this.results.size)
+			.replace('%2$d', this.slugs.length);
+
+		jQuery(this.selectors.summary).text(text);
+	}
+
+	renderInvalid() {
+		const invalid = jQuery(this.selectors.invalid);
+
+		if (this.invalid.length === 0) {
+			invalid.hide().empty();
+			return;
+		}
+
+		const label = (aspirecloud_ajax.strings.preflight_invalid || '%d entries are not valid slugs and will be ignored:')
+			.replace('%d', this.invalid.length);
+
+		invalid.html(`<strong>${this.escapeHtml(label)}</strong> <code>${this.invalid.map(token => this.escapeHtml(token)).join('</code> <code>')}</code>`).show();
+	}
+
+	render() {
+		jQuery(this.selectors.body).html(this.slugs.map(slug => this.buildRow(slug)).join(''));
+		this.renderSummary();
+	}
+
+	buildRow(slug) {
+		const result = this.results.get(slug) || { status: 'error', message: '' };
+		const disabled = this.unavailable.includes(result.status);
+		const checked = !this.unselected.includes(result.status);
+		const target = this.versions[slug] || result.latest_version || '';
+
+		return `<tr class="aspirecloud-preflight-row aspirecloud-preflight-${result.status}">` +
+			`<td class="check-column"><input type="checkbox" class="aspirecloud-preflight-select" value="${this.escapeHtml(slug)}"${checked ? ' checked' : ''}${disabled ? ' disabled' : ''} /></td>` +
+			`<td class="aspirecloud-slug-name">${this.escapeHtml(slug)}</td>` +
+			`<td class="aspirecloud-slug-status"><span class="aspirecloud-slug-badge">${this.escapeHtml(this.getStatusLabel(result.status))}</span></td>` +
+			`<td>${this.escapeHtml(result.local_version || '')}</td>` +
+			`<td>${this.escapeHtml(target)}${this.versions[slug] ? ' ' + this.escapeHtml(aspirecloud_ajax.strings.preflight_pinned || '(requested)') : ''}</td>` +
+			`<td class="aspirecloud-slug-reason">${this.escapeHtml(result.message || '')}</td>` +
+			'</tr>';
+	}
+
+	// Result counts plus how many slugs are selected
+	renderSummary() {
+		const selectedText = (aspirecloud_ajax.strings.preflight_selected || '%1$d of %2$d selected')
+			.replace('%1$d', jQuery(`${this.selectors.rowCheckbox}:checked`).length)
+			.replace('%2$d', this.slugs.length);
+		const countsText = this.getCountsText(this.countStatuses());
+
+		jQuery(this.selectors.summary).text(countsText ? `${countsText}. ${selectedText}` : selectedText);
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = PreflightCheck;
+} else if (typeof window !== 'undefined') {
+	window.PreflightCheck = PreflightCheck;
+}
@@ -1,6 +1,9 @@
 /**
  * AspireCloud Progress Bar
- * Handles progress bar display and updates
+ * Handles progress bar display and updates, including elapsed time, the
+ * estimated time remaining and the current rate of a running operation.
+ * Multi-phase operations show one segment per phase, each with its own
+ * label, counts and state.
  */
 
 class ProgressBar {
@@ -15,11 +18,28 @@ class ProgressBar {
 			progressFill: '.aspirecloud-progress-fill',
 			status: '#progress-status',
 			details: '#progress-details',
+			timing: '#progress-timing',
+			segments: '.aspirecloud-progress-segments',
 			errors: '.aspirecloud-import-errors',
 			completeClass: 'aspirecloud-import-complete',
-			errorClass: 'aspirecloud-import-error'
+			errorClass: 'aspirecloud-import-error',
+			pausedClass: 'aspirecloud-import-paused',
+			cancelledClass: 'aspirecloud-import-cancelled'
 		};
 
+		// Elapsed time, rate and ETA of the running operation, see recordCompleted()
+		this.timingConfig = {
+			rateWindow: 60000, // The rate is measured over completions in this trailing window
+			minRateSpan: 2000, // Do not estimate from completions closer together than this
+			smoothing: 0.3, // Weight of the newest measurement in the moving average
+			tickInterval: 1000
+		};
+		this.timing = null;
+		this.timingTimer = null;
+
+		// Phase segments keyed by id, in display order; empty for single-phase operations
+		this.segments = new Map();
+
 		// Ensure we have the basic structure
 		this.initializeStructure();
 	}
@@ -40,6 +60,7 @@ class ProgressBar {
 				</div>
 				<div id="progress-status" class="progress-status"></div>
 				<div id="progress-details" class="progress-details"></div>
+				<div id="progress-timing" class="progress-timing"></div>
 			`;
 			this.container.html(progressHtml);
 		}
@@ -64,6 +85,95 @@ class ProgressBar {
 		return this;
 	}
 
+	/**
+	 * Split the bar into one segment per phase
+	 * @param {Array} segments - { id, label } in display order
+	 */
+	setSegments(segments) {
+		this.segments = new Map(segments.map(segment => [segment.id, {
+			id: segment.id,
+			label: segment.label,
+			fraction: 0,
+			completed: 0,
+			total: null,
+			state: 'pending'
+		}]));
+
+		this.container.find(this.selectors.segments).remove();
+
+		if (this.segments.size === 0) {
+			this.container.find(this.selectors.progressBar).show();
+			return this;
+		}
+
+		this.container.find(this.selectors.progressBar)
+			.hide()
+			.after(`<div class="${this.selectors.segments.replace('.', '')}"></div>`);
+
+		this.renderSegments();
+		return this;
+	}
+
+	/**
+	 * Update one phase segment
+	 * @param {string} id - Segment id given to setSegments()
+	 * @param {Object} fields - Any of fraction (0-1), completed, total and state ('pending', 'running', 'done' or 'failed')
+	 */
+	updateSegment(id, fields) {
+		const segment = this.segments.get(id);
+		if (!segment) return this;
+
+		Object.assign(segment, fields);
+		if (segment.state === 'done') {
+			segment.fraction = 1;
+		}
+
+		this.renderSegments();
+		return this;
+	}
+
+	hasSegments() {
+		return this.segments.size > 0;
+	}
+
+	renderSegments() {
+		const strings = typeof aspirecloud_ajax !== 'undefined' ? aspirecloud_ajax.strings : {};
+		const stateLabels = {
+			pending: strings.segment_pending || 'Pending',
+			running: strings.segment_running || 'Running',
+			done: strings.segment_done || 'Done',
+			failed: strings.segment_failed || 'Failed'
+		};
+
+		const html = Array.from(this.segments.values()).map((segment) => {
+			const percentage = Math.round(Math.max(0, Math.min(1, segment.fraction)) * 100);
+			const counts = segment.total ? `${segment.completed} / ${segment.total}` : (segment.completed ? String(segment.completed) : '');
+
+			return `
+				<div class="aspirecloud-progress-segment aspirecloud-progress-segment-${segment.state}" data-segment="${this.escapeHtml(segment.id)}">
+					<div class="aspirecloud-progress-segment-bar">
+						<div class="aspirecloud-progress-segment-fill" style="width: ${percentage}%;"></div>
+					</div>
+					<div class="aspirecloud-progress-segment-label">
+						<strong>${this.escapeHtml(segment.label)}</strong>
+						<span class="aspirecloud-progress-segment-counts">${this.escapeHtml(counts)}</span>
+						<span class="aspirecloud-progress-segment-state">${this.escapeHtml(stateLabels[segment.state] || segment.state)}</span>
+					</div>
+				</div>
+			`;
+		}).join('');
+
+		this.container.find(this.selectors.segments).html(html);
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
 	// Update status text
 	updateStatus(statusText) {
 		this.container.find(this.selectors.status).text(statusText);
@@ -76,8 +186,137 @@ class ProgressBar {
 		return this;
 	}
 
+	/**
+	 * Record how far the current phase has got, after each completed batch
+	 * @param {number} fraction - Share of the phase completed, 0 to 1
+	 * @param {number} items - Items completed so far in the phase
+	 * @param {string} phase - Phase name; a new phase starts a new estimate
+	 */
+	recordCompleted(fraction, items, phase = '') {
+		const now = Date.now();
+
+		if (!this.timing) {
+			this.startTiming();
+		}
+
+		const timing = this.timing;
+		if (timing.phase !== phase) {
+			timing.phase = phase;
+			timing.samples = [];
+			timing.itemRate = null;
+			timing.fractionRate = null;
+		}
+
+		timing.samples.push({ time: now, fraction: fraction, items: items });
+		while (timing.samples.length > 2 && now - timing.samples[0].time > this.timingConfig.rateWindow) {
+			timing.samples.shift();
+		}
+
+		const oldest = timing.samples[0];
+		const span = now - oldest.time;
+
+		if (span >= this.timingConfig.minRateSpan) {
+			const itemRate = (items - oldest.items) / span * 1000;
+			const fractionRate = (fraction - oldest.fraction) / span * 1000;
+			const weight = this.timingConfig.smoothing;
+
+			timing.itemRate = timing.itemRate === null ? itemRate : weight * itemRate + (1 - weight) * timing.itemRate;
+			timing.fractionRate = timing.fractionRate === null ? fractionRate : weight * fractionRate + (1 - weight) * timing.fractionRate;
+		}
+
+		timing.remaining = timing.fractionRate > 0 ? (1 - fraction) / timing.fractionRate * 1000 : null;
+		timing.remainingAt = now;
+
+		this.renderTiming();
+		return this;
+	}
+
+	// Start the elapsed clock; called by reset() so it covers the whole operation
+	startTiming() {
+		this.stopTiming();
+
+		this.timing = {
+			startedAt: Date.now(),
+			pausedAt: null,
+			pausedTotal: 0,
+			phase: null,
+			samples: [],
+			itemRate: null,
+			fractionRate: null,
+			remaining: null,
+			remainingAt: null
+		};
+
+		this.timingTimer = setInterval(() => this.renderTiming(), this.timingConfig.tickInterval);
+		return this;
+	}
+
+	// Freeze the clock with its final values still shown
+	stopTiming() {
+		if (this.timingTimer) {
+			clearInterval(this.timingTimer);
+			this.timingTimer = null;
+		}
+
+		if (this.timing) {
+			this.timing.remaining = null;
+			this.renderTiming();
+		}
+		return this;
+	}
+
+	// Milliseconds the operation has been running, not counting pauses
+	getElapsed() {
+		if (!this.timing) return 0;
+
+		const now = Date.now();
+		const paused = this.timing.pausedTotal + (this.timing.pausedAt ? now - this.timing.pausedAt : 0);
+		return now - this.timing.startedAt - paused;
+	}
+
+	renderTiming() {
+		const element = this.container.find(this.selectors.timing);
+		if (!this.timing) {
+			element.text('');
+			return;
+		}
+
+		const strings = typeof aspirecloud_ajax !== 'undefined' ? aspirecloud_ajax.strings : {};
+		const parts = [(strings.progress_elapsed || 'Elapsed: %s').replace('%s', this.formatDuration(this.getElapsed()))];
+
+		if (this.timingTimer) {
+			if (this.timing.remaining !== null) {
+				// Count down between batches, but never below zero while work remains
+				const since = this.timing.pausedAt ? this.timing.pausedAt - this.timing.remainingAt : Date.now() - this.timing.remainingAt;
+				parts.push((strings.progress_remaining || 'Remaining: about %s').replace('%s', this.formatDuration(Math.max(0, this.timing.remaining - since))));
+			} else if (this.timing.phase !== null) {
+				parts.push(strings.progress_estimating || 'Remaining: estimating...');
+			}
+		}
+
+		if (this.timing.itemRate !== null) {
+			parts.push((strings.progress_rate || '%s items/s').replace('%s', this.timing.itemRate.toFixed(this.timing.itemRate < 10 ? 1 : 0)));
+		}
+
+		element.text(parts.join(' | '));
+	}
+
+	formatDuration(milliseconds) {
+		const seconds = Math.round(milliseconds / 1000);
+		const hours = Math.floor(seconds / 3600);
+		const minutes = Math.floor((seconds % 3600) / 60);
+		const secs = seconds % 60;
+
+		if (hours > 0) {
+			return `${hours}h ${minutes}m`;
+		}
+
+		return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+	}
+
 	// Set progress bar to complete state
 	setComplete() {
+		this.stopTiming();
 		this.container
 			.removeClass(this.selectors.errorClass)
 			.addClass(this.selectors.completeClass);
@@ -86,21 +325,69 @@ class ProgressBar {
 
 	// Set progress bar to error state
 	setError() {
+		this.stopTiming();
+
+		// The phase that was running when the error happened is the one that failed
+		this.segments.forEach((segment) => {
+			if (segment.state === 'running') {
+				segment.state = 'failed';
+			}
+		});
+		if (this.hasSegments()) {
+			this.renderSegments();
+		}
+
 		this.container
 			.removeClass(this.selectors.completeClass)
 			.addClass(this.selectors.errorClass);
 		return this;
 	}
 
+	// Set progress bar to cancelled state
+	setCancelled() {
+		this.stopTiming();
+		this.container
+			.removeClass(`${this.selectors.completeClass} ${this.selectors.errorClass} ${this.selectors.pausedClass}`)
+			.addClass(this.selectors.cancelledClass);
+		return this;
+	}
+
+	// Toggle the paused state (stops the stripe animation)
+	setPaused(isPaused) {
+		this.container.toggleClass(this.selectors.pausedClass, !!isPaused);
+
+		// Paused time counts toward neither the elapsed time nor the rate
+		if (this.timing) {
+			const now = Date.now();
+
+			if (isPaused && !this.timing.pausedAt) {
+				this.timing.pausedAt = now;
+			} else if (!isPaused && this.timing.pausedAt) {
+				const pausedFor = now - this.timing.pausedAt;
+				this.timing.pausedTotal += pausedFor;
+				this.timing.pausedAt = null;
+				this.timing.samples.forEach((sample) => {
+					sample.time += pausedFor;
+				});
+				if (this.timing.remainingAt !== null) {
+					this.timing.remainingAt += pausedFor;
+				}
+			}
+		}
+		return this;
+	}
+
 	// Reset the progress bar to initial state
 	reset() {
 		this.container
-			.removeClass(`${this.selectors.completeClass} ${this.selectors.errorClass}`)
+			.removeClass(`${this.selectors.completeClass} ${this.selectors.errorClass} ${this.selectors.pausedClass} ${this.selectors.cancelledClass}`)
 			.find(this.selectors.errors).remove();
 
 		this.updateProgress(0);
 		this.updateStatus('');
 		this.updateDetails('');
+		this.setSegments([]);
+		this.startTiming();
 		return this;
 	}
 
@@ -131,6 +418,16 @@ class ProgressBar {
 		return this.container.hasClass(this.selectors.errorClass);
 	}
 
+	// Check if progress bar is in cancelled state
+	isCancelled() {
+		return this.container.hasClass(this.selectors.cancelledClass);
+	}
+
+	// Check if progress bar is in paused state
+	isPaused() {
+		return this.container.hasClass(this.selectors.pausedClass);
+	}
+
 	// Check if progress bar is visible
 	isVisible() {
 		return this.container.is(':visible');
@@ -219,6 +516,7 @@ class ProgressBar {
 
 	// Destroy the progress bar (remove from DOM)
 	destroy() {
+		this.stopTiming();
 		this.container.remove();
 	}
 }
@@ -0,0 +1,104 @@
+/**
+ * RequestTracker Class
+ *
+ * Keeps track of the outstanding jqXHR requests and pending timers (retries,
+ * rest periods, next-batch delays) of a batched operation so the whole
+ * operation can be cancelled with a single call.
+ */
+
+class RequestTracker {
+	constructor() {
+		this.requests = new Set();
+		this.timers = new Set();
+		this.cancelled = false;
+	}
+
+	/**
+	 * Track a jqXHR until it settles
+	 *
+	 * @param {jqXHR} jqXHR The request to track
+	 * @returns {jqXHR} The same request, for chaining
+	 */
+	track(jqXHR) {
+		this.requests.add(jqXHR);
+		jqXHR.always(() => this.requests.delete(jqXHR));
+		return jqXHR;
+	}
+
+	/**
+	 * Schedule a callback that is dropped if the operation is cancelled
+	 *
+	 * @param {Function} callback Callback to run
+	 * @param {number} delay Delay in milliseconds
+	 * @returns {number} Timer ID
+	 */
+	setTimeout(callback, delay) {
+		const timer = window.setTimeout(() => {
+			this.timers.delete(timer);
+			if (!this.cancelled) {
+				callback();
+			}
+		}, delay);
+
+		this.timers.add(timer);
+		return timer;
+	}
+
+	/**
+	 * Abort all outstanding requests and clear all pending timers
+	 *
+	 * @returns {Object} Number of aborted requests and cleared timers
+	 */
+	cancel() {
+		this.cancelled = true;
+
+		const summary = {
+			aborted: this.requests.size,
+			cleared: this.timers.size
+		};
+
+		this.timers.forEach((timer) => window.clearTimeout(timer));
+		this.timers.clear();
+
+		// Copy first: abort() settles the request, which removes it from the set
+		Array.from(this.requests).forEach((jqXHR) => jqXHR.abort());
+		this.requests.clear();
+
+		return summary;
+	}
+
+	/**
+	 * Get ready for a new run
+	 */
+	reset() {
+		this.timers.forEach((timer) => window.clearTimeout(timer));
+		this.timers.clear();
+		this.requests.clear();
+		this.cancelled = false;
+	}
+
+	/**
+	 * Check whether the operation has been cancelled
+	 *
+	 * @returns {boolean} True once cancel() has been called
+	 */
+	isCancelled() {
+		return this.cancelled;
+	}
+
+	/**
+	 * Get the number of requests still in flight
+	 *
+	 * @returns {number} Outstanding request count
+	 */
+	getPendingRequestCount() {
+		return this.requests.size;
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = RequestTracker;
+} else if (typeof window !== 'undefined') {
+	window.RequestTracker = RequestTracker;
+}
@@ -2,6 +2,9 @@
  * Asset Sync JavaScript
  *
  * Handles the client-side functionality for syncing plugins and themes.
+ * Sync first shows which stored fields the latest data would change; nothing
+ * is written until the user applies the preview. An older release from the
+ * stored version list can also be downloaded and pinned.
  */
 
 (function(jQuery) {
@@ -20,15 +23,32 @@
 			progressFill: '.progress-fill',
 			progressText: '.progress-text',
 			currentVersion: '#current-version',
-			reloadPageLink: '.aspirecloud-reload-page'
+			reloadPageLink: '.aspirecloud-reload-page',
+			preview: '#resync-preview',
+			previewSummary: '.resync-preview-summary',
+			previewFields: '.resync-preview-fields',
+			previewOther: '.resync-preview-other',
+			applyButton: '#resync-apply-btn',
+			cancelButton: '#resync-cancel-btn',
+			versionSelect: '#resync-version-select',
+			pinButton: '#resync-pin-btn',
+			unpinButton: '#resync-unpin-btn',
+			pinnedNotice: '#resync-pinned'
 		},
 
+		// Sync button and request data of the preview waiting for Apply or Cancel
+		pending: null,
+
 		init() {
 			this.bindEvents();
 		},
 
 		bindEvents() {
 			jQuery(document).on('click', this.selectors.resyncButtons, this.handleResyncClick.bind(this));
+			jQuery(document).on('click', this.selectors.applyButton, this.handleApplyClick.bind(this));
+			jQuery(document).on('click', this.selectors.cancelButton, this.handleCancelClick.bind(this));
+			jQuery(document).on('click', this.selectors.pinButton, this.handlePinClick.bind(this));
+			jQuery(document).on('click', this.selectors.unpinButton, this.handleUnpinClick.bind(this));
 		},
 
 		handleResyncClick(e) {
@@ -44,15 +64,111 @@
 				return;
 			}
 
-			this.startResync(button, postId, slug, assetType);
+			this.hidePreview();
+			this.hideStatus();
+			this.startResync(button, postId, slug, assetType, 'preview');
+		},
+
+		handleApplyClick(e) {
+			e.preventDefault();
+
+			if (!this.pending) return;
+
+			const pending = this.pending;
+			this.hidePreview();
+			this.startResync(pending.button, pending.postId, pending.slug, pending.assetType, 'apply');
+		},
+
+		handleCancelClick(e) {
+			e.preventDefault();
+
+			this.hidePreview();
+			this.showStatus('info', aspirecloud_resync.strings.sync_cancelled);
+		},
+
+		handlePinClick(e) {
+			e.preventDefault();
+
+			const button = jQuery(e.currentTarget);
+			const version = String(jQuery(this.selectors.versionSelect).val() || '');
+
+			if (!version || !confirm(aspirecloud_resync.strings.confirm_pin.replace('%s', version))) {
+				return;
+			}
+
+			this.hidePreview();
+			this.hideStatus();
+			this.sendPinRequest(button, 'aspirecloud_pin_version', {
+				post_id: button.data('post-id'),
+				slug: button.data('slug'),
+				asset_type: button.data('asset-type'),
+				version: version
+			}, aspirecloud_resync.strings.pinning_version.replace('%s', version));
+		},
+
+		handleUnpinClick(e) {
+			e.preventDefault();
+
+			const button = jQuery(e.currentTarget);
+
+			if (!confirm(aspirecloud_resync.strings.confirm_unpin)) {
+				return;
+			}
+
+			this.hideStatus();
+			this.sendPinRequest(button, 'aspirecloud_unpin_version', {
+				post_id: button.data('post-id')
+			}, aspirecloud_resync.strings.unpinning);
 		},
 
-		startResync(button, postId, slug, assetType) {
+		/**
+		 * Pin the asset to a version or remove the pin
+		 * @param {string} action - AJAX action
+		 * @param {Object} data - Request data besides action and nonce
+		 * @param {string} progressText - Shown while the request runs
+		 */
+		sendPinRequest(button, action, data, progressText) {
+			button.addClass('loading').prop('disabled', true);
+			this.showProgress(50, progressText);
+
+			jQuery.ajax({
+				url: aspirecloud_resync.ajax_url,
+				type: 'POST',
+				data: Object.assign({ action: action, nonce: aspirecloud_resync.nonce }, data),
+				success: (response) => {
+					button.removeClass('loading').prop('disabled', false);
+					this.hideProgress();
+
+					if (!response.success) {
+						this.showStatus('error', response.data || aspirecloud_resync.strings.network_error);
+						return;
+					}
+
+					if (response.data.action === 'pinned') {
+						jQuery(this.selectors.currentVersion).text(response.data.pinned_version);
+					} else {
+						jQuery(this.selectors.pinnedNotice).hide();
+					}
+
+					this.showStatus('success', response.data.message);
+
+					// The pinned notice and list states are rendered server side
+					setTimeout(() => this.showRefreshMessage(), 3000);
+				},
+				error: (jqXHR, textStatus, errorThrown) => this.handleResyncError(button, jqXHR, textStatus, errorThrown)
+			});
+		},
+
+		/**
+		 * Request a preview of the changes, or apply the previewed data
+		 * @param {string} mode - 'preview' or 'apply'
+		 */
+		startResync(button, postId, slug, assetType, mode) {
 			// Disable button and show loading state
 			button.addClass('loading').prop('disabled', true);
 
 			// Show progress
-			this.showProgress(0, aspirecloud_resync.strings.checking_version);
+			this.showProgress(mode === 'apply' ? 50 : 0, mode === 'apply' ? aspirecloud_resync.strings.updating_data : aspirecloud_resync.strings.fetching_preview);
 
 			// Make AJAX request
 			jQuery.ajax({
@@ -62,14 +178,15 @@
 					action: 'resync_' + assetType,
 					post_id: postId,
 					slug: slug,
+					mode: mode,
 					nonce: aspirecloud_resync.nonce
 				},
-				success: (response) => this.handleResyncSuccess(button, response),
+				success: (response) => this.handleResyncSuccess(button, response, { postId, slug, assetType }),
 				error: (jqXHR, textStatus, errorThrown) => this.handleResyncError(button, jqXHR, textStatus, errorThrown)
 			});
 		},
 
-		handleResyncSuccess(button, response) {
+		handleResyncSuccess(button, response, request) {
 			// Re-enable button
 			button.removeClass('loading').prop('disabled', false);
 
@@ -79,6 +196,9 @@
 				if (data.action === 'no_update') {
 					this.showStatus('info', data.message);
 					this.hideProgress();
+				} else if (data.action === 'preview') {
+					this.hideProgress();
+					this.showPreview(button, request, data);
 				} else if (data.action === 'updated') {
 					// Update the current version display
 					jQuery(this.selectors.currentVersion).text(data.latest_version);
@@ -143,6 +263,69 @@
 			jQuery(this.selectors.resyncStatus).hide();
 		},
 
+		/**
+		 * Show the changed fields and wait for Apply or Cancel
+		 * @param {Object} data - Preview response with fields and other_fields
+		 */
+		showPreview(button, request, data) {
+			const strings = aspirecloud_resync.strings;
+			const container = jQuery(this.selectors.preview);
+			const fields = data.fields || [];
+			const otherFields = data.other_fields || [];
+
+			this.pending = Object.assign({ button: button }, request);
+
+			const summary = strings.preview_summary.replace('%d', fields.length + otherFields.length);
+			const pinNote = data.pinned_version ? ' ' + strings.preview_unpins.replace('%s', data.pinned_version) : '';
+
+			container.find(this.selectors.previewSummary).text(summary + pinNote);
+			container.find(this.selectors.previewFields).html(fields.map(field =>
+				'<div class="resync-diff-item">' +
+					`<strong>${this.escapeHtml(field.label)}</strong>` +
+					`<div class="resync-diff-current"><span>${this.escapeHtml(strings.current_value)}:</span> ${this.formatValue(field)}</div>` +
+					`<div class="resync-diff-latest"><span>${this.escapeHtml(strings.latest_value)}:</span> ${this.formatValue(field, 'latest')}</div>` +
+				'</div>'
+			).join(''));
+			container.find(this.selectors.previewOther)
+				.text(otherFields.length > 0 ? strings.preview_other.replace('%s', otherFields.join(', ')) : '')
+				.toggle(otherFields.length > 0);
+
+			container.show();
+		},
+
+		hidePreview() {
+			this.pending = null;
+			jQuery(this.selectors.preview).hide();
+		},
+
+		// Banners are stored as JSON; list each size on its own line
+		formatValue(field, side = 'current') {
+			const value = field[side];
+
+			if (value === '' || value === null || value === undefined) {
+				return `<em>${this.escapeHtml(aspirecloud_resync.strings.empty_value)}</em>`;
+			}
+
+			if (field.field === 'banners') {
+				try {
+					const banners = JSON.parse(value);
+					return Object.keys(banners).map(size => `${this.escapeHtml(size)}: ${this.escapeHtml(banners[size])}`).join('<br>');
+				} catch (e) {
+					// Not JSON, show as stored
+				}
+			}
+
+			return this.escapeHtml(value);
+		},
+
+		escapeHtml(text) {
+			return String(text)
+				.replace(/&/g, '&amp;')
+				.replace(/</g, '&lt;')
+				.replace(/>/g, '&gt;')
+				.replace(/"/g, '&quot;');
+		},
+
 		showProgress(percentage, text) {
 			const container = jQuery(this.selectors.resyncProgress);
 			container.find(this.selectors.progressFill).css('width', percentage + '%');
@@ -0,0 +1,292 @@
+/**
+ * RunHistory Class
+ *
+ * Records every import run in IndexedDB: when it started and ended, the asset
+ * type, mode and phases, the final counts, the errors and the full log. The
+ * record is written while the run is going, so a run interrupted by a reload
+ * or a closed browser still shows up in the History tab afterwards.
+ *
+ * Dependencies: Logger class
+ */
+
+class RunHistory {
+	constructor(assetType, logger) {
+		this.assetType = assetType;
+		this.logger = logger;
+
+		this.config = {
+			dbName: 'aspirecloud',
+			dbVersion: 1,
+			maxRuns: 50, // Oldest runs are pruned beyond this
+			maxLogEntries: 20000, // Per run; later entries are counted but not stored
+			saveInterval: 10000, // Write a running record at most this often
+			staleAfter: 60000 // A "running" record not updated for this long was interrupted
+		};
+
+		this.dbPromise = null;
+		this.current = null;
+		this.currentLog = [];
+		this.droppedLogEntries = 0;
+		this.saveTimer = null;
+
+		// Writes are chained so the insert that assigns the run id always lands first
+		this.writeQueue = Promise.resolve();
+
+		// Copy every log line into the current run
+		this.logger.addListener((entry) => this.recordEntry(entry));
+	}
+
+	isSupported() {
+		return typeof window !== 'undefined' && !!window.indexedDB;
+	}
+
+	/**
+	 * Start recording a run
+	 * @param {Object} run - mode ('bulk', 'csv', 'delta' or 'background'), phases and resumed flag
+	 */
+	startRun(run) {
+		if (this.current) {
+			this.finishRun('interrupted');
+		}
+
+		this.current = Object.assign({
+			assetType: this.assetType,
+			mode: 'bulk',
+			phases: {},
+			resumed: false
+		}, run, {
+			startedAt: new Date().toISOString(),
+			endedAt: null,
+			updatedAt: new Date().toISOString(),
+			status: 'running',
+			counts: {},
+			errors: []
+		});
+		this.currentLog = [];
+		this.droppedLogEntries = 0;
+
+		this.persist();
+	}
+
+	/**
+	 * Finish the current run and store its final state
+	 * @param {string} status - 'completed', 'failed', 'cancelled' or 'interrupted'
+	 * @param {Object} counts - Final counts shown in the history table
+	 * @param {Array} errors - Errors collected during the run
+	 */
+	finishRun(status, counts = {}, errors = []) {
+		if (!this.current) return;
+
+		if (this.saveTimer) {
+			clearTimeout(this.saveTimer);
+			this.saveTimer = null;
+		}
+
+		Object.assign(this.current, {
+			status: status,
+			endedAt: new Date().toISOString(),
+			counts: counts,
+			errors: errors.slice()
+		});
+
+		this.persist();
+		this.writeQueue = this.writeQueue.then(() => this.prune());
+		this.current = null;
+	}
+
+	isRecording() {
+		return this.current !== null;
+	}
+
+	recordEntry(entry) {
+		if (!this.current) return;
+
+		if (this.currentLog.length < this.config.maxLogEntries) {
+			this.currentLog.push({
+				timestamp: entry.timestamp,
+				level: entry.level,
+				message: entry.message,
+				details: entry.details
+			});
+		} else {
+			this.droppedLogEntries++;
+		}
+
+		this.scheduleSave();
+	}
+
+	scheduleSave() {
+		if (this.saveTimer) return;
+
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			if (this.current) {
+				this.persist();
+			}
+		}, this.config.saveInterval);
+	}
+
+	// Write a snapshot of the current run and its log
+	persist() {
+		if (!this.isSupported()) return;
+
+		const run = this.current;
+		run.updatedAt = new Date().toISOString();
+		run.logEntries = this.currentLog.length + this.droppedLogEntries;
+		run.droppedLogEntries = this.droppedLogEntries;
+
+		const log = this.currentLog;
+
+		// The snapshot is taken once earlier writes are done, so it carries the assigned id
+		this.writeQueue = this.writeQueue
+			.then(() => this.transaction(['runs', 'logs'], 'readwrite', (stores) => {
+				const request = stores.runs.put(Object.assign({}, run));
+				request.onsuccess = () => {
+					run.id = request.result;
+					stores.logs.put({ runId: request.result, entries: log.slice() });
+				};
+			}))
+			.catch((error) => {
+				console.error('AspireCloud: failed to save run history', error);
+			});
+	}
+
+	/**
+	 * List the runs for this asset type, newest first
+	 * @returns {Promise} Resolves with run records without their logs
+	 */
+	list() {
+		return this.transaction(['runs'], 'readonly', (stores, result) => {
+			stores.runs.index('assetType').getAll(this.assetType).onsuccess = (e) => {
+				result.runs = e.target.result;
+			};
+		}).then((result) => result.runs
+			.map(run => this.withEffectiveStatus(run))
+			.sort((a, b) => b.id - a.id));
+	}
+
+	/**
+	 * Load one run with its full log
+	 * @param {number} id - Run id
+	 * @returns {Promise} Resolves with the run, or null when it no longer exists
+	 */
+	get(id) {
+		return this.transaction(['runs', 'logs'], 'readonly', (stores, result) => {
+			stores.runs.get(id).onsuccess = (e) => {
+				result.run = e.target.result;
+			};
+			stores.logs.get(id).onsuccess = (e) => {
+				result.log = e.target.result ? e.target.result.entries : [];
+			};
+		}).then((result) => {
+			if (!result.run) return null;
+
+			return Object.assign(this.withEffectiveStatus(result.run), { log: result.log });
+		});
+	}
+
+	/**
+	 * Delete runs
+	 * @param {Array} ids - Run ids to delete
+	 * @returns {Promise}
+	 */
+	delete(ids) {
+		return this.transaction(['runs', 'logs'], 'readwrite', (stores) => {
+			ids.forEach((id) => {
+				stores.runs.delete(id);
+				stores.logs.delete(id);
+			});
+		});
+	}
+
+	// Delete every run of this asset type except the one being recorded
+	clear() {
+		return this.list().then((runs) => this.delete(runs
+			.filter(run => !this.current || run.id !== this.current.id)
+			.map(run => run.id)));
+	}
+
+	// Keep only the newest runs
+	prune() {
+		return this.list().then((runs) => {
+			if (runs.length <= this.config.maxRuns) return;
+
+			return this.delete(runs.slice(this.config.maxRuns).map(run => run.id));
+		});
+	}
+
+	// A run left "running" by a page that went away is reported as interrupted
+	withEffectiveStatus(run) {
+		const isCurrent = this.current && run.id === this.current.id;
+		const stale = Date.now() - new Date(run.updatedAt).getTime() > this.config.staleAfter;
+
+		if (run.status === 'running' && !isCurrent && stale) {
+			return Object.assign({}, run, { status: 'interrupted' });
+		}
+
+		return run;
+	}
+
+	open() {
+		if (this.dbPromise) {
+			return this.dbPromise;
+		}
+
+		this.dbPromise = new Promise((resolve, reject) => {
+			if (!this.isSupported()) {
+				reject(new Error('IndexedDB is not available in this browser'));
+				return;
+			}
+
+			const request = window.indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+				runs.createIndex('assetType', 'assetType');
+				db.createObjectStore('logs', { keyPath: 'runId' });
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+
+		// Allow a later call to retry after a failed open
+		this.dbPromise.catch(() => {
+			this.dbPromise = null;
+		});
+
+		return this.dbPromise;
+	}
+
+	/**
+	 * Run work in one transaction and resolve once it has committed
+	 * @param {Array} storeNames - Object stores to use
+	 * @param {string} mode - 'readonly' or 'readwrite'
+	 * @param {Function} work - Receives the stores keyed by name and a result object to fill
+	 * @returns {Promise} Resolves with the result object
+	 */
+	transaction(storeNames, mode, work) {
+		return this.open().then((db) => new Promise((resolve, reject) => {
+			const tx = db.transaction(storeNames, mode);
+			const stores = {};
+			const result = {};
+
+			storeNames.forEach((name) => {
+				stores[name] = tx.objectStore(name);
+			});
+
+			tx.oncomplete = () => resolve(result);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+
+			work(stores, result);
+		}));
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = RunHistory;
+} else if (typeof window !== 'undefined') {
+	window.RunHistory = RunHistory;
+}
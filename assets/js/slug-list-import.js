@@ -0,0 +1,362 @@
+/**
+ * SlugListImport Class
+ *
+ * Reads an uploaded slug list for the selective import: CSV with a header
+ * row, a JSON array of slugs or objects, or a composer.json with wpackagist
+ * requirements. Tabular files get a column-mapping step to pick the slug
+ * column and an optional version column, so spreadsheets with extra columns
+ * can be used as they are.
+ *
+ * Dependencies: none
+ */
+
+class SlugListImport {
+	/**
+	 * @param {string} assetType - 'plugins' or 'themes'; picks the wpackagist package type
+	 */
+	constructor(assetType) {
+		this.assetType = assetType;
+
+		// Element selectors
+		this.selectors = {
+			fileInput: '#import-slugs-file',
+			clearButton: '#import-slugs-file-clear',
+			textarea: '#import-slugs-textarea',
+			mapping: '.aspirecloud-column-mapping',
+			slugColumn: '#slug-column-select',
+			versionColumn: '#version-column-select',
+			summary: '.aspirecloud-upload-summary'
+		};
+
+		// Parsed file: column names and rows for tables, or entries for composer.json
+		this.source = null;
+
+		// Called whenever the uploaded list or its mapping changes
+		this.changeHandler = null;
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('change', this.selectors.fileInput, (e) => {
+			const file = e.target.files && e.target.files[0];
+			if (file) {
+				this.readFile(file);
+			}
+		});
+
+		jQuery(document).on('click', this.selectors.clearButton, (e) => {
+			e.preventDefault();
+			this.clear();
+		});
+
+		jQuery(document).on('change', `${this.selectors.slugColumn}, ${this.selectors.versionColumn}`, () => this.renderSummary());
+	}
+
+	setChangeHandler(callback) {
+		this.changeHandler = callback;
+	}
+
+	readFile(file) {
+		const reader = new FileReader();
+
+		reader.onload = () => {
+			try {
+				this.source = this.parse(String(reader.result), file.name);
+			} catch (error) {
+				this.source = null;
+				this.renderMapping();
+				jQuery(this.selectors.summary).text(`Could not read ${file.name}: ${error.message}`).show();
+				return;
+			}
+
+			this.renderMapping();
+		};
+
+		reader.readAsText(file);
+	}
+
+	clear() {
+		this.source = null;
+		jQuery(this.selectors.fileInput).val('');
+		this.renderMapping();
+	}
+
+	// Whether an uploaded file replaces the textarea
+	hasFile() {
+		return this.source !== null;
+	}
+
+	/**
+	 * Parse file contents by extension, falling back to sniffing the first character
+	 * @param {string} text - File contents
+	 * @param {string} filename - Original file name
+	 * @returns {Object} { columns, rows } or { entries }
+	 */
+	parse(text, filename = '') {
+		const content = text.replace(/^\uFEFF/, '').trim();
+		const isJson = /\.json$/i.test(filename) || /^[[{]/.test(content);
+
+		return isJson ? this.parseJson(content) : this.parseCsv(content);
+	}
+
+	parseJson(content) {
+		const data = JSON.parse(content);
+
+		// composer.json: "wpackagist-plugin/akismet": "5.3" in require and require-dev
+		if (data && !Array.isArray(data) && (data.require || data['require-dev'])) {
+			const packageType = this.assetType === 'themes' ? 'wpackagist-theme/' : 'wpackagist-plugin/';
+			const requirements = Object.assign({}, data.require || {}, data['require-dev'] || {});
+
+			return {
+				entries: Object.keys(requirements)
+					.filter(name => name.indexOf(packageType) === 0)
+					.map(name => ({ slug: name.slice(packageType.length), version: String(requirements[name]) }))
+			};
+		}
+
+		if (!Array.isArray(data)) {
+			throw new Error('expected an array or a composer.json file');
+		}
+
+		// Array of slugs
+		if (data.every(item => typeof item === 'string')) {
+			return { entries: data.map(slug => ({ slug: slug, version: '' })) };
+		}
+
+		// Array of objects: every key is a column
+		const columns = [];
+		data.forEach((item) => {
+			Object.keys(item || {}).forEach((key) => {
+				if (!columns.includes(key)) columns.push(key);
+			});
+		});
+
+		return {
+			columns: columns,
+			rows: data.map(item => columns.map(key => (item && item[key] !== undefined && item[key] !== null ? String(item[key]) : '')))
+		};
+	}
+
+	parseCsv(content) {
+		const lines = content.split(/\r?\n/);
+		const delimiter = this.detectDelimiter(lines[0] || '');
+		const rows = this.splitCsv(content, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+
+		if (rows.length === 0) {
+			throw new Error('the file is empty');
+		}
+
+		return {
+			columns: rows[0].map((name, index) => name.trim() || `Column ${index + 1}`),
+			rows: rows.slice(1)
+		};
+	}
+
+	// Spreadsheets export with commas, semicolons or tabs depending on locale
+	detectDelimiter(headerLine) {
+		const counts = [',', ';', '\t'].map(delimiter => [delimiter, headerLine.split(delimiter).length]);
+		counts.sort((a, b) => b[1] - a[1]);
+
+		return counts[0][0];
+	}
+
+	/**
+	 * Split CSV text into rows of cells, honoring quoted cells with delimiters, quotes and newlines
+	 * @param {string} text - CSV text
+	 * @param {string} delimiter - Cell delimiter
+	 * @returns {Array} Rows of cell strings
+	 */
+	splitCsv(text, delimiter) {
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+
+			if (quoted) {
+				if (char === '"' && text[i + 1] === '"') {
+					cell += '"';
+					i++;
+				} else if (char === '"') {
+					quoted = false;
+				} else {
+					cell += char;
+				}
+			} else if (char === '"') {
+				quoted = true;
+			} else if (char === delimiter) {
+				row.push(cell);
+				cell = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && text[i + 1] === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row = [];
+				cell = '';
+			} else {
+				cell += char;
+			}
+		}
+
+		row.push(cell);
+		rows.push(row);
+
+		return rows;
+	}
+
+	// Pre-select the columns whose header looks like a slug or a version
+	guessColumn(patterns) {
+		const columns = this.source.columns.map(name => name.toLowerCase().trim());
+
+		for (const pattern of patterns) {
+			const index = columns.findIndex(name => pattern.test(name));
+			if (index !== -1) return index;
+		}
+
+		return -1;
+	}
+
+	renderMapping() {
+		const mapping = jQuery(this.selectors.mapping);
+		const textarea = jQuery(this.selectors.textarea);
+
+		jQuery(this.selectors.clearButton).toggle(this.hasFile());
+		textarea.prop('disabled', this.hasFile());
+
+		if (!this.hasFile()) {
+			mapping.hide();
+			jQuery(this.selectors.summary).hide();
+			this.notifyChange();
+			return;
+		}
+
+		if (this.source.columns) {
+			const options = this.source.columns
+				.map((name, index) => `<option value="${index}">${this.escapeHtml(name)}</option>`)
+				.join('');
+			const slugColumn = this.guessColumn([/^slug$/, /slug/, /^(plugin|theme|name)$/]);
+			const versionColumn = this.guessColumn([/^version$/, /version/]);
+
+			jQuery(this.selectors.slugColumn).html(options).val(String(Math.max(0, slugColumn)));
+			jQuery(this.selectors.versionColumn)
+				.html(`<option value="">${this.escapeHtml(aspirecloud_ajax.strings.no_version_column || 'None (latest version)')}</option>${options}`)
+				.val(versionColumn === -1 ? '' : String(versionColumn));
+			mapping.show();
+		} else {
+			mapping.hide();
+		}
+
+		this.renderSummary();
+	}
+
+	renderSummary() {
+		const entries = this.getEntries();
+		const versioned = entries.filter(entry => entry.version).length;
+		const ignored = this.getIgnoredConstraints(entries);
+
+		let summary = (aspirecloud_ajax.strings.upload_summary || '%1$d slugs found, %2$d with a version')
+			.replace('%1$d', entries.length)
+			.replace('%2$d', versioned);
+
+		if (ignored > 0) {
+			summary += '. ' + (aspirecloud_ajax.strings.upload_constraints || '%d version ranges will import the latest version')
+				.replace('%d', ignored);
+		}
+
+		jQuery(this.selectors.summary).text(summary).show();
+		this.notifyChange();
+	}
+
+	notifyChange() {
+		if (this.changeHandler) {
+			this.changeHandler();
+		}
+	}
+
+	// Entries of the uploaded file with the current column mapping, before validation
+	getRawEntries() {
+		if (!this.hasFile()) return [];
+
+		if (this.source.entries) {
+			return this.source.entries;
+		}
+
+		const slugIndex = parseInt(jQuery(this.selectors.slugColumn).val(), 10) || 0;
+		const versionValue = jQuery(this.selectors.versionColumn).val();
+		const versionIndex = versionValue === '' || versionValue === null || versionValue === undefined ? -1 : parseInt(versionValue, 10);
+
+		return this.source.rows.map(row => ({
+			slug: row[slugIndex] || '',
+			version: versionIndex === -1 ? '' : (row[versionIndex] || '')
+		}));
+	}
+
+	isValidSlug(slug) {
+		return /^[a-z0-9\-_]+$/.test(slug);
+	}
+
+	/**
+	 * Get the slugs and versions of the uploaded file with the current column mapping
+	 * @returns {Array} Unique { slug, version, constraint } entries; version is empty unless exact
+	 */
+	getEntries() {
+		const seen = new Set();
+
+		return this.getRawEntries().reduce((result, entry) => {
+			const slug = String(entry.slug).trim().toLowerCase();
+			const constraint = String(entry.version || '').trim();
+
+			if (!this.isValidSlug(slug) || seen.has(slug)) {
+				return result;
+			}
+
+			seen.add(slug);
+			result.push({ slug: slug, version: this.getExactVersion(constraint), constraint: constraint });
+			return result;
+		}, []);
+	}
+
+	// Non-empty cells of the slug column that getEntries() drops as invalid
+	getInvalidTokens() {
+		const invalid = [];
+
+		this.getRawEntries().forEach((entry) => {
+			const token = String(entry.slug).trim();
+
+			if (token && !this.isValidSlug(token.toLowerCase()) && !invalid.includes(token)) {
+				invalid.push(token);
+			}
+		});
+
+		return invalid;
+	}
+
+	// "1.2.3" and "v1.2.3" pin a version; ranges such as "^1.2", "~1.2" or "*" mean latest
+	getExactVersion(constraint) {
+		const match = /^v?(\d+(?:\.\d+)*(?:-[0-9a-z.]+)?)$/i.exec(constraint);
+
+		return match ? match[1] : '';
+	}
+
+	getIgnoredConstraints(entries) {
+		return entries.filter(entry => entry.constraint && entry.constraint !== '*' && !entry.version).length;
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = SlugListImport;
+} else if (typeof window !== 'undefined') {
+	window.SlugListImport = SlugListImport;
+}
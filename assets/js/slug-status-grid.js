@@ -0,0 +1,220 @@
+/**
+ * SlugStatusGrid Class
+ *
+ * Table with one row per slug of a selective import. Each row moves from
+ * pending to importing to imported, skipped or failed as the CSV batches
+ * come back, shows the reason the server gave, and offers a retry button
+ * for slugs that were skipped or failed.
+ *
+ * Dependencies: none
+ */
+
+class SlugStatusGrid {
+	/**
+	 * @param {Function} onRetry - Called with an array of slugs when a row's retry button is clicked
+	 */
+	constructor(onRetry) {
+		this.onRetry = onRetry;
+
+		// Element selectors
+		this.selectors = {
+			container: '.aspirecloud-slug-grid-container',
+			body: '.aspirecloud-slug-grid tbody',
+			summary: '.aspirecloud-slug-grid-summary',
+			filter: '.aspirecloud-slug-grid-filter',
+			retryButton: '.aspirecloud-slug-retry'
+		};
+
+		this.statuses = ['pending', 'importing', 'imported', 'skipped', 'failed', 'earlier'];
+
+		// Slug => { status, reason }, in the order the slugs were entered
+		this.rows = new Map();
+		this.running = false;
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('click', this.selectors.retryButton, (e) => {
+			e.preventDefault();
+
+			if (!this.running) {
+				this.onRetry([String(jQuery(e.currentTarget).data('slug'))]);
+			}
+		});
+
+		jQuery(document).on('change', this.selectors.filter, () => this.applyFilter());
+	}
+
+	/**
+	 * Start a new grid with every slug pending
+	 * @param {Array} slugs - Slugs of the selective import
+	 */
+	reset(slugs) {
+		this.rows.clear();
+		slugs.forEach(slug => this.rows.set(slug, { status: 'pending', reason: '' }));
+		this.render();
+	}
+
+	/**
+	 * Put slugs back to pending for a retry, keeping the other rows as they are
+	 * @param {Array} slugs - Slugs about to be imported again
+	 */
+	requeue(slugs) {
+		slugs.forEach(slug => this.rows.set(slug, { status: 'pending', reason: '' }));
+		this.render();
+	}
+
+	hasRows() {
+		return this.rows.size > 0;
+	}
+
+	/**
+	 * Set the status of one or more slugs
+	 * @param {Array} slugs - Slugs to update
+	 * @param {string} status - One of this.statuses
+	 * @param {string} reason - Why, for skipped and failed slugs
+	 */
+	setStatus(slugs, status, reason = '') {
+		slugs.forEach((slug) => {
+			if (!this.rows.has(slug)) return;
+
+			this.rows.set(slug, { status: status, reason: String(reason || '') });
+			this.renderRow(slug);
+		});
+
+		this.renderSummary();
+	}
+
+	/**
+	 * Update the rows of a batch from the aspirecloud_import_csv_batch response
+	 * @param {Array} slugs - Slugs sent in the batch
+	 * @param {Object} data - Imported slugs, skipped and error records
+	 */
+	applyBatchResult(slugs, data) {
+		const answered = new Set();
+
+		(data.imported || []).forEach((slug) => {
+			answered.add(slug);
+			this.setStatus([slug], 'imported');
+		});
+
+		(data.skipped || []).forEach((item) => {
+			answered.add(item.slug);
+			this.setStatus([item.slug], 'skipped', item.reason);
+		});
+
+		(data.errors || []).forEach((item) => {
+			answered.add(item.slug);
+			this.setStatus([item.slug], 'failed', item.message);
+		});
+
+		// The server drops slugs it considers invalid without reporting them
+		const missing = slugs.filter(slug => !answered.has(slug));
+		if (missing.length > 0) {
+			this.setStatus(missing, 'failed', 'No result returned by the server');
+		}
+	}
+
+	// Slugs that were being imported when the run stopped go back to pending
+	stopImporting() {
+		this.setStatus(this.getSlugs('importing'), 'pending');
+	}
+
+	getSlugs(status) {
+		return Array.from(this.rows.keys()).filter(slug => this.rows.get(slug).status === status);
+	}
+
+	// Retry buttons only work between runs
+	setRunning(running) {
+		this.running = running;
+		jQuery(this.selectors.retryButton).prop('disabled', running);
+	}
+
+	getStatusLabel(status) {
+		const fallbacks = {
+			pending: 'Pending',
+			importing: 'Importing',
+			imported: 'Imported',
+			skipped: 'Skipped',
+			failed: 'Failed',
+			earlier: 'Before reload'
+		};
+
+		return aspirecloud_ajax.strings['slug_status_' + status] || fallbacks[status];
+	}
+
+	render() {
+		const body = jQuery(this.selectors.body);
+
+		body.html(Array.from(this.rows.keys()).map(slug => this.buildRow(slug)).join(''));
+		jQuery(this.selectors.container).toggle(this.rows.size > 0);
+
+		this.renderSummary();
+		this.applyFilter();
+	}
+
+	renderRow(slug) {
+		const row = jQuery(`${this.selectors.body} tr[data-slug="${slug}"]`);
+		const replacement = jQuery(this.buildRow(slug));
+
+		row.replaceWith(replacement);
+		this.filterRow(replacement);
+	}
+
+	buildRow(slug) {
+		const row = this.rows.get(slug);
+		const retryable = row.status === 'skipped' || row.status === 'failed';
+		const retryButton = retryable
+			? `<button type="button" class="button button-small aspirecloud-slug-retry" data-slug="${this.escapeHtml(slug)}"${this.running ? ' disabled' : ''}>${this.escapeHtml(aspirecloud_ajax.strings.slug_retry || 'Retry')}</button>`
+			: '';
+
+		return `<tr class="aspirecloud-slug-row aspirecloud-slug-${row.status}" data-slug="${this.escapeHtml(slug)}" data-status="${row.status}">` +
+			`<td class="aspirecloud-slug-name">${this.escapeHtml(slug)}</td>` +
+			`<td class="aspirecloud-slug-status"><span class="aspirecloud-slug-badge">${this.escapeHtml(this.getStatusLabel(row.status))}</span></td>` +
+			`<td class="aspirecloud-slug-reason">${this.escapeHtml(row.reason)}</td>` +
+			`<td class="aspirecloud-slug-actions">${retryButton}</td>` +
+			'</tr>';
+	}
+
+	// Count per status, e.g. "Imported: 280, Skipped: 12, Failed: 8"
+	renderSummary() {
+		const counts = {};
+		this.rows.forEach((row) => {
+			counts[row.status] = (counts[row.status] || 0) + 1;
+		});
+
+		const summary = this.statuses
+			.filter(status => counts[status])
+			.map(status => `${this.getStatusLabel(status)}: ${counts[status]}`)
+			.join(', ');
+
+		jQuery(this.selectors.summary).text(summary);
+	}
+
+	// Show only the rows with the status picked in the filter
+	applyFilter() {
+		jQuery(`${this.selectors.body} tr`).each((index, row) => this.filterRow(jQuery(row)));
+	}
+
+	filterRow(row) {
+		const status = jQuery(this.selectors.filter).val();
+
+		row.toggle(!status || row.data('status') === status);
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = SlugStatusGrid;
+} else if (typeof window !== 'undefined') {
+	window.SlugStatusGrid = SlugStatusGrid;
+}
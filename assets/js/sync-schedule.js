@@ -0,0 +1,112 @@
+/**
+ * SyncSchedule Class
+ *
+ * Saves the scheduled sync settings from the Schedule tab and shows the
+ * next and last run the server reports back.
+ *
+ * Dependencies: none
+ */
+
+class SyncSchedule {
+	constructor() {
+		// Element selectors
+		this.selectors = {
+			enabled: '#schedule-enabled',
+			frequency: '#schedule-frequency',
+			weekday: '#schedule-weekday',
+			windowStart: '#schedule-window-start',
+			windowEnd: '#schedule-window-end',
+			assetTypes: '.schedule-asset-type',
+			importMetadata: '#schedule-import-metadata',
+			importFiles: '#schedule-import-files',
+			saveButton: '#save-schedule-btn',
+			message: '.aspirecloud-schedule-message',
+			status: '.aspirecloud-schedule-status'
+		};
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('change', this.selectors.frequency, () => {
+			jQuery(this.selectors.weekday).toggle(jQuery(this.selectors.frequency).val() === 'weekly');
+		});
+
+		jQuery(document).on('click', this.selectors.saveButton, (e) => {
+			e.preventDefault();
+			this.save();
+		});
+	}
+
+	getSettings() {
+		return {
+			enabled: jQuery(this.selectors.enabled).is(':checked') ? 1 : 0,
+			frequency: jQuery(this.selectors.frequency).val(),
+			weekday: jQuery(this.selectors.weekday).val(),
+			window_start: jQuery(this.selectors.windowStart).val(),
+			window_end: jQuery(this.selectors.windowEnd).val(),
+			asset_types: jQuery(`${this.selectors.assetTypes}:checked`).map((index, checkbox) => jQuery(checkbox).val()).get(),
+			import_metadata: jQuery(this.selectors.importMetadata).is(':checked') ? 1 : 0,
+			import_files: jQuery(this.selectors.importFiles).is(':checked') ? 1 : 0
+		};
+	}
+
+	save() {
+		const button = jQuery(this.selectors.saveButton);
+
+		button.prop('disabled', true);
+		this.showMessage('', aspirecloud_ajax.strings.schedule_saving || 'Saving...');
+
+		jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: Object.assign({
+				action: 'aspirecloud_save_sync_schedule',
+				nonce: aspirecloud_ajax.nonce
+			}, this.getSettings()),
+			success: (response) => {
+				if (response.success) {
+					this.showMessage('success', response.data.message);
+					this.renderStatus(response.data.status || []);
+				} else {
+					this.showMessage('error', response.data || aspirecloud_ajax.strings.error);
+				}
+			},
+			error: (jqXHR, textStatus, errorThrown) => {
+				this.showMessage('error', jqXHR.responseJSON?.data || errorThrown || aspirecloud_ajax.strings.error);
+			},
+			complete: () => button.prop('disabled', false)
+		});
+	}
+
+	/**
+	 * @param {string} type - '', 'success' or 'error'
+	 * @param {string} message - Text next to the save button
+	 */
+	showMessage(type, message) {
+		jQuery(this.selectors.message)
+			.removeClass('aspirecloud-schedule-success aspirecloud-schedule-error')
+			.addClass(type ? `aspirecloud-schedule-${type}` : '')
+			.text(message);
+	}
+
+	// Next and last run lines from the server
+	renderStatus(lines) {
+		jQuery(this.selectors.status).html(lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join(''));
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = SyncSchedule;
+} else if (typeof window !== 'undefined') {
+	window.SyncSchedule = SyncSchedule;
+}
@@ -0,0 +1,270 @@
+/**
+ * UpdateCheck Class
+ *
+ * Runs the "Check for updates" tool: compares the stored version of every
+ * imported asset with the latest upstream version, batch by batch, and
+ * builds a report that can be filtered by status and searched by name or
+ * slug. Outdated assets that are not pinned can be synced in one go.
+ *
+ * Dependencies: BatchRunner classes
+ */
+
+class UpdateCheck {
+	/**
+	 * @param {string} assetType - 'plugins' or 'themes'
+	 * @param {Object} options - Update check options
+	 * @param {Object} options.logger - Logger instance
+	 * @param {Function} options.onSyncOutdated - (slugs) with the outdated, unpinned slugs to sync
+	 */
+	constructor(assetType, options = {}) {
+		this.assetType = assetType;
+		this.logger = options.logger;
+		this.onSyncOutdated = options.onSyncOutdated || (() => {});
+
+		// Element selectors
+		this.selectors = {
+			checkButton: '#check-updates-btn',
+			stopButton: '#check-updates-stop-btn',
+			syncButton: '#sync-outdated-btn',
+			summary: '.aspirecloud-update-check-summary',
+			filter: '.aspirecloud-update-check-filter',
+			search: '.aspirecloud-update-check-search',
+			body: '.aspirecloud-update-check-table tbody',
+			shown: '.aspirecloud-update-check-shown'
+		};
+
+		// A full catalog has tens of thousands of assets; only the first matching rows are listed
+		this.maxRows = 500;
+
+		this.statuses = ['outdated', 'pinned', 'current', 'not_found', 'error'];
+		this.results = new Map(); // Post ID => server result
+		this.totalAssets = 0;
+		this.running = false;
+
+		this.runner = new BatchRunner({
+			label: 'update check batch',
+			labelPlural: 'update check batches',
+			logger: this.logger,
+			batchDelay: 100,
+			runBatch: (batchNumber) => this.checkBatch(batchNumber),
+			onSuccess: (batchNumber, data) => this.onBatchSuccess(batchNumber, data),
+			onFailure: (batchNumber, failure) => this.onBatchFailure(batchNumber, failure),
+			onComplete: () => this.onComplete(),
+			onEmergencyStop: (reason) => this.onEmergencyStop(reason)
+		});
+
+		this.bindEvents();
+	}
+
+	bindEvents() {
+		jQuery(document).on('click', this.selectors.checkButton, (e) => {
+			e.preventDefault();
+			this.run();
+		});
+
+		jQuery(document).on('click', this.selectors.stopButton, (e) => {
+			e.preventDefault();
+			this.stop();
+		});
+
+		jQuery(document).on('click', this.selectors.syncButton, (e) => {
+			e.preventDefault();
+			this.syncOutdated();
+		});
+
+		jQuery(document).on('change', this.selectors.filter, () => this.render());
+		jQuery(document).on('input', this.selectors.search, () => this.render());
+	}
+
+	// Check every stored asset; the server reports the number of batches with the first one
+	run() {
+		if (this.running) return;
+
+		this.results.clear();
+		this.totalAssets = 0;
+		this.running = true;
+
+		this.logger.log('INFO', `Checking stored ${this.assetType} for upstream updates`);
+		this.updateButtons();
+		this.render();
+
+		this.runner.reset();
+		this.runner.setTotalBatches(1);
+		this.runner.processNextBatch();
+	}
+
+	stop() {
+		if (!this.running) return;
+
+		this.runner.cancel();
+		this.logger.log('WARNING', 'Update check stopped', `${this.results.size} of ${this.totalAssets} assets checked`);
+		this.finish();
+	}
+
+	isRunning() {
+		return this.running;
+	}
+
+	checkBatch(batchNumber) {
+		return this.runner.requestTracker.track(jQuery.ajax({
+			url: aspirecloud_ajax.ajax_url,
+			type: 'POST',
+			data: {
+				action: 'aspirecloud_check_updates_batch',
+				asset_type: this.assetType,
+				batch: batchNumber,
+				nonce: aspirecloud_ajax.nonce
+			}
+		}));
+	}
+
+	onBatchSuccess(batchNumber, data) {
+		this.totalAssets = data.total_assets || 0;
+		this.runner.setTotalBatches(data.total_batches || 0);
+
+		(data.results || []).forEach(result => this.results.set(result.post_id, result));
+		this.render();
+	}
+
+	// A batch that could not be checked is logged; its assets are missing from the report
+	onBatchFailure(batchNumber, failure) {
+		this.logger.log('ERROR', `Update check batch ${batchNumber} could not be checked`, failure.message);
+	}
+
+	onEmergencyStop(reason) {
+		this.logger.log('ERROR', 'Update check stopped', reason);
+		this.finish();
+	}
+
+	onComplete() {
+		this.logger.log('INFO', 'Update check complete', this.getCountsText(this.countStatuses()));
+		this.finish();
+	}
+
+	finish() {
+		this.running = false;
+		this.updateButtons();
+		this.render();
+	}
+
+	getOutdatedSlugs() {
+		return Array.from(this.results.values())
+			.filter(result => result.status === 'outdated')
+			.map(result => result.slug);
+	}
+
+	syncOutdated() {
+		const slugs = this.getOutdatedSlugs();
+
+		if (this.running || slugs.length === 0) return;
+
+		const message = (aspirecloud_ajax.strings.confirm_sync_outdated || 'Sync %d outdated assets to their latest version?')
+			.replace('%d', slugs.length);
+
+		if (!confirm(message)) return;
+
+		this.logger.log('INFO', `Syncing ${slugs.length} outdated ${this.assetType}`);
+		this.onSyncOutdated(slugs);
+	}
+
+	countStatuses() {
+		const counts = {};
+		this.results.forEach((result) => {
+			counts[result.status] = (counts[result.status] || 0) + 1;
+		});
+
+		return counts;
+	}
+
+	getStatusLabel(status) {
+		const fallbacks = {
+			outdated: 'Outdated',
+			pinned: 'Pinned',
+			current: 'Up to date',
+			not_found: 'Not found upstream',
+			error: 'Check failed'
+		};
+
+		return aspirecloud_ajax.strings['update_status_' + status] || fallbacks[status];
+	}
+
+	// e.g. "Outdated: 120, Up to date: 4300, Not found upstream: 12"
+	getCountsText(counts) {
+		return this.statuses
+			.filter(status => counts[status])
+			.map(status => `${this.getStatusLabel(status)}: ${counts[status]}`)
+			.join(', ');
+	}
+
+	updateButtons() {
+		jQuery(this.selectors.checkButton).prop('disabled', this.running);
+		jQuery(this.selectors.stopButton).toggle(this.running);
+		jQuery(this.selectors.syncButton).prop('disabled', this.running || this.getOutdatedSlugs().length === 0);
+	}
+
+	render() {
+		const status = jQuery(this.selectors.filter).val();
+		const search = String(jQuery(this.selectors.search).val() || '').trim().toLowerCase();
+		const matching = Array.from(this.results.values()).filter(result =>
+			(!status || result.status === status) &&
+			(!search || result.slug.toLowerCase().includes(search) || String(result.name).toLowerCase().includes(search))
+		);
+		const rows = matching.slice(0, this.maxRows);
+
+		jQuery(this.selectors.body).html(rows.length > 0
+			? rows.map(result => this.buildRow(result)).join('')
+			: `<tr><td colspan="5">${this.escapeHtml(this.results.size > 0
+				? (aspirecloud_ajax.strings.update_check_no_match || 'No assets match the filter.')
+				: (aspirecloud_ajax.strings.update_check_empty || 'Run a check to compare the stored versions with the latest upstream versions.'))}</td></tr>`);
+
+		jQuery(this.selectors.shown).text(matching.length > rows.length
+			? (aspirecloud_ajax.strings.update_check_shown || 'Showing the first %1$d of %2$d matching assets.')
+				.replace('%1$d', rows.length)
+				.replace('%2$d', matching.length)
+			: '');
+
+		this.renderSummary();
+		this.updateButtons();
+	}
+
+	buildRow(result) {
+		const status = result.status;
+		const latest = status === 'pinned'
+			? `${this.escapeHtml(result.latest_version)} (${this.escapeHtml((aspirecloud_ajax.strings.update_pinned_to || 'pinned to %s').replace('%s', result.pinned_version))})`
+			: this.escapeHtml(result.latest_version);
+
+		return `<tr class="aspirecloud-update-row aspirecloud-update-${status}">` +
+			`<td>${this.escapeHtml(result.name)}</td>` +
+			`<td class="aspirecloud-slug-name">${this.escapeHtml(result.slug)}</td>` +
+			`<td>${this.escapeHtml(result.local_version)}</td>` +
+			`<td>${latest}</td>` +
+			`<td class="aspirecloud-slug-status"><span class="aspirecloud-slug-badge" title="${this.escapeHtml(result.message || '')}">${this.escapeHtml(this.getStatusLabel(status))}</span></td>` +
+			'</tr>';
+	}
+
+	renderSummary() {
+		const countsText = this.getCountsText(this.countStatuses());
+		const progress = (aspirecloud_ajax.strings.update_check_progress || '%1$d of %2$d assets checked')
+			.replace('%1$d', this.results.size)
+			.replace('%2$d', this.totalAssets);
+
+		jQuery(this.selectors.summary).text(this.results.size > 0 || this.running
+			? `${progress}${countsText ? '. ' + countsText : ''}`
+			: '');
+	}
+
+	escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = UpdateCheck;
+} else if (typeof window !== 'undefined') {
+	window.UpdateCheck = UpdateCheck;
+}
@@ -23,6 +23,31 @@ use AspireCloud\Controller\ThemeImport;
  */
 class AssetResync {
 
+	/**
+	 * Fields shown value by value in the sync preview; other changed fields are only listed by name.
+	 */
+	const PREVIEW_FIELDS = [ 'version', 'requires', 'tested', 'sections', 'download_link', 'banners' ];
+
+	/**
+	 * Usage statistics that differ between any two fetches; applying still stores them, but they never count as a change.
+	 */
+	const VOLATILE_FIELDS = [ 'active_installs', 'rating', 'ratings', 'num_ratings', 'support_threads', 'support_threads_resolved', 'downloaded' ];
+
+	/**
+	 * Fields the file download rewrites to the local mirror copy. A local copy is refreshed with the version, so it is not compared.
+	 */
+	const MIRRORED_FIELDS = [ 'download_link', 'banners', 'icons', 'screenshot_url' ];
+
+	/**
+	 * Transient name prefix for previewed API data waiting to be applied (suffixed with post and user ID).
+	 */
+	const PREVIEW_TRANSIENT_PREFIX = 'aspirecloud_resync_preview_';
+
+	/**
+	 * Post meta holding the version an admin pinned the asset to; imports and delta syncs skip pinned assets.
+	 */
+	const PINNED_VERSION_META = '_aspirecloud_pinned_version';
+
 	/**
 	 * Initialize the asset sync controller.
 	 */
@@ -30,7 +55,10 @@ class AssetResync {
 		add_action( 'add_meta_boxes', [ $this, 'add_resync_metabox' ] );
 		add_action( 'wp_ajax_resync_plugin', [ $this, 'ajax_resync_plugin' ] );
 		add_action( 'wp_ajax_resync_theme', [ $this, 'ajax_resync_theme' ] );
+		add_action( 'wp_ajax_aspirecloud_pin_version', [ $this, 'ajax_pin_version' ] );
+		add_action( 'wp_ajax_aspirecloud_unpin_version', [ $this, 'ajax_unpin_version' ] );
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+		add_filter( 'display_post_states', [ $this, 'add_pinned_post_state' ], 10, 2 );
 	}
 
 	/**
@@ -99,6 +127,9 @@ class AssetResync {
 		$asset_type  = 'ac_plugin' === $post->post_type ? 'plugin' : 'theme';
 		$asset_label = 'plugin' === $asset_type ? __( 'Plugin', 'aspirecloud' ) : __( 'Theme', 'aspirecloud' );
 
+		$pinned_version = get_post_meta( $post->ID, self::PINNED_VERSION_META, true );
+		$versions       = array_keys( $this->get_stored_versions( $post->ID ) );
+
 		wp_nonce_field( 'aspirecloud_resync_' . $asset_type, 'aspirecloud_resync_nonce' );
 		?>
 		<div id="aspirecloud-resync-container">
@@ -110,6 +141,27 @@ class AssetResync {
 				</p>
 			</div>
 
+			<?php if ( $pinned_version ) : ?>
+				<div id="resync-pinned" class="aspirecloud-resync-pinned">
+					<p>
+						<span class="dashicons dashicons-lock"></span>
+						<?php
+						printf(
+							/* translators: %s: pinned version number */
+							esc_html__( 'Pinned to version %s. Imports and delta syncs skip this asset.', 'aspirecloud' ),
+							'<strong>' . esc_html( $pinned_version ) . '</strong>'
+						);
+						?>
+					</p>
+					<button type="button"
+							id="resync-unpin-btn"
+							class="button button-small"
+							data-post-id="<?php echo esc_attr( $post->ID ); ?>">
+						<?php esc_html_e( 'Unpin', 'aspirecloud' ); ?>
+					</button>
+				</div>
+			<?php endif; ?>
+
 			<div class="aspirecloud-resync-actions">
 				<button type="button"
 						id="resync-<?php echo esc_attr( $asset_type ); ?>-btn"
@@ -122,6 +174,37 @@ class AssetResync {
 				</button>
 			</div>
 
+			<?php if ( ! empty( $versions ) ) : ?>
+				<div class="aspirecloud-resync-version-picker">
+					<label for="resync-version-select"><?php esc_html_e( 'Sync a specific version:', 'aspirecloud' ); ?></label>
+					<select id="resync-version-select">
+						<?php foreach ( $versions as $version ) : ?>
+							<option value="<?php echo esc_attr( $version ); ?>" <?php selected( $version, $pinned_version ? $pinned_version : $current_version ); ?>><?php echo esc_html( $version ); ?></option>
+						<?php endforeach; ?>
+					</select>
+					<button type="button"
+							id="resync-pin-btn"
+							class="button button-secondary"
+							data-post-id="<?php echo esc_attr( $post->ID ); ?>"
+							data-slug="<?php echo esc_attr( $slug ); ?>"
+							data-asset-type="<?php echo esc_attr( $asset_type ); ?>">
+						<span class="dashicons dashicons-lock"></span>
+						<?php esc_html_e( 'Download and pin', 'aspirecloud' ); ?>
+					</button>
+					<p class="description"><?php esc_html_e( 'Pinning changes the version number and ZIP only. Requirements, description and changelog still describe the latest release.', 'aspirecloud' ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<div id="resync-preview" class="aspirecloud-resync-preview" style="display: none;">
+				<p class="resync-preview-summary"></p>
+				<div class="resync-preview-fields"></div>
+				<p class="resync-preview-other"></p>
+				<div class="aspirecloud-resync-preview-actions">
+					<button type="button" id="resync-apply-btn" class="button button-primary"><?php esc_html_e( 'Apply', 'aspirecloud' ); ?></button>
+					<button type="button" id="resync-cancel-btn" class="button"><?php esc_html_e( 'Cancel', 'aspirecloud' ); ?></button>
+				</div>
+			</div>
+
 			<div id="resync-status" class="aspirecloud-resync-status" style="display: none;">
 				<p class="resync-message"></p>
 			</div>
@@ -189,6 +272,23 @@ class AssetResync {
 					'confirm_update'    => __( 'A newer version (%s) is available. Do you want to update?', 'aspirecloud' ),
 					'refresh_message'   => __( 'Please refresh the page to view the updated data.', 'aspirecloud' ),
 					'reload_link_text'  => __( 'Reload Page', 'aspirecloud' ),
+					'fetching_preview'  => __( 'Fetching the latest data...', 'aspirecloud' ),
+					// translators: %d is the number of changed fields
+					'preview_summary'   => __( '%d fields would change. Review them, then apply or cancel.', 'aspirecloud' ),
+					// translators: %s is a comma-separated list of field names
+					'preview_other'     => __( 'Also changes: %s', 'aspirecloud' ),
+					'current_value'     => __( 'Stored', 'aspirecloud' ),
+					'latest_value'      => __( 'Latest', 'aspirecloud' ),
+					'empty_value'       => __( '(empty)', 'aspirecloud' ),
+					'sync_cancelled'    => __( 'Sync cancelled. Nothing was changed.', 'aspirecloud' ),
+					// translators: %s is the version number
+					'confirm_pin'       => __( 'Download version %s and serve it instead of the latest release? Automatic updates will skip this asset until it is unpinned.', 'aspirecloud' ),
+					// translators: %s is the version number
+					'pinning_version'   => __( 'Downloading version %s...', 'aspirecloud' ),
+					'confirm_unpin'     => __( 'Unpin this asset? The next import or delta sync will update it to the latest version.', 'aspirecloud' ),
+					'unpinning'         => __( 'Removing the pin...', 'aspirecloud' ),
+					// translators: %s is the pinned version number
+					'preview_unpins'    => __( 'This asset is pinned to version %s. Applying removes the pin.', 'aspirecloud' ),
 				],
 			]
 		);
@@ -226,6 +326,13 @@ class AssetResync {
 
 		$post_id = intval( $_POST['post_id'] ?? 0 );
 		$slug    = sanitize_text_field( $_POST['slug'] ?? '' );
+		$mode    = sanitize_key( $_POST['mode'] ?? 'preview' );
+
+		// The bulk sync on the list screens only knows post IDs; use the slug the metabox would show
+		if ( $post_id && ! $slug ) {
+			$slug = get_post_meta( $post_id, '__slug', true );
+			$slug = $slug ? $slug : get_post_field( 'post_name', $post_id );
+		}
 
 		if ( ! $post_id || ! $slug ) {
 			wp_send_json_error( __( 'Invalid post ID or slug.', 'aspirecloud' ) );
@@ -233,13 +340,24 @@ class AssetResync {
 
 		// Get current version
 		$current_version = get_post_meta( $post_id, '__version', true );
+		$transient       = self::PREVIEW_TRANSIENT_PREFIX . $post_id . '_' . get_current_user_id();
 
 		try {
-			// Fetch latest data from API
-			$api_data = $this->fetch_asset_data( $slug, $asset_type );
+			if ( 'apply' === $mode ) {
+				// Apply exactly the data the user reviewed, not a newer fetch
+				$api_data = get_transient( $transient );
+				delete_transient( $transient );
 
-			if ( ! $api_data ) {
-				wp_send_json_error( __( 'Failed to fetch data from API.', 'aspirecloud' ) );
+				if ( ! is_array( $api_data ) ) {
+					wp_send_json_error( __( 'The preview has expired. Press Sync to fetch the latest data again.', 'aspirecloud' ) );
+				}
+			} else {
+				// Fetch latest data from API
+				$api_data = $this->fetch_asset_data( $slug, $asset_type );
+
+				if ( ! $api_data ) {
+					wp_send_json_error( __( 'Failed to fetch data from API.', 'aspirecloud' ) );
+				}
 			}
 
 			$latest_version = $api_data['version'] ?? '';
@@ -249,21 +367,39 @@ class AssetResync {
 				wp_send_json_error( __( 'No version information available from API.', 'aspirecloud' ) );
 			}
 
-			// If versions are the same, no update needed
-			if ( version_compare( $latest_version, $current_version, '<=' ) ) {
+			if ( 'apply' !== $mode ) {
+				$diff = $this->build_sync_diff( $post_id, $api_data, $asset_type );
+
+				// Nothing stored differs from upstream, so there is nothing to apply
+				if ( empty( $diff['fields'] ) && empty( $diff['other_fields'] ) ) {
+					wp_send_json_success(
+						[
+							'action'          => 'no_update',
+							'current_version' => $current_version,
+							'latest_version'  => $latest_version,
+							'message'         => __( 'No update available. Stored data matches the latest data.', 'aspirecloud' ),
+						]
+					);
+				}
+
+				set_transient( $transient, $api_data, 15 * MINUTE_IN_SECONDS );
+
 				wp_send_json_success(
 					[
-						'action'          => 'no_update',
+						'action'          => 'preview',
 						'current_version' => $current_version,
 						'latest_version'  => $latest_version,
-						'message'         => __( 'No update available. Current version is up to date.', 'aspirecloud' ),
+						'fields'          => $diff['fields'],
+						'other_fields'    => $diff['other_fields'],
+						'pinned_version'  => get_post_meta( $post_id, self::PINNED_VERSION_META, true ),
 					]
 				);
 			}
 
-			// Update available, proceed with update
+			// The user reviewed the preview, proceed with update; moving to the latest data ends any pin
 			$this->update_asset_data( $post_id, $api_data, $asset_type );
 			$this->redownload_asset_files( $post_id, $slug, $api_data, $asset_type );
+			delete_post_meta( $post_id, self::PINNED_VERSION_META );
 
 			wp_send_json_success(
 				[
@@ -284,6 +420,181 @@ class AssetResync {
 		}
 	}
 
+	/**
+	 * AJAX handler that downloads a historical version and pins the asset to it.
+	 * Only __version and __download_link change; the API has no other metadata for old versions.
+	 * If the download fails, both are restored so the asset still describes the files it holds.
+	 */
+	public function ajax_pin_version() {
+		// Verify nonce
+		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'aspirecloud_resync' ) ) {
+			wp_send_json_error( __( 'Security check failed.', 'aspirecloud' ) );
+		}
+
+		// Check user capabilities
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_send_json_error( __( 'Insufficient permissions.', 'aspirecloud' ) );
+		}
+
+		$post_id    = intval( $_POST['post_id'] ?? 0 );
+		$slug       = sanitize_text_field( $_POST['slug'] ?? '' );
+		$asset_type = 'theme' === ( $_POST['asset_type'] ?? '' ) ? 'theme' : 'plugin';
+		$version    = sanitize_text_field( wp_unslash( $_POST['version'] ?? '' ) );
+
+		if ( ! $post_id || ! $slug || ! preg_match( '/^[0-9a-z.\-+]+$/i', $version ) ) {
+			wp_send_json_error( __( 'Invalid post ID, slug or version.', 'aspirecloud' ) );
+		}
+
+		// Only versions recorded by the last import or sync can be pinned
+		$versions = $this->get_stored_versions( $post_id );
+
+		if ( empty( $versions[ $version ] ) ) {
+			wp_send_json_error(
+				sprintf(
+					// translators: %s is the version number
+					__( 'Version %s is not in the stored version list. Sync the asset first to refresh it.', 'aspirecloud' ),
+					$version
+				)
+			);
+		}
+
+		$previous_version = get_post_meta( $post_id, '__version', true );
+		$previous_link    = get_post_meta( $post_id, '__download_link', true );
+
+		try {
+			// The importer downloads whatever __download_link points at and rewrites it to the local copy
+			update_post_meta( $post_id, '__version', $version );
+			update_post_meta( $post_id, '__download_link', $versions[ $version ] );
+
+			$this->redownload_asset_files(
+				$post_id,
+				$slug,
+				[
+					'slug'          => $slug,
+					'version'       => $version,
+					'download_link' => $versions[ $version ],
+				],
+				$asset_type
+			);
+
+			// A failed ZIP download leaves the upstream link in place instead of throwing
+			if ( get_post_meta( $post_id, '__download_link', true ) === $versions[ $version ] ) {
+				throw new \Exception(
+					sprintf(
+						// translators: %s is the version number
+						__( 'Failed to download version %s.', 'aspirecloud' ),
+						$version
+					)
+				);
+			}
+
+			update_post_meta( $post_id, self::PINNED_VERSION_META, $version );
+		} catch ( \Exception $e ) {
+			update_post_meta( $post_id, '__version', $previous_version );
+			update_post_meta( $post_id, '__download_link', $previous_link );
+
+			wp_send_json_error( $e->getMessage() );
+		}
+
+		wp_send_json_success(
+			[
+				'action'          => 'pinned',
+				'current_version' => $previous_version,
+				'pinned_version'  => $version,
+				'message'         => sprintf(
+					// translators: %s is the pinned version number
+					__( 'Version %s downloaded and pinned. Automatic updates will skip this asset.', 'aspirecloud' ),
+					$version
+				),
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler that removes a version pin so automatic updates apply again.
+	 */
+	public function ajax_unpin_version() {
+		// Verify nonce
+		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'aspirecloud_resync' ) ) {
+			wp_send_json_error( __( 'Security check failed.', 'aspirecloud' ) );
+		}
+
+		// Check user capabilities
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_send_json_error( __( 'Insufficient permissions.', 'aspirecloud' ) );
+		}
+
+		$post_id = intval( $_POST['post_id'] ?? 0 );
+
+		if ( ! $post_id ) {
+			wp_send_json_error( __( 'Invalid post ID.', 'aspirecloud' ) );
+		}
+
+		delete_post_meta( $post_id, self::PINNED_VERSION_META );
+
+		wp_send_json_success(
+			[
+				'action'  => 'unpinned',
+				'message' => __( 'Pin removed. The next import or delta sync will update this asset.', 'aspirecloud' ),
+			]
+		);
+	}
+
+	/**
+	 * Show the pinned version next to the title in the plugin and theme lists.
+	 *
+	 * @param array    $post_states Post state labels.
+	 * @param \WP_Post $post        Current post object.
+	 * @return array Post state labels.
+	 */
+	public function add_pinned_post_state( $post_states, $post ) {
+		if ( ! in_array( $post->post_type, [ 'ac_plugin', 'ac_theme' ], true ) ) {
+			return $post_states;
+		}
+
+		$pinned_version = get_post_meta( $post->ID, self::PINNED_VERSION_META, true );
+
+		if ( $pinned_version ) {
+			$post_states['aspirecloud_pinned'] = sprintf(
+				// translators: %s is the pinned version number
+				__( 'Pinned %s', 'aspirecloud' ),
+				$pinned_version
+			);
+		}
+
+		return $post_states;
+	}
+
+	/**
+	 * Get the downloadable versions stored for an asset, newest first.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array Version => download URL, without trunk.
+	 */
+	private function get_stored_versions( $post_id ) {
+		$versions = get_post_meta( $post_id, '__versions', true );
+
+		if ( is_string( $versions ) ) {
+			$versions = json_decode( $versions, true );
+		}
+
+		if ( ! is_array( $versions ) ) {
+			return [];
+		}
+
+		unset( $versions['trunk'] );
+		$versions = array_filter( $versions, 'is_string' );
+
+		uksort(
+			$versions,
+			function ( $a, $b ) {
+				return version_compare( (string) $b, (string) $a );
+			}
+		);
+
+		return $versions;
+	}
+
 	/**
 	 * Fetch asset data from WordPress.org API.
 	 *
@@ -371,6 +682,198 @@ class AssetResync {
 		return (array) $api_response;
 	}
 
+	/**
+	 * Fetch only the current version of an asset, and optionally its version list, from WordPress.org API.
+	 *
+	 * @param string $slug          Asset slug.
+	 * @param string $asset_type    Asset type (plugin or theme).
+	 * @param bool   $with_versions Whether to include the map of version => download link.
+	 * @return array|false Array with version and versions, or false when the slug does not exist upstream.
+	 * @throws \Exception When the API could not be reached.
+	 */
+	public function fetch_upstream_version( $slug, $asset_type, $with_versions = false ) {
+		// Skip the large fields; only the version is compared
+		$fields = [
+			'sections'     => false,
+			'description'  => false,
+			'reviews'      => false,
+			'banners'      => false,
+			'icons'        => false,
+			'screenshots'  => false,
+			'ratings'      => false,
+			'tags'         => false,
+			'contributors' => false,
+			'versions'     => $with_versions,
+		];
+
+		if ( 'plugin' === $asset_type ) {
+			if ( ! function_exists( 'plugins_api' ) ) {
+				include_once ABSPATH . 'wp-admin/includes/plugin-install.php';
+			}
+			$api_response = plugins_api(
+				'plugin_information',
+				[
+					'slug'   => $slug,
+					'fields' => $fields,
+				]
+			);
+		} else {
+			if ( ! function_exists( 'themes_api' ) ) {
+				include_once ABSPATH . 'wp-admin/includes/theme.php';
+			}
+			$api_response = themes_api(
+				'theme_information',
+				[
+					'slug'   => $slug,
+					'fields' => $fields,
+				]
+			);
+		}
+
+		if ( is_wp_error( $api_response ) ) {
+			// The API answers unknown slugs with an error message only; transport failures carry the underlying error as data
+			if ( empty( $api_response->get_error_data() ) ) {
+				return false;
+			}
+
+			throw new \Exception( $api_response->get_error_message() );
+		}
+
+		$api_data = (array) $api_response;
+
+		return [
+			'version'  => (string) ( $api_data['version'] ?? '' ),
+			'versions' => (array) ( $api_data['versions'] ?? [] ),
+		];
+	}
+
+	/**
+	 * Compare the stored post meta of an asset with fresh API data.
+	 *
+	 * @param int    $post_id    Post ID.
+	 * @param array  $api_data   API data.
+	 * @param string $asset_type Asset type (plugin or theme).
+	 * @return array Changed preview fields with label, current and latest values, and the names of other changed fields.
+	 */
+	public function build_sync_diff( $post_id, $api_data, $asset_type ) {
+		$asset_info = 'plugin' === $asset_type ? new PluginInfo( $api_data ) : new ThemeInfo( $api_data );
+		$labels     = [
+			'version'       => __( 'Version', 'aspirecloud' ),
+			'requires'      => __( 'Requires WordPress', 'aspirecloud' ),
+			'tested'        => __( 'Tested up to', 'aspirecloud' ),
+			'download_link' => __( 'Download link', 'aspirecloud' ),
+			'banners'       => __( 'Banners', 'aspirecloud' ),
+		];
+		$diff       = [
+			'fields'       => [],
+			'other_fields' => [],
+		];
+
+		foreach ( $this->build_meta_values( $asset_info ) as $property => $latest ) {
+			$stored  = get_post_meta( $post_id, '__' . $property, true );
+			$current = is_array( $stored ) ? wp_json_encode( $stored ) : (string) $stored;
+
+			if ( $current === $latest || in_array( $property, self::VOLATILE_FIELDS, true ) ) {
+				continue;
+			}
+
+			if ( in_array( $property, self::MIRRORED_FIELDS, true ) && $this->is_local_copy( $stored ) ) {
+				continue;
+			}
+
+			if ( 'sections' === $property ) {
+				$diff['fields'] = array_merge( $diff['fields'], $this->diff_sections( $current, $latest ) );
+			} elseif ( in_array( $property, self::PREVIEW_FIELDS, true ) ) {
+				$diff['fields'][] = [
+					'field'   => $property,
+					'label'   => $labels[ $property ],
+					'current' => $current,
+					'latest'  => $latest,
+				];
+			} else {
+				$diff['other_fields'][] = $property;
+			}
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Check whether a stored URL, or any URL of a stored size => URL list, points at the local mirror.
+	 *
+	 * @param mixed $stored Stored meta value.
+	 * @return bool True if the value is a downloaded local copy.
+	 */
+	private function is_local_copy( $stored ) {
+		$local_url = wp_upload_dir()['baseurl'] . '/aspirecloud/';
+
+		if ( is_string( $stored ) && is_array( json_decode( $stored, true ) ) ) {
+			$stored = json_decode( $stored, true );
+		}
+
+		foreach ( (array) $stored as $url ) {
+			if ( is_string( $url ) && 0 === strpos( $url, $local_url ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Compare stored and latest description sections one section at a time.
+	 *
+	 * @param string $current JSON encoded stored sections.
+	 * @param string $latest  JSON encoded latest sections.
+	 * @return array Changed sections in the format of build_sync_diff() fields, as shortened plain text.
+	 */
+	private function diff_sections( $current, $latest ) {
+		$current_sections = json_decode( $current, true );
+		$latest_sections  = json_decode( $latest, true );
+		$current_sections = is_array( $current_sections ) ? $current_sections : [];
+		$latest_sections  = is_array( $latest_sections ) ? $latest_sections : [];
+		$fields           = [];
+
+		foreach ( array_unique( array_merge( array_keys( $current_sections ), array_keys( $latest_sections ) ) ) as $section ) {
+			$current_text = (string) ( $current_sections[ $section ] ?? '' );
+			$latest_text  = (string) ( $latest_sections[ $section ] ?? '' );
+
+			if ( $current_text === $latest_text ) {
+				continue;
+			}
+
+			$fields[] = [
+				'field'   => 'sections.' . $section,
+				/* translators: %s: section name, e.g. description or changelog */
+				'label'   => sprintf( __( 'Section: %s', 'aspirecloud' ), $section ),
+				'current' => wp_trim_words( wp_strip_all_tags( $current_text ), 40 ),
+				'latest'  => wp_trim_words( wp_strip_all_tags( $latest_text ), 40 ),
+			];
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Build the post meta values an update would store, keyed by property name.
+	 *
+	 * @param PluginInfo|ThemeInfo $asset_info Asset info object with API data.
+	 * @return array Property => meta value, with arrays and objects encoded as JSON.
+	 */
+	private function build_meta_values( $asset_info ) {
+		$values = [];
+
+		foreach ( $asset_info::get_all_properties() as $property ) {
+			$value = $asset_info->__get( $property );
+			if ( $value !== null ) {
+				// Encode arrays and objects as JSON
+				$values[ $property ] = is_array( $value ) || is_object( $value ) ? wp_json_encode( $value ) : (string) $value;
+			}
+		}
+
+		return $values;
+	}
+
 	/**
 	 * Update asset data in the database.
 	 *
@@ -397,16 +900,8 @@ class AssetResync {
 		);
 
 		// Update all metadata
-		$properties = $asset_info::get_all_properties();
-		foreach ( $properties as $property ) {
-			$value = $asset_info->__get( $property );
-			if ( $value !== null ) {
-				// Encode arrays and objects as JSON
-				if ( is_array( $value ) || is_object( $value ) ) {
-					$value = wp_json_encode( $value );
-				}
-				update_post_meta( $post_id, '__' . $property, $value );
-			}
+		foreach ( $this->build_meta_values( $asset_info ) as $property => $value ) {
+			update_post_meta( $post_id, '__' . $property, $value );
 		}
 	}
 
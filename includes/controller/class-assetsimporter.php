@@ -31,6 +31,41 @@ abstract class AssetsImporter {
 	 */
 	const CLEAR_BATCH_SIZE = 1000;
 
+	/**
+	 * Batch size for delta syncs. Small because every changed asset also has its files re-downloaded.
+	 */
+	const DELTA_SYNC_BATCH_SIZE = 10;
+
+	/**
+	 * Batch size for update checks. Each asset is one API request.
+	 */
+	const UPDATE_CHECK_BATCH_SIZE = 20;
+
+	/**
+	 * Post meta with the result of the last update check: status, local and latest version, check time.
+	 */
+	const UPSTREAM_STATUS_META = '_aspirecloud_upstream_status';
+
+	/**
+	 * Option name prefix for the start time of the last successful sync (suffixed with plugins/themes).
+	 */
+	const LAST_SYNC_OPTION_PREFIX = 'aspirecloud_last_sync_';
+
+	/**
+	 * Option name prefix for the state of a delta sync in progress.
+	 */
+	const DELTA_SYNC_RUN_OPTION_PREFIX = 'aspirecloud_delta_sync_run_';
+
+	/**
+	 * Option name prefix for the start time of a bulk metadata import in progress.
+	 */
+	const BULK_IMPORT_STARTED_OPTION_PREFIX = 'aspirecloud_bulk_import_started_';
+
+	/**
+	 * Option name prefix for persisted import checkpoints (suffixed with plugins/themes).
+	 */
+	const CHECKPOINT_OPTION_PREFIX = 'aspirecloud_import_checkpoint_';
+
 	/**
 	 * Database optimization state tracking.
 	 *
@@ -74,6 +109,12 @@ abstract class AssetsImporter {
 		add_action( 'wp_ajax_aspirecloud_restore_database', [ $this, 'ajax_restore_database' ] );
 		add_action( 'wp_ajax_aspirecloud_check_db_optimization', [ $this, 'ajax_check_db_optimization' ] );
 		add_action( 'wp_ajax_aspirecloud_import_csv_batch', [ $this, 'ajax_import_csv_batch' ] );
+		add_action( 'wp_ajax_aspirecloud_preflight_slugs', [ $this, 'ajax_preflight_slugs' ] );
+		add_action( 'wp_ajax_aspirecloud_check_updates_batch', [ $this, 'ajax_check_updates_batch' ] );
+		add_action( 'wp_ajax_aspirecloud_complete_bulk_import', [ $this, 'ajax_complete_bulk_import' ] );
+		add_action( 'wp_ajax_aspirecloud_save_import_checkpoint', [ $this, 'ajax_save_import_checkpoint' ] );
+		add_action( 'wp_ajax_aspirecloud_get_import_checkpoint', [ $this, 'ajax_get_import_checkpoint' ] );
+		add_action( 'wp_ajax_aspirecloud_clear_import_checkpoint', [ $this, 'ajax_clear_import_checkpoint' ] );
 	}
 
 	/**
@@ -105,6 +146,15 @@ abstract class AssetsImporter {
 			true
 		);
 
+		// Enqueue the request tracker class
+		wp_enqueue_script(
+			'aspirecloud-request-tracker',
+			AC_URL . 'assets/js/request-tracker.js',
+			[],
+			AC_VERSION,
+			true
+		);
+
 		// Enqueue the logger class
 		wp_enqueue_script(
 			'aspirecloud-logger',
@@ -114,11 +164,29 @@ abstract class AssetsImporter {
 			true
 		);
 
+		// Enqueue the error report class
+		wp_enqueue_script(
+			'aspirecloud-error-report',
+			AC_URL . 'assets/js/error-report.js',
+			[ 'jquery' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the batch runner class
+		wp_enqueue_script(
+			'aspirecloud-batch-runner',
+			AC_URL . 'assets/js/batch-runner.js',
+			[ 'aspirecloud-request-tracker', 'aspirecloud-error-report' ],
+			AC_VERSION,
+			true
+		);
+
 		// Enqueue the metadata importer class
 		wp_enqueue_script(
 			'aspirecloud-metadata-importer',
 			AC_URL . 'assets/js/metadata-importer.js',
-			[ 'jquery', 'aspirecloud-performance-tracker', 'aspirecloud-logger' ],
+			[ 'jquery', 'aspirecloud-performance-tracker', 'aspirecloud-request-tracker', 'aspirecloud-batch-runner', 'aspirecloud-logger' ],
 			AC_VERSION,
 			true
 		);
@@ -127,7 +195,115 @@ abstract class AssetsImporter {
 		wp_enqueue_script(
 			'aspirecloud-file-downloader',
 			AC_URL . 'assets/js/file-downloader.js',
-			[ 'jquery', 'aspirecloud-performance-tracker', 'aspirecloud-logger' ],
+			[ 'jquery', 'aspirecloud-performance-tracker', 'aspirecloud-request-tracker', 'aspirecloud-batch-runner', 'aspirecloud-logger' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the import checkpoint class
+		wp_enqueue_script(
+			'aspirecloud-import-checkpoint',
+			AC_URL . 'assets/js/import-checkpoint.js',
+			[ 'jquery', 'aspirecloud-logger' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the background job monitor class
+		wp_enqueue_script(
+			'aspirecloud-job-monitor',
+			AC_URL . 'assets/js/job-monitor.js',
+			[ 'jquery', 'aspirecloud-logger', 'aspirecloud-progress-bar', 'aspirecloud-request-tracker' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the delta sync class
+		wp_enqueue_script(
+			'aspirecloud-delta-sync',
+			AC_URL . 'assets/js/delta-sync.js',
+			[ 'jquery', 'aspirecloud-logger', 'aspirecloud-progress-bar', 'aspirecloud-request-tracker' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the performance dashboard class
+		wp_enqueue_script(
+			'aspirecloud-performance-dashboard',
+			AC_URL . 'assets/js/performance-dashboard.js',
+			[ 'jquery', 'aspirecloud-performance-tracker' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the run history class
+		wp_enqueue_script(
+			'aspirecloud-run-history',
+			AC_URL . 'assets/js/run-history.js',
+			[ 'aspirecloud-logger' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the history tab class
+		wp_enqueue_script(
+			'aspirecloud-history-panel',
+			AC_URL . 'assets/js/history-panel.js',
+			[ 'jquery', 'aspirecloud-run-history', 'aspirecloud-error-report' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the slug status grid class
+		wp_enqueue_script(
+			'aspirecloud-slug-status-grid',
+			AC_URL . 'assets/js/slug-status-grid.js',
+			[ 'jquery' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the slug list import class
+		wp_enqueue_script(
+			'aspirecloud-slug-list-import',
+			AC_URL . 'assets/js/slug-list-import.js',
+			[ 'jquery' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the preflight check class
+		wp_enqueue_script(
+			'aspirecloud-preflight-check',
+			AC_URL . 'assets/js/preflight-check.js',
+			[ 'jquery', 'aspirecloud-batch-runner' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the dry run report class
+		wp_enqueue_script(
+			'aspirecloud-dry-run-report',
+			AC_URL . 'assets/js/dry-run-report.js',
+			[ 'jquery' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the update check class
+		wp_enqueue_script(
+			'aspirecloud-update-check',
+			AC_URL . 'assets/js/update-check.js',
+			[ 'jquery', 'aspirecloud-batch-runner' ],
+			AC_VERSION,
+			true
+		);
+
+		// Enqueue the sync schedule class
+		wp_enqueue_script(
+			'aspirecloud-sync-schedule',
+			AC_URL . 'assets/js/sync-schedule.js',
+			[ 'jquery' ],
 			AC_VERSION,
 			true
 		);
@@ -145,7 +321,7 @@ abstract class AssetsImporter {
 		wp_enqueue_script(
 			'aspirecloud-import-assets-controller',
 			AC_URL . 'assets/js/import-assets-controller.js',
-			[ 'jquery', 'aspirecloud-logger', 'aspirecloud-metadata-importer', 'aspirecloud-file-downloader', 'aspirecloud-database-manager' ],
+			[ 'jquery', 'aspirecloud-logger', 'aspirecloud-request-tracker', 'aspirecloud-batch-runner', 'aspirecloud-import-checkpoint', 'aspirecloud-job-monitor', 'aspirecloud-delta-sync', 'aspirecloud-run-history', 'aspirecloud-error-report', 'aspirecloud-performance-dashboard', 'aspirecloud-slug-status-grid', 'aspirecloud-slug-list-import', 'aspirecloud-preflight-check', 'aspirecloud-dry-run-report', 'aspirecloud-metadata-importer', 'aspirecloud-file-downloader', 'aspirecloud-database-manager' ],
 			AC_VERSION,
 			true
 		);
@@ -154,7 +330,7 @@ abstract class AssetsImporter {
 		wp_enqueue_script(
 			'aspirecloud-clear-assets',
 			AC_URL . 'assets/js/clear-assets.js',
-			[ 'jquery', 'aspirecloud-progress-bar' ],
+			[ 'jquery', 'aspirecloud-progress-bar', 'aspirecloud-request-tracker', 'aspirecloud-batch-runner' ],
 			AC_VERSION,
 			true
 		);
@@ -163,7 +339,7 @@ abstract class AssetsImporter {
 		wp_enqueue_script(
 			'aspirecloud-admin',
 			AC_URL . 'assets/js/admin.js',
-			[ 'jquery', 'aspirecloud-progress-bar', 'aspirecloud-import-assets-controller', 'aspirecloud-clear-assets' ],
+			[ 'jquery', 'aspirecloud-progress-bar', 'aspirecloud-import-assets-controller', 'aspirecloud-clear-assets', 'aspirecloud-history-panel', 'aspirecloud-update-check', 'aspirecloud-sync-schedule' ],
 			AC_VERSION,
 			true
 		);
@@ -189,6 +365,15 @@ abstract class AssetsImporter {
 			),
 			/* translators: %1$d: current batch number, %2$d: total batches */
 			'clearing_batch'            => __( 'Clearing batch %1$d of %2$d...', 'aspirecloud' ),
+			/* translators: %d: number of matching assets */
+			'confirm_clear_filtered'    => __( 'Clear %d assets matching the clear filters? This action cannot be undone.', 'aspirecloud' ),
+			/* translators: %d: number of matching assets */
+			'confirm_clear_files'       => __( 'Delete the downloaded files of %d assets matching the clear filters from the uploads folder? This action cannot be undone.', 'aspirecloud' ),
+			/* translators: %d: number of matching assets */
+			'clear_preview_count'       => __( '%d assets match the clear filters.', 'aspirecloud' ),
+			'clear_no_match'            => __( 'No assets match the clear filters.', 'aspirecloud' ),
+			'clear_no_update_check'     => __( 'No update check has been run yet, so no assets are known to be closed or removed. Run Check for Updates on the Updates tab first.', 'aspirecloud' ),
+			'clear_counting'            => __( 'Counting matching assets...', 'aspirecloud' ),
 			'resting'                   => __( 'Resting for 30 seconds...', 'aspirecloud' ),
 			'restoring_database'        => __( 'Restoring database features...', 'aspirecloud' ),
 			'database_restored'         => __( 'Database features restored successfully!', 'aspirecloud' ),
@@ -198,6 +383,97 @@ abstract class AssetsImporter {
 			'no_slugs_provided'         => __( 'No slugs provided for import.', 'aspirecloud' ),
 			'invalid_slugs'             => __( 'Please enter valid asset slugs separated by commas.', 'aspirecloud' ),
 			'too_many_slugs'            => __( 'Please limit to 10 slugs per import for better performance.', 'aspirecloud' ),
+			'pausing'                   => __( 'Pausing... waiting for in-flight batches to finish.', 'aspirecloud' ),
+			'paused'                    => __( 'Import paused. Press Resume to continue.', 'aspirecloud' ),
+			'resuming'                  => __( 'Resuming import...', 'aspirecloud' ),
+			'confirm_cancel'            => __( 'Are you sure you want to cancel the running operation? Progress so far is kept, but outstanding batches are abandoned.', 'aspirecloud' ),
+			'cancelled'                 => __( 'Operation cancelled.', 'aspirecloud' ),
+			'resuming_checkpoint'       => __( 'Resuming previous import...', 'aspirecloud' ),
+			'confirm_discard'           => __( 'Discard the saved import position? The next import will start from the beginning.', 'aspirecloud' ),
+			'starting_background_job'   => __( 'Starting background import...', 'aspirecloud' ),
+			/* translators: %d: page number */
+			'syncing_changes_page'      => __( 'Syncing changes, page %d...', 'aspirecloud' ),
+			/* translators: %1$d: created count, %2$d: updated count, %3$d: unchanged count */
+			'sync_complete_summary'     => __( 'Sync complete: %1$d created, %2$d updated, %3$d unchanged', 'aspirecloud' ),
+			/* translators: %s: date and time of the last sync */
+			'last_sync'                 => __( 'Last sync: %s', 'aspirecloud' ),
+			/* translators: %1$d: current page, %2$d: total pages */
+			'job_metadata_status'       => __( 'Background import: metadata page %1$d of %2$d', 'aspirecloud' ),
+			/* translators: %1$d: current batch */
+			'job_files_status'          => __( 'Background import: downloading files, batch %1$d', 'aspirecloud' ),
+			'history_empty'             => __( 'No runs recorded yet.', 'aspirecloud' ),
+			'history_unsupported'       => __( 'Run history is not available because this browser does not support IndexedDB.', 'aspirecloud' ),
+			'history_select_two'        => __( 'Select exactly two runs to compare.', 'aspirecloud' ),
+			'confirm_delete_runs'       => __( 'Delete the selected runs from the history?', 'aspirecloud' ),
+			'confirm_clear_history'     => __( 'Delete all recorded runs? This cannot be undone.', 'aspirecloud' ),
+			/* translators: %d: number of failed batches and slugs */
+			'retry_failed_count'        => __( 'Retry Failed Items (%d)', 'aspirecloud' ),
+			'retrying_failed'           => __( 'Retrying failed items...', 'aspirecloud' ),
+			/* translators: %s: elapsed time, e.g. 1h 5m */
+			'progress_elapsed'          => __( 'Elapsed: %s', 'aspirecloud' ),
+			/* translators: %s: estimated time remaining, e.g. 25m 10s */
+			'progress_remaining'        => __( 'Remaining: about %s', 'aspirecloud' ),
+			'progress_estimating'       => __( 'Remaining: estimating...', 'aspirecloud' ),
+			/* translators: %s: number of items processed per second */
+			'progress_rate'             => __( '%s items/s', 'aspirecloud' ),
+			'segment_metadata'          => __( 'Metadata', 'aspirecloud' ),
+			'segment_files'             => __( 'Files', 'aspirecloud' ),
+			'segment_pending'           => __( 'Pending', 'aspirecloud' ),
+			'segment_running'           => __( 'Running', 'aspirecloud' ),
+			'segment_done'              => __( 'Done', 'aspirecloud' ),
+			'segment_failed'            => __( 'Failed', 'aspirecloud' ),
+			'slug_status_pending'       => __( 'Pending', 'aspirecloud' ),
+			'slug_status_importing'     => __( 'Importing', 'aspirecloud' ),
+			'slug_status_imported'      => __( 'Imported', 'aspirecloud' ),
+			'slug_status_skipped'       => __( 'Skipped', 'aspirecloud' ),
+			'slug_status_failed'        => __( 'Failed', 'aspirecloud' ),
+			'slug_status_earlier'       => __( 'Before reload', 'aspirecloud' ),
+			'slug_retry'                => __( 'Retry', 'aspirecloud' ),
+			'no_version_column'         => __( 'None (latest version)', 'aspirecloud' ),
+			/* translators: 1: number of slugs, 2: number of slugs with a version */
+			'upload_summary'            => __( '%1$d slugs found, %2$d with a version', 'aspirecloud' ),
+			/* translators: %d: number of version ranges */
+			'upload_constraints'        => __( '%d version ranges will import the latest version', 'aspirecloud' ),
+			'preflight_new'             => __( 'New', 'aspirecloud' ),
+			'preflight_update'          => __( 'Version differs', 'aspirecloud' ),
+			'preflight_current'         => __( 'Up to date', 'aspirecloud' ),
+			'preflight_not_found'       => __( 'Not found upstream', 'aspirecloud' ),
+			'preflight_no_version'      => __( 'Version not found', 'aspirecloud' ),
+			'preflight_error'           => __( 'Check failed', 'aspirecloud' ),
+			'preflight_pinned'          => __( '(requested)', 'aspirecloud' ),
+			/* translators: 1: number of slugs checked, 2: total number of slugs */
+			'preflight_checking'        => __( 'Checking %1$d of %2$d slugs...', 'aspirecloud' ),
+			/* translators: 1: number of selected slugs, 2: total number of slugs */
+			'preflight_selected'        => __( '%1$d of %2$d selected', 'aspirecloud' ),
+			/* translators: %d: number of invalid entries */
+			'preflight_invalid'         => __( '%d entries are not valid slugs and will be ignored:', 'aspirecloud' ),
+			'preflight_none_selected'   => __( 'Select at least one slug to import.', 'aspirecloud' ),
+			/* translators: 1: current batch number, 2: total number of batches */
+			'checking_metadata_batch'   => __( 'Comparing metadata batch %1$d of %2$d...', 'aspirecloud' ),
+			/* translators: 1: number of assets compared, 2: total number of assets */
+			'metadata_compared'         => __( 'Metadata compared: %1$d of %2$d', 'aspirecloud' ),
+			/* translators: 1: assets that would be created, 2: assets that would be updated, 3: assets that would stay unchanged */
+			'dry_run_summary'           => __( 'Dry run complete: %1$d would be created, %2$d updated, %3$d unchanged', 'aspirecloud' ),
+			'dry_run_no_changes'        => __( 'No stored asset would change.', 'aspirecloud' ),
+			/* translators: %d: number of examples shown */
+			'dry_run_first'             => __( 'first %d', 'aspirecloud' ),
+			'update_status_outdated'    => __( 'Outdated', 'aspirecloud' ),
+			'update_status_pinned'      => __( 'Pinned', 'aspirecloud' ),
+			'update_status_current'     => __( 'Up to date', 'aspirecloud' ),
+			'update_status_not_found'   => __( 'Not found upstream', 'aspirecloud' ),
+			'update_status_error'       => __( 'Check failed', 'aspirecloud' ),
+			/* translators: %s: pinned version number */
+			'update_pinned_to'          => __( 'pinned to %s', 'aspirecloud' ),
+			/* translators: 1: number of assets checked, 2: total number of assets */
+			'update_check_progress'     => __( '%1$d of %2$d assets checked', 'aspirecloud' ),
+			/* translators: 1: number of rows shown, 2: number of matching assets */
+			'update_check_shown'        => __( 'Showing the first %1$d of %2$d matching assets.', 'aspirecloud' ),
+			'update_check_no_match'     => __( 'No assets match the filter.', 'aspirecloud' ),
+			'update_check_empty'        => __( 'Run a check to compare the stored versions with the latest upstream versions.', 'aspirecloud' ),
+			/* translators: %d: number of outdated assets */
+			'confirm_sync_outdated'     => __( 'Sync %d outdated assets to their latest version?', 'aspirecloud' ),
+			'sync_outdated_running'     => __( 'An import is already running. Wait for it to finish, then sync the outdated assets.', 'aspirecloud' ),
+			'schedule_saving'           => __( 'Saving...', 'aspirecloud' ),
 		];
 
 		$strings = array_merge( $base_strings, $additional_strings );
@@ -212,6 +488,12 @@ abstract class AssetsImporter {
 				'metadata_batch_size' => self::METADATA_BATCH_SIZE,
 				'download_batch_size' => self::DOWNLOAD_BATCH_SIZE,
 				'clear_batch_size'    => self::CLEAR_BATCH_SIZE,
+				/**
+				 * Filters the number of operation log entries kept in the browser.
+				 *
+				 * @param int $log_retention Maximum number of log entries; the oldest are dropped first.
+				 */
+				'log_retention'       => (int) apply_filters( 'aspirecloud_log_retention', 5000 ),
 			]
 		);
 	}
@@ -232,89 +514,574 @@ abstract class AssetsImporter {
 			<h1><?php echo esc_html( $page_title ); ?></h1>
 			<p><?php echo esc_html( $page_description ); ?></p>
 
-			<div class="aspirecloud-import-container">
-				<div class="aspirecloud-import-button-container">
-					<button id="<?php echo esc_attr( $import_button_id ); ?>" class="button button-primary button-large">
-						<?php echo esc_html( $import_button_text ); ?>
-					</button>
+			<nav class="nav-tab-wrapper aspirecloud-tabs">
+				<a href="#aspirecloud-tab-import" class="nav-tab nav-tab-active" data-tab="import"><?php esc_html_e( 'Import', 'aspirecloud' ); ?></a>
+				<a href="#aspirecloud-tab-updates" class="nav-tab" data-tab="updates"><?php esc_html_e( 'Updates', 'aspirecloud' ); ?></a>
+				<a href="#aspirecloud-tab-schedule" class="nav-tab" data-tab="schedule"><?php esc_html_e( 'Schedule', 'aspirecloud' ); ?></a>
+				<a href="#aspirecloud-tab-history" class="nav-tab" data-tab="history"><?php esc_html_e( 'History', 'aspirecloud' ); ?></a>
+			</nav>
+
+			<div id="aspirecloud-tab-import" class="aspirecloud-tab-panel">
+				<div class="aspirecloud-import-container">
+					<div class="aspirecloud-import-button-container">
+						<button id="<?php echo esc_attr( $import_button_id ); ?>" class="button button-primary button-large">
+							<?php echo esc_html( $import_button_text ); ?>
+						</button>
+
+						<button id="<?php echo esc_attr( $clear_button_id ); ?>" class="button button-secondary button-large aspirecloud-clear-data-btn">
+							<?php echo esc_html( $clear_button_text ); ?>
+						</button>
 
-					<button id="<?php echo esc_attr( $clear_button_id ); ?>" class="button button-secondary button-large aspirecloud-clear-data-btn">
-						<?php echo esc_html( $clear_button_text ); ?>
-					</button>
+						<button id="restore-database-btn" class="button button-secondary button-large" style="<?php echo get_option( 'aspirecloud_db_optimized' ) ? '' : 'display: none;'; ?>">
+							<?php esc_html_e( 'Restore Database', 'aspirecloud' ); ?>
+						</button>
 
-					<button id="restore-database-btn" class="button button-secondary button-large" style="<?php echo get_option( 'aspirecloud_db_optimized' ) ? '' : 'display: none;'; ?>">
-						<?php esc_html_e( 'Restore Database', 'aspirecloud' ); ?>
-					</button>
-				</div>
+						<button id="pause-import-btn" class="button button-secondary button-large" style="display: none;">
+							<?php esc_html_e( 'Pause', 'aspirecloud' ); ?>
+						</button>
 
-				<div class="aspirecloud-import-options">
-					<h4><?php esc_html_e( 'Import Options', 'aspirecloud' ); ?></h4>
-					<div class="aspirecloud-checkbox-container">
-						<label class="aspirecloud-checkbox-wrapper">
-							<input type="checkbox" id="bulk-import-checkbox" class="aspirecloud-import-option" checked="checked">
-							<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Bulk Import', 'aspirecloud' ); ?></span>
-							<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Import all available assets from the repository', 'aspirecloud' ); ?></span>
-						</label>
+						<button id="resume-import-btn" class="button button-primary button-large" style="display: none;">
+							<?php esc_html_e( 'Resume', 'aspirecloud' ); ?>
+						</button>
 
-						<div id="bulk-import-options" class="aspirecloud-bulk-options">
-							<label class="aspirecloud-checkbox-wrapper">
-								<input type="checkbox" id="import-metadata-checkbox" class="aspirecloud-import-option" checked="checked">
-								<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Import Metadata', 'aspirecloud' ); ?></span>
-								<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Download and import plugin/theme metadata from the repository', 'aspirecloud' ); ?></span>
-							</label>
+						<button id="cancel-operation-btn" class="button button-secondary button-large" style="display: none;">
+							<?php esc_html_e( 'Cancel', 'aspirecloud' ); ?>
+						</button>
+
+						<button id="retry-failed-btn" class="button button-secondary button-large" style="display: none;">
+							<?php esc_html_e( 'Retry Failed Items', 'aspirecloud' ); ?>
+						</button>
+					</div>
 
+					<div id="aspirecloud-resume-notice" class="notice notice-warning inline aspirecloud-resume-notice" style="display: none;">
+						<p>
+							<strong><?php esc_html_e( 'An unfinished import was found.', 'aspirecloud' ); ?></strong>
+							<span class="aspirecloud-resume-summary"></span>
+						</p>
+						<p>
+							<button type="button" id="resume-checkpoint-btn" class="button button-primary">
+								<?php esc_html_e( 'Resume previous import', 'aspirecloud' ); ?>
+							</button>
+							<button type="button" id="discard-checkpoint-btn" class="button button-secondary">
+								<?php esc_html_e( 'Discard', 'aspirecloud' ); ?>
+							</button>
+						</p>
+					</div>
+
+					<div class="aspirecloud-import-options">
+						<h4><?php esc_html_e( 'Import Options', 'aspirecloud' ); ?></h4>
+						<div class="aspirecloud-checkbox-container">
 							<label class="aspirecloud-checkbox-wrapper">
-								<input type="checkbox" id="import-files-checkbox" class="aspirecloud-import-option" checked="checked">
-								<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Import Files', 'aspirecloud' ); ?></span>
-								<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Download and import actual plugin/theme files', 'aspirecloud' ); ?></span>
+								<input type="checkbox" id="bulk-import-checkbox" class="aspirecloud-import-option" checked="checked">
+								<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Bulk Import', 'aspirecloud' ); ?></span>
+								<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Import all available assets from the repository', 'aspirecloud' ); ?></span>
 							</label>
+
+							<div id="bulk-import-options" class="aspirecloud-bulk-options">
+								<?php $last_sync = $this->get_last_sync_time(); ?>
+								<label class="aspirecloud-checkbox-wrapper">
+									<input type="checkbox" id="delta-sync-checkbox" class="aspirecloud-import-option" <?php disabled( ! $last_sync ); ?>>
+									<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Sync Changes Since Last Run', 'aspirecloud' ); ?></span>
+									<span class="aspirecloud-checkbox-description">
+										<?php esc_html_e( 'Only update assets changed upstream since the last successful sync, and re-download their files.', 'aspirecloud' ); ?>
+										<span class="aspirecloud-last-sync">
+											<?php
+											if ( $last_sync ) {
+												/* translators: %s: date and time of the last sync */
+												printf( esc_html__( 'Last sync: %s', 'aspirecloud' ), esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $last_sync ) ) );
+											} else {
+												esc_html_e( 'No previous sync recorded; run a full bulk import first.', 'aspirecloud' );
+											}
+											?>
+										</span>
+									</span>
+								</label>
+
+								<label class="aspirecloud-checkbox-wrapper">
+									<input type="checkbox" id="import-metadata-checkbox" class="aspirecloud-import-option" checked="checked">
+									<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Import Metadata', 'aspirecloud' ); ?></span>
+									<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Download and import plugin/theme metadata from the repository', 'aspirecloud' ); ?></span>
+								</label>
+
+								<label class="aspirecloud-checkbox-wrapper">
+									<input type="checkbox" id="import-files-checkbox" class="aspirecloud-import-option" checked="checked">
+									<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Import Files', 'aspirecloud' ); ?></span>
+									<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Download and import actual plugin/theme files', 'aspirecloud' ); ?></span>
+								</label>
+
+								<label class="aspirecloud-checkbox-wrapper">
+									<input type="checkbox" id="dry-run-checkbox" class="aspirecloud-import-option">
+									<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Dry Run', 'aspirecloud' ); ?></span>
+									<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Compare every metadata page with the stored assets and report what would be created, updated or left unchanged. Nothing is written and Bulk Import Mode is not enabled; the other options are ignored.', 'aspirecloud' ); ?></span>
+								</label>
+
+								<label class="aspirecloud-checkbox-wrapper">
+									<input type="checkbox" id="background-import-checkbox">
+									<span class="aspirecloud-checkbox-label"><?php esc_html_e( 'Run in Background', 'aspirecloud' ); ?></span>
+									<span class="aspirecloud-checkbox-description"><?php esc_html_e( 'Run the import on the server with WP-Cron so it continues after this page is closed', 'aspirecloud' ); ?></span>
+								</label>
+							</div>
+
+							<div id="selective-import-options" class="aspirecloud-selective-options" style="display: none;">
+								<label class="aspirecloud-textarea-wrapper">
+									<span class="aspirecloud-textarea-label">
+										<?php
+										/* translators: %s: asset type (plugin/theme) */
+										printf( esc_html__( 'Enter %s slugs to import (comma-separated)', 'aspirecloud' ), esc_html( ucfirst( $this->asset_type ) ) );
+										?>
+									</span>
+									<textarea id="import-slugs-textarea" class="aspirecloud-slugs-input" rows="4" placeholder="<?php esc_attr_e( 'e.g., akismet, jetpack, hello-dolly', 'aspirecloud' ); ?>"></textarea>
+									<span class="aspirecloud-textarea-description">
+										<?php
+										/* translators: %s: asset type (plugin/theme) */
+										printf( esc_html__( 'Enter %s slugs in CSV format. You can enter one slug per line or multiple slugs separated by commas. All data will be processed as CSV bulk import.', 'aspirecloud' ), esc_html( $this->asset_type ) );
+										?>
+									</span>
+								</label>
+								<div class="aspirecloud-slug-upload">
+									<label for="import-slugs-file" class="aspirecloud-textarea-label"><?php esc_html_e( 'Or upload a slug list', 'aspirecloud' ); ?></label>
+									<input type="file" id="import-slugs-file" accept=".csv,.json,.txt" />
+									<button type="button" id="import-slugs-file-clear" class="button button-small" style="display: none;"><?php esc_html_e( 'Remove file', 'aspirecloud' ); ?></button>
+									<span class="aspirecloud-textarea-description"><?php esc_html_e( 'CSV with a header row, a JSON array, or a composer.json with wpackagist requirements. Exact versions are imported as given; version ranges import the latest version.', 'aspirecloud' ); ?></span>
+									<div class="aspirecloud-column-mapping" style="display: none;">
+										<label for="slug-column-select"><?php esc_html_e( 'Slug column', 'aspirecloud' ); ?></label>
+										<select id="slug-column-select"></select>
+										<label for="version-column-select"><?php esc_html_e( 'Version column', 'aspirecloud' ); ?></label>
+										<select id="version-column-select"></select>
+									</div>
+									<p class="aspirecloud-upload-summary" style="display: none;"></p>
+								</div>
+							</div>
 						</div>
+					</div>
 
-						<div id="selective-import-options" class="aspirecloud-selective-options" style="display: none;">
-							<label class="aspirecloud-textarea-wrapper">
-								<span class="aspirecloud-textarea-label">
-									<?php
-									/* translators: %s: asset type (plugin/theme) */
-									printf( esc_html__( 'Enter %s slugs to import (comma-separated)', 'aspirecloud' ), esc_html( ucfirst( $this->asset_type ) ) );
-									?>
-								</span>
-								<textarea id="import-slugs-textarea" class="aspirecloud-slugs-input" rows="4" placeholder="<?php esc_attr_e( 'e.g., akismet, jetpack, hello-dolly', 'aspirecloud' ); ?>"></textarea>
-								<span class="aspirecloud-textarea-description">
-									<?php
-									/* translators: %s: asset type (plugin/theme) */
-									printf( esc_html__( 'Enter %s slugs in CSV format. You can enter one slug per line or multiple slugs separated by commas. All data will be processed as CSV bulk import.', 'aspirecloud' ), esc_html( $this->asset_type ) );
-									?>
-								</span>
-							</label>
+					<details class="aspirecloud-clear-options">
+						<summary><?php esc_html_e( 'Clear Filters', 'aspirecloud' ); ?></summary>
+						<p class="description">
+							<?php
+							/* translators: %s: clear button text */
+							printf( esc_html__( 'Limit what %s removes. With no filters set it clears the whole catalog.', 'aspirecloud' ), esc_html( $clear_button_text ) );
+							?>
+						</p>
+						<table class="form-table" role="presentation">
+							<tr>
+								<th scope="row"><label for="clear-slugs-textarea"><?php esc_html_e( 'Slugs', 'aspirecloud' ); ?></label></th>
+								<td>
+									<textarea id="clear-slugs-textarea" class="aspirecloud-slugs-input aspirecloud-clear-filter" rows="3" placeholder="<?php esc_attr_e( 'e.g., akismet, jetpack, hello-dolly', 'aspirecloud' ); ?>"></textarea>
+									<p class="description"><?php esc_html_e( 'Only clear these slugs, one per line or separated by commas.', 'aspirecloud' ); ?></p>
+								</td>
+							</tr>
+							<tr>
+								<th scope="row"><label for="clear-scope-select"><?php esc_html_e( 'What to clear', 'aspirecloud' ); ?></label></th>
+								<td>
+									<select id="clear-scope-select" class="aspirecloud-clear-filter">
+										<option value="metadata"><?php esc_html_e( 'Metadata only', 'aspirecloud' ); ?></option>
+										<option value="all"><?php esc_html_e( 'Metadata and downloaded files', 'aspirecloud' ); ?></option>
+										<option value="files"><?php esc_html_e( 'Downloaded files only', 'aspirecloud' ); ?></option>
+									</select>
+									<p class="description"><?php esc_html_e( 'Metadata only keeps the downloaded files in the uploads folder, as clearing always has. Downloaded files only keeps the assets, points their download links back upstream and drops their downloaded banners, icons and screenshots; import or sync them to fetch those again.', 'aspirecloud' ); ?></p>
+								</td>
+							</tr>
+							<tr>
+								<th scope="row"><label for="clear-not-updated-since"><?php esc_html_e( 'Not updated since', 'aspirecloud' ); ?></label></th>
+								<td>
+									<input type="date" id="clear-not-updated-since" class="aspirecloud-clear-filter">
+									<p class="description"><?php esc_html_e( 'Only clear assets whose last upstream update is before this date.', 'aspirecloud' ); ?></p>
+								</td>
+							</tr>
+							<tr>
+								<th scope="row"><?php esc_html_e( 'Closed or removed', 'aspirecloud' ); ?></th>
+								<td>
+									<label>
+										<input type="checkbox" id="clear-closed-only" class="aspirecloud-clear-filter">
+										<?php esc_html_e( 'Only clear assets the last update check could not find upstream', 'aspirecloud' ); ?>
+									</label>
+									<p class="description"><?php esc_html_e( 'Uses the results saved by Check for Updates. Assets that no update check has looked at are never matched.', 'aspirecloud' ); ?></p>
+								</td>
+							</tr>
+						</table>
+						<p class="aspirecloud-clear-preview">
+							<button type="button" id="clear-preview-btn" class="button button-secondary"><?php esc_html_e( 'Preview Count', 'aspirecloud' ); ?></button>
+							<span class="aspirecloud-clear-preview-count"></span>
+						</p>
+					</details>
+
+					<div class="aspirecloud-preflight-container" style="display: none;">
+						<div class="aspirecloud-slug-grid-header">
+							<h4><?php esc_html_e( 'Preflight Check', 'aspirecloud' ); ?></h4>
+							<span class="aspirecloud-preflight-summary"></span>
+						</div>
+						<p class="aspirecloud-preflight-invalid" style="display: none;"></p>
+						<div class="aspirecloud-slug-grid-content">
+							<table class="widefat striped aspirecloud-slug-grid aspirecloud-preflight-table">
+								<thead>
+									<tr>
+										<td class="check-column"><input type="checkbox" id="preflight-select-all" aria-label="<?php esc_attr_e( 'Select all slugs', 'aspirecloud' ); ?>" checked /></td>
+										<th scope="col"><?php esc_html_e( 'Slug', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Result', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Local version', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Version to import', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Details', 'aspirecloud' ); ?></th>
+									</tr>
+								</thead>
+								<tbody></tbody>
+							</table>
+						</div>
+						<div class="aspirecloud-preflight-actions">
+							<button type="button" id="preflight-confirm-btn" class="button button-primary" disabled><?php esc_html_e( 'Import Selected', 'aspirecloud' ); ?></button>
+							<button type="button" id="preflight-cancel-btn" class="button"><?php esc_html_e( 'Cancel', 'aspirecloud' ); ?></button>
+						</div>
+					</div>
+
+					<div class="aspirecloud-progress-container" style="display: none;">
+						<div class="aspirecloud-progress-bar">
+							<div class="aspirecloud-progress-fill"></div>
+						</div>
+						<div class="aspirecloud-progress-text">
+							<span id="progress-status"><?php esc_html_e( 'Preparing import...', 'aspirecloud' ); ?></span>
+						</div>
+						<div class="aspirecloud-progress-details">
+							<span id="progress-details"></span>
+						</div>
+						<div class="aspirecloud-progress-timing">
+							<span id="progress-timing"></span>
+						</div>
+					</div>
+
+					<div class="aspirecloud-dry-run-container" style="display: none;">
+						<div class="aspirecloud-slug-grid-header">
+							<h4><?php esc_html_e( 'Dry Run Report', 'aspirecloud' ); ?></h4>
+							<span class="aspirecloud-dry-run-summary"></span>
+						</div>
+						<div class="aspirecloud-dry-run-content">
+							<table class="widefat striped aspirecloud-slug-grid aspirecloud-dry-run-fields">
+								<thead>
+									<tr>
+										<th scope="col"><?php esc_html_e( 'Field', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Assets where it would change', 'aspirecloud' ); ?></th>
+									</tr>
+								</thead>
+								<tbody></tbody>
+							</table>
+							<details class="aspirecloud-dry-run-created">
+								<summary><?php esc_html_e( 'Would be created', 'aspirecloud' ); ?>: <span class="aspirecloud-dry-run-count"></span></summary>
+								<ul></ul>
+							</details>
+							<details class="aspirecloud-dry-run-updated">
+								<summary><?php esc_html_e( 'Would be updated', 'aspirecloud' ); ?>: <span class="aspirecloud-dry-run-count"></span></summary>
+								<ul></ul>
+							</details>
 						</div>
 					</div>
-				</div>
 
-				<div class="aspirecloud-progress-container" style="display: none;">
-					<div class="aspirecloud-progress-bar">
-						<div class="aspirecloud-progress-fill"></div>
+					<div class="aspirecloud-slug-grid-container" style="display: none;">
+						<div class="aspirecloud-slug-grid-header">
+							<h4><?php esc_html_e( 'Slug Status', 'aspirecloud' ); ?></h4>
+							<span class="aspirecloud-slug-grid-summary"></span>
+							<select class="aspirecloud-slug-grid-filter" aria-label="<?php esc_attr_e( 'Filter slugs by status', 'aspirecloud' ); ?>">
+								<option value=""><?php esc_html_e( 'All statuses', 'aspirecloud' ); ?></option>
+								<option value="pending"><?php esc_html_e( 'Pending', 'aspirecloud' ); ?></option>
+								<option value="importing"><?php esc_html_e( 'Importing', 'aspirecloud' ); ?></option>
+								<option value="imported"><?php esc_html_e( 'Imported', 'aspirecloud' ); ?></option>
+								<option value="skipped"><?php esc_html_e( 'Skipped', 'aspirecloud' ); ?></option>
+								<option value="failed"><?php esc_html_e( 'Failed', 'aspirecloud' ); ?></option>
+							</select>
+						</div>
+						<div class="aspirecloud-slug-grid-content">
+							<table class="widefat striped aspirecloud-slug-grid">
+								<thead>
+									<tr>
+										<th scope="col"><?php esc_html_e( 'Slug', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Status', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Reason', 'aspirecloud' ); ?></th>
+										<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'aspirecloud' ); ?></span></th>
+									</tr>
+								</thead>
+								<tbody></tbody>
+							</table>
+						</div>
 					</div>
-					<div class="aspirecloud-progress-text">
-						<span id="progress-status"><?php esc_html_e( 'Preparing import...', 'aspirecloud' ); ?></span>
+
+					<div class="aspirecloud-log-container" style="display: none;">
+						<div class="aspirecloud-log-header">
+							<h4><?php esc_html_e( 'Operation Log', 'aspirecloud' ); ?></h4>
+							<button type="button" class="aspirecloud-log-toggle" aria-label="<?php esc_attr_e( 'Toggle log visibility', 'aspirecloud' ); ?>">
+								<span class="aspirecloud-log-toggle-text"><?php esc_html_e( 'Hide', 'aspirecloud' ); ?></span>
+							</button>
+							<select class="aspirecloud-log-export-format" aria-label="<?php esc_attr_e( 'Log export format', 'aspirecloud' ); ?>">
+								<option value="json"><?php esc_html_e( 'JSON', 'aspirecloud' ); ?></option>
+								<option value="csv"><?php esc_html_e( 'CSV', 'aspirecloud' ); ?></option>
+								<option value="text"><?php esc_html_e( 'Plain text', 'aspirecloud' ); ?></option>
+							</select>
+							<button type="button" class="aspirecloud-log-export" aria-label="<?php esc_attr_e( 'Export log', 'aspirecloud' ); ?>">
+								<?php esc_html_e( 'Export', 'aspirecloud' ); ?>
+							</button>
+							<button type="button" class="aspirecloud-log-clear" aria-label="<?php esc_attr_e( 'Clear log', 'aspirecloud' ); ?>">
+								<?php esc_html_e( 'Clear', 'aspirecloud' ); ?>
+							</button>
+						</div>
+						<div class="aspirecloud-log-toolbar">
+							<div class="aspirecloud-log-levels" role="group" aria-label="<?php esc_attr_e( 'Filter log by level', 'aspirecloud' ); ?>">
+								<?php foreach ( [ 'INFO', 'SUCCESS', 'WARNING', 'ERROR', 'DEBUG' ] as $log_level ) : ?>
+									<button type="button" class="aspirecloud-log-level-toggle aspirecloud-log-<?php echo esc_attr( strtolower( $log_level ) ); ?>" data-level="<?php echo esc_attr( $log_level ); ?>" aria-pressed="true">
+										<?php echo esc_html( $log_level ); ?>
+									</button>
+								<?php endforeach; ?>
+							</div>
+							<input type="search" class="aspirecloud-log-search" placeholder="<?php esc_attr_e( 'Search log...', 'aspirecloud' ); ?>" aria-label="<?php esc_attr_e( 'Search log', 'aspirecloud' ); ?>" />
+							<button type="button" class="aspirecloud-log-pin-errors" aria-pressed="false">
+								<?php esc_html_e( 'Pin errors', 'aspirecloud' ); ?>
+							</button>
+							<span class="aspirecloud-log-count"></span>
+						</div>
+						<div class="aspirecloud-log-pinned" style="display: none;"></div>
+						<div class="aspirecloud-log-content">
+							<div class="aspirecloud-log-entries"></div>
+						</div>
 					</div>
-					<div class="aspirecloud-progress-details">
-						<span id="progress-details"></span>
+
+					<div class="aspirecloud-perf-container">
+						<div class="aspirecloud-perf-header">
+							<h4><?php esc_html_e( 'Performance', 'aspirecloud' ); ?></h4>
+							<button type="button" class="aspirecloud-perf-toggle" aria-label="<?php esc_attr_e( 'Toggle performance charts', 'aspirecloud' ); ?>">
+								<span class="aspirecloud-perf-toggle-text"><?php esc_html_e( 'Show', 'aspirecloud' ); ?></span>
+							</button>
+						</div>
+						<div class="aspirecloud-perf-content" style="display: none;">
+							<?php
+							$perf_contexts = [
+								'metadata' => __( 'Metadata batches', 'aspirecloud' ),
+								'download' => __( 'Download batches', 'aspirecloud' ),
+							];
+							$perf_charts   = [
+								'latency'    => [
+									'title'  => __( 'Latency per batch', 'aspirecloud' ),
+									'legend' => [
+										'primary' => __( 'Duration', 'aspirecloud' ),
+										'error'   => __( 'Failed', 'aspirecloud' ),
+									],
+								],
+								'throughput' => [
+									'title'  => __( 'Throughput (items per minute)', 'aspirecloud' ),
+									'legend' => [
+										'success' => __( 'Items', 'aspirecloud' ),
+									],
+								],
+								'parallel'   => [
+									'title'  => __( 'Parallel batches', 'aspirecloud' ),
+									'legend' => [
+										'primary' => __( 'Current', 'aspirecloud' ),
+										'muted'   => __( 'Maximum', 'aspirecloud' ),
+									],
+								],
+								'errors'     => [
+									'title'  => __( 'Retries and errors', 'aspirecloud' ),
+									'legend' => [
+										'warning' => __( 'Retries', 'aspirecloud' ),
+										'error'   => __( 'Failed', 'aspirecloud' ),
+										'muted'   => __( 'Throttled', 'aspirecloud' ),
+									],
+								],
+							];
+							?>
+							<?php foreach ( $perf_contexts as $perf_context => $perf_label ) : ?>
+								<div class="aspirecloud-perf-context">
+									<h5><?php echo esc_html( $perf_label ); ?></h5>
+									<p class="aspirecloud-perf-stats" data-context="<?php echo esc_attr( $perf_context ); ?>"><?php esc_html_e( 'No batches recorded yet.', 'aspirecloud' ); ?></p>
+									<div class="aspirecloud-perf-charts">
+										<?php foreach ( $perf_charts as $perf_chart => $perf_chart_info ) : ?>
+											<figure class="aspirecloud-perf-figure">
+												<figcaption>
+													<?php echo esc_html( $perf_chart_info['title'] ); ?>
+													<?php foreach ( $perf_chart_info['legend'] as $perf_color => $perf_series ) : ?>
+														<span class="aspirecloud-perf-legend aspirecloud-perf-legend-<?php echo esc_attr( $perf_color ); ?>"><?php echo esc_html( $perf_series ); ?></span>
+													<?php endforeach; ?>
+												</figcaption>
+												<canvas class="aspirecloud-perf-chart" data-context="<?php echo esc_attr( $perf_context ); ?>" data-chart="<?php echo esc_attr( $perf_chart ); ?>"></canvas>
+											</figure>
+										<?php endforeach; ?>
+									</div>
+								</div>
+							<?php endforeach; ?>
+						</div>
 					</div>
 				</div>
+			</div>
 
-				<div class="aspirecloud-log-container" style="display: none;">
-					<div class="aspirecloud-log-header">
-						<h4><?php esc_html_e( 'Operation Log', 'aspirecloud' ); ?></h4>
-						<button type="button" class="aspirecloud-log-toggle" aria-label="<?php esc_attr_e( 'Toggle log visibility', 'aspirecloud' ); ?>">
-							<span class="aspirecloud-log-toggle-text"><?php esc_html_e( 'Hide', 'aspirecloud' ); ?></span>
+			<div id="aspirecloud-tab-updates" class="aspirecloud-tab-panel" style="display: none;">
+				<div class="aspirecloud-update-check-container">
+					<p>
+						<?php
+						/* translators: %s: asset type (plugin/theme) */
+						printf( esc_html__( 'Compare the stored version of every imported %s with the latest version in the WordPress.org repository.', 'aspirecloud' ), esc_html( $this->asset_type ) );
+						?>
+					</p>
+
+					<div class="aspirecloud-update-check-actions">
+						<button type="button" id="check-updates-btn" class="button button-primary">
+							<?php esc_html_e( 'Check for Updates', 'aspirecloud' ); ?>
 						</button>
-						<button type="button" class="aspirecloud-log-clear" aria-label="<?php esc_attr_e( 'Clear log', 'aspirecloud' ); ?>">
-							<?php esc_html_e( 'Clear', 'aspirecloud' ); ?>
+						<button type="button" id="check-updates-stop-btn" class="button button-secondary" style="display: none;">
+							<?php esc_html_e( 'Stop', 'aspirecloud' ); ?>
 						</button>
+						<button type="button" id="sync-outdated-btn" class="button button-secondary" disabled>
+							<?php esc_html_e( 'Sync All Outdated', 'aspirecloud' ); ?>
+						</button>
+					</div>
+
+					<div class="aspirecloud-update-check-report">
+						<div class="aspirecloud-slug-grid-header">
+							<h4><?php esc_html_e( 'Update Report', 'aspirecloud' ); ?></h4>
+							<span class="aspirecloud-update-check-summary"></span>
+							<select class="aspirecloud-update-check-filter" aria-label="<?php esc_attr_e( 'Filter assets by status', 'aspirecloud' ); ?>">
+								<option value="outdated"><?php esc_html_e( 'Outdated', 'aspirecloud' ); ?></option>
+								<option value="pinned"><?php esc_html_e( 'Pinned', 'aspirecloud' ); ?></option>
+								<option value="current"><?php esc_html_e( 'Up to date', 'aspirecloud' ); ?></option>
+								<option value="not_found"><?php esc_html_e( 'Not found upstream', 'aspirecloud' ); ?></option>
+								<option value="error"><?php esc_html_e( 'Check failed', 'aspirecloud' ); ?></option>
+								<option value=""><?php esc_html_e( 'All statuses', 'aspirecloud' ); ?></option>
+							</select>
+							<input type="search" class="aspirecloud-update-check-search" placeholder="<?php esc_attr_e( 'Search name or slug...', 'aspirecloud' ); ?>" aria-label="<?php esc_attr_e( 'Search assets', 'aspirecloud' ); ?>" />
+						</div>
+						<div class="aspirecloud-slug-grid-content">
+							<table class="widefat striped aspirecloud-slug-grid aspirecloud-update-check-table">
+								<thead>
+									<tr>
+										<th scope="col"><?php esc_html_e( 'Name', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Slug', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Stored version', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Latest version', 'aspirecloud' ); ?></th>
+										<th scope="col"><?php esc_html_e( 'Status', 'aspirecloud' ); ?></th>
+									</tr>
+								</thead>
+								<tbody></tbody>
+							</table>
+						</div>
 					</div>
-					<div class="aspirecloud-log-content">
-						<div class="aspirecloud-log-entries"></div>
+					<p class="aspirecloud-update-check-shown"></p>
+				</div>
+			</div>
+
+			<div id="aspirecloud-tab-schedule" class="aspirecloud-tab-panel" style="display: none;">
+				<?php
+				global $wp_locale;
+				$schedule = SyncScheduler::get_schedule();
+				?>
+				<div class="aspirecloud-schedule-container">
+					<p>
+						<?php
+						/* translators: %s: site timezone */
+						printf( esc_html__( 'Start background imports automatically. Plugins and themes share one schedule. Times are in the site timezone (%s).', 'aspirecloud' ), esc_html( wp_timezone_string() ) );
+						?>
+					</p>
+
+					<ul class="aspirecloud-schedule-status">
+						<?php foreach ( SyncScheduler::get_status_lines() as $status_line ) : ?>
+							<li><?php echo esc_html( $status_line ); ?></li>
+						<?php endforeach; ?>
+					</ul>
+
+					<table class="form-table aspirecloud-schedule-form" role="presentation">
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Scheduled sync', 'aspirecloud' ); ?></th>
+							<td>
+								<label>
+									<input type="checkbox" id="schedule-enabled" <?php checked( $schedule['enabled'] ); ?>>
+									<?php esc_html_e( 'Run unattended syncs on this schedule', 'aspirecloud' ); ?>
+								</label>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="schedule-frequency"><?php esc_html_e( 'Cadence', 'aspirecloud' ); ?></label></th>
+							<td>
+								<select id="schedule-frequency">
+									<option value="daily" <?php selected( $schedule['frequency'], 'daily' ); ?>><?php esc_html_e( 'Daily', 'aspirecloud' ); ?></option>
+									<option value="weekly" <?php selected( $schedule['frequency'], 'weekly' ); ?>><?php esc_html_e( 'Weekly', 'aspirecloud' ); ?></option>
+								</select>
+								<select id="schedule-weekday" aria-label="<?php esc_attr_e( 'Day of the week', 'aspirecloud' ); ?>"<?php echo 'weekly' === $schedule['frequency'] ? '' : ' style="display: none;"'; ?>>
+									<?php for ( $weekday = 0; $weekday < 7; $weekday++ ) : ?>
+										<option value="<?php echo esc_attr( $weekday ); ?>" <?php selected( (int) $schedule['weekday'], $weekday ); ?>><?php echo esc_html( $wp_locale->get_weekday( $weekday ) ); ?></option>
+									<?php endfor; ?>
+								</select>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="schedule-window-start"><?php esc_html_e( 'Time window', 'aspirecloud' ); ?></label></th>
+							<td>
+								<select id="schedule-window-start">
+									<?php for ( $hour = 0; $hour < 24; $hour++ ) : ?>
+										<option value="<?php echo esc_attr( $hour ); ?>" <?php selected( (int) $schedule['window_start'], $hour ); ?>><?php echo esc_html( sprintf( '%02d:00', $hour ) ); ?></option>
+									<?php endfor; ?>
+								</select>
+								<?php esc_html_e( 'to', 'aspirecloud' ); ?>
+								<select id="schedule-window-end" aria-label="<?php esc_attr_e( 'End of the time window', 'aspirecloud' ); ?>">
+									<?php for ( $hour = 0; $hour < 24; $hour++ ) : ?>
+										<option value="<?php echo esc_attr( $hour ); ?>" <?php selected( (int) $schedule['window_end'], $hour ); ?>><?php echo esc_html( sprintf( '%02d:00', $hour ) ); ?></option>
+									<?php endfor; ?>
+								</select>
+								<p class="description"><?php esc_html_e( 'Runs start inside this window. A run still going when the window closes is paused and resumes in the next window. A run that WP-Cron reaches after the window has closed is skipped.', 'aspirecloud' ); ?></p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Asset types', 'aspirecloud' ); ?></th>
+							<td>
+								<label><input type="checkbox" class="schedule-asset-type" value="plugins" <?php checked( in_array( 'plugins', $schedule['asset_types'], true ) ); ?>> <?php esc_html_e( 'Plugins', 'aspirecloud' ); ?></label><br>
+								<label><input type="checkbox" class="schedule-asset-type" value="themes" <?php checked( in_array( 'themes', $schedule['asset_types'], true ) ); ?>> <?php esc_html_e( 'Themes', 'aspirecloud' ); ?></label>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Import', 'aspirecloud' ); ?></th>
+							<td>
+								<label><input type="checkbox" id="schedule-import-metadata" <?php checked( $schedule['import_metadata'] ); ?>> <?php esc_html_e( 'Metadata', 'aspirecloud' ); ?></label><br>
+								<label><input type="checkbox" id="schedule-import-files" <?php checked( $schedule['import_files'] ); ?>> <?php esc_html_e( 'Files', 'aspirecloud' ); ?></label>
+							</td>
+						</tr>
+					</table>
+
+					<p class="aspirecloud-schedule-actions">
+						<button type="button" id="save-schedule-btn" class="button button-primary"><?php esc_html_e( 'Save Schedule', 'aspirecloud' ); ?></button>
+						<span class="aspirecloud-schedule-message"></span>
+					</p>
+				</div>
+			</div>
+
+			<div id="aspirecloud-tab-history" class="aspirecloud-tab-panel" style="display: none;">
+				<div class="aspirecloud-history-container">
+					<div class="notice notice-warning inline aspirecloud-history-notice" style="display: none;"></div>
+
+					<div class="aspirecloud-history-actions">
+						<button type="button" id="history-refresh-btn" class="button button-secondary">
+							<?php esc_html_e( 'Refresh', 'aspirecloud' ); ?>
+						</button>
+						<button type="button" id="history-compare-btn" class="button button-secondary" disabled>
+							<?php esc_html_e( 'Compare Selected', 'aspirecloud' ); ?>
+						</button>
+						<button type="button" id="history-delete-btn" class="button button-secondary" disabled>
+							<?php esc_html_e( 'Delete Selected', 'aspirecloud' ); ?>
+						</button>
+						<button type="button" id="history-clear-btn" class="button button-secondary aspirecloud-clear-data-btn">
+							<?php esc_html_e( 'Clear History', 'aspirecloud' ); ?>
+						</button>
 					</div>
+
+					<table class="widefat striped aspirecloud-history-runs">
+						<thead>
+							<tr>
+								<td class="check-column"><span class="screen-reader-text"><?php esc_html_e( 'Select', 'aspirecloud' ); ?></span></td>
+								<th scope="col"><?php esc_html_e( 'Started', 'aspirecloud' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Duration', 'aspirecloud' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Mode', 'aspirecloud' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Status', 'aspirecloud' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Counts', 'aspirecloud' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Errors', 'aspirecloud' ); ?></th>
+								<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'aspirecloud' ); ?></span></th>
+							</tr>
+						</thead>
+						<tbody></tbody>
+					</table>
+
+					<div class="aspirecloud-history-compare" style="display: none;"></div>
+					<div class="aspirecloud-history-detail" style="display: none;"></div>
 				</div>
 			</div>
 
@@ -606,6 +1373,7 @@ abstract class AssetsImporter {
 
 	/**
 	 * Common AJAX handler to get the total count of assets for clearing.
+	 * Also answers the preview count of the clear filters.
 	 */
 	public function ajax_get_clear_count() {
 		check_ajax_referer( 'aspirecloud_import_nonce', 'nonce' );
@@ -614,22 +1382,40 @@ abstract class AssetsImporter {
 			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'aspirecloud' ) );
 		}
 
-		$total_assets  = wp_count_posts( $this->post_type );
-		$total_count   = array_sum( (array) $total_assets ) - ( $total_assets->auto_draft ?? 0 );
+		global $wpdb;
+
+		$filters = $this->get_clear_filters();
+		if ( is_wp_error( $filters ) ) {
+			wp_send_json_error( $filters->get_error_message() );
+		}
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- The WHERE clause is built with $wpdb->prepare()
+		$total_count   = (int) $wpdb->get_var( "SELECT COUNT(p.ID) FROM {$wpdb->posts} p WHERE " . $this->get_clear_where( $filters ) );
 		$batch_size    = self::CLEAR_BATCH_SIZE;
 		$total_batches = ceil( $total_count / $batch_size );
 
+		// Closed or removed assets are only known from the results of an earlier update check
+		$no_update_check = $filters['closed_only'] && ! $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT 1 FROM {$wpdb->posts} p INNER JOIN {$wpdb->postmeta} m ON m.post_id = p.ID WHERE p.post_type = %s AND m.meta_key = %s LIMIT 1",
+				$this->post_type,
+				self::UPSTREAM_STATUS_META
+			)
+		);
+
 		wp_send_json_success(
 			[
-				'total'         => $total_count,
-				'total_batches' => $total_batches,
-				'batch_size'    => $batch_size,
+				'total'           => $total_count,
+				'total_batches'   => $total_batches,
+				'batch_size'      => $batch_size,
+				'no_update_check' => $no_update_check,
 			]
 		);
 	}
 
 	/**
-	 * Common AJAX handler to clear all asset data.
+	 * Common AJAX handler to clear the next batch of asset data matching the clear filters.
+	 * Batches walk the matching assets by ID, since files-only clearing keeps the posts.
 	 */
 	public function ajax_clear_data() {
 		check_ajax_referer( 'aspirecloud_import_nonce', 'nonce' );
@@ -640,46 +1426,72 @@ abstract class AssetsImporter {
 
 		global $wpdb;
 
-		$batch_size = self::CLEAR_BATCH_SIZE;
+		$filters = $this->get_clear_filters();
+		if ( is_wp_error( $filters ) ) {
+			wp_send_json_error( $filters->get_error_message() );
+		}
 
-		// Get next batch of asset IDs
-		$asset_ids = $wpdb->get_col(
-			$wpdb->prepare(
-				"SELECT ID FROM {$wpdb->posts} WHERE post_type = %s LIMIT %d",
-				$this->post_type,
-				$batch_size
-			)
+		$batch_size = self::CLEAR_BATCH_SIZE;
+		$where      = $this->get_clear_where( $filters );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified above
+		$after_id = isset( $_POST['after_id'] ) ? absint( $_POST['after_id'] ) : 0;
+
+		// Get next batch of matching assets
+		$assets = $wpdb->get_results(
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- The WHERE clause is built with $wpdb->prepare()
+			$wpdb->prepare( 'SELECT p.ID, ' . $this->get_slug_sql() . " AS slug FROM {$wpdb->posts} p WHERE {$where} AND p.ID > %d ORDER BY p.ID ASC LIMIT %d", $after_id, $batch_size )
 		);
 
 		$deleted_count = 0;
 		$errors        = [];
+		$last_id       = $after_id;
+
+		if ( ! empty( $assets ) ) {
+			$last_id   = (int) end( $assets )->ID;
+			$clear_ids = wp_list_pluck( $assets, 'ID' );
 
-		if ( ! empty( $asset_ids ) ) {
-			// Sanitize asset IDs and create IN clause
-			$sanitized_ids = array_map( 'absint', $asset_ids );
-			$ids_string    = implode( ',', $sanitized_ids );
+			// An asset whose files could not be deleted is left alone, so its record still points at them
+			if ( 'metadata' !== $filters['scope'] ) {
+				$clear_ids = [];
+
+				foreach ( $assets as $asset ) {
+					if ( $this->delete_asset_files( $asset->slug ) ) {
+						$clear_ids[] = $asset->ID;
+					} else {
+						/* translators: %s: asset slug */
+						$errors[] = sprintf( __( 'Failed to delete the files of %s.', 'aspirecloud' ), $asset->slug );
+					}
+				}
+			}
 
-			// Delete post meta first (foreign key constraint)
-			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $ids_string is sanitized with absint
-			$meta_result = $wpdb->query( "DELETE FROM {$wpdb->postmeta} WHERE post_id IN ($ids_string)" );
+			if ( 'files' === $filters['scope'] ) {
+				$this->restore_upstream_file_urls( $clear_ids );
+				$deleted_count = count( $clear_ids );
+			} elseif ( ! empty( $clear_ids ) ) {
+				// Sanitize asset IDs and create IN clause
+				$sanitized_ids = array_map( 'absint', $clear_ids );
+				$ids_string    = implode( ',', $sanitized_ids );
 
-			// Delete posts
-			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $ids_string is sanitized with absint
-			$posts_result = $wpdb->query( "DELETE FROM {$wpdb->posts} WHERE ID IN ($ids_string)" );
+				// Delete post meta first (foreign key constraint)
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $ids_string is sanitized with absint
+				$meta_result = $wpdb->query( "DELETE FROM {$wpdb->postmeta} WHERE post_id IN ($ids_string)" );
 
-			if ( false === $meta_result || false === $posts_result ) {
-				$errors[] = __( 'Failed to delete assets via direct SQL.', 'aspirecloud' );
-			} else {
-				$deleted_count = count( $asset_ids );
+				// Delete posts
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $ids_string is sanitized with absint
+				$posts_result = $wpdb->query( "DELETE FROM {$wpdb->posts} WHERE ID IN ($ids_string)" );
+
+				if ( false === $meta_result || false === $posts_result ) {
+					$errors[] = __( 'Failed to delete assets via direct SQL.', 'aspirecloud' );
+				} else {
+					$deleted_count = count( $sanitized_ids );
+				}
 			}
 		}
 
-		// Check if there are more assets to delete
-		$remaining_count = $wpdb->get_var(
-			$wpdb->prepare(
-				"SELECT COUNT(ID) FROM {$wpdb->posts} WHERE post_type = %s",
-				$this->post_type
-			)
+		// Check if there are more matching assets after this batch
+		$next_id = $wpdb->get_var(
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- The WHERE clause is built with $wpdb->prepare()
+			$wpdb->prepare( "SELECT p.ID FROM {$wpdb->posts} p WHERE {$where} AND p.ID > %d LIMIT 1", $last_id )
 		);
 
 		wp_send_json_success(
@@ -687,92 +1499,341 @@ abstract class AssetsImporter {
 				'deleted_count' => $deleted_count,
 				'batch_size'    => $batch_size,
 				'errors'        => $errors,
-				'has_more'      => $remaining_count > 0,
+				'last_id'       => $last_id,
+				'has_more'      => null !== $next_id,
 			]
 		);
 	}
 
 	/**
-	 * Common AJAX handler to import metadata in batches.
-	 * Phase 1: Import all metadata first without downloading assets.
+	 * Read the clear filters posted with a clear count or clear batch request.
+	 *
+	 * @return array|\WP_Error Filters with slugs, scope, not_updated_since (Y-m-d or '') and closed_only, or error.
 	 */
-	public function ajax_import_metadata_batch() {
-		$this->check_ajax_permissions();
-		$this->prepare_import_environment();
+	private function get_clear_filters() {
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler
+		$slugs = isset( $_POST['slugs'] ) ? preg_split( '/[\s,]+/', sanitize_textarea_field( wp_unslash( $_POST['slugs'] ) ) ) : [];
+		$scope = isset( $_POST['scope'] ) ? sanitize_key( wp_unslash( $_POST['scope'] ) ) : 'metadata';
+		$since = isset( $_POST['not_updated_since'] ) ? sanitize_text_field( wp_unslash( $_POST['not_updated_since'] ) ) : '';
+
+		$filters = [
+			'slugs'             => array_values( array_unique( array_filter( array_map( 'sanitize_title', $slugs ) ) ) ),
+			'scope'             => in_array( $scope, [ 'all', 'metadata', 'files' ], true ) ? $scope : 'metadata',
+			'not_updated_since' => $since,
+			'closed_only'       => ! empty( $_POST['closed_only'] ),
+		];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
 
-		// Initialize pagination parameters
-		$pagination = $this->initialize_pagination_parameters();
+		if ( '' !== $since ) {
+			$date = \DateTimeImmutable::createFromFormat( '!Y-m-d', $since );
 
-		// Get assets data for current page
-		$assets_data = $this->get_assets_page( $pagination['page'], $pagination['per_page'] );
-		if ( is_wp_error( $assets_data ) ) {
-			wp_send_json_error( $assets_data->get_error_message() );
+			if ( ! $date || $date->format( 'Y-m-d' ) !== $since ) {
+				return new \WP_Error( 'invalid_date', __( 'Enter the date as YYYY-MM-DD.', 'aspirecloud' ) );
+			}
 		}
 
-		// Process assets and prepare for bulk operations
-		$import_data = $this->process_assets_for_import( $assets_data['items'] );
+		return $filters;
+	}
 
-		// Execute bulk database operations
-		$this->execute_bulk_import_operations( $import_data );
+	/**
+	 * Build the WHERE clause, on the posts table aliased as p, for the assets matching the clear filters.
+	 *
+	 * @param array $filters Clear filters from get_clear_filters().
+	 * @return string Prepared SQL condition.
+	 */
+	private function get_clear_where( $filters ) {
+		global $wpdb;
 
-		// Clean up and send response
-		$this->cleanup_and_respond( $import_data, $pagination );
+		// Auto-drafts are left out, as wp_count_posts() based counts always did
+		$conditions = [ $wpdb->prepare( "p.post_type = %s AND p.post_status <> 'auto-draft'", $this->post_type ) ];
+
+		if ( ! empty( $filters['slugs'] ) ) {
+			$placeholders = implode( ', ', array_fill( 0, count( $filters['slugs'] ), '%s' ) );
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared,WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare -- One placeholder per slug
+			$conditions[] = $wpdb->prepare( $this->get_slug_sql() . " IN ($placeholders)", $filters['slugs'] );
+		}
+
+		// Plugins store e.g. "2024-05-01 3:04pm GMT" and themes "2024-05-01"; both sort by their leading date
+		if ( '' !== $filters['not_updated_since'] ) {
+			$conditions[] = $wpdb->prepare(
+				"EXISTS (SELECT 1 FROM {$wpdb->postmeta} m WHERE m.post_id = p.ID AND m.meta_key = '__last_updated' AND m.meta_value <> '' AND m.meta_value < %s)",
+				$filters['not_updated_since']
+			);
+		}
+
+		// The update check records assets that are gone from the repository as not_found
+		if ( $filters['closed_only'] ) {
+			$conditions[] = $wpdb->prepare(
+				"EXISTS (SELECT 1 FROM {$wpdb->postmeta} m WHERE m.post_id = p.ID AND m.meta_key = %s AND m.meta_value LIKE %s)",
+				self::UPSTREAM_STATUS_META,
+				'%' . $wpdb->esc_like( '"not_found"' ) . '%'
+			);
+		}
+
+		return implode( ' AND ', $conditions );
 	}
 
 	/**
-	 * Prepare the environment for import operations.
+	 * Get the SQL expression for the slug of the asset post aliased p: its __slug meta, or the post name without one.
+	 *
+	 * @return string SQL expression.
 	 */
-	private function prepare_import_environment() {
-		wp_raise_memory_limit( 'admin' );
-		set_time_limit( 300 );
-		wp_cache_flush();
+	private function get_slug_sql() {
+		global $wpdb;
 
-		// Optimize database for the first batch
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$page = isset( $_POST['page'] ) ? (int) $_POST['page'] : 1;
-		if ( 1 === $page ) {
-			$this->optimize_database_for_import();
-		}
+		return "COALESCE(NULLIF((SELECT s.meta_value FROM {$wpdb->postmeta} s WHERE s.post_id = p.ID AND s.meta_key = '__slug' LIMIT 1), ''), p.post_name)";
 	}
 
 	/**
-	 * Initialize pagination parameters for the import batch.
+	 * Delete the downloaded files of an asset.
 	 *
-	 * @return array Pagination data including page, per_page, total_assets, total_pages.
+	 * @param string $slug Asset slug.
+	 * @return bool True if the asset directory is gone.
 	 */
-	private function initialize_pagination_parameters() {
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$page     = isset( $_POST['page'] ) ? (int) $_POST['page'] : 1;
-		$per_page = self::METADATA_BATCH_SIZE; // Use centralized batch size
+	private function delete_asset_files( $slug ) {
+		global $wp_filesystem;
 
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$total_assets = isset( $_POST['total_assets'] ) ? (int) $_POST['total_assets'] : 0;
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$total_pages = isset( $_POST['total_pages'] ) ? (int) $_POST['total_pages'] : 0;
+		$upload_dir = wp_upload_dir();
+		$aspire_dir = $upload_dir['basedir'] . '/aspirecloud/' . $this->asset_type . 's/' . $slug;
 
-		// Calculate totals on first page or if not provided
-		if ( 1 === $page || 0 === $total_assets ) {
-			$count_data = $this->get_total_assets_count();
-			if ( is_wp_error( $count_data ) ) {
-				wp_send_json_error( $count_data->get_error_message() );
-			}
-			$total_assets = $count_data['total'];
-			$total_pages  = ceil( $total_assets / $per_page );
+		if ( '' === $slug || ! file_exists( $aspire_dir ) ) {
+			return true;
 		}
 
-		return [
-			'page'         => $page,
-			'per_page'     => $per_page,
-			'total_assets' => $total_assets,
-			'total_pages'  => $total_pages,
-		];
+		if ( ! $wp_filesystem ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+			WP_Filesystem();
+		}
+
+		return $wp_filesystem && $wp_filesystem->delete( $aspire_dir, true );
 	}
 
 	/**
-	 * Process assets from API data and prepare for bulk import.
+	 * Stop assets whose files were cleared from pointing at them. The download link goes
+	 * back to the upstream ZIP of the version. The upstream image URLs were overwritten
+	 * by the download, so the local banners, icons and screenshot are dropped instead;
+	 * the next metadata import or re-sync fetches them again.
 	 *
-	 * @param array $assets_items Array of asset data from API.
-	 * @return array Import data with separated new and existing assets.
+	 * @param array $post_ids Local asset post IDs.
+	 */
+	private function restore_upstream_file_urls( $post_ids ) {
+		$local_url = wp_upload_dir()['baseurl'] . '/aspirecloud/';
+
+		foreach ( $post_ids as $post_id ) {
+			$download_link = (string) get_post_meta( $post_id, '__download_link', true );
+
+			if ( 0 === strpos( $download_link, $local_url ) ) {
+				$versions = get_post_meta( $post_id, '__versions', true );
+				$versions = is_string( $versions ) ? json_decode( $versions, true ) : $versions;
+				$version  = get_post_meta( $post_id, '__version', true );
+
+				if ( is_array( $versions ) && ! empty( $versions[ $version ] ) ) {
+					update_post_meta( $post_id, '__download_link', $versions[ $version ] );
+				} else {
+					delete_post_meta( $post_id, '__download_link' );
+				}
+			}
+
+			foreach ( [ '__banners', '__icons' ] as $meta_key ) {
+				$images = get_post_meta( $post_id, $meta_key, true );
+				$images = is_string( $images ) ? json_decode( $images, true ) : $images;
+
+				if ( ! is_array( $images ) ) {
+					continue;
+				}
+
+				$upstream_images = array_filter(
+					$images,
+					function ( $url ) use ( $local_url ) {
+						return ! is_string( $url ) || 0 !== strpos( $url, $local_url );
+					}
+				);
+
+				if ( empty( $upstream_images ) ) {
+					delete_post_meta( $post_id, $meta_key );
+				} elseif ( count( $upstream_images ) !== count( $images ) ) {
+					update_post_meta( $post_id, $meta_key, $upstream_images );
+				}
+			}
+
+			if ( 0 === strpos( (string) get_post_meta( $post_id, '__screenshot_url', true ), $local_url ) ) {
+				delete_post_meta( $post_id, '__screenshot_url' );
+			}
+		}
+	}
+
+	/**
+	 * Common AJAX handler to import metadata in batches.
+	 * Phase 1: Import all metadata first without downloading assets.
+	 */
+	public function ajax_import_metadata_batch() {
+		$this->check_ajax_permissions();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$page = isset( $_POST['page'] ) ? (int) $_POST['page'] : 1;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$total_assets = isset( $_POST['total_assets'] ) ? (int) $_POST['total_assets'] : 0;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$total_pages = isset( $_POST['total_pages'] ) ? (int) $_POST['total_pages'] : 0;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$dry_run = ! empty( $_POST['dry_run'] );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$retry = ! empty( $_POST['retry'] );
+
+		$result = $this->import_metadata_page( $page, $total_assets, $total_pages, $dry_run, $retry );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( $result->get_error_message() );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Import one page of metadata from the API.
+	 * Shared by the AJAX batch handler and background import jobs.
+	 *
+	 * @param int  $page         Page number, starting at 1.
+	 * @param int  $total_assets Total asset count from an earlier page, 0 to look it up.
+	 * @param int  $total_pages  Total page count from an earlier page.
+	 * @param bool $dry_run      Compare the page with the stored assets without writing anything.
+	 * @param bool $retry        The page is retried on its own, so it neither starts nor ends a run:
+	 *                           Bulk Import Mode and the bulk import start time are left alone.
+	 * @return array|\WP_Error Batch results or error.
+	 */
+	public function import_metadata_page( $page, $total_assets = 0, $total_pages = 0, $dry_run = false, $retry = false ) {
+		$this->prepare_import_environment( $page, ! $dry_run && ! $retry );
+
+		// Initialize pagination parameters
+		$pagination = $this->initialize_pagination_parameters( $page, $total_assets, $total_pages );
+		if ( is_wp_error( $pagination ) ) {
+			return $pagination;
+		}
+
+		// Get assets data for current page
+		$assets_data = $this->get_assets_page( $pagination['page'], $pagination['per_page'] );
+		if ( is_wp_error( $assets_data ) ) {
+			return $assets_data;
+		}
+
+		// A dry run stops here, before anything is written or the sync point moves
+		if ( $dry_run ) {
+			return $this->preview_metadata_page( $assets_data['items'], $pagination );
+		}
+
+		// Process assets and prepare for bulk operations
+		$import_data = $this->process_assets_for_import( $assets_data['items'] );
+
+		// Execute bulk database operations
+		$result = $this->execute_bulk_import_operations( $import_data );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		// A complete bulk import is the starting point for the next delta sync; complete_bulk_import() records it
+		if ( 1 === $page && ! $retry ) {
+			update_option( self::BULK_IMPORT_STARTED_OPTION_PREFIX . $this->asset_type . 's', time(), false );
+		}
+
+		// Clean up and build the batch results
+		return $this->cleanup_import_batch( $import_data, $pagination, ! $retry );
+	}
+
+	/**
+	 * Make the start of a bulk import the starting point for the next delta sync.
+	 * Only called once every metadata page of the run was imported; pages run in
+	 * parallel, so the last page finishing says nothing about the others.
+	 *
+	 * @return bool True if a sync point was recorded.
+	 */
+	public function complete_bulk_import() {
+		$started_option = self::BULK_IMPORT_STARTED_OPTION_PREFIX . $this->asset_type . 's';
+		$started_at     = (int) get_option( $started_option, 0 );
+
+		if ( ! $started_at ) {
+			return false;
+		}
+
+		update_option( self::LAST_SYNC_OPTION_PREFIX . $this->asset_type . 's', $started_at, false );
+		delete_option( $started_option );
+
+		return true;
+	}
+
+	/**
+	 * AJAX handler sent by the browser when a bulk import finished with no failed metadata batches.
+	 * Both importers register this handler, so each one only answers for its own asset type.
+	 */
+	public function ajax_complete_bulk_import() {
+		if ( ! $this->is_requested_asset_type() ) {
+			return;
+		}
+
+		$this->check_ajax_permissions();
+
+		if ( ! $this->complete_bulk_import() ) {
+			wp_send_json_error( __( 'No bulk import start was recorded, so the sync point was not moved.', 'aspirecloud' ) );
+		}
+
+		wp_send_json_success(
+			[
+				'last_sync'         => $this->get_last_sync_time(),
+				'last_sync_display' => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $this->get_last_sync_time() ),
+			]
+		);
+	}
+
+	/**
+	 * Prepare the environment for import operations.
+	 *
+	 * @param int  $page     Page number being imported.
+	 * @param bool $optimize Whether to put the database into Bulk Import Mode on the first page.
+	 */
+	private function prepare_import_environment( $page, $optimize = true ) {
+		wp_raise_memory_limit( 'admin' );
+		set_time_limit( 300 );
+		wp_cache_flush();
+
+		// Optimize database for the first batch
+		if ( $optimize && 1 === $page ) {
+			$this->optimize_database_for_import();
+		}
+	}
+
+	/**
+	 * Initialize pagination parameters for the import batch.
+	 *
+	 * @param int $page         Page number being imported.
+	 * @param int $total_assets Total asset count from an earlier page.
+	 * @param int $total_pages  Total page count from an earlier page.
+	 * @return array|\WP_Error Pagination data including page, per_page, total_assets, total_pages.
+	 */
+	private function initialize_pagination_parameters( $page, $total_assets, $total_pages ) {
+		$per_page = self::METADATA_BATCH_SIZE; // Use centralized batch size
+
+		// Calculate totals on first page or if not provided
+		if ( 1 === $page || 0 === $total_assets ) {
+			$count_data = $this->get_total_assets_count();
+			if ( is_wp_error( $count_data ) ) {
+				return $count_data;
+			}
+			$total_assets = $count_data['total'];
+			$total_pages  = ceil( $total_assets / $per_page );
+		}
+
+		return [
+			'page'         => $page,
+			'per_page'     => $per_page,
+			'total_assets' => $total_assets,
+			'total_pages'  => $total_pages,
+		];
+	}
+
+	/**
+	 * Process assets from API data and prepare for bulk import.
+	 *
+	 * @param array $assets_items Array of asset data from API.
+	 * @return array Import data with separated new and existing assets.
 	 */
 	private function process_assets_for_import( $assets_items ) {
 		global $wpdb;
@@ -788,7 +1849,7 @@ abstract class AssetsImporter {
 
 		// Check if we have assets to process
 		if ( empty( $assets_items ) ) {
-			$import_data['errors'][] = 'No assets data received from API';
+			$import_data['errors'][] = $this->build_error_record( 'No assets data received from API', '', 'api' );
 			return $import_data;
 		}
 
@@ -799,12 +1860,18 @@ abstract class AssetsImporter {
 			try {
 				// Check asset data structure
 				if ( ! isset( $asset_data['slug'] ) ) {
-					$import_data['errors'][] = sprintf( 'Asset missing slug property. Available properties: %s', implode( ', ', array_keys( $asset_data ) ) );
+					$import_data['errors'][] = $this->build_error_record( sprintf( 'Asset missing slug property. Available properties: %s', implode( ', ', array_keys( $asset_data ) ) ), '', 'invalid_data' );
 					continue;
 				}
 
 				$existing_asset = $this->get_asset_by_slug( $asset_data['slug'] );
-				$meta_data      = $this->convert_api_data_to_meta( $asset_data );
+
+				// Pinned assets keep the version an admin chose, with all of its meta
+				if ( $existing_asset && $this->is_version_pinned( $existing_asset->ID ) ) {
+					continue;
+				}
+
+				$meta_data = $this->convert_api_data_to_meta( $asset_data );
 
 				if ( $existing_asset ) {
 					$this->prepare_existing_asset_update( $existing_asset, $asset_data, $meta_data, $import_data );
@@ -816,11 +1883,16 @@ abstract class AssetsImporter {
 
 			} catch ( \Exception $e ) {
 				$asset_array             = is_object( $asset_data ) ? (array) $asset_data : $asset_data;
-				$import_data['errors'][] = sprintf(
-					/* translators: %1$s: asset slug, %2$s: error message */
-					__( 'Exception importing %1$s: %2$s', 'aspirecloud' ),
-					isset( $asset_array['slug'] ) ? $asset_array['slug'] : 'unknown',
-					$e->getMessage()
+				$asset_slug              = isset( $asset_array['slug'] ) ? $asset_array['slug'] : '';
+				$import_data['errors'][] = $this->build_error_record(
+					sprintf(
+						/* translators: %1$s: asset slug, %2$s: error message */
+						__( 'Exception importing %1$s: %2$s', 'aspirecloud' ),
+						$asset_slug ? $asset_slug : 'unknown',
+						$e->getMessage()
+					),
+					$asset_slug,
+					'exception'
 				);
 			}
 		}
@@ -828,6 +1900,107 @@ abstract class AssetsImporter {
 		return $import_data;
 	}
 
+	/**
+	 * Compare a page of API data with the stored assets for a dry run.
+	 *
+	 * @param array $assets_items Array of asset data from API.
+	 * @param array $pagination   Pagination data.
+	 * @return array Batch results in the shape of a real import, plus a dry_run summary.
+	 */
+	private function preview_metadata_page( $assets_items, $pagination ) {
+		$preview = [
+			'created'   => [],
+			'updated'   => [],
+			'unchanged' => 0,
+			'fields'    => [],
+		];
+		$errors  = [];
+		$count   = 0;
+
+		if ( empty( $assets_items ) ) {
+			$errors[] = $this->build_error_record( 'No assets data received from API', '', 'api' );
+		}
+
+		foreach ( (array) $assets_items as $asset_data ) {
+			if ( ! isset( $asset_data['slug'] ) ) {
+				$errors[] = $this->build_error_record( sprintf( 'Asset missing slug property. Available properties: %s', implode( ', ', array_keys( $asset_data ) ) ), '', 'invalid_data' );
+				continue;
+			}
+
+			$existing_asset = $this->get_asset_by_slug( $asset_data['slug'] );
+			++$count;
+
+			if ( ! $existing_asset ) {
+				$preview['created'][] = $asset_data['slug'];
+				continue;
+			}
+
+			// A real run skips pinned assets
+			if ( $this->is_version_pinned( $existing_asset->ID ) ) {
+				++$preview['unchanged'];
+				continue;
+			}
+
+			$changed_fields = $this->get_changed_meta_fields( $existing_asset->ID, $this->convert_api_data_to_meta( $asset_data ) );
+
+			if ( empty( $changed_fields ) ) {
+				++$preview['unchanged'];
+				continue;
+			}
+
+			$preview['updated'][] = [
+				'slug'   => $asset_data['slug'],
+				'fields' => $changed_fields,
+			];
+
+			foreach ( $changed_fields as $field ) {
+				$preview['fields'][ $field ] = ( $preview['fields'][ $field ] ?? 0 ) + 1;
+			}
+		}
+
+		return [
+			'imported_count' => $count,
+			'page'           => $pagination['page'],
+			'per_page'       => $pagination['per_page'],
+			'has_more'       => $pagination['page'] < $pagination['total_pages'],
+			'total_assets'   => $pagination['total_assets'],
+			'total_pages'    => $pagination['total_pages'],
+			'errors'         => $errors,
+			'dry_run'        => $preview,
+		];
+	}
+
+	/**
+	 * List the fields an import would change on a stored asset.
+	 *
+	 * @param int   $post_id   Stored asset post ID.
+	 * @param array $meta_data Meta data built by convert_api_data_to_meta().
+	 * @return array Field names, without the meta key prefix, that would be added, changed or removed.
+	 */
+	private function get_changed_meta_fields( $post_id, $meta_data ) {
+		$stored = [];
+		foreach ( get_post_meta( $post_id ) as $meta_key => $meta_values ) {
+			if ( str_starts_with( $meta_key, '__' ) ) {
+				$stored[ $meta_key ] = $meta_values[0];
+			}
+		}
+
+		$changed = [];
+		foreach ( $meta_data as $meta ) {
+			if ( ! array_key_exists( $meta['meta_key'], $stored ) || $stored[ $meta['meta_key'] ] !== $meta['meta_value'] ) {
+				$changed[] = substr( $meta['meta_key'], 2 );
+			}
+			unset( $stored[ $meta['meta_key'] ] );
+		}
+
+		// The update replaces all meta, so fields the API no longer returns would be dropped
+		foreach ( array_keys( $stored ) as $meta_key ) {
+			$changed[] = substr( $meta_key, 2 );
+		}
+
+		return $changed;
+	}
+
 	/**
 	 * Convert API data to WordPress meta format.
 	 *
@@ -913,15 +2086,21 @@ abstract class AssetsImporter {
 	 * Execute bulk database operations for import.
 	 *
 	 * @param array &$import_data Import data with new and existing assets (passed by reference).
+	 * @return true|\WP_Error True on success, error if the bulk insert failed.
 	 */
 	private function execute_bulk_import_operations( &$import_data ) {
 		if ( ! empty( $import_data['new_posts'] ) ) {
-			$this->bulk_insert_new_posts( $import_data['new_posts'], $import_data['new_meta'] );
+			$result = $this->bulk_insert_new_posts( $import_data['new_posts'], $import_data['new_meta'] );
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
 		}
 
 		if ( ! empty( $import_data['update_post_ids'] ) ) {
 			$this->bulk_update_existing_posts( $import_data['update_post_ids'], $import_data['update_meta_data'] );
 		}
+
+		return true;
 	}
 
 	/**
@@ -929,6 +2108,7 @@ abstract class AssetsImporter {
 	 *
 	 * @param array $post_values Post values for SQL insert.
 	 * @param array $meta_values Meta values for each post.
+	 * @return true|\WP_Error True on success, error if the insert failed.
 	 */
 	private function bulk_insert_new_posts( $post_values, $meta_values ) {
 		global $wpdb;
@@ -936,10 +2116,12 @@ abstract class AssetsImporter {
 		$sql = "INSERT INTO {$wpdb->posts} (post_title, post_content, post_status, comment_status, ping_status, post_password, post_name, post_excerpt, post_date, post_date_gmt, post_type) VALUES " . implode( ', ', $post_values );
 
 		if ( false === $wpdb->query( $sql ) ) { // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.NotPrepared
-			wp_send_json_error( __( 'Failed to insert posts via bulk SQL.', 'aspirecloud' ) );
+			return new \WP_Error( 'bulk_insert_failed', __( 'Failed to insert posts via bulk SQL.', 'aspirecloud' ) );
 		}
 
 		$this->bulk_insert_meta_for_new_posts( $meta_values, $wpdb->insert_id, count( $post_values ) );
+
+		return true;
 	}
 
 	/**
@@ -982,10 +2164,10 @@ abstract class AssetsImporter {
 	private function bulk_update_existing_posts( $update_post_ids, $update_meta_data ) {
 		global $wpdb;
 
-		// Delete existing meta data for clean update
+		// Delete existing API meta data for clean update; other meta, such as the update check result, is kept
 		$post_ids_placeholder = implode( ',', array_fill( 0, count( $update_post_ids ), '%d' ) );
-		$delete_meta_sql      = "DELETE FROM {$wpdb->postmeta} WHERE post_id IN ($post_ids_placeholder)";
-		$wpdb->query( $wpdb->prepare( $delete_meta_sql, $update_post_ids ) ); // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.NotPrepared
+		$delete_meta_sql      = "DELETE FROM {$wpdb->postmeta} WHERE post_id IN ($post_ids_placeholder) AND meta_key LIKE %s";
+		$wpdb->query( $wpdb->prepare( $delete_meta_sql, array_merge( $update_post_ids, [ $wpdb->esc_like( '__' ) . '%' ] ) ) ); // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.NotPrepared
 
 		// Insert updated meta data
 		$update_meta_insert_values = [];
@@ -1009,12 +2191,14 @@ abstract class AssetsImporter {
 	}
 
 	/**
-	 * Clean up memory and send response.
+	 * Clean up memory and build the batch results.
 	 *
 	 * @param array $import_data Import data with results.
 	 * @param array $pagination  Pagination data.
+	 * @param bool  $restore     Whether the last page restores the database from Bulk Import Mode.
+	 * @return array Batch results.
 	 */
-	private function cleanup_and_respond( $import_data, $pagination ) {
+	private function cleanup_import_batch( $import_data, $pagination, $restore = true ) {
 		// Clean up memory
 		unset( $import_data['new_posts'], $import_data['new_meta'], $import_data['update_post_ids'], $import_data['update_meta_data'] );
 		wp_cache_flush();
@@ -1023,21 +2207,19 @@ abstract class AssetsImporter {
 		}
 
 		// Restore database optimization on the last batch
-		if ( $pagination['page'] >= $pagination['total_pages'] ) {
+		if ( $restore && $pagination['page'] >= $pagination['total_pages'] ) {
 			$this->restore_database_after_import();
 		}
 
-		wp_send_json_success(
-			[
-				'imported_count' => $import_data['imported_count'],
-				'page'           => $pagination['page'],
-				'per_page'       => $pagination['per_page'],
-				'has_more'       => $pagination['page'] < $pagination['total_pages'],
-				'total_assets'   => $pagination['total_assets'],
-				'total_pages'    => $pagination['total_pages'],
-				'errors'         => $import_data['errors'],
-			]
-		);
+		return [
+			'imported_count' => $import_data['imported_count'],
+			'page'           => $pagination['page'],
+			'per_page'       => $pagination['per_page'],
+			'has_more'       => $pagination['page'] < $pagination['total_pages'],
+			'total_assets'   => $pagination['total_assets'],
+			'total_pages'    => $pagination['total_pages'],
+			'errors'         => $import_data['errors'],
+		];
 	}
 
 	/**
@@ -1047,110 +2229,356 @@ abstract class AssetsImporter {
 	public function ajax_download_assets_batch() {
 		$this->check_ajax_permissions();
 
+		$batch_size = self::DOWNLOAD_BATCH_SIZE; // Use centralized batch size
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$batch = isset( $_POST['batch'] ) ? (int) $_POST['batch'] : 1;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$per_batch = isset( $_POST['per_batch'] ) ? (int) $_POST['per_batch'] : $batch_size;
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$total_count = isset( $_POST['total_assets'] ) ? (int) $_POST['total_assets'] : 0;
+
+		wp_send_json_success( $this->download_assets_batch( $batch, $per_batch, $total_count ) );
+	}
+
+	/**
+	 * Download the files for one batch of local assets.
+	 * Shared by the AJAX batch handler and background import jobs.
+	 *
+	 * @param int $batch       Batch number, starting at 1.
+	 * @param int $per_batch   Number of assets per batch.
+	 * @param int $total_count Total asset count from an earlier batch; batch 1 counts it.
+	 * @return array Batch results.
+	 */
+	public function download_assets_batch( $batch, $per_batch, $total_count = 0 ) {
 		// Include download functions
 		if ( ! function_exists( 'download_url' ) ) {
 			require_once ABSPATH . 'wp-admin/includes/file.php';
 		}
 
-		$batch_size = self::DOWNLOAD_BATCH_SIZE; // Use centralized batch size
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$batch = isset( $_POST['batch'] ) ? (int) $_POST['batch'] : 1;
-		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-		$per_batch = isset( $_POST['per_batch'] ) ? (int) $_POST['per_batch'] : $batch_size;
-
-		// Calculate offset from batch number (batch 1 = offset 0)
-		$offset = ( $batch - 1 ) * $per_batch;
-
-		// Get assets that need file downloads
-		$assets = get_posts(
-			[
-				'post_type'      => $this->post_type,
-				'posts_per_page' => $per_batch,
-				'post_status'    => 'publish',
-				'offset'         => $offset,
-				'orderby'        => 'ID',
-				'order'          => 'ASC',
-			]
-		);
-
-		// Get total count for progress calculation
-		if ( 1 === $batch ) {
-			$total_assets = wp_count_posts( $this->post_type );
-			$total_count  = $total_assets->publish ?? 0;
-		} else {
-			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
-			$total_count = isset( $_POST['total_assets'] ) ? (int) $_POST['total_assets'] : 0;
-		}
+		// Calculate offset from batch number (batch 1 = offset 0)
+		$offset = ( $batch - 1 ) * $per_batch;
+
+		// Get assets that need file downloads
+		$assets = get_posts(
+			[
+				'post_type'      => $this->post_type,
+				'posts_per_page' => $per_batch,
+				'post_status'    => 'publish',
+				'offset'         => $offset,
+				'orderby'        => 'ID',
+				'order'          => 'ASC',
+			]
+		);
+
+		// Get total count for progress calculation
+		if ( 1 === $batch ) {
+			$total_assets = wp_count_posts( $this->post_type );
+			$total_count  = $total_assets->publish ?? 0;
+		}
+
+		$downloaded_count = 0;
+		$skipped_count    = 0;
+		$errors           = [];
+
+		foreach ( $assets as $asset_post ) {
+			$slug = get_post_meta( $asset_post->ID, '__slug', true );
+
+			try {
+				$asset_info = $this->create_asset_info();
+
+				// Load existing metadata
+				$this->load_asset_metadata( $asset_info, $asset_post->ID );
+
+				// Track downloads for this asset
+				$asset_download_results = $this->download_asset_files_with_tracking( $asset_info, $asset_post->ID, $slug );
+
+				if ( $asset_download_results['skipped'] ) {
+					++$skipped_count;
+					if ( ! empty( $asset_download_results['skip_reasons'] ) ) {
+						$errors[] = $this->build_error_record(
+							sprintf(
+								/* translators: %1$s: asset title, %2$s: skip reasons */
+								__( 'Skipped downloading files for %1$s: %2$s', 'aspirecloud' ),
+								$asset_post->post_title,
+								implode( ', ', $asset_download_results['skip_reasons'] )
+							),
+							$slug,
+							'skipped'
+						);
+					}
+				} else {
+					++$downloaded_count;
+				}
+
+				// Add any specific download errors
+				if ( ! empty( $asset_download_results['errors'] ) ) {
+					foreach ( $asset_download_results['errors'] as $error ) {
+						$errors[] = $this->build_error_record(
+							sprintf(
+								/* translators: %1$s: asset title, %2$s: error message */
+								__( 'Download error for %1$s: %2$s', 'aspirecloud' ),
+								$asset_post->post_title,
+								$error
+							),
+							$slug,
+							'download'
+						);
+					}
+				}
+			} catch ( \Exception $e ) {
+				$errors[] = $this->build_error_record(
+					sprintf(
+						/* translators: %1$s: asset title, %2$s: error message */
+						__( 'Exception downloading files for %1$s: %2$s', 'aspirecloud' ),
+						$asset_post->post_title,
+						$e->getMessage()
+					),
+					$slug,
+					'exception'
+				);
+			}
+		}
+
+		// Calculate values for response
+		$next_batch      = $batch + 1;
+		$has_more        = count( $assets ) === $per_batch; // More batches if we got a full batch
+		$total_processed = $offset + $downloaded_count + $skipped_count;
+
+		return [
+			'downloaded_count' => $downloaded_count,
+			'skipped_count'    => $skipped_count,
+			'processed_count'  => $downloaded_count + $skipped_count,
+			'batch'            => $batch,
+			'next_batch'       => $next_batch,
+			'per_batch'        => $per_batch,
+			'total_processed'  => $total_processed,
+			'total_assets'     => $total_count,
+			'has_more'         => $has_more,
+			'errors'           => $errors,
+		];
+	}
+
+	/**
+	 * Common AJAX handler to sync only the assets changed since the last successful sync.
+	 */
+	public function ajax_sync_changes_batch() {
+		$this->check_ajax_permissions();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$page = isset( $_POST['page'] ) ? max( 1, (int) $_POST['page'] ) : 1;
+
+		$result = $this->sync_changes_page( $page );
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_error( $result->get_error_message() );
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Get the start time of the last successful sync or complete bulk import.
+	 *
+	 * @return int Unix timestamp, 0 if there has been none.
+	 */
+	public function get_last_sync_time() {
+		return (int) get_option( self::LAST_SYNC_OPTION_PREFIX . $this->asset_type . 's', 0 );
+	}
+
+	/**
+	 * Sync one page of recently updated assets.
+	 * The API lists assets by last update, newest first, so paging stops at the
+	 * first asset older than the previous sync. Changed assets are updated and
+	 * their files re-downloaded; new ones are created.
+	 *
+	 * @param int $page Page number, starting at 1.
+	 * @return array|\WP_Error Page results or error.
+	 */
+	public function sync_changes_page( $page ) {
+		wp_raise_memory_limit( 'admin' );
+		set_time_limit( 300 );
+
+		$run_option = self::DELTA_SYNC_RUN_OPTION_PREFIX . $this->asset_type . 's';
+
+		if ( 1 === $page ) {
+			$since = $this->get_last_sync_time();
+			if ( ! $since ) {
+				return new \WP_Error( 'no_previous_sync', __( 'No previous sync recorded. Run a full bulk import first.', 'aspirecloud' ) );
+			}
+
+			$run = [
+				'started_at' => time(),
+				'since'      => $since,
+			];
+			update_option( $run_option, $run, false );
+		} else {
+			$run = get_option( $run_option );
+			if ( ! is_array( $run ) ) {
+				return new \WP_Error( 'no_sync_run', __( 'The sync in progress was lost. Please start it again.', 'aspirecloud' ) );
+			}
+		}
+
+		$assets_data = $this->get_assets_page( $page, self::DELTA_SYNC_BATCH_SIZE, 'updated' );
+		if ( is_wp_error( $assets_data ) ) {
+			return $assets_data;
+		}
+
+		$results = [
+			'page'           => $page,
+			'created'        => 0,
+			'updated'        => 0,
+			'unchanged'      => 0,
+			'downloaded'     => 0,
+			'since'          => $run['since'],
+			'oldest_updated' => 0,
+			'has_more'       => false,
+			'errors'         => [],
+		];
+
+		$changed_assets = [];
+		$reached_since  = false;
+
+		foreach ( $assets_data['items'] as $asset_data ) {
+			$updated_time = $this->get_asset_updated_time( $asset_data );
+
+			if ( $updated_time ) {
+				$results['oldest_updated'] = $updated_time;
+
+				if ( $updated_time < $run['since'] ) {
+					$reached_since = true;
+					break;
+				}
+			}
+
+			$existing_asset = $this->get_asset_by_slug( $asset_data['slug'] );
+
+			// Pinned assets are left alone, whatever changed upstream
+			if ( $existing_asset && ( $this->is_version_pinned( $existing_asset->ID ) || ! $this->asset_has_changed( $existing_asset->ID, $asset_data ) ) ) {
+				++$results['unchanged'];
+				continue;
+			}
+
+			$changed_assets[] = $asset_data;
+			++$results[ $existing_asset ? 'updated' : 'created' ];
+		}
+
+		if ( ! empty( $changed_assets ) ) {
+			$import_data = $this->process_assets_for_import( $changed_assets );
+
+			$result = $this->execute_bulk_import_operations( $import_data );
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+
+			$results['errors']     = $import_data['errors'];
+			$results['downloaded'] = $this->redownload_synced_assets( $changed_assets, $results['errors'] );
+		}
+
+		$results['has_more'] = ! $reached_since && count( $assets_data['items'] ) === self::DELTA_SYNC_BATCH_SIZE;
+
+		if ( ! $results['has_more'] ) {
+			// The next sync picks up everything changed after this one started
+			update_option( self::LAST_SYNC_OPTION_PREFIX . $this->asset_type . 's', $run['started_at'], false );
+			delete_option( $run_option );
+
+			$results['last_sync']         = $run['started_at'];
+			$results['last_sync_display'] = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $run['started_at'] );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Get when an asset was last updated upstream.
+	 * Date-only values (themes) count as the end of that day so same-day updates are not missed.
+	 *
+	 * @param array $asset_data Asset data from API.
+	 * @return int Unix timestamp, 0 if unknown.
+	 */
+	protected function get_asset_updated_time( $asset_data ) {
+		$last_updated = (string) ( $asset_data['last_updated'] ?? '' );
+		$timestamp    = strtotime( $last_updated );
+
+		if ( false === $timestamp ) {
+			return 0;
+		}
+
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $last_updated ) ) {
+			$timestamp += DAY_IN_SECONDS - 1;
+		}
+
+		return $timestamp;
+	}
+
+	/**
+	 * Check whether the local copy of an asset differs from the API data.
+	 *
+	 * @param int   $post_id    Local asset post ID.
+	 * @param array $asset_data Asset data from API.
+	 * @return bool True if the version or last update differ.
+	 */
+	protected function asset_has_changed( $post_id, $asset_data ) {
+		return get_post_meta( $post_id, '__version', true ) !== (string) ( $asset_data['version'] ?? '' )
+			|| get_post_meta( $post_id, '__last_updated', true ) !== (string) ( $asset_data['last_updated'] ?? '' );
+	}
+
+	/**
+	 * Check whether an admin pinned the asset to a specific version from the Sync metabox.
+	 *
+	 * @param int $post_id Local asset post ID.
+	 * @return bool True if automatic updates must skip the asset.
+	 */
+	protected function is_version_pinned( $post_id ) {
+		return '' !== (string) get_post_meta( $post_id, AssetResync::PINNED_VERSION_META, true );
+	}
+
+	/**
+	 * Re-download the files of assets updated by a delta sync.
+	 *
+	 * @param array $assets  Asset data from API.
+	 * @param array &$errors Error records (passed by reference).
+	 * @return int Number of assets whose files were downloaded.
+	 */
+	private function redownload_synced_assets( $assets, &$errors ) {
+		if ( ! function_exists( 'download_url' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		// Metadata was written with direct SQL, so cached posts and meta are stale
+		wp_cache_flush();
 
 		$downloaded_count = 0;
-		$skipped_count    = 0;
-		$errors           = [];
-
-		foreach ( $assets as $asset_post ) {
-			try {
-				$slug       = get_post_meta( $asset_post->ID, '__slug', true );
-				$asset_info = $this->create_asset_info();
 
-				// Load existing metadata
-				$this->load_asset_metadata( $asset_info, $asset_post->ID );
+		foreach ( $assets as $asset_data ) {
+			$asset_post = $this->get_asset_by_slug( $asset_data['slug'] );
+			if ( ! $asset_post ) {
+				continue;
+			}
 
-				// Track downloads for this asset
-				$asset_download_results = $this->download_asset_files_with_tracking( $asset_info, $asset_post->ID, $slug );
+			$asset_info = $this->create_asset_info();
+			$this->load_asset_metadata( $asset_info, $asset_post->ID );
 
-				if ( $asset_download_results['skipped'] ) {
-					++$skipped_count;
-					if ( ! empty( $asset_download_results['skip_reasons'] ) ) {
-						$errors[] = sprintf(
-							/* translators: %1$s: asset title, %2$s: skip reasons */
-							__( 'Skipped downloading files for %1$s: %2$s', 'aspirecloud' ),
-							$asset_post->post_title,
-							implode( ', ', $asset_download_results['skip_reasons'] )
-						);
-					}
-				} else {
-					++$downloaded_count;
-				}
+			$download_results = $this->download_asset_files_with_tracking( $asset_info, $asset_post->ID, $asset_data['slug'] );
 
-				// Add any specific download errors
-				if ( ! empty( $asset_download_results['errors'] ) ) {
-					foreach ( $asset_download_results['errors'] as $error ) {
-						$errors[] = sprintf(
-							/* translators: %1$s: asset title, %2$s: error message */
-							__( 'Download error for %1$s: %2$s', 'aspirecloud' ),
-							$asset_post->post_title,
-							$error
-						);
-					}
-				}
-			} catch ( \Exception $e ) {
-				$errors[] = sprintf(
-					/* translators: %1$s: asset title, %2$s: error message */
-					__( 'Exception downloading files for %1$s: %2$s', 'aspirecloud' ),
-					$asset_post->post_title,
-					$e->getMessage()
+			foreach ( $download_results['errors'] as $error ) {
+				$errors[] = $this->build_error_record(
+					sprintf(
+						/* translators: %1$s: asset title, %2$s: error message */
+						__( 'Download error for %1$s: %2$s', 'aspirecloud' ),
+						$asset_post->post_title,
+						$error
+					),
+					$asset_data['slug'],
+					'download'
 				);
 			}
-		}
 
-		// Calculate values for response
-		$next_batch      = $batch + 1;
-		$has_more        = count( $assets ) === $per_batch; // More batches if we got a full batch
-		$total_processed = $offset + $downloaded_count + $skipped_count;
+			if ( ! $download_results['skipped'] ) {
+				++$downloaded_count;
+			}
+		}
 
-		wp_send_json_success(
-			[
-				'downloaded_count' => $downloaded_count,
-				'skipped_count'    => $skipped_count,
-				'processed_count'  => $downloaded_count + $skipped_count,
-				'batch'            => $batch,
-				'next_batch'       => $next_batch,
-				'per_batch'        => $per_batch,
-				'total_processed'  => $total_processed,
-				'total_assets'     => $total_count,
-				'has_more'         => $has_more,
-				'errors'           => $errors,
-			]
-		);
+		return $downloaded_count;
 	}
 
 	/**
@@ -1221,9 +2649,10 @@ abstract class AssetsImporter {
 
 	/**
 	 * Restore database to normal operation after bulk import.
-	 * Re-enables indexes and other features.
+	 * Re-enables indexes and other features. Public so background jobs can
+	 * restore the database when a job is cancelled or fails.
 	 */
-	protected function restore_database_after_import() {
+	public function restore_database_after_import() {
 		global $wpdb;
 
 		if ( ! self::$db_optimized && ! get_option( 'aspirecloud_db_optimized' ) ) {
@@ -1358,8 +2787,13 @@ abstract class AssetsImporter {
 	/**
 	 * AJAX handler for importing assets from CSV batch.
 	 * Processes a batch of slugs for bulk import using AssetResync methods.
+	 * Both importers register this handler, so each one only answers for its own asset type.
 	 */
 	public function ajax_import_csv_batch() {
+		if ( ! $this->is_requested_asset_type() ) {
+			return;
+		}
+
 		$this->check_ajax_permissions();
 
 		// Include download functions
@@ -1393,6 +2827,10 @@ abstract class AssetsImporter {
 			wp_send_json_error( __( 'Too many slugs provided. Please limit to 50 slugs per batch.', 'aspirecloud' ) );
 		}
 
+		// Optional exact versions per slug, e.g. from the version column of an uploaded list
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in check_ajax_permissions(), decoded JSON is sanitized below
+		$versions = $this->sanitize_slug_versions( isset( $_POST['versions'] ) ? json_decode( wp_unslash( $_POST['versions'] ), true ) : [] );
+
 		$results = [
 			'imported'       => [],
 			'skipped'        => [],
@@ -1405,7 +2843,7 @@ abstract class AssetsImporter {
 		// Import each slug using AssetResync methods
 		foreach ( $slugs as $slug ) {
 			try {
-				$import_result = $this->import_single_asset_via_resync( $slug );
+				$import_result = $this->import_single_asset_via_resync( $slug, $versions[ $slug ] ?? '' );
 
 				if ( $import_result['success'] ) {
 					$results['imported'][] = $slug;
@@ -1417,17 +2855,11 @@ abstract class AssetsImporter {
 					];
 					++$results['skipped_count'];
 				} else {
-					$results['errors'][] = [
-						'slug'    => $slug,
-						'message' => $import_result['error'],
-					];
+					$results['errors'][] = $this->build_error_record( $import_result['error'], $slug, 'import' );
 					++$results['error_count'];
 				}
 			} catch ( \Exception $e ) {
-				$results['errors'][] = [
-					'slug'    => $slug,
-					'message' => $e->getMessage(),
-				];
+				$results['errors'][] = $this->build_error_record( $e->getMessage(), $slug, 'exception' );
 				++$results['error_count'];
 			}
 		}
@@ -1435,6 +2867,338 @@ abstract class AssetsImporter {
 		wp_send_json_success( $results );
 	}
 
+	/**
+	 * AJAX handler for the preflight check of a selective import.
+	 * Reports for each slug whether it exists upstream, whether it is stored locally and which versions are involved.
+	 * Both importers register this handler, so each one only answers for its own asset type.
+	 */
+	public function ajax_preflight_slugs() {
+		if ( ! $this->is_requested_asset_type() ) {
+			return;
+		}
+
+		$this->check_ajax_permissions();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$slugs_input = isset( $_POST['slugs'] ) ? sanitize_textarea_field( wp_unslash( $_POST['slugs'] ) ) : '';
+
+		$slugs = array_filter(
+			array_map( 'trim', explode( ',', $slugs_input ) ),
+			function ( $slug ) {
+				return ! empty( $slug ) && preg_match( '/^[a-z0-9\-_]+$/i', $slug );
+			}
+		);
+
+		if ( empty( $slugs ) ) {
+			wp_send_json_error( __( 'No valid slugs found in the batch.', 'aspirecloud' ) );
+		}
+
+		if ( count( $slugs ) > 50 ) {
+			wp_send_json_error( __( 'Too many slugs provided. Please limit to 50 slugs per batch.', 'aspirecloud' ) );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in check_ajax_permissions(), decoded JSON is sanitized below
+		$versions     = $this->sanitize_slug_versions( isset( $_POST['versions'] ) ? json_decode( wp_unslash( $_POST['versions'] ), true ) : [] );
+		$asset_resync = new \AspireCloud\Controller\AssetResync();
+		$results      = [];
+
+		foreach ( $slugs as $slug ) {
+			$results[] = $this->preflight_slug( $asset_resync, $slug, $versions[ $slug ] ?? '' );
+		}
+
+		wp_send_json_success( [ 'results' => $results ] );
+	}
+
+	/**
+	 * AJAX handler for one batch of the catalog-wide update check.
+	 * Compares the stored version of each asset in the batch with the latest upstream version.
+	 * Both importers register this handler, so each one only answers for its own asset type.
+	 */
+	public function ajax_check_updates_batch() {
+		if ( ! $this->is_requested_asset_type() ) {
+			return;
+		}
+
+		$this->check_ajax_permissions();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$batch = isset( $_POST['batch'] ) ? max( 1, intval( $_POST['batch'] ) ) : 1;
+
+		$query = new \WP_Query(
+			[
+				'post_type'      => $this->post_type,
+				'post_status'    => 'publish',
+				'posts_per_page' => self::UPDATE_CHECK_BATCH_SIZE,
+				'paged'          => $batch,
+				'orderby'        => 'ID',
+				'order'          => 'ASC',
+				'no_found_rows'  => false,
+			]
+		);
+
+		$asset_resync = new \AspireCloud\Controller\AssetResync();
+		$results      = [];
+
+		foreach ( $query->posts as $asset_post ) {
+			$results[] = $this->check_asset_update( $asset_resync, $asset_post );
+		}
+
+		wp_send_json_success(
+			[
+				'batch'         => $batch,
+				'total_assets'  => (int) $query->found_posts,
+				'total_batches' => (int) $query->max_num_pages,
+				'results'       => $results,
+			]
+		);
+	}
+
+	/**
+	 * Compare the stored version of an asset with the latest upstream version and remember the result.
+	 *
+	 * @param AssetResync $asset_resync AssetResync instance used to query the API.
+	 * @param \WP_Post    $asset_post   Local asset post.
+	 * @return array Result with post_id, slug, name, status, local_version, latest_version, pinned_version and message.
+	 */
+	private function check_asset_update( $asset_resync, $asset_post ) {
+		$slug   = get_post_meta( $asset_post->ID, '__slug', true );
+		$result = [
+			'post_id'        => $asset_post->ID,
+			'slug'           => $slug ? $slug : $asset_post->post_name,
+			'name'           => $asset_post->post_title,
+			'status'         => 'current',
+			'local_version'  => (string) get_post_meta( $asset_post->ID, '__version', true ),
+			'latest_version' => '',
+			'pinned_version' => (string) get_post_meta( $asset_post->ID, AssetResync::PINNED_VERSION_META, true ),
+			'message'        => '',
+		];
+
+		try {
+			$upstream = $asset_resync->fetch_upstream_version( $result['slug'], $this->asset_type );
+
+			if ( ! $upstream ) {
+				$result['status']  = 'not_found';
+				$result['message'] = __( 'Not found in WordPress.org repository', 'aspirecloud' );
+			} else {
+				$result['latest_version'] = (string) $upstream['version'];
+
+				// Syncs skip pinned assets, so they are kept apart from the outdated ones
+				if ( '' === $result['local_version'] || version_compare( $result['latest_version'], $result['local_version'], '>' ) ) {
+					$result['status'] = '' === $result['pinned_version'] ? 'outdated' : 'pinned';
+				}
+			}
+		} catch ( \Exception $e ) {
+			$result['status']  = 'error';
+			$result['message'] = $e->getMessage();
+		}
+
+		update_post_meta(
+			$asset_post->ID,
+			self::UPSTREAM_STATUS_META,
+			[
+				'status'         => $result['status'],
+				'local_version'  => $result['local_version'],
+				'latest_version' => $result['latest_version'],
+				'checked'        => time(),
+			]
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Check a single slug for the preflight report.
+	 *
+	 * @param AssetResync $asset_resync AssetResync instance used to query the API.
+	 * @param string      $slug         Asset slug.
+	 * @param string      $version      Requested version, empty for the latest one.
+	 * @return array Result with slug, status, local_version, latest_version and message.
+	 */
+	private function preflight_slug( $asset_resync, $slug, $version ) {
+		$existing_post = $this->get_asset_by_slug( $slug );
+		$result        = [
+			'slug'           => $slug,
+			'status'         => 'new',
+			'local_version'  => $existing_post ? (string) get_post_meta( $existing_post->ID, '__version', true ) : '',
+			'latest_version' => '',
+			'message'        => '',
+		];
+
+		try {
+			$upstream = $asset_resync->fetch_upstream_version( $slug, $this->asset_type, '' !== $version );
+		} catch ( \Exception $e ) {
+			$result['status']  = 'error';
+			$result['message'] = $e->getMessage();
+			return $result;
+		}
+
+		if ( ! $upstream ) {
+			$result['status']  = 'not_found';
+			$result['message'] = __( 'Not found in WordPress.org repository', 'aspirecloud' );
+			return $result;
+		}
+
+		$result['latest_version'] = $upstream['version'];
+
+		if ( '' !== $version && $version !== $upstream['version'] && empty( $upstream['versions'][ $version ] ) ) {
+			$result['status']  = 'no_version';
+			$result['message'] = sprintf(
+				/* translators: %s: version number */
+				__( 'Version %s is not available upstream', 'aspirecloud' ),
+				$version
+			);
+			return $result;
+		}
+
+		if ( $existing_post ) {
+			$target           = '' !== $version ? $version : $upstream['version'];
+			$result['status'] = $result['local_version'] === $target ? 'current' : 'update';
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Whether an AJAX request shared by both importers is meant for this one.
+	 *
+	 * @return bool True when the posted asset_type matches this importer.
+	 */
+	private function is_requested_asset_type() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Only routes the request; the answering handler verifies the nonce
+		$requested_type = isset( $_POST['asset_type'] ) ? sanitize_key( wp_unslash( $_POST['asset_type'] ) ) : '';
+
+		return $this->asset_type . 's' === $requested_type;
+	}
+
+	/**
+	 * AJAX handler to persist the position of a running import.
+	 * Called by the browser after every completed batch.
+	 */
+	public function ajax_save_import_checkpoint() {
+		$this->check_ajax_permissions();
+
+		$asset_type = $this->get_requested_checkpoint_type();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified in check_ajax_permissions(), decoded JSON is sanitized below
+		$raw_checkpoint = isset( $_POST['checkpoint'] ) ? json_decode( wp_unslash( $_POST['checkpoint'] ), true ) : null;
+
+		if ( ! is_array( $raw_checkpoint ) ) {
+			wp_send_json_error( __( 'Invalid checkpoint data.', 'aspirecloud' ) );
+		}
+
+		$checkpoint = $this->sanitize_import_checkpoint( $raw_checkpoint );
+		update_option( self::CHECKPOINT_OPTION_PREFIX . $asset_type, $checkpoint, false );
+
+		wp_send_json_success( [ 'savedAt' => $checkpoint['savedAt'] ] );
+	}
+
+	/**
+	 * AJAX handler to get the saved checkpoint for an asset type, if any.
+	 */
+	public function ajax_get_import_checkpoint() {
+		$this->check_ajax_permissions();
+
+		$asset_type = $this->get_requested_checkpoint_type();
+		$checkpoint = get_option( self::CHECKPOINT_OPTION_PREFIX . $asset_type, null );
+
+		wp_send_json_success( [ 'checkpoint' => is_array( $checkpoint ) ? $checkpoint : null ] );
+	}
+
+	/**
+	 * AJAX handler to remove the saved checkpoint once an import finishes or is discarded.
+	 */
+	public function ajax_clear_import_checkpoint() {
+		$this->check_ajax_permissions();
+
+		delete_option( self::CHECKPOINT_OPTION_PREFIX . $this->get_requested_checkpoint_type() );
+
+		wp_send_json_success();
+	}
+
+	/**
+	 * Get the asset type a checkpoint request refers to.
+	 * Both importers register the checkpoint handlers, so the type comes from the request.
+	 *
+	 * @return string Either 'plugins' or 'themes'.
+	 */
+	private function get_requested_checkpoint_type() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$asset_type = isset( $_POST['asset_type'] ) ? sanitize_key( wp_unslash( $_POST['asset_type'] ) ) : '';
+
+		if ( ! in_array( $asset_type, [ 'plugins', 'themes' ], true ) ) {
+			wp_send_json_error( __( 'Invalid asset type.', 'aspirecloud' ) );
+		}
+
+		return $asset_type;
+	}
+
+	/**
+	 * Sanitize a checkpoint sent by the browser, keeping only known fields.
+	 *
+	 * @param array $raw_checkpoint Decoded checkpoint data.
+	 * @return array Sanitized checkpoint.
+	 */
+	private function sanitize_import_checkpoint( $raw_checkpoint ) {
+		$slug_list = function ( $slugs ) {
+			return array_values( array_filter( array_map( 'sanitize_title', (array) $slugs ) ) );
+		};
+
+		$failed_batches = [];
+		foreach ( (array) ( $raw_checkpoint['failedBatches'] ?? [] ) as $failed_batch ) {
+			if ( is_array( $failed_batch ) && isset( $failed_batch['batch'] ) ) {
+				$failed_batches[] = [
+					'phase'      => sanitize_key( $failed_batch['phase'] ?? '' ),
+					'batch'      => absint( $failed_batch['batch'] ),
+					'category'   => sanitize_key( $failed_batch['category'] ?? '' ),
+					'httpStatus' => absint( $failed_batch['httpStatus'] ?? 0 ),
+					'message'    => sanitize_text_field( $failed_batch['message'] ?? '' ),
+				];
+			}
+		}
+
+		$phases = (array) ( $raw_checkpoint['phases'] ?? [] );
+
+		return [
+			'version'         => 1,
+			'assetType'       => sanitize_key( $raw_checkpoint['assetType'] ?? '' ),
+			'mode'            => 'csv' === ( $raw_checkpoint['mode'] ?? '' ) ? 'csv' : 'bulk',
+			'phase'           => in_array( $raw_checkpoint['phase'] ?? '', [ 'metadata', 'files', 'csv' ], true ) ? $raw_checkpoint['phase'] : 'metadata',
+			'phases'          => [
+				'metadata' => ! empty( $phases['metadata'] ),
+				'files'    => ! empty( $phases['files'] ),
+			],
+			'nextBatch'       => max( 1, absint( $raw_checkpoint['nextBatch'] ?? 1 ) ),
+			'totalBatches'    => absint( $raw_checkpoint['totalBatches'] ?? 0 ),
+			'totalAssets'     => absint( $raw_checkpoint['totalAssets'] ?? 0 ),
+			'importedCount'   => absint( $raw_checkpoint['importedCount'] ?? 0 ),
+			'downloadedCount' => absint( $raw_checkpoint['downloadedCount'] ?? 0 ),
+			'failedBatches'   => $failed_batches,
+			'csvSlugs'        => $slug_list( $raw_checkpoint['csvSlugs'] ?? [] ),
+			'remainingSlugs'  => $slug_list( $raw_checkpoint['remainingSlugs'] ?? [] ),
+			'failedSlugs'     => $slug_list( $raw_checkpoint['failedSlugs'] ?? [] ),
+			'csvVersions'     => $this->sanitize_slug_versions( $raw_checkpoint['csvVersions'] ?? [] ),
+			'savedAt'         => gmdate( 'c' ),
+		];
+	}
+
+	/**
+	 * Sanitize a map of slugs to exact version numbers, dropping anything that is not a version.
+	 *
+	 * @param mixed $raw_versions Decoded map of slug => version.
+	 * @return array Sanitized map.
+	 */
+	private function sanitize_slug_versions( $raw_versions ) {
+		$versions = [];
+
+		foreach ( is_array( $raw_versions ) ? $raw_versions : [] as $slug => $version ) {
+			if ( is_string( $version ) && preg_match( '/^[0-9a-z.\-+]+$/i', $version ) ) {
+				$versions[ sanitize_title( $slug ) ] = $version;
+			}
+		}
+
+		return $versions;
+	}
+
 	/**
 	 * Import a single asset by slug.
 	 * This method should be overridden by child classes.
@@ -1456,14 +3220,28 @@ abstract class AssetsImporter {
 	 * Import a single asset by slug using AssetResync methods.
 	 * This method uses the AssetResync class to import individual assets.
 	 *
-	 * @param string $slug Asset slug to import.
+	 * @param string $slug    Asset slug to import.
+	 * @param string $version Optional version to import instead of the latest one.
 	 * @return array Import result with success/error information.
 	 */
-	protected function import_single_asset_via_resync( $slug ) {
+	protected function import_single_asset_via_resync( $slug, $version = '' ) {
 		try {
 			// Check if asset already exists
 			$existing_post = $this->get_asset_by_slug( $slug );
 
+			if ( $existing_post && $this->is_version_pinned( $existing_post->ID ) ) {
+				return [
+					'success' => false,
+					'skipped' => true,
+					'reason'  => sprintf(
+						/* translators: 1: asset slug, 2: pinned version number */
+						__( '%1$s is pinned to version %2$s; unpin it in the Sync box to update it', 'aspirecloud' ),
+						$slug,
+						get_post_meta( $existing_post->ID, AssetResync::PINNED_VERSION_META, true )
+					),
+				];
+			}
+
 			// Create an AssetResync instance to use its methods
 			$asset_resync = new \AspireCloud\Controller\AssetResync();
 
@@ -1486,6 +3264,27 @@ abstract class AssetsImporter {
 				];
 			}
 
+			// Point the metadata and download at the requested version
+			if ( '' !== $version && ( $api_data['version'] ?? '' ) !== $version ) {
+				$available_versions = (array) ( $api_data['versions'] ?? [] );
+
+				if ( empty( $available_versions[ $version ] ) ) {
+					return [
+						'success' => false,
+						'skipped' => true,
+						'reason'  => sprintf(
+							/* translators: 1: version number, 2: asset slug */
+							__( 'Version %1$s of %2$s not found in WordPress.org repository', 'aspirecloud' ),
+							$version,
+							$slug
+						),
+					];
+				}
+
+				$api_data['version']       = $version;
+				$api_data['download_link'] = $available_versions[ $version ];
+			}
+
 			// If asset exists, update it; otherwise create new
 			if ( $existing_post ) {
 				$post_id = $existing_post->ID;
@@ -1537,6 +3336,24 @@ abstract class AssetsImporter {
 		}
 	}
 
+	/**
+	 * Build an error record for an AJAX response.
+	 *
+	 * The browser adds the phase, batch and retry count before reporting it.
+	 *
+	 * @param string $message  Error message.
+	 * @param string $slug     Affected asset slug, if any.
+	 * @param string $category Error category, e.g. 'api', 'download', 'skipped' or 'exception'.
+	 * @return array Error record.
+	 */
+	protected function build_error_record( $message, $slug = '', $category = 'asset' ) {
+		return [
+			'slug'     => (string) $slug,
+			'category' => $category,
+			'message'  => (string) $message,
+		];
+	}
+
 	/**
 	 * Abstract method to be implemented by child classes for specific asset handling.
 	 */
@@ -1559,8 +3376,12 @@ abstract class AssetsImporter {
 
 	/**
 	 * Abstract method to get assets for a specific page from API.
+	 *
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @param string $browse   API sort order: 'new' or 'updated'.
 	 */
-	abstract protected function get_assets_page( $page, $per_page );
+	abstract protected function get_assets_page( $page, $per_page, $browse = 'new' );
 
 	/**
 	 * Abstract method to get detailed asset information from API.
@@ -0,0 +1,203 @@
+<?php
+/**
+ * Bulk Sync Controller Class.
+ *
+ * @package aspirecloud
+ * @author  AspirePress
+ */
+
+namespace AspireCloud\Controller;
+
+/**
+ * Class BulkResync
+ *
+ * Adds a "Sync selected" bulk action to the plugin and theme list tables.
+ * The browser runs the metabox sync (resync_plugin / resync_theme) for each
+ * selected post, a few at a time, and reports progress in a panel above the
+ * table and with a status icon on each row.
+ */
+class BulkResync {
+
+	/**
+	 * Bulk action name on the list tables.
+	 */
+	const BULK_ACTION = 'aspirecloud_sync';
+
+	/**
+	 * Asset type of each supported post type.
+	 */
+	const POST_TYPES = [
+		'ac_plugin' => 'plugin',
+		'ac_theme'  => 'theme',
+	];
+
+	/**
+	 * Concurrency choices offered in the progress panel; the middle one is the default.
+	 */
+	const CONCURRENCY_OPTIONS = [ 1, 2, 3, 4, 5 ];
+
+	/**
+	 * Initialize the bulk sync controller.
+	 */
+	public function __construct() {
+		foreach ( array_keys( self::POST_TYPES ) as $post_type ) {
+			add_filter( 'bulk_actions-edit-' . $post_type, [ $this, 'add_bulk_action' ] );
+		}
+
+		add_action( 'admin_notices', [ $this, 'render_progress_panel' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+		add_filter( 'display_post_states', [ $this, 'add_outdated_post_state' ], 10, 2 );
+	}
+
+	/**
+	 * Add the "Sync selected" bulk action.
+	 *
+	 * @param array $actions Bulk actions.
+	 * @return array Bulk actions.
+	 */
+	public function add_bulk_action( $actions ) {
+		if ( current_user_can( 'edit_posts' ) ) {
+			$actions[ self::BULK_ACTION ] = __( 'Sync selected', 'aspirecloud' );
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Flag rows that the last update check found outdated, so they can be picked for a bulk sync.
+	 *
+	 * @param array    $post_states Post state labels.
+	 * @param \WP_Post $post        Current post object.
+	 * @return array Post state labels.
+	 */
+	public function add_outdated_post_state( $post_states, $post ) {
+		if ( ! isset( self::POST_TYPES[ $post->post_type ] ) || get_post_meta( $post->ID, AssetResync::PINNED_VERSION_META, true ) ) {
+			return $post_states;
+		}
+
+		$upstream = get_post_meta( $post->ID, AssetsImporter::UPSTREAM_STATUS_META, true );
+
+		// A sync since the check has changed the stored version, so the result no longer applies
+		if ( ! is_array( $upstream ) || 'outdated' !== ( $upstream['status'] ?? '' )
+			|| get_post_meta( $post->ID, '__version', true ) !== $upstream['local_version'] ) {
+			return $post_states;
+		}
+
+		$post_states['aspirecloud_outdated'] = sprintf(
+			// translators: %s is the latest upstream version number
+			__( 'Update available: %s', 'aspirecloud' ),
+			$upstream['latest_version']
+		);
+
+		return $post_states;
+	}
+
+	/**
+	 * Get the asset type of the list screen being viewed.
+	 *
+	 * @return string|false 'plugin' or 'theme', or false on other screens.
+	 */
+	private function get_screen_asset_type() {
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+
+		if ( ! $screen || 'edit' !== $screen->base || ! isset( self::POST_TYPES[ $screen->post_type ] ) ) {
+			return false;
+		}
+
+		return self::POST_TYPES[ $screen->post_type ];
+	}
+
+	/**
+	 * Render the bulk sync progress panel, hidden until a bulk sync starts.
+	 */
+	public function render_progress_panel() {
+		if ( ! $this->get_screen_asset_type() ) {
+			return;
+		}
+
+		$default_concurrency = self::CONCURRENCY_OPTIONS[ intdiv( count( self::CONCURRENCY_OPTIONS ), 2 ) ];
+		?>
+		<div id="aspirecloud-bulk-sync" class="notice aspirecloud-bulk-sync" style="display: none;">
+			<div class="aspirecloud-bulk-sync-header">
+				<p class="aspirecloud-bulk-sync-summary"></p>
+				<div class="aspirecloud-bulk-sync-controls">
+					<label for="aspirecloud-bulk-sync-concurrency"><?php esc_html_e( 'Parallel syncs:', 'aspirecloud' ); ?></label>
+					<select id="aspirecloud-bulk-sync-concurrency">
+						<?php foreach ( self::CONCURRENCY_OPTIONS as $concurrency ) : ?>
+							<option value="<?php echo esc_attr( $concurrency ); ?>" <?php selected( $concurrency, $default_concurrency ); ?>><?php echo esc_html( $concurrency ); ?></option>
+						<?php endforeach; ?>
+					</select>
+					<button type="button" id="aspirecloud-bulk-sync-stop" class="button"><?php esc_html_e( 'Stop', 'aspirecloud' ); ?></button>
+				</div>
+			</div>
+			<div class="aspirecloud-resync-progress">
+				<div class="progress-bar">
+					<div class="progress-fill" style="width: 0%;"></div>
+				</div>
+				<p class="progress-text"></p>
+			</div>
+			<ul class="aspirecloud-bulk-sync-failures"></ul>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Enqueue the bulk sync script on the plugin and theme list screens.
+	 *
+	 * @param string $hook Current admin page hook.
+	 */
+	public function enqueue_scripts( $hook ) {
+		$asset_type = 'edit.php' === $hook ? $this->get_screen_asset_type() : false;
+
+		if ( ! $asset_type ) {
+			return;
+		}
+
+		// Enqueue admin CSS for the progress panel and row icons
+		wp_enqueue_style(
+			'aspirecloud-admin',
+			AC_URL . 'assets/css/admin.css',
+			[],
+			AC_VERSION
+		);
+
+		wp_enqueue_script(
+			'aspirecloud-bulk-resync',
+			AC_URL . 'assets/js/bulk-resync.js',
+			[ 'jquery' ],
+			AC_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'aspirecloud-bulk-resync',
+			'aspirecloud_bulk_resync',
+			[
+				'ajax_url'    => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'aspirecloud_resync' ),
+				'asset_type'  => $asset_type,
+				'bulk_action' => self::BULK_ACTION,
+				'strings'     => [
+					'none_selected'    => __( 'Select at least one item to sync.', 'aspirecloud' ),
+					'already_running'  => __( 'A bulk sync is already running on this page.', 'aspirecloud' ),
+					// translators: %1$d is the number of finished items, %2$d is the number of selected items
+					'progress'         => __( 'Synced %1$d of %2$d...', 'aspirecloud' ),
+					// translators: %1$d updated, %2$d already up to date, %3$d skipped, %4$d failed
+					'summary'          => __( '%1$d updated, %2$d already up to date, %3$d skipped, %4$d failed.', 'aspirecloud' ),
+					'complete'         => __( 'Bulk sync complete.', 'aspirecloud' ),
+					'stopped'          => __( 'Bulk sync stopped. Items that had not started were not synced.', 'aspirecloud' ),
+					'status_queued'    => __( 'Waiting to sync', 'aspirecloud' ),
+					'status_running'   => __( 'Syncing...', 'aspirecloud' ),
+					'status_updated'   => __( 'Updated', 'aspirecloud' ),
+					'status_current'   => __( 'Already up to date', 'aspirecloud' ),
+					// translators: %s is the pinned version number
+					'status_pinned'    => __( 'Skipped: pinned to version %s', 'aspirecloud' ),
+					'status_failed'    => __( 'Failed', 'aspirecloud' ),
+					'network_error'    => __( 'Network error occurred. Please try again.', 'aspirecloud' ),
+					'refresh_message'  => __( 'Reload the page to see the updated versions.', 'aspirecloud' ),
+					'reload_link_text' => __( 'Reload Page', 'aspirecloud' ),
+				],
+			]
+		);
+	}
+}
@@ -0,0 +1,752 @@
+<?php
+/**
+ * Background Import Jobs Controller Class.
+ *
+ * @package aspirecloud
+ * @author  AspirePress
+ */
+
+namespace AspireCloud\Controller;
+
+/**
+ * Class ImportJobs
+ *
+ * Runs bulk imports as server-side jobs driven by WP-Cron, so a mirror keeps
+ * syncing without an admin tab left open. Each cron tick imports metadata
+ * pages and download batches until its time budget is spent, saves the job
+ * state and schedules the next tick. The import page only polls the job state.
+ */
+class ImportJobs {
+
+	/**
+	 * Cron hook that runs one tick of a job. The asset type is the only argument.
+	 */
+	const CRON_HOOK = 'aspirecloud_run_import_job';
+
+	/**
+	 * Option name prefix for job state (suffixed with plugins/themes).
+	 */
+	const JOB_OPTION_PREFIX = 'aspirecloud_import_job_';
+
+	/**
+	 * Option name prefix for pause/resume/cancel requests waiting for the running tick.
+	 */
+	const CONTROL_OPTION_PREFIX = 'aspirecloud_import_job_control_';
+
+	/**
+	 * Option name prefix for the lock held by whoever is writing the job state.
+	 */
+	const LOCK_OPTION_PREFIX = 'aspirecloud_import_job_lock_';
+
+	/**
+	 * Seconds of work per cron tick before the next tick is scheduled.
+	 */
+	const TICK_TIME_BUDGET = 20;
+
+	/**
+	 * Seconds after which a lock is considered abandoned by a tick that died.
+	 */
+	const LOCK_TIMEOUT = 600;
+
+	/**
+	 * Attempts for a failing page or batch before it is skipped.
+	 */
+	const MAX_STEP_RETRIES = 3;
+
+	/**
+	 * Log entries kept in the job state for the monitor.
+	 */
+	const MAX_LOG_ENTRIES = 200;
+
+	/**
+	 * Error messages kept in the job state.
+	 */
+	const MAX_ERRORS = 500;
+
+	/**
+	 * Importers keyed by asset type ('plugins' and 'themes').
+	 *
+	 * @var AssetsImporter[]
+	 */
+	private $importers;
+
+	/**
+	 * Initialize the background import jobs controller.
+	 *
+	 * @param AssetsImporter[] $importers Importers keyed by asset type.
+	 */
+	public function __construct( $importers ) {
+		$this->importers = $importers;
+
+		add_action( self::CRON_HOOK, [ $this, 'run_job' ] );
+		add_action( 'wp_ajax_aspirecloud_start_import_job', [ $this, 'ajax_start_import_job' ] );
+		add_action( 'wp_ajax_aspirecloud_get_import_job', [ $this, 'ajax_get_import_job' ] );
+		add_action( 'wp_ajax_aspirecloud_pause_import_job', [ $this, 'ajax_pause_import_job' ] );
+		add_action( 'wp_ajax_aspirecloud_resume_import_job', [ $this, 'ajax_resume_import_job' ] );
+		add_action( 'wp_ajax_aspirecloud_cancel_import_job', [ $this, 'ajax_cancel_import_job' ] );
+	}
+
+	/**
+	 * Cron callback: run one tick of the job for an asset type.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 */
+	public function run_job( $asset_type ) {
+		if ( ! isset( $this->importers[ $asset_type ] ) || ! $this->acquire_lock( $asset_type ) ) {
+			return;
+		}
+
+		$job = $this->apply_control_request( $this->get_job( $asset_type ) );
+
+		if ( ! $job || 'running' !== $job['status'] ) {
+			$this->save_job( $job );
+			$this->release_lock( $asset_type );
+			return;
+		}
+
+		/**
+		 * Filter the seconds of work done per background import tick.
+		 *
+		 * @param int    $time_budget Seconds per tick.
+		 * @param string $asset_type  Either 'plugins' or 'themes'.
+		 */
+		$deadline   = time() + (int) apply_filters( 'aspirecloud_import_job_time_budget', self::TICK_TIME_BUDGET, $asset_type );
+		$next_delay = 0;
+
+		do {
+			$job = $this->run_step( $job );
+
+			// A failing step waits before its retry instead of hammering the API
+			if ( $job['retries'] > 0 ) {
+				$next_delay = 30 * $job['retries'];
+			}
+
+			$job = $this->apply_control_request( $job );
+			$this->save_job( $job );
+		} while ( 'running' === $job['status'] && 0 === $next_delay && time() < $deadline );
+
+		if ( 'running' === $job['status'] ) {
+			$this->schedule_tick( $asset_type, $next_delay );
+		}
+
+		$this->release_lock( $asset_type );
+	}
+
+	/**
+	 * AJAX handler to start a background import job.
+	 */
+	public function ajax_start_import_job() {
+		$this->check_ajax_permissions();
+
+		$asset_type = $this->get_requested_asset_type();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$import_metadata = ! empty( $_POST['import_metadata'] );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$import_files = ! empty( $_POST['import_files'] );
+
+		$job = $this->start_job( $asset_type, $import_metadata, $import_files, wp_get_current_user()->user_login );
+
+		if ( is_wp_error( $job ) ) {
+			wp_send_json_error( $job->get_error_message() );
+		}
+
+		wp_send_json_success( $this->format_job( $job, 0 ) );
+	}
+
+	/**
+	 * Create a background import job and schedule its first tick.
+	 *
+	 * @param string $asset_type      Either 'plugins' or 'themes'.
+	 * @param bool   $import_metadata Whether to run the metadata phase.
+	 * @param bool   $import_files    Whether to run the file download phase.
+	 * @param string $started_by      Who started the job, for the job log.
+	 * @return array|\WP_Error Job state, or an error if a job is already in progress or no phase is selected.
+	 */
+	public function start_job( $asset_type, $import_metadata, $import_files, $started_by ) {
+		$existing = $this->get_job( $asset_type );
+
+		if ( $existing && in_array( $existing['status'], [ 'running', 'paused' ], true ) ) {
+			return new \WP_Error( 'job_in_progress', __( 'A background import is already in progress.', 'aspirecloud' ) );
+		}
+
+		if ( ! $import_metadata && ! $import_files ) {
+			return new \WP_Error( 'no_phases', __( 'Please select at least one import option.', 'aspirecloud' ) );
+		}
+
+		$job = $this->create_job( $asset_type, $import_metadata, $import_files );
+		$this->add_log(
+			$job,
+			'INFO',
+			sprintf(
+				/* translators: %s: user login or "the sync schedule" */
+				__( 'Background import started by %s', 'aspirecloud' ),
+				$started_by
+			)
+		);
+
+		delete_option( self::CONTROL_OPTION_PREFIX . $asset_type );
+		$this->save_job( $job );
+		$this->schedule_tick( $asset_type, 0 );
+		spawn_cron();
+
+		return $job;
+	}
+
+	/**
+	 * AJAX handler to get the job state and the log entries added since the last poll.
+	 */
+	public function ajax_get_import_job() {
+		$this->check_ajax_permissions();
+
+		$asset_type = $this->get_requested_asset_type();
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$since = isset( $_POST['since'] ) ? absint( $_POST['since'] ) : 0;
+		$job   = $this->get_job( $asset_type );
+
+		if ( ! $job ) {
+			wp_send_json_success( null );
+		}
+
+		// Watchdog: a tick that died without rescheduling leaves a running job with no event
+		if ( 'running' === $job['status'] && ! $this->is_locked( $asset_type ) ) {
+			$this->schedule_tick( $asset_type, 0 );
+			spawn_cron();
+		}
+
+		wp_send_json_success( $this->format_job( $job, $since ) );
+	}
+
+	/**
+	 * AJAX handler to pause a background import after its current step.
+	 */
+	public function ajax_pause_import_job() {
+		$this->handle_control_request( 'pause' );
+	}
+
+	/**
+	 * AJAX handler to resume a paused background import.
+	 */
+	public function ajax_resume_import_job() {
+		$this->handle_control_request( 'resume' );
+	}
+
+	/**
+	 * AJAX handler to cancel a background import after its current step.
+	 */
+	public function ajax_cancel_import_job() {
+		$this->handle_control_request( 'cancel' );
+	}
+
+	/**
+	 * Handle a pause/resume/cancel request from the import page.
+	 *
+	 * @param string $request One of 'pause', 'resume' or 'cancel'.
+	 */
+	private function handle_control_request( $request ) {
+		$this->check_ajax_permissions();
+
+		$job = $this->request_control( $this->get_requested_asset_type(), $request );
+
+		if ( is_wp_error( $job ) ) {
+			wp_send_json_error( $job->get_error_message() );
+		}
+
+		wp_send_json_success( $this->format_job( $job, 0 ) );
+	}
+
+	/**
+	 * Queue a pause/resume/cancel request and apply it if no tick is running.
+	 * A running tick applies queued requests after its current step.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @param string $request    One of 'pause', 'resume' or 'cancel'.
+	 * @return array|\WP_Error Job state, or an error if no job is in progress.
+	 */
+	public function request_control( $asset_type, $request ) {
+		$job = $this->get_job( $asset_type );
+
+		if ( ! $job || ! in_array( $job['status'], [ 'running', 'paused' ], true ) ) {
+			return new \WP_Error( 'no_job_in_progress', __( 'No background import is in progress.', 'aspirecloud' ) );
+		}
+
+		update_option( self::CONTROL_OPTION_PREFIX . $asset_type, $request, false );
+
+		if ( $this->acquire_lock( $asset_type ) ) {
+			$job = $this->apply_control_request( $this->get_job( $asset_type ) );
+			$this->save_job( $job );
+
+			if ( 'running' === $job['status'] ) {
+				$this->schedule_tick( $asset_type, 0 );
+				spawn_cron();
+			}
+
+			$this->release_lock( $asset_type );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Apply a queued control request to the job. Only called while holding the lock.
+	 *
+	 * @param array|null $job Job state.
+	 * @return array|null Updated job state.
+	 */
+	private function apply_control_request( $job ) {
+		if ( ! $job ) {
+			return $job;
+		}
+
+		$option  = self::CONTROL_OPTION_PREFIX . $job['asset_type'];
+		$request = $this->get_fresh_option( $option );
+
+		if ( ! $request ) {
+			return $job;
+		}
+
+		delete_option( $option );
+
+		if ( 'pause' === $request && 'running' === $job['status'] ) {
+			$job['status'] = 'paused';
+			$this->add_log( $job, 'INFO', __( 'Background import paused', 'aspirecloud' ) );
+		} elseif ( 'resume' === $request && 'paused' === $job['status'] ) {
+			$job['status'] = 'running';
+			$this->add_log( $job, 'INFO', __( 'Background import resumed', 'aspirecloud' ) );
+		} elseif ( 'cancel' === $request && in_array( $job['status'], [ 'running', 'paused' ], true ) ) {
+			$job['status']      = 'cancelled';
+			$job['finished_at'] = time();
+			$this->importers[ $job['asset_type'] ]->restore_database_after_import();
+			wp_clear_scheduled_hook( self::CRON_HOOK, [ $job['asset_type'] ] );
+			$this->add_log( $job, 'WARNING', __( 'Background import cancelled', 'aspirecloud' ) );
+
+			/** This action is documented in includes/controller/class-importjobs.php */
+			do_action( 'aspirecloud_import_job_finished', $job );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Run a single metadata page or download batch.
+	 *
+	 * @param array $job Job state.
+	 * @return array Updated job state.
+	 */
+	private function run_step( $job ) {
+		$importer = $this->importers[ $job['asset_type'] ];
+
+		if ( 'metadata' === $job['phase'] ) {
+			$metadata = $job['metadata'];
+			$result   = $importer->import_metadata_page( $metadata['page'], $metadata['total_assets'], $metadata['total_pages'] );
+
+			if ( is_wp_error( $result ) ) {
+				/* translators: %1$d: page number, %2$s: error message */
+				return $this->handle_step_error( $job, sprintf( __( 'Metadata page %1$d failed: %2$s', 'aspirecloud' ), $metadata['page'], $result->get_error_message() ) );
+			}
+
+			$job['retries']                  = 0;
+			$job['metadata']['imported']    += $result['imported_count'];
+			$job['metadata']['total_assets'] = $result['total_assets'];
+			$job['metadata']['total_pages']  = $result['total_pages'];
+			$this->add_errors( $job, $result['errors'], $metadata['page'] );
+
+			$this->add_log(
+				$job,
+				'SUCCESS',
+				/* translators: %1$d: page number, %2$d: total pages, %3$d: imported count */
+				sprintf( __( 'Metadata page %1$d of %2$d imported: %3$d items', 'aspirecloud' ), $result['page'], $result['total_pages'], $result['imported_count'] )
+			);
+
+			return $this->advance( $job, $result['has_more'] );
+		}
+
+		$files  = $job['files'];
+		$result = $importer->download_assets_batch( $files['batch'], AssetsImporter::DOWNLOAD_BATCH_SIZE, $files['total_assets'] );
+
+		$job['retries']               = 0;
+		$job['files']['downloaded']  += $result['downloaded_count'];
+		$job['files']['skipped']     += $result['skipped_count'];
+		$job['files']['total_assets'] = $result['total_assets'];
+		$this->add_errors( $job, $result['errors'], $files['batch'] );
+
+		$this->add_log(
+			$job,
+			'SUCCESS',
+			/* translators: %1$d: batch number, %2$d: downloaded count, %3$d: skipped count */
+			sprintf( __( 'Download batch %1$d completed: %2$d downloaded, %3$d skipped', 'aspirecloud' ), $result['batch'], $result['downloaded_count'], $result['skipped_count'] )
+		);
+
+		return $this->advance( $job, $result['has_more'] );
+	}
+
+	/**
+	 * Move to the next page or batch, the next phase, or finish the job.
+	 *
+	 * @param array $job      Job state.
+	 * @param bool  $has_more Whether the current phase has more pages or batches.
+	 * @return array Updated job state.
+	 */
+	private function advance( $job, $has_more ) {
+		if ( 'metadata' === $job['phase'] ) {
+			if ( $has_more ) {
+				++$job['metadata']['page'];
+				return $job;
+			}
+
+			// The last page normally restores the database; make sure it happens after skipped pages too
+			$this->importers[ $job['asset_type'] ]->restore_database_after_import();
+			$this->add_log( $job, 'SUCCESS', __( 'Metadata import finished', 'aspirecloud' ) );
+
+			// A skipped page may hold changes the next delta sync must not miss
+			if ( empty( $job['metadata']['failed_pages'] ) ) {
+				$this->importers[ $job['asset_type'] ]->complete_bulk_import();
+			} else {
+				$this->add_log( $job, 'WARNING', __( 'Some metadata pages failed, so the delta sync starting point was not moved', 'aspirecloud' ) );
+			}
+
+			if ( $job['phases']['files'] ) {
+				$job['phase'] = 'files';
+				$this->add_log( $job, 'INFO', __( 'Starting file downloads', 'aspirecloud' ) );
+				return $job;
+			}
+		} elseif ( $has_more ) {
+			++$job['files']['batch'];
+			return $job;
+		}
+
+		$job['status']      = 'completed';
+		$job['finished_at'] = time();
+		$this->add_log(
+			$job,
+			'SUCCESS',
+			/* translators: %1$d: imported count, %2$d: downloaded count */
+			sprintf( __( 'Background import completed: %1$d items imported, %2$d files downloaded', 'aspirecloud' ), $job['metadata']['imported'], $job['files']['downloaded'] )
+		);
+
+		/**
+		 * Fires when a background import job completes, fails or is cancelled.
+		 *
+		 * @param array $job Final job state.
+		 */
+		do_action( 'aspirecloud_import_job_finished', $job );
+
+		return $job;
+	}
+
+	/**
+	 * Retry a failed step on the next tick, or skip it once retries are used up.
+	 *
+	 * @param array  $job     Job state.
+	 * @param string $message Error message.
+	 * @return array Updated job state.
+	 */
+	private function handle_step_error( $job, $message ) {
+		++$job['retries'];
+
+		if ( $job['retries'] <= self::MAX_STEP_RETRIES ) {
+			/* translators: %1$s: error message, %2$d: attempt number, %3$d: max attempts */
+			$this->add_log( $job, 'WARNING', sprintf( __( '%1$s (retry %2$d/%3$d)', 'aspirecloud' ), $message, $job['retries'], self::MAX_STEP_RETRIES ) );
+			return $job;
+		}
+
+		$this->add_errors(
+			$job,
+			[
+				[
+					'category' => 'server',
+					'message'  => $message,
+					'retries'  => self::MAX_STEP_RETRIES,
+				],
+			],
+			$job['metadata']['page']
+		);
+		$job['retries'] = 0;
+		$this->add_log( $job, 'ERROR', $message );
+
+		// Until a page succeeds the page count is unknown, so there is no next page to skip to
+		if ( 0 === (int) $job['metadata']['total_pages'] ) {
+			$job['status']      = 'failed';
+			$job['finished_at'] = time();
+			$this->importers[ $job['asset_type'] ]->restore_database_after_import();
+			$this->add_log( $job, 'ERROR', __( 'Background import failed: no metadata page could be imported', 'aspirecloud' ) );
+
+			/** This action is documented in includes/controller/class-importjobs.php */
+			do_action( 'aspirecloud_import_job_finished', $job );
+
+			return $job;
+		}
+
+		// Skip the page like the browser importer does and keep going
+		$job['metadata']['failed_pages'] = ( $job['metadata']['failed_pages'] ?? 0 ) + 1;
+		return $this->advance( $job, $job['metadata']['page'] < $job['metadata']['total_pages'] );
+	}
+
+	/**
+	 * Build a new job state.
+	 *
+	 * @param string $asset_type      Either 'plugins' or 'themes'.
+	 * @param bool   $import_metadata Whether to run the metadata phase.
+	 * @param bool   $import_files    Whether to run the file download phase.
+	 * @return array Job state.
+	 */
+	private function create_job( $asset_type, $import_metadata, $import_files ) {
+		return [
+			'id'          => wp_generate_uuid4(),
+			'asset_type'  => $asset_type,
+			'status'      => 'running',
+			'phases'      => [
+				'metadata' => $import_metadata,
+				'files'    => $import_files,
+			],
+			'phase'       => $import_metadata ? 'metadata' : 'files',
+			'metadata'    => [
+				'page'         => 1,
+				'total_pages'  => 0,
+				'total_assets' => 0,
+				'imported'     => 0,
+				'failed_pages' => 0,
+			],
+			'files'       => [
+				'batch'        => 1,
+				'total_assets' => 0,
+				'downloaded'   => 0,
+				'skipped'      => 0,
+			],
+			'retries'     => 0,
+			'errors'      => [],
+			'error_count' => 0,
+			'log'         => [],
+			'log_seq'     => 0,
+			'created_at'  => time(),
+			'updated_at'  => time(),
+			'finished_at' => 0,
+		];
+	}
+
+	/**
+	 * Shape the job state for the monitor: progress for the current phase and new log entries.
+	 *
+	 * @param array $job   Job state.
+	 * @param int   $since Last log sequence number the monitor has seen.
+	 * @return array Job data for the browser.
+	 */
+	private function format_job( $job, $since ) {
+		if ( 'metadata' === $job['phase'] ) {
+			$done  = $job['metadata']['page'] - 1;
+			$total = $job['metadata']['total_pages'];
+		} else {
+			$done  = ( $job['files']['batch'] - 1 ) * AssetsImporter::DOWNLOAD_BATCH_SIZE;
+			$total = $job['files']['total_assets'];
+		}
+
+		if ( 'completed' === $job['status'] ) {
+			$progress = 100;
+		} else {
+			$progress = $total > 0 ? min( 100, (int) round( $done / $total * 100 ) ) : 0;
+		}
+
+		$job['progress'] = $progress;
+		$job['log']      = array_values(
+			array_filter(
+				$job['log'],
+				function ( $entry ) use ( $since ) {
+					return $entry['seq'] > $since;
+				}
+			)
+		);
+
+		return $job;
+	}
+
+	/**
+	 * Append a log entry for the monitor.
+	 *
+	 * @param array  $job     Job state (passed by reference).
+	 * @param string $level   Logger level (INFO, SUCCESS, WARNING, ERROR).
+	 * @param string $message Log message.
+	 */
+	private function add_log( &$job, $level, $message ) {
+		++$job['log_seq'];
+
+		$job['log'][] = [
+			'seq'     => $job['log_seq'],
+			'time'    => time(),
+			'level'   => $level,
+			'message' => $message,
+		];
+
+		$job['log'] = array_slice( $job['log'], -self::MAX_LOG_ENTRIES );
+	}
+
+	/**
+	 * Record error records from a step, tagged with the phase and batch they came from.
+	 *
+	 * @param array $job    Job state (passed by reference).
+	 * @param array $errors Error records or messages.
+	 * @param int   $batch  Metadata page or download batch number.
+	 */
+	private function add_errors( &$job, $errors, $batch ) {
+		if ( empty( $errors ) ) {
+			return;
+		}
+
+		$errors = array_map(
+			function ( $error ) use ( $job, $batch ) {
+				$error = is_array( $error ) ? $error : [ 'message' => (string) $error ];
+
+				return array_merge(
+					[
+						'slug'     => '',
+						'category' => 'asset',
+						'retries'  => 0,
+					],
+					$error,
+					[
+						'phase' => $job['phase'],
+						'batch' => $batch,
+					]
+				);
+			},
+			$errors
+		);
+
+		$job['error_count'] += count( $errors );
+		$job['errors']       = array_slice( array_merge( $job['errors'], $errors ), -self::MAX_ERRORS );
+	}
+
+	/**
+	 * Get the stored job state for an asset type.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @return array|null Job state, or null when no job has run.
+	 */
+	public function get_job( $asset_type ) {
+		$job = $this->get_fresh_option( self::JOB_OPTION_PREFIX . $asset_type );
+
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Save the job state.
+	 *
+	 * @param array|null $job Job state.
+	 */
+	private function save_job( $job ) {
+		if ( ! $job ) {
+			return;
+		}
+
+		$job['updated_at'] = time();
+		update_option( self::JOB_OPTION_PREFIX . $job['asset_type'], $job, false );
+	}
+
+	/**
+	 * Schedule the next tick unless one is already queued.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @param int    $delay      Seconds from now.
+	 */
+	private function schedule_tick( $asset_type, $delay ) {
+		if ( ! wp_next_scheduled( self::CRON_HOOK, [ $asset_type ] ) ) {
+			wp_schedule_single_event( time() + $delay, self::CRON_HOOK, [ $asset_type ] );
+		}
+	}
+
+	/**
+	 * Read an option that another request may have changed during this one.
+	 *
+	 * @param string $option Option name.
+	 * @return mixed Option value, or null if it does not exist.
+	 */
+	private function get_fresh_option( $option ) {
+		wp_cache_delete( $option, 'options' );
+		wp_cache_delete( 'notoptions', 'options' );
+
+		return get_option( $option, null );
+	}
+
+	/**
+	 * Take the job lock. Uses INSERT IGNORE so only one request can win.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @return bool True if the lock was acquired.
+	 */
+	private function acquire_lock( $asset_type ) {
+		global $wpdb;
+
+		$lock_option = self::LOCK_OPTION_PREFIX . $asset_type;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$created = $wpdb->query( $wpdb->prepare( "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')", $lock_option, time() ) );
+
+		if ( $created ) {
+			return true;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$locked_at = (int) $wpdb->get_var( $wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", $lock_option ) );
+
+		if ( $locked_at > time() - self::LOCK_TIMEOUT ) {
+			return false;
+		}
+
+		// Take over a lock left behind by a tick that died
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (bool) $wpdb->query( $wpdb->prepare( "UPDATE {$wpdb->options} SET option_value = %s WHERE option_name = %s AND option_value = %s", time(), $lock_option, $locked_at ) );
+	}
+
+	/**
+	 * Release the job lock.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 */
+	private function release_lock( $asset_type ) {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->options, [ 'option_name' => self::LOCK_OPTION_PREFIX . $asset_type ] );
+	}
+
+	/**
+	 * Check whether a tick currently holds the job lock.
+	 *
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @return bool True if a live lock exists.
+	 */
+	private function is_locked( $asset_type ) {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$locked_at = (int) $wpdb->get_var( $wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", self::LOCK_OPTION_PREFIX . $asset_type ) );
+
+		return $locked_at > time() - self::LOCK_TIMEOUT;
+	}
+
+	/**
+	 * Get the asset type a request refers to.
+	 *
+	 * @return string Either 'plugins' or 'themes'.
+	 */
+	private function get_requested_asset_type() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verification is done in check_ajax_permissions()
+		$asset_type = isset( $_POST['asset_type'] ) ? sanitize_key( wp_unslash( $_POST['asset_type'] ) ) : '';
+
+		if ( ! isset( $this->importers[ $asset_type ] ) ) {
+			wp_send_json_error( __( 'Invalid asset type.', 'aspirecloud' ) );
+		}
+
+		return $asset_type;
+	}
+
+	/**
+	 * Common permission check for AJAX handlers.
+	 */
+	private function check_ajax_permissions() {
+		check_ajax_referer( 'aspirecloud_import_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Insufficient permissions.', 'aspirecloud' ) );
+		}
+	}
+}
@@ -45,6 +45,7 @@ class PluginImport extends AssetsImporter {
 		add_action( 'wp_ajax_get_total_plugins_count', [ $this, 'ajax_get_total_assets_count' ] );
 		add_action( 'wp_ajax_import_plugin_metadata_batch', [ $this, 'ajax_import_metadata_batch' ] );
 		add_action( 'wp_ajax_download_plugin_assets_batch', [ $this, 'ajax_download_assets_batch' ] );
+		add_action( 'wp_ajax_sync_plugin_changes_batch', [ $this, 'ajax_sync_changes_batch' ] );
 		add_action( 'wp_ajax_clear_plugins_data', [ $this, 'ajax_clear_plugins_data' ] );
 		add_action( 'wp_ajax_get_plugins_clear_count', [ $this, 'ajax_get_plugins_clear_count' ] );
 	}
@@ -146,8 +147,12 @@ class PluginImport extends AssetsImporter {
 
 	/**
 	 * Get plugins for a specific page from API with all data.
+	 *
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @param string $browse   API sort order: 'new' for full imports, 'updated' for delta syncs.
 	 */
-	protected function get_assets_page( $page, $per_page ) {
+	protected function get_assets_page( $page, $per_page, $browse = 'new' ) {
 		// Include the plugins API functions
 		if ( ! function_exists( 'plugins_api' ) ) {
 			include_once ABSPATH . 'wp-admin/includes/plugin-install.php';
@@ -167,7 +172,7 @@ class PluginImport extends AssetsImporter {
 			[
 				'per_page' => $per_page,
 				'page'     => $page,
-				'browse'   => 'new',  // Sort by newest plugins
+				'browse'   => $browse,
 				'fields'   => $fields,
 			]
 		);
@@ -0,0 +1,418 @@
+<?php
+/**
+ * Sync Scheduler Controller Class.
+ *
+ * @package aspirecloud
+ * @author  AspirePress
+ */
+
+namespace AspireCloud\Controller;
+
+/**
+ * Class SyncScheduler
+ *
+ * Starts background import jobs on a daily or weekly schedule configured on
+ * the import page, so the mirror stays current without anyone pressing the
+ * import button. Each scheduled run starts an ImportJobs job per selected
+ * asset type inside the configured time window and records the outcome for
+ * the Schedule tab. A job still running when the window closes is paused and
+ * resumed at the start of the next window.
+ */
+class SyncScheduler {
+
+	/**
+	 * Cron hook for a scheduled run. Scheduled as a single event that reschedules itself.
+	 */
+	const CRON_HOOK = 'aspirecloud_scheduled_sync';
+
+	/**
+	 * Cron hook that pauses the jobs of a scheduled run when its time window closes.
+	 */
+	const WINDOW_END_HOOK = 'aspirecloud_scheduled_sync_window_end';
+
+	/**
+	 * Option name for the schedule settings.
+	 */
+	const SCHEDULE_OPTION = 'aspirecloud_sync_schedule';
+
+	/**
+	 * Option name for the record of the last scheduled run.
+	 */
+	const LAST_RUN_OPTION = 'aspirecloud_sync_schedule_last_run';
+
+	/**
+	 * Background import jobs controller that runs the imports.
+	 *
+	 * @var ImportJobs
+	 */
+	private $import_jobs;
+
+	/**
+	 * Initialize the sync scheduler.
+	 *
+	 * @param ImportJobs $import_jobs Background import jobs controller.
+	 */
+	public function __construct( $import_jobs ) {
+		$this->import_jobs = $import_jobs;
+
+		add_action( self::CRON_HOOK, [ $this, 'run_scheduled_sync' ] );
+		add_action( self::WINDOW_END_HOOK, [ $this, 'pause_at_window_end' ] );
+		add_action( 'admin_init', [ $this, 'ensure_next_run' ] );
+		add_action( 'aspirecloud_import_job_finished', [ $this, 'record_job_result' ] );
+		add_action( 'wp_ajax_aspirecloud_save_sync_schedule', [ $this, 'ajax_save_sync_schedule' ] );
+	}
+
+	/**
+	 * Get the schedule settings merged with the defaults.
+	 *
+	 * @return array Schedule settings.
+	 */
+	public static function get_schedule() {
+		$schedule = get_option( self::SCHEDULE_OPTION, [] );
+
+		return array_merge(
+			[
+				'enabled'         => false,
+				'frequency'       => 'daily',
+				'weekday'         => 0,
+				'window_start'    => 2,
+				'window_end'      => 6,
+				'asset_types'     => [ 'plugins', 'themes' ],
+				'import_metadata' => true,
+				'import_files'    => false,
+			],
+			is_array( $schedule ) ? $schedule : []
+		);
+	}
+
+	/**
+	 * Describe the next and last scheduled run for the Schedule tab.
+	 *
+	 * @return array Lines of status text.
+	 */
+	public static function get_status_lines() {
+		$lines    = [];
+		$next_run = wp_next_scheduled( self::CRON_HOOK );
+		$last_run = get_option( self::LAST_RUN_OPTION, null );
+
+		if ( $next_run ) {
+			$lines[] = sprintf(
+				/* translators: %s: date and time of the next run */
+				__( 'Next run: %s', 'aspirecloud' ),
+				wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $next_run )
+			);
+		} else {
+			$lines[] = __( 'Next run: not scheduled', 'aspirecloud' );
+		}
+
+		if ( ! is_array( $last_run ) ) {
+			$lines[] = __( 'Last run: never', 'aspirecloud' );
+			return $lines;
+		}
+
+		$lines[] = sprintf(
+			/* translators: %s: date and time of the last run */
+			__( 'Last run: %s', 'aspirecloud' ),
+			wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $last_run['time'] )
+		);
+
+		foreach ( $last_run['results'] as $asset_type => $result ) {
+			$lines[] = ucfirst( $asset_type ) . ': ' . self::describe_result( $result );
+		}
+
+		return $lines;
+	}
+
+	/**
+	 * Describe the result of one asset type in a scheduled run.
+	 *
+	 * @param array $result Result with status, message and, once the job finished, its counts.
+	 * @return string Result description.
+	 */
+	private static function describe_result( $result ) {
+		switch ( $result['status'] ) {
+			case 'running':
+				return __( 'background import started, still running', 'aspirecloud' );
+
+			case 'paused':
+				return __( 'paused when the time window closed, resumes in the next window', 'aspirecloud' );
+
+			case 'completed':
+				return sprintf(
+					/* translators: 1: imported items, 2: downloaded files, 3: errors */
+					__( 'completed: %1$d items imported, %2$d files downloaded, %3$d errors', 'aspirecloud' ),
+					$result['imported'],
+					$result['downloaded'],
+					$result['errors']
+				);
+
+			case 'cancelled':
+				return __( 'cancelled', 'aspirecloud' );
+
+			case 'failed':
+				return __( 'failed before any metadata page was imported', 'aspirecloud' );
+
+			default:
+				return $result['message'];
+		}
+	}
+
+	/**
+	 * Cron callback: start the background imports of a scheduled run and schedule the next one.
+	 */
+	public function run_scheduled_sync() {
+		$schedule = self::get_schedule();
+
+		$this->schedule_next_run( $schedule );
+
+		if ( ! $schedule['enabled'] ) {
+			return;
+		}
+
+		$results  = [];
+		$last_run = get_option( self::LAST_RUN_OPTION, null );
+		$previous = is_array( $last_run ) ? $last_run['results'] : [];
+
+		// WP-Cron only runs on traffic, so a quiet site can reach the event after the window closed
+		if ( ! $this->is_in_window( $schedule, time() ) ) {
+			foreach ( $schedule['asset_types'] as $asset_type ) {
+				// A job paused at the end of an earlier window waits for the next one
+				$results[ $asset_type ] = $this->get_paused_job( $previous, $asset_type )
+					? $previous[ $asset_type ]
+					: [
+						'status'  => 'skipped',
+						'message' => __( 'skipped, the time window had passed when WP-Cron ran', 'aspirecloud' ),
+					];
+			}
+
+			$this->save_last_run( $results );
+			return;
+		}
+
+		foreach ( $schedule['asset_types'] as $asset_type ) {
+			$job = $this->get_paused_job( $previous, $asset_type )
+				? $this->import_jobs->request_control( $asset_type, 'resume' )
+				: $this->import_jobs->start_job( $asset_type, $schedule['import_metadata'], $schedule['import_files'], __( 'the sync schedule', 'aspirecloud' ) );
+
+			$results[ $asset_type ] = is_wp_error( $job )
+				? [
+					'status'  => 'skipped',
+					'message' => $job->get_error_message(),
+				]
+				: [
+					'status' => 'running',
+					'job_id' => $job['id'],
+				];
+		}
+
+		$this->save_last_run( $results );
+
+		wp_clear_scheduled_hook( self::WINDOW_END_HOOK );
+		wp_schedule_single_event( $this->get_window_end_time( $schedule ), self::WINDOW_END_HOOK );
+	}
+
+	/**
+	 * Cron callback: pause the jobs of the last scheduled run that are still running when the window closes.
+	 */
+	public function pause_at_window_end() {
+		$schedule = self::get_schedule();
+		$last_run = get_option( self::LAST_RUN_OPTION, null );
+
+		if ( ! $schedule['enabled'] || ! is_array( $last_run ) ) {
+			return;
+		}
+
+		foreach ( $last_run['results'] as $asset_type => $result ) {
+			$job = $this->import_jobs->get_job( $asset_type );
+
+			if ( 'running' !== $result['status'] || ! $job || $job['id'] !== $result['job_id'] || 'running' !== $job['status'] ) {
+				continue;
+			}
+
+			if ( ! is_wp_error( $this->import_jobs->request_control( $asset_type, 'pause' ) ) ) {
+				$last_run['results'][ $asset_type ]['status'] = 'paused';
+			}
+		}
+
+		update_option( self::LAST_RUN_OPTION, $last_run, false );
+	}
+
+	/**
+	 * Queue the next run if the schedule is on but no event exists, e.g. after the plugin was reactivated.
+	 */
+	public function ensure_next_run() {
+		$schedule = self::get_schedule();
+
+		if ( $schedule['enabled'] && ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			$this->schedule_next_run( $schedule );
+		}
+	}
+
+	/**
+	 * Store the counts of a finished job that a scheduled run started.
+	 *
+	 * @param array $job Final job state.
+	 */
+	public function record_job_result( $job ) {
+		$last_run = get_option( self::LAST_RUN_OPTION, null );
+
+		if ( ! is_array( $last_run ) || ( $last_run['results'][ $job['asset_type'] ]['job_id'] ?? '' ) !== $job['id'] ) {
+			return;
+		}
+
+		$last_run['results'][ $job['asset_type'] ] = [
+			'status'      => $job['status'],
+			'job_id'      => $job['id'],
+			'imported'    => $job['metadata']['imported'],
+			'downloaded'  => $job['files']['downloaded'],
+			'errors'      => $job['error_count'],
+			'finished_at' => $job['finished_at'],
+		];
+
+		update_option( self::LAST_RUN_OPTION, $last_run, false );
+	}
+
+	/**
+	 * AJAX handler to save the schedule settings and reschedule the next run.
+	 */
+	public function ajax_save_sync_schedule() {
+		check_ajax_referer( 'aspirecloud_import_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'Insufficient permissions.', 'aspirecloud' ) );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified above
+		$asset_types = isset( $_POST['asset_types'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['asset_types'] ) ) : [];
+		$schedule    = [
+			'enabled'         => ! empty( $_POST['enabled'] ),
+			'frequency'       => isset( $_POST['frequency'] ) && 'weekly' === $_POST['frequency'] ? 'weekly' : 'daily',
+			'weekday'         => isset( $_POST['weekday'] ) ? min( 6, absint( $_POST['weekday'] ) ) : 0,
+			'window_start'    => isset( $_POST['window_start'] ) ? min( 23, absint( $_POST['window_start'] ) ) : 2,
+			'window_end'      => isset( $_POST['window_end'] ) ? min( 23, absint( $_POST['window_end'] ) ) : 6,
+			'asset_types'     => array_values( array_intersect( [ 'plugins', 'themes' ], $asset_types ) ),
+			'import_metadata' => ! empty( $_POST['import_metadata'] ),
+			'import_files'    => ! empty( $_POST['import_files'] ),
+		];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( $schedule['enabled'] && empty( $schedule['asset_types'] ) ) {
+			wp_send_json_error( __( 'Select at least one asset type to sync.', 'aspirecloud' ) );
+		}
+
+		if ( $schedule['enabled'] && ! $schedule['import_metadata'] && ! $schedule['import_files'] ) {
+			wp_send_json_error( __( 'Please select at least one import option.', 'aspirecloud' ) );
+		}
+
+		if ( $schedule['window_start'] === $schedule['window_end'] ) {
+			wp_send_json_error( __( 'The time window must end at a different hour than it starts.', 'aspirecloud' ) );
+		}
+
+		update_option( self::SCHEDULE_OPTION, $schedule );
+		$this->schedule_next_run( $schedule );
+
+		wp_send_json_success(
+			[
+				'message' => $schedule['enabled'] ? __( 'Schedule saved.', 'aspirecloud' ) : __( 'Scheduled sync turned off.', 'aspirecloud' ),
+				'status'  => self::get_status_lines(),
+			]
+		);
+	}
+
+	/**
+	 * Replace the queued event with one at the start of the next time window.
+	 *
+	 * @param array $schedule Schedule settings.
+	 */
+	private function schedule_next_run( $schedule ) {
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+
+		if ( $schedule['enabled'] ) {
+			wp_schedule_single_event( $this->get_next_run_time( $schedule ), self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Get the next start of the time window, in the site's timezone.
+	 *
+	 * @param array $schedule Schedule settings.
+	 * @return int Unix timestamp.
+	 */
+	private function get_next_run_time( $schedule ) {
+		$now  = new \DateTimeImmutable( 'now', wp_timezone() );
+		$next = $now->setTime( $schedule['window_start'], 0 );
+
+		if ( $next <= $now ) {
+			$next = $next->modify( '+1 day' );
+		}
+
+		if ( 'weekly' === $schedule['frequency'] ) {
+			while ( (int) $next->format( 'w' ) !== (int) $schedule['weekday'] ) {
+				$next = $next->modify( '+1 day' );
+			}
+		}
+
+		return $next->getTimestamp();
+	}
+
+	/**
+	 * Get the next end of the time window, in the site's timezone.
+	 *
+	 * @param array $schedule Schedule settings.
+	 * @return int Unix timestamp.
+	 */
+	private function get_window_end_time( $schedule ) {
+		$now = new \DateTimeImmutable( 'now', wp_timezone() );
+		$end = $now->setTime( $schedule['window_end'], 0 );
+
+		return ( $end <= $now ? $end->modify( '+1 day' ) : $end )->getTimestamp();
+	}
+
+	/**
+	 * Get the job of an earlier scheduled run that was paused when its window closed and is still paused.
+	 *
+	 * @param array  $results    Results of the last scheduled run.
+	 * @param string $asset_type Either 'plugins' or 'themes'.
+	 * @return array|null Job state, or null if there is no such job.
+	 */
+	private function get_paused_job( $results, $asset_type ) {
+		$job = $this->import_jobs->get_job( $asset_type );
+
+		if ( 'paused' !== ( $results[ $asset_type ]['status'] ?? '' ) || ! $job || 'paused' !== $job['status'] ) {
+			return null;
+		}
+
+		return $job['id'] === $results[ $asset_type ]['job_id'] ? $job : null;
+	}
+
+	/**
+	 * Check whether a time falls inside the time window. A window may cross midnight, e.g. 22 to 4.
+	 *
+	 * @param array $schedule  Schedule settings.
+	 * @param int   $timestamp Unix timestamp.
+	 * @return bool True if inside the window.
+	 */
+	private function is_in_window( $schedule, $timestamp ) {
+		$hour  = (int) wp_date( 'G', $timestamp );
+		$start = (int) $schedule['window_start'];
+		$end   = (int) $schedule['window_end'];
+
+		return $start < $end ? $hour >= $start && $hour < $end : $hour >= $start || $hour < $end;
+	}
+
+	/**
+	 * Record the start of a scheduled run.
+	 *
+	 * @param array $results Result per asset type.
+	 */
+	private function save_last_run( $results ) {
+		update_option(
+			self::LAST_RUN_OPTION,
+			[
+				'time'    => time(),
+				'results' => $results,
+			],
+			false
+		);
+	}
+}
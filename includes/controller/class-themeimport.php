@@ -45,6 +45,7 @@ class ThemeImport extends AssetsImporter {
 		add_action( 'wp_ajax_get_total_themes_count', [ $this, 'ajax_get_total_assets_count' ] );
 		add_action( 'wp_ajax_import_theme_metadata_batch', [ $this, 'ajax_import_metadata_batch' ] );
 		add_action( 'wp_ajax_download_theme_assets_batch', [ $this, 'ajax_download_assets_batch' ] );
+		add_action( 'wp_ajax_sync_theme_changes_batch', [ $this, 'ajax_sync_changes_batch' ] );
 		add_action( 'wp_ajax_clear_themes_data', [ $this, 'ajax_clear_themes_data' ] );
 		add_action( 'wp_ajax_get_themes_clear_count', [ $this, 'ajax_get_themes_clear_count' ] );
 	}
@@ -146,8 +147,12 @@ class ThemeImport extends AssetsImporter {
 
 	/**
 	 * Get themes for a specific page from API with all data.
+	 *
+	 * @param int    $page     Page number.
+	 * @param int    $per_page Items per page.
+	 * @param string $browse   API sort order: 'new' for full imports, 'updated' for delta syncs.
 	 */
-	protected function get_assets_page( $page, $per_page ) {
+	protected function get_assets_page( $page, $per_page, $browse = 'new' ) {
 		// Include the themes API functions
 		if ( ! function_exists( 'themes_api' ) ) {
 			include_once ABSPATH . 'wp-admin/includes/theme.php';
@@ -167,7 +172,7 @@ class ThemeImport extends AssetsImporter {
 			[
 				'per_page' => $per_page,
 				'page'     => $page,
-				'browse'   => 'new',  // Sort by newest themes
+				'browse'   => $browse,
 				'fields'   => $fields,
 			]
 		);